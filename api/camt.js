@@ -0,0 +1,166 @@
+/* eslint-env node */
+/**
+ * ================================================================
+ * BANK STATEMENT PARSING - CAMT.053
+ * ================================================================
+ *
+ * Minimal CAMT.053 (BankToCustomerStatement) reader used to reconcile
+ * executed SEPA batches with declaraties. Only the fields needed for
+ * matching are extracted, so no XML dependency is required.
+ *
+ * Extracted per transaction:
+ * - Direction (DBIT/CRDT), amount and booking date
+ * - End-to-end ID, counterparty IBAN and name
+ * - Unstructured remittance information
+ *
+ * Batch bookings (one entry with several TxDtls) are split into
+ * one transaction per TxDtls block.
+ *
+ * @author R.S. Kort
+ * @version 1.0.0
+ */
+
+const PREFIX = '(?:[A-Za-z0-9_]+:)?'
+
+/**
+ * Decode the XML entities that appear in bank statements
+ * @param {string} value - Raw text content
+ * @returns {string} Decoded text
+ */
+function decodeXml(value = '') {
+  return String(value)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim()
+}
+
+/**
+ * Return the inner XML of every element with the given tag name
+ * @param {string} xml - XML fragment
+ * @param {string} tag - Local tag name (namespace prefixes are ignored)
+ * @returns {string[]} Inner XML per element
+ */
+function findAll(xml, tag) {
+  const regex = new RegExp(`<${PREFIX}${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${PREFIX}${tag}>`, 'g')
+  const results = []
+  let match
+  while ((match = regex.exec(xml)) !== null) {
+    results.push(match[1])
+  }
+  return results
+}
+
+/**
+ * Follow a path of tag names and return the first match
+ * @param {string} xml - XML fragment
+ * @param {...string} path - Tag names from outer to inner
+ * @returns {string|null} Inner XML of the deepest element
+ */
+function findPath(xml, ...path) {
+  let current = xml
+  for (const tag of path) {
+    if (current === null) return null
+    current = findAll(current, tag)[0] ?? null
+  }
+  return current
+}
+
+function findText(xml, ...path) {
+  const value = findPath(xml, ...path)
+  return value === null ? null : decodeXml(value)
+}
+
+/**
+ * Parse an amount element value into cents
+ * @param {string|null} value - Amount text such as 12.50
+ * @returns {number|null} Amount in cents
+ */
+function parseAmountCents(value) {
+  if (value === null || value === undefined) return null
+  const amount = Number.parseFloat(String(value).replace(',', '.'))
+  return Number.isFinite(amount) ? Math.round(amount * 100) : null
+}
+
+/**
+ * Read the counterparty for a transaction. For outgoing payments (DBIT)
+ * the counterparty is the creditor, for incoming payments the debtor.
+ */
+function readCounterparty(txXml, direction) {
+  const role = direction === 'DBIT' ? 'Cdtr' : 'Dbtr'
+  const parties = findPath(txXml, 'RltdPties')
+  if (!parties) return { iban: null, name: null }
+
+  const iban = findText(parties, `${role}Acct`, 'Id', 'IBAN')
+  const name = findText(parties, role, 'Nm') ?? findText(parties, role, 'Pty', 'Nm')
+  return {
+    iban: iban ? iban.replace(/\s+/g, '').toUpperCase() : null,
+    name
+  }
+}
+
+function normalizeEndToEndId(value) {
+  if (!value || value === 'NOTPROVIDED') return null
+  return value
+}
+
+/**
+ * Parse a CAMT.053 document into flat transactions
+ * @param {string} xml - CAMT.053 XML content
+ * @returns {{ statements: Array<Object>, transactions: Array<Object> }} Parsed data
+ * @throws {Error} When the document is not a CAMT.053 statement
+ */
+export function parseCamt053(xml) {
+  if (typeof xml !== 'string' || !xml.includes('BkToCstmrStmt')) {
+    throw new Error('Geen geldig CAMT.053-bankafschrift')
+  }
+
+  const statements = []
+  const transactions = []
+
+  findAll(xml, 'Stmt').forEach((stmtXml, stmtIndex) => {
+    const statementId = findText(stmtXml, 'Id') || `stmt-${stmtIndex + 1}`
+    const accountIban = findText(stmtXml, 'Acct', 'Id', 'IBAN')
+    statements.push({
+      statementId,
+      accountIban: accountIban ? accountIban.replace(/\s+/g, '').toUpperCase() : null,
+      createdAt: findText(stmtXml, 'CreDtTm'),
+      fromDate: findText(stmtXml, 'FrToDt', 'FrDtTm'),
+      toDate: findText(stmtXml, 'FrToDt', 'ToDtTm')
+    })
+
+    findAll(stmtXml, 'Ntry').forEach((entryXml, entryIndex) => {
+      const direction = findText(entryXml, 'CdtDbtInd')
+      const entryAmount = parseAmountCents(findText(entryXml, 'Amt'))
+      const bookingDate = findText(entryXml, 'BookgDt', 'Dt') ?? findText(entryXml, 'BookgDt', 'DtTm')
+      const entryRef = findText(entryXml, 'NtryRef') || findText(entryXml, 'AcctSvcrRef') || `${statementId}-${entryIndex + 1}`
+      const details = findAll(entryXml, 'TxDtls')
+      const txBlocks = details.length > 0 ? details : [entryXml]
+
+      txBlocks.forEach((txXml, txIndex) => {
+        const txAmount = parseAmountCents(
+          findText(txXml, 'AmtDtls', 'TxAmt', 'Amt') ?? (details.length > 0 ? findText(txXml, 'Amt') : null)
+        )
+        const counterparty = readCounterparty(txXml, direction)
+        transactions.push({
+          reference: details.length > 1 ? `${entryRef}/${txIndex + 1}` : entryRef,
+          statementId,
+          direction,
+          amountCents: txAmount ?? (details.length <= 1 ? entryAmount : null),
+          bookingDate: bookingDate ? bookingDate.slice(0, 10) : null,
+          endToEndId: normalizeEndToEndId(findText(txXml, 'Refs', 'EndToEndId')),
+          iban: counterparty.iban,
+          name: counterparty.name,
+          remittance: findAll(txXml, 'Ustrd').map(decodeXml).join(' ') || null
+        })
+      })
+    })
+  })
+
+  return { statements, transactions }
+}
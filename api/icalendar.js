@@ -19,11 +19,89 @@
  * - DTEND: Event end date/time
  * - SUMMARY: Event title
  * - DESCRIPTION: Event description
- * - SEQUENCE: Event version number
+ * - SEQUENCE: Event version number, raised by the API on every reschedule
+ * - CREATED/LAST-MODIFIED/DTSTAMP: From the event's createdAt/updatedAt
+ * - RRULE/EXDATE/RECURRENCE-ID: Recurring series (see recurrence.js)
+ * - CATEGORIES: Opkomst and/or Schoonmaak
+ * - STATUS: CANCELLED for cancelled events, otherwise CONFIRMED
+ * - VALARM: Reminders requested with ?alarms=1d,2h (any feed)
+ * - ORGANIZER/ATTENDEE/URL: Personal feeds only
+ * - ETag/Last-Modified: Polling clients get 304 when nothing changed
+ * 
+ * Feeds:
+ * - Public feed: only title and times, no descriptions, locations or names
+ * - Personal feed: full details, optionally filtered to opkomsten,
+ *   the member's own duties or the opkomsten they attend
  * 
  * @author R.S. Kort
- * @version 1.0.0
+ * @version 1.4.0
+ */
+
+import { createHash } from 'node:crypto'
+import { buildRRule, expandRecurrence } from './recurrence.js'
+
+// Fields that may appear in the public feed; everything else stays in personal feeds
+const PUBLIC_EVENT_FIELDS = ['id', 'title', 'start', 'end', 'allDay', 'isOpkomst', 'isSchoonmaak', 'cancelled', 'seriesId', 'recurrence', 'recurrenceId', 'isRecurrenceException']
+
+/**
+ * Strip an event down to the fields that are safe to publish
+ * @param {Object} event - Event object from database
+ * @returns {Object} Event with public fields only
+ */
+export function toPublicEvent(event) {
+  const publicEvent = {}
+  PUBLIC_EVENT_FIELDS.forEach((field) => {
+    if (event[field] !== undefined) publicEvent[field] = event[field]
+  })
+  return publicEvent
+}
+
+/**
+ * Apply the personal feed options of a member
+ * @param {Array} events - Array of event objects
+ * @param {number} userId - Member the feed belongs to
+ * @param {Object} filters - Feed options, all combined
+ * @param {boolean} [filters.opkomsten] - Only opkomsten
+ * @param {boolean} [filters.duties] - Only events where the member is opkomstmaker or schoonmaker
+ * @param {boolean} [filters.attending] - Only events the member attends
+ * @returns {Array} Matching events
  */
+export function filterFeedEvents(events, userId, { opkomsten = false, duties = false, attending = false } = {}) {
+  const includesUser = (ids) => Array.isArray(ids) && ids.map(Number).includes(userId)
+  return (events || []).filter((event) => {
+    if (opkomsten && !event.isOpkomst) return false
+    if (duties && !includesUser(event.opkomstmakerIds) && !includesUser(event.schoonmakerIds)) return false
+    if (attending && !includesUser(event.participants)) return false
+    return true
+  })
+}
+
+const MAX_ALARMS = 3
+const ALARM_UNITS = { m: 1, h: 60, d: 24 * 60, w: 7 * 24 * 60 }
+const MAX_ALARM_MINUTES = 4 * ALARM_UNITS.w
+
+/**
+ * Parse the reminders of a feed, e.g. "1d,2h" for one day and two hours
+ * before the start. Unknown or too distant values are skipped.
+ * @param {string} value - Comma separated offsets with unit m, h, d or w
+ * @returns {Array<string>} TRIGGER durations, e.g. ['-P1D', '-PT2H']
+ */
+export function parseAlarms(value) {
+  if (typeof value !== 'string' || !value) return []
+  const triggers = []
+  value.split(',').forEach((part) => {
+    const match = /^(\d{1,4})([mhdw])$/.exec(part.trim().toLowerCase())
+    if (!match || triggers.length >= MAX_ALARMS) return
+    const amount = Number(match[1])
+    const unit = match[2]
+    if (amount === 0 || amount * ALARM_UNITS[unit] > MAX_ALARM_MINUTES) return
+    const trigger = unit === 'm' || unit === 'h'
+      ? `-PT${amount}${unit.toUpperCase()}`
+      : `-P${amount}${unit.toUpperCase()}`
+    if (!triggers.includes(trigger)) triggers.push(trigger)
+  })
+  return triggers
+}
 
 /**
  * Escape special characters in iCalendar text values
@@ -40,6 +118,18 @@ function escapeText(text) {
     .replace(/\n/g, '\\n')    // Newline
 }
 
+/**
+ * Format a calendar user (ORGANIZER, ATTENDEE) as mailto address with a
+ * quoted common name; quotes are not allowed inside a parameter value
+ * @param {string} name - Display name
+ * @param {string} email - Email address
+ * @returns {string} Parameters and value, e.g. ;CN="Jan":mailto:jan@example.com
+ */
+function formatCalAddress(name, email) {
+  const cn = String(name || '').replace(/["\r\n]/g, '').trim()
+  return `${cn ? `;CN="${cn}"` : ''}:mailto:${email}`
+}
+
 /**
  * Fold long lines per RFC 5545 (max 75 octets per line)
  * Continuation lines start with a space
@@ -171,18 +261,62 @@ function formatICalDateOnly(date) {
   return `${year}${month}${day}`
 }
 
+/**
+ * Format a date property (EXDATE, RECURRENCE-ID) with the same value
+ * type as DTSTART, as required by RFC 5545
+ * @param {string} name - Property name
+ * @param {string|Date} date - Date value
+ * @param {boolean} allDay - Whether the event is an all-day event
+ * @returns {string} Property line
+ */
+function formatDateProperty(name, date, allDay) {
+  if (allDay) {
+    return `${name};VALUE=DATE:${formatICalDateOnly(date)}`
+  }
+  return `${name};TZID=${DEFAULT_TIMEZONE}:${formatICalDateInTimeZone(date, DEFAULT_TIMEZONE)}`
+}
+
+/**
+ * ATTENDEE lines of an opkomst: members in `participants` accepted, and
+ * the owner of the feed declined when they are not coming
+ * @param {Object} event - Event object from database
+ * @param {Object} personal - Personal feed options (see generateICalendar)
+ * @returns {Array<string>} ATTENDEE property lines
+ */
+function generateAttendees(event, { userId, getMember }) {
+  if (!event.isOpkomst) return []
+  const participants = Array.isArray(event.participants) ? event.participants.map(Number) : []
+  const attendees = participants.map((id) => ({ id, partstat: 'ACCEPTED' }))
+  if (!participants.includes(userId)) {
+    attendees.push({ id: userId, partstat: 'DECLINED' })
+  }
+
+  return attendees
+    .map(({ id, partstat }) => {
+      const member = getMember(id)
+      if (!member?.email) return null
+      return `ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=${partstat}${formatCalAddress(member.name, member.email)}`
+    })
+    .filter(Boolean)
+}
+
 /**
  * Generate a single VEVENT component
  * @param {Object} event - Event object from database
+ * @param {Object} options - Recurrence options
+ * @param {string} [options.uid] - UID override (series UID for overrides)
+ * @param {string} [options.rrule] - RRULE value for a series master
+ * @param {Array<string>} [options.exdates] - Skipped occurrence starts
+ * @param {string} [options.recurrenceId] - Original start of an overridden occurrence
+ * @param {Object} feed - Feed options (see generateICalendar)
  * @returns {string} VEVENT component
  */
-function generateVEvent(event) {
+function generateVEvent(event, { uid = `${event.id}@stamjer.nl`, rrule = null, exdates = [], recurrenceId = null } = {}, feed = {}) {
   const lines = []
   
   lines.push('BEGIN:VEVENT')
   
-  // UID (required) - Use the event ID as unique identifier
-  const uid = `${event.id}@stamjer.nl`
+  // UID (required) - Use the event ID (or series ID) as unique identifier
   lines.push(foldLine(`UID:${uid}`))
   
   // DTSTART (required)
@@ -218,6 +352,18 @@ function generateVEvent(event) {
       lines.push(foldLine(`DTEND;TZID=${DEFAULT_TIMEZONE}:${endDate}`))
     }
   }
+
+  // Recurrence: master carries RRULE/EXDATE, overrides carry RECURRENCE-ID
+  if (rrule) {
+    lines.push(foldLine(`RRULE:${rrule}`))
+    exdates.forEach((exdate) => {
+      lines.push(foldLine(formatDateProperty('EXDATE', exdate, event.allDay)))
+    })
+  }
+
+  if (recurrenceId) {
+    lines.push(foldLine(formatDateProperty('RECURRENCE-ID', recurrenceId, event.allDay)))
+  }
   
   // SUMMARY (title)
   if (event.title) {
@@ -260,27 +406,140 @@ function generateVEvent(event) {
     const escapedDescription = escapeText(description)
     lines.push(foldLine(`DESCRIPTION:${escapedDescription}`))
   }
+
+  // CATEGORIES (opkomst/schoonmaak)
+  const categories = []
+  if (event.isOpkomst) categories.push('Opkomst')
+  if (event.isSchoonmaak) categories.push('Schoonmaak')
+  if (categories.length > 0) {
+    lines.push(foldLine(`CATEGORIES:${categories.join(',')}`))
+  }
+
+  // STATUS
+  lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`)
+
+  // URL, ORGANIZER and ATTENDEE only in personal feeds
+  if (feed.eventUrl) {
+    lines.push(foldLine(`URL:${feed.eventUrl(event.id)}`))
+  }
+
+  if (feed.personal) {
+    if (feed.personal.organizer?.email) {
+      const { name, email } = feed.personal.organizer
+      lines.push(foldLine(`ORGANIZER${formatCalAddress(name, email)}`))
+    }
+    generateAttendees(event, feed.personal).forEach((attendee) => lines.push(foldLine(attendee)))
+  }
   
   // SEQUENCE (version number for updates)
-  // Start at 0, can be incremented for event updates
+  // Starts at 0, raised by PUT /api/events/:id when the event is rescheduled
   const sequence = event.sequence || 0
   lines.push(foldLine(`SEQUENCE:${sequence}`))
+
+  // CREATED / LAST-MODIFIED
+  if (event.createdAt) {
+    lines.push(foldLine(`CREATED:${formatICalDate(event.createdAt)}`))
+  }
+  if (event.updatedAt) {
+    lines.push(foldLine(`LAST-MODIFIED:${formatICalDate(event.updatedAt)}`))
+  }
   
-  // DTSTAMP (when this entry was created/modified)
-  const now = formatICalDate(new Date())
-  lines.push(foldLine(`DTSTAMP:${now}`))
+  // DTSTAMP (when this entry was last modified); stable so the feed only
+  // changes when an event does
+  const stamp = formatICalDate(event.updatedAt || event.createdAt || new Date())
+  lines.push(foldLine(`DTSTAMP:${stamp}`))
+
+  // VALARM reminders; a cancelled event needs none
+  if (!event.cancelled) {
+    (feed.alarms || []).forEach((trigger) => {
+      lines.push('BEGIN:VALARM')
+      lines.push('ACTION:DISPLAY')
+      lines.push(foldLine(`DESCRIPTION:${escapeText(event.title || 'Stamjer')}`))
+      lines.push(`TRIGGER:${trigger}`)
+      lines.push('END:VALARM')
+    })
+  }
   
   lines.push('END:VEVENT')
   
   return lines.join('\r\n')
 }
 
+// Lines that only track the version of a VEVENT, not what it says
+const REVISION_LINE_REGEX = /^(SEQUENCE|CREATED|LAST-MODIFIED|DTSTAMP):/
+
+/**
+ * Content of a VEVENT without its revision lines, to tell whether an
+ * occurrence says anything else than the series master
+ * @param {string} vevent - VEVENT component
+ * @returns {string} Comparable content
+ */
+function veventContent(vevent) {
+  return vevent.split('\r\n').filter((line) => !REVISION_LINE_REGEX.test(line)).join('\r\n')
+}
+
+/**
+ * Generate the VEVENTs for one recurring series: a master with RRULE and
+ * EXDATE for removed occurrences, plus an override for every occurrence
+ * that does not look like the master on its date. Times, duties,
+ * attendees and links are stored per occurrence and change without the
+ * occurrence being marked as an exception, so the rendered VEVENTs are
+ * compared instead of the exception flag.
+ * @param {string} seriesId - Shared series identifier
+ * @param {Array} occurrences - Stored occurrences of the series
+ * @param {Object} feed - Feed options (see generateICalendar)
+ * @returns {Array<string>} VEVENT components
+ */
+function generateSeriesVEvents(seriesId, occurrences, feed) {
+  const sorted = [...occurrences].sort((a, b) => String(a.recurrenceId).localeCompare(String(b.recurrenceId)))
+  const rule = sorted[0].recurrence
+  const expanded = expandRecurrence(rule, rule.start, rule.end)
+  const uid = `${seriesId}@stamjer.nl`
+
+  if (expanded.length === 0) {
+    return sorted.map((occurrence) => generateVEvent(occurrence, {}, feed))
+  }
+
+  const present = new Set(sorted.map((occurrence) => occurrence.recurrenceId))
+  const exdates = expanded
+    .map((occurrence) => occurrence.start)
+    .filter((start) => !present.has(start))
+
+  const template = sorted.find((occurrence) => !occurrence.isRecurrenceException) || sorted[0]
+  // The series is only cancelled as a whole when every occurrence is;
+  // a single cancelled occurrence gets its own override below
+  const master = {
+    ...template,
+    start: rule.start,
+    end: rule.end,
+    cancelled: sorted.every((occurrence) => occurrence.cancelled)
+  }
+  const components = [generateVEvent(master, { uid, rrule: buildRRule(rule, expanded.length), exdates }, feed)]
+
+  sorted.forEach((occurrence) => {
+    const recurrence = { uid, recurrenceId: occurrence.recurrenceId }
+    const override = generateVEvent(occurrence, recurrence, feed)
+    const slot = expanded.find((item) => item.start === occurrence.recurrenceId)
+    const expected = slot && generateVEvent({ ...master, start: slot.start, end: slot.end }, recurrence, feed)
+    if (!expected || veventContent(override) !== veventContent(expected)) {
+      components.push(override)
+    }
+  })
+
+  return components
+}
+
 /**
  * Generate complete iCalendar feed from events array
  * @param {Array} events - Array of event objects
+ * @param {Object} options - Feed options
+ * @param {string} [options.calendarName] - Name shown in calendar apps
+ * @param {Array<string>} [options.alarms] - TRIGGER durations from parseAlarms()
+ * @param {Function} [options.eventUrl] - Returns the link to an event in the app
+ * @param {Object} [options.personal] - Personal feed: { userId, getMember(id) → { name, email }, organizer: { name, email } }
  * @returns {string} Complete iCalendar file content
  */
-export function generateICalendar(events) {
+export function generateICalendar(events, { calendarName = 'Stamjer Agenda', ...feed } = {}) {
   const lines = []
   
   // VCALENDAR header
@@ -289,7 +548,7 @@ export function generateICalendar(events) {
   lines.push('PRODID:-//Stamjer//Stamjer Agenda//NL')
   lines.push('CALSCALE:GREGORIAN')
   lines.push('METHOD:PUBLISH')
-  lines.push('X-WR-CALNAME:Stamjer Agenda')
+  lines.push(foldLine(`X-WR-CALNAME:${escapeText(calendarName)}`))
   lines.push('X-WR-TIMEZONE:Europe/Amsterdam')
   lines.push('X-WR-CALDESC:Stamjer evenementen en opkomsten')
   
@@ -312,17 +571,34 @@ export function generateICalendar(events) {
   lines.push('END:STANDARD')
   lines.push('END:VTIMEZONE')
   
-  // Generate VEVENT for each event
+  // Generate VEVENT for each event; recurring occurrences are grouped per series
   if (events && Array.isArray(events)) {
+    const seriesGroups = new Map()
+
     for (const event of events) {
+      if (event?.seriesId && event.recurrence && event.recurrenceId) {
+        const group = seriesGroups.get(event.seriesId) || []
+        group.push(event)
+        seriesGroups.set(event.seriesId, group)
+        continue
+      }
+
       try {
-        const vevent = generateVEvent(event)
+        const vevent = generateVEvent(event, {}, feed)
         lines.push(vevent)
       } catch (error) {
         // Log error but continue with other events
         console.error(`Error generating VEVENT for event ${event?.id}:`, error)
       }
     }
+
+    for (const [seriesId, occurrences] of seriesGroups) {
+      try {
+        lines.push(...generateSeriesVEvents(seriesId, occurrences, feed))
+      } catch (error) {
+        console.error(`Error generating VEVENTs for series ${seriesId}:`, error)
+      }
+    }
   }
   
   // VCALENDAR footer
@@ -333,25 +609,43 @@ export function generateICalendar(events) {
 
 /**
  * Create iCalendar response middleware
- * Fetches events from database and returns iCalendar format
- * @param {Function} getEventsFromDb - Function to fetch events from database
+ * Fetches events from database and returns iCalendar format.
+ * Sends an ETag of the content and the feed's Last-Modified;
+ * If-None-Match/If-Modified-Since requests get 304 when still fresh.
+ * @param {Function} getFeed - Function receiving the request and returning
+ *   { events, options, lastModified } of the feed, or null when the feed
+ *   does not exist. lastModified must also move when an event is deleted.
  * @returns {Function} Express middleware
  */
-export function createICalendarHandler(getEventsFromDb) {
+export function createICalendarHandler(getFeed) {
   return async (req, res) => {
     try {
       // Fetch events from database
-      const events = await getEventsFromDb()
+      const feed = await getFeed(req)
+      if (!feed) {
+        return res.status(404).json({ error: 'Agenda niet gevonden' })
+      }
       
-      // Generate iCalendar
-      const icalContent = generateICalendar(events)
+      // Generate iCalendar; every feed may ask for reminders
+      const icalContent = generateICalendar(feed.events, {
+        ...feed.options,
+        alarms: parseAlarms(req.query?.alarms)
+      })
       
-      // Set appropriate headers for .ics file
+      // Set appropriate headers for .ics file; clients may keep a copy
+      // but have to revalidate it with the ETag on every poll
       res.setHeader('Content-Type', 'text/calendar; charset=utf-8')
       res.setHeader('Content-Disposition', 'inline; filename="stamjer.ics"')
-      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate')
-      res.setHeader('Pragma', 'no-cache')
-      res.setHeader('Expires', '0')
+      res.setHeader('Cache-Control', feed.options?.personal ? 'private, no-cache' : 'no-cache')
+      res.setHeader('ETag', `"${createHash('sha256').update(icalContent).digest('base64url')}"`)
+      if (feed.lastModified) {
+        res.setHeader('Last-Modified', feed.lastModified.toUTCString())
+      }
+
+      // Checks If-None-Match and If-Modified-Since against the headers above
+      if (req.fresh) {
+        return res.status(304).end()
+      }
       
       // Send the iCalendar content
       res.send(icalContent)
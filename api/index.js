@@ -31,11 +31,62 @@ import { PDFDocument, StandardFonts, rgb } from 'pdf-lib'
 import expressStaticGzip from 'express-static-gzip'
 import { fileURLToPath } from 'url'
 import { dirname } from 'path'
-import { randomUUID, randomBytes, createHmac, timingSafeEqual } from 'crypto'
+import { randomUUID, randomBytes, randomInt, createCipheriv, createDecipheriv, createHash, createHmac, timingSafeEqual } from 'crypto'
 import webpush from 'web-push'
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse
+} from '@simplewebauthn/server'
 import { MongoClient } from 'mongodb'
 import { createRequestLogger, configureDailyReport, logError as logSystemError, logEvent } from './logger.js'
-import { createICalendarHandler } from './icalendar.js'
+import { createICalendarHandler, filterFeedEvents, toPublicEvent } from './icalendar.js'
+import { buildSepaCreditTransferXml, toSepaId } from './sepa.js'
+import { parseCamt053 } from './camt.js'
+import {
+  buildMembersCsv,
+  parseMemberCsv,
+  planMemberImport
+} from './memberCsv.js'
+import {
+  DEFAULT_PENALTY_RULES,
+  PENALTY_TRIGGER_LABELS,
+  evaluateEventPenalties,
+  normalizePenaltyRules
+} from './penalties.js'
+import {
+  PERMISSIONS,
+  ROLES,
+  getRoleLabels,
+  getUserPermissions,
+  hasPermission,
+  normalizeRoles,
+  validateRoles
+} from './permissions.js'
+import {
+  RECURRENCE_SCOPES,
+  deriveByDay,
+  diffNaiveMinutes,
+  expandRecurrence,
+  normalizeRecurrenceInput,
+  shiftNaiveDateTime
+} from './recurrence.js'
+import {
+  MAX_ROTATION_SLOT_SIZE,
+  isUnavailableOn,
+  normalizeUnavailabilityRange,
+  proposeRotation
+} from './rotation.js'
+import {
+  buildOtpauthUrl,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  normalizeRecoveryCode,
+  verifyTotpCode
+} from './totp.js'
+import { AUTH_RATE_LIMITS, createRateLimitStore } from './rateLimit.js'
+import { describeUserAgent } from './userAgent.js'
 
 // MongoDB setup
 const uri = process.env.MONGODB_URI
@@ -67,6 +118,22 @@ const PAYMENT_REQUEST_EMAIL = process.env.PAYMENT_REQUEST_EMAIL || 'stamjer.mpd@
 const PAYMENT_REQUEST_ATTACHMENT_LIMIT = Math.max(parseInt(process.env.PAYMENT_REQUEST_ATTACHMENT_LIMIT, 10) || 3, 0)
 const PAYMENT_REQUEST_ATTACHMENT_SIZE_LIMIT = Math.max(parseInt(process.env.PAYMENT_REQUEST_ATTACHMENT_SIZE_LIMIT, 10) || 5, 1) * 1024 * 1024
 const PAYMENT_REQUEST_TOTAL_SIZE_LIMIT = Math.max(parseInt(process.env.PAYMENT_REQUEST_TOTAL_SIZE_LIMIT, 10) || 15, 1) * 1024 * 1024
+const SEPA_DEBTOR_NAME = process.env.SEPA_DEBTOR_NAME || 'Stamjer'
+const SEPA_DEBTOR_IBAN = (process.env.SEPA_DEBTOR_IBAN || '').replace(/\s+/g, '').toUpperCase()
+const SEPA_DEBTOR_BIC = (process.env.SEPA_DEBTOR_BIC || '').replace(/\s+/g, '').toUpperCase()
+const SEPA_EXECUTION_OFFSET_DAYS = Math.max(parseInt(process.env.SEPA_EXECUTION_OFFSET_DAYS, 10) || 1, 0)
+
+const RSVP_DEADLINE_HOURS_BEFORE = Math.max(parseInt(process.env.RSVP_DEADLINE_HOURS_BEFORE, 10) || 24, 0)
+const MAX_RSVP_DEADLINE_HOURS = 14 * 24
+
+const CHECK_IN_CODE_INTERVAL_SECONDS = Math.max(parseInt(process.env.CHECK_IN_CODE_INTERVAL_SECONDS, 10) || 30, 10)
+// Check-in opens this long before the start and closes this long after the end
+const CHECK_IN_MARGIN_MINUTES = 60
+
+// When set, an accepted swap waits for an admin before the event changes
+const SWAP_REQUIRES_APPROVAL = String(process.env.SWAP_REQUIRES_APPROVAL || '').toLowerCase() === 'true'
+
+const SCHOONMAAK_PHOTO_SIZE_LIMIT = Math.max(parseInt(process.env.SCHOONMAAK_PHOTO_SIZE_LIMIT, 10) || 3, 1) * 1024 * 1024
 
 const NOTIFICATION_TTL_DAYS = Math.max(parseInt(process.env.NOTIFICATION_TTL_DAYS, 10) || 90, 7)
 const NOTIFICATION_TTL_MS = NOTIFICATION_TTL_DAYS * 24 * 60 * 60 * 1000
@@ -75,7 +142,18 @@ const SESSION_COOKIE_NAME = process.env.SESSION_COOKIE_NAME || 'stamjer_session'
 const SESSION_MAX_AGE_DAYS = Math.max(parseInt(process.env.SESSION_MAX_AGE_DAYS, 10) || 365, 1)
 const SESSION_MAX_AGE_MS = SESSION_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
 const SESSION_TOUCH_INTERVAL_MS = Math.max(parseInt(process.env.SESSION_TOUCH_INTERVAL_HOURS, 10) || 24, 1) * 60 * 60 * 1000
+// Cached sessions are re-read from MongoDB after this long, so a sign-out on
+// another instance (revokedAt) takes effect everywhere within this interval
+const SESSION_RECHECK_INTERVAL_MS = 30 * 1000
 const SESSION_COOKIE_DOMAIN = process.env.SESSION_COOKIE_DOMAIN || ''
+const USER_INVITE_MAX_AGE_DAYS = Math.max(parseInt(process.env.USER_INVITE_MAX_AGE_DAYS, 10) || 7, 1)
+const USER_INVITE_MAX_AGE_MS = USER_INVITE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000
+// Time between password and code in a two-factor login
+const TWO_FACTOR_CHALLENGE_MAX_AGE_MS = 5 * 60 * 1000
+// Passkeys belong to this domain; without it the domain of the page is used
+const WEBAUTHN_RP_ID = process.env.WEBAUTHN_RP_ID || ''
+const WEBAUTHN_CHALLENGE_MAX_AGE_MS = 5 * 60 * 1000
+const MAX_PASSKEYS_PER_USER = 10
 const MAX_PUSH_SUBSCRIPTIONS_PER_USER = Math.max(parseInt(process.env.MAX_PUSH_SUBSCRIPTIONS_PER_USER, 10) || 5, 1)
 const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || process.env.VITE_VAPID_PUBLIC_KEY || ''
 const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || ''
@@ -216,7 +294,90 @@ async function ensureIndexes(db) {
     { keys: { expiresAt: 1 }, options: { expireAfterSeconds: 0, background: true, name: 'notifications_expiresAt_ttl_idx' }, description: `notifications TTL (${NOTIFICATION_TTL_DAYS} dagen)` }
   ])
 
-  if (eventsCreated || usersCreated || resetCodesCreated || sessionsCreated || snapshotsCreated || pushSubscriptionsCreated || notificationsCreated) {
+  const streepjesCreated = await ensureCollectionIndexes(db.collection('streepjes'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'streepjes_id_unique_idx' }, description: 'streepjes.id unique' },
+    { keys: { userId: 1, createdAt: -1 }, options: { background: true, name: 'streepjes_user_created_idx' }, description: 'streepjes per user' },
+    { keys: { eventId: 1, source: 1 }, options: { background: true, name: 'streepjes_event_source_idx' }, description: 'streepjes per event' }
+  ])
+
+  const absenceExcusesCreated = await ensureCollectionIndexes(db.collection('absenceExcuses'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'absenceExcuses_id_unique_idx' }, description: 'absenceExcuses.id unique' },
+    { keys: { eventId: 1, userId: 1 }, options: { unique: true, background: true, name: 'absenceExcuses_event_user_unique_idx' }, description: 'one excuse per member per event' },
+    { keys: { status: 1, submittedAt: -1 }, options: { background: true, name: 'absenceExcuses_status_submitted_idx' }, description: 'absenceExcuses by status' }
+  ])
+
+  const unavailabilityCreated = await ensureCollectionIndexes(db.collection('unavailability'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'unavailability_id_unique_idx' }, description: 'unavailability.id unique' },
+    { keys: { userId: 1, startDate: 1 }, options: { background: true, name: 'unavailability_user_start_idx' }, description: 'unavailability per member' }
+  ])
+
+  const swapRequestsCreated = await ensureCollectionIndexes(db.collection('swapRequests'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'swapRequests_id_unique_idx' }, description: 'swapRequests.id unique' },
+    { keys: { status: 1, createdAt: -1 }, options: { background: true, name: 'swapRequests_status_created_idx' }, description: 'swapRequests per status' },
+    { keys: { eventId: 1, duty: 1 }, options: { background: true, name: 'swapRequests_event_duty_idx' }, description: 'swapRequests per event slot' }
+  ])
+
+  const schoonmaakTasksCreated = await ensureCollectionIndexes(db.collection('schoonmaakTasks'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'schoonmaakTasks_id_unique_idx' }, description: 'schoonmaakTasks.id unique' }
+  ])
+
+  const schoonmaakChecklistsCreated = await ensureCollectionIndexes(db.collection('schoonmaakChecklists'), [
+    { keys: { eventId: 1 }, options: { unique: true, background: true, name: 'schoonmaakChecklists_event_unique_idx' }, description: 'schoonmaakChecklists.eventId unique' }
+  ])
+
+  const schoonmaakPhotosCreated = await ensureCollectionIndexes(db.collection('schoonmaakPhotos'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'schoonmaakPhotos_id_unique_idx' }, description: 'schoonmaakPhotos.id unique' },
+    { keys: { eventId: 1 }, options: { background: true, name: 'schoonmaakPhotos_event_idx' }, description: 'schoonmaakPhotos per event' }
+  ])
+
+  const seasonsCreated = await ensureCollectionIndexes(db.collection('seasons'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'seasons_id_unique_idx' }, description: 'seasons.id unique' },
+    { keys: { startDate: 1 }, options: { background: true, name: 'seasons_startDate_idx' }, description: 'seasons.startDate' }
+  ])
+
+  const penaltyRulesCreated = await ensureCollectionIndexes(db.collection('penaltyRules'), [
+    { keys: { trigger: 1 }, options: { unique: true, background: true, name: 'penaltyRules_trigger_unique_idx' }, description: 'penaltyRules.trigger unique' }
+  ])
+
+  const paymentRequestsCreated = await ensureCollectionIndexes(db.collection('paymentRequests'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'paymentRequests_id_unique_idx' }, description: 'paymentRequests.id unique' },
+    { keys: { userId: 1, submittedAt: -1 }, options: { background: true, name: 'paymentRequests_user_submitted_idx' }, description: 'paymentRequests per user' },
+    { keys: { status: 1, submittedAt: -1 }, options: { background: true, name: 'paymentRequests_status_submitted_idx' }, description: 'paymentRequests per status' },
+    { keys: { batchId: 1 }, options: { background: true, name: 'paymentRequests_batch_idx' }, description: 'paymentRequests.batchId' }
+  ])
+
+  const paymentBatchesCreated = await ensureCollectionIndexes(db.collection('paymentBatches'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'paymentBatches_id_unique_idx' }, description: 'paymentBatches.id unique' },
+    { keys: { createdAt: -1 }, options: { background: true, name: 'paymentBatches_created_idx' }, description: 'paymentBatches.createdAt' }
+  ])
+
+  const bankStatementsCreated = await ensureCollectionIndexes(db.collection('bankStatements'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'bankStatements_id_unique_idx' }, description: 'bankStatements.id unique' },
+    { keys: { statementKey: 1 }, options: { unique: true, background: true, name: 'bankStatements_key_unique_idx' }, description: 'bankStatements.statementKey unique' },
+    { keys: { importedAt: -1 }, options: { background: true, name: 'bankStatements_imported_idx' }, description: 'bankStatements.importedAt' }
+  ])
+
+  const userInvitesCreated = await ensureCollectionIndexes(db.collection('userInvites'), [
+    { keys: { tokenHash: 1 }, options: { unique: true, background: true, name: 'userInvites_token_unique_idx' }, description: 'userInvites.tokenHash unique' },
+    { keys: { userId: 1 }, options: { background: true, name: 'userInvites_user_idx' }, description: 'userInvites per user' },
+    { keys: { expiresAt: 1 }, options: { expireAfterSeconds: 0, background: true, name: 'userInvites_ttl_idx' }, description: 'userInvites TTL' }
+  ])
+
+  const rateLimitsCreated = await ensureCollectionIndexes(db.collection('rateLimits'), [
+    { keys: { key: 1 }, options: { unique: true, background: true, name: 'rateLimits_key_unique_idx' }, description: 'rateLimits.key unique' },
+    { keys: { expiresAt: 1 }, options: { expireAfterSeconds: 0, background: true, name: 'rateLimits_ttl_idx' }, description: 'rateLimits TTL' }
+  ])
+
+  const webauthnChallengesCreated = await ensureCollectionIndexes(db.collection('webauthnChallenges'), [
+    { keys: { id: 1 }, options: { unique: true, background: true, name: 'webauthnChallenges_id_unique_idx' }, description: 'webauthnChallenges.id unique' },
+    { keys: { expiresAt: 1 }, options: { expireAfterSeconds: 0, background: true, name: 'webauthnChallenges_ttl_idx' }, description: 'webauthnChallenges TTL' }
+  ])
+
+  const settingsCreated = await ensureCollectionIndexes(db.collection('settings'), [
+    { keys: { key: 1 }, options: { unique: true, background: true, name: 'settings_key_unique_idx' }, description: 'settings.key unique' }
+  ])
+
+  if (eventsCreated || usersCreated || resetCodesCreated || userInvitesCreated || settingsCreated || rateLimitsCreated || webauthnChallengesCreated || sessionsCreated || snapshotsCreated || pushSubscriptionsCreated || notificationsCreated || streepjesCreated || absenceExcusesCreated || unavailabilityCreated || swapRequestsCreated || schoonmaakTasksCreated || schoonmaakChecklistsCreated || schoonmaakPhotosCreated || seasonsCreated || penaltyRulesCreated || paymentRequestsCreated || paymentBatchesCreated || bankStatementsCreated) {
     infoLog('[indexes] Created or verified MongoDB indexes')
   }
 }
@@ -414,6 +575,26 @@ function clearSessionCookie(res) {
   res.clearCookie(SESSION_COOKIE_NAME, options)
 }
 
+// Behind Vercel the client address is the first entry of x-forwarded-for
+function getClientIp(req) {
+  const forwarded = String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim()
+  return sanitizeClientString(forwarded || req.headers?.['x-real-ip'] || req.socket?.remoteAddress || '', 64)
+}
+
+// Approximate location from the geo headers Vercel adds; empty elsewhere
+function getClientRegion(req) {
+  const decode = (value) => {
+    try {
+      return decodeURIComponent(String(value || ''))
+    } catch {
+      return ''
+    }
+  }
+  const city = decode(req.headers?.['x-vercel-ip-city'])
+  const country = decode(req.headers?.['x-vercel-ip-country'])
+  return sanitizeClientString([city, country].filter(Boolean).join(', '), 120)
+}
+
 function extractLegacyAuthToken(req) {
   const bearer = typeof req.headers?.authorization === 'string' ? req.headers.authorization.trim() : ''
   if (bearer && bearer.toLowerCase().startsWith('bearer ')) {
@@ -465,18 +646,19 @@ async function findSessionByToken(token) {
     candidate.tokenHash === parsed.tokenHash
   )
 
-  if (!session) {
+  if (!session || Date.now() - (session.checkedAt || 0) > SESSION_RECHECK_INTERVAL_MS) {
     const db = await getDb()
     session = await db.collection('sessions').findOne(
       { sessionId: parsed.sessionId, tokenHash: parsed.tokenHash },
       { projection: { _id: 0 } }
     )
     session = normalizeSessionRecord(session)
+    const others = sessions.filter((candidate) => candidate.sessionId !== parsed.sessionId)
     if (session) {
-      sessions = [
-        session,
-        ...sessions.filter((candidate) => candidate.sessionId !== session.sessionId)
-      ]
+      session.checkedAt = Date.now()
+      sessions = [session, ...others]
+    } else {
+      sessions = others
     }
   }
 
@@ -488,18 +670,28 @@ function mapUserForClient(user, session = null) {
   const safeUser = { ...user }
   delete safeUser.password
   delete safeUser.sessionToken
+  delete safeUser.passkeys
+  safeUser.permissions = getUserPermissions(user)
+  safeUser.roleLabels = getRoleLabels(user)
+  safeUser.twoFactor = getTwoFactorStatus(user)
   safeUser.session = session
     ? {
         deviceId: session.deviceId,
         createdAt: session.createdAt,
         lastSeenAt: session.lastSeenAt,
-        expiresAt: session.expiresAt
+        expiresAt: session.expiresAt,
+        twoFactorVerified: Boolean(session.twoFactorVerifiedAt)
       }
     : undefined
   return safeUser
 }
 
-async function createUserSession(user, req) {
+/**
+ * Start a session for a member who just logged in
+ * @param {Object} options - { twoFactor } when the login included a second factor
+ * @returns {Promise<{ token: string, session: Object }>} Opaque token and session record
+ */
+async function createUserSession(user, req, { twoFactor = false } = {}) {
   const token = createOpaqueSessionToken()
   const parsed = parseOpaqueSessionToken(token)
   const now = new Date()
@@ -509,34 +701,38 @@ async function createUserSession(user, req) {
     userId: user.id,
     deviceId: ensureDeviceId(),
     userAgent: sanitizeClientString(req.headers?.['user-agent'] || '', 300),
+    ipAddress: getClientIp(req),
+    region: getClientRegion(req),
     createdAt: now,
     lastSeenAt: now,
     expiresAt: new Date(now.getTime() + SESSION_MAX_AGE_MS),
-    revokedAt: null
+    revokedAt: null,
+    twoFactorVerifiedAt: twoFactor ? now : null
   }
 
   const db = await getDb()
   await db.collection('sessions').insertOne(session)
-  const safeSession = { ...session }
+  const safeSession = { ...session, checkedAt: Date.now() }
   delete safeSession._id
   sessions = [safeSession, ...sessions.filter((candidate) => candidate.sessionId !== safeSession.sessionId)]
   return { token, session: safeSession }
 }
 
-async function touchSession(session) {
+async function touchSession(session, req) {
   if (!session?.sessionId) return
   const lastSeenAt = session.lastSeenAt instanceof Date ? session.lastSeenAt : new Date(session.lastSeenAt)
   if (Date.now() - lastSeenAt.getTime() < SESSION_TOUCH_INTERVAL_MS) return
 
   const now = new Date()
   const expiresAt = new Date(now.getTime() + SESSION_MAX_AGE_MS)
-  session.lastSeenAt = now
-  session.expiresAt = expiresAt
+  const ipAddress = getClientIp(req)
+  const region = getClientRegion(req)
+  Object.assign(session, { lastSeenAt: now, expiresAt, ipAddress, region })
 
   const db = await getDb()
   await db.collection('sessions').updateOne(
     { sessionId: session.sessionId },
-    { $set: { lastSeenAt: now, expiresAt } }
+    { $set: { lastSeenAt: now, expiresAt, ipAddress, region } }
   )
 }
 
@@ -575,7 +771,128 @@ async function revokeUserSessions(userId, { exceptSessionId = null } = {}) {
   await db.collection('sessions').updateMany(filter, { $set: { revokedAt } })
 }
 
-async function getAuthenticatedUser(req, { requireAdmin = false } = {}) {
+// Two-factor authentication: TOTP secrets are encrypted at rest with a key
+// derived from TOKEN_SECRET, recovery codes are stored as hashes only
+const TWO_FACTOR_KEY = createHash('sha256').update(`totp:${TOKEN_SECRET}`).digest()
+
+function sealTwoFactorSecret(secret) {
+  const iv = randomBytes(12)
+  const cipher = createCipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv)
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()])
+  return [iv, encrypted, cipher.getAuthTag()].map(base64UrlEncode).join('.')
+}
+
+function openTwoFactorSecret(sealed) {
+  const [iv, encrypted, tag] = String(sealed || '').split('.').map(base64UrlDecode)
+  const decipher = createDecipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8')
+}
+
+function hashRecoveryCode(code) {
+  return createHmac('sha256', TOKEN_SECRET).update(`recovery:${normalizeRecoveryCode(code)}`).digest('hex')
+}
+
+// Anyone with a management permission counts as admin for the 2FA requirement
+function isTwoFactorRequired(user) {
+  return Boolean(securitySettings.requireAdminTwoFactor) && getUserPermissions(user).length > 0
+}
+
+function getTwoFactorStatus(user) {
+  const twoFactor = user?.twoFactor || {}
+  return {
+    enabled: Boolean(twoFactor.enabled),
+    required: isTwoFactorRequired(user),
+    recoveryCodesLeft: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0
+  }
+}
+
+/**
+ * Check a TOTP or recovery code of a member with 2FA enabled
+ * Used codes are consumed: the TOTP step is remembered, recovery codes are removed.
+ * Consumption is a conditional update in MongoDB, so another instance with an
+ * older copy of the member cannot accept the same code a second time.
+ * @param {Object} user - User document
+ * @param {string} code - Code entered by the member
+ * @returns {Promise<string|null>} 'totp', 'recovery' or null when invalid
+ */
+async function verifySecondFactor(user, code) {
+  const twoFactor = user?.twoFactor
+  if (!twoFactor?.enabled || !twoFactor.secret) return null
+
+  const db = await getDb()
+  const step = verifyTotpCode(openTwoFactorSecret(twoFactor.secret), code, {
+    lastUsedStep: Number.isFinite(twoFactor.lastUsedStep) ? twoFactor.lastUsedStep : -1
+  })
+  if (step !== null) {
+    const result = await db.collection('users').updateOne(
+      { id: user.id, 'twoFactor.enabled': true, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    )
+    if (result.modifiedCount !== 1) return null
+    twoFactor.lastUsedStep = step
+    return 'totp'
+  }
+
+  if (normalizeRecoveryCode(code).length !== 8) return null
+  const hash = hashRecoveryCode(code)
+  const updated = await db.collection('users').findOneAndUpdate(
+    { id: user.id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } },
+    { returnDocument: 'after', projection: { _id: 0, 'twoFactor.recoveryCodes': 1 } }
+  )
+  if (!updated) return null
+
+  twoFactor.recoveryCodes = updated.twoFactor?.recoveryCodes || []
+  logEvent({ action: 'two-factor-recovery-code-used', metadata: { userId: user.id, left: twoFactor.recoveryCodes.length } })
+  return 'recovery'
+}
+
+async function markSessionTwoFactorVerified(session) {
+  if (!session?.sessionId) return
+  const twoFactorVerifiedAt = new Date()
+  session.twoFactorVerifiedAt = twoFactorVerifiedAt
+  const db = await getDb()
+  await db.collection('sessions').updateOne(
+    { sessionId: session.sessionId },
+    { $set: { twoFactorVerifiedAt } }
+  )
+}
+
+// Short-lived token between the password step and the code step of a login.
+// It has two parts (session tokens have three) and its own HMAC domain, so it
+// can never be used as a session token.
+function createTwoFactorChallenge(user) {
+  const body = base64UrlEncode(JSON.stringify({
+    sub: user.id,
+    v: user.sessionVersion || 0,
+    exp: Date.now() + TWO_FACTOR_CHALLENGE_MAX_AGE_MS
+  }))
+  const signature = base64UrlEncode(createHmac('sha256', TOKEN_SECRET).update(`2fa-challenge:${body}`).digest())
+  return `${body}.${signature}`
+}
+
+function verifyTwoFactorChallenge(challenge) {
+  if (typeof challenge !== 'string') return null
+  const [body, signature, extra] = challenge.split('.')
+  if (extra !== undefined || !body || !signature) return null
+
+  const expected = Buffer.from(base64UrlEncode(createHmac('sha256', TOKEN_SECRET).update(`2fa-challenge:${body}`).digest()))
+  const actual = Buffer.from(signature)
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null
+
+  try {
+    const payload = JSON.parse(base64UrlDecode(body).toString('utf8'))
+    if (!payload || payload.exp < Date.now()) return null
+    const user = users.find((u) => u.id === payload.sub)
+    if (!user || (user.sessionVersion || 0) !== payload.v) return null
+    return user
+  } catch {
+    return null
+  }
+}
+
+async function getAuthenticatedUser(req, { requireAdmin = false, permission = null } = {}) {
   const cookieToken = getCookieSessionToken(req)
   let session = null
   let user = null
@@ -585,7 +902,7 @@ async function getAuthenticatedUser(req, { requireAdmin = false } = {}) {
     if (session) {
       user = users.find((u) => u.id === session.userId)
       if (user) {
-        await touchSession(session)
+        await touchSession(session, req)
       }
     }
   }
@@ -603,7 +920,7 @@ async function getAuthenticatedUser(req, { requireAdmin = false } = {}) {
     }
   }
 
-  if (!user) {
+  if (!user || user.status === 'archived') {
     return { error: 'AUTH_INVALID' }
   }
 
@@ -611,11 +928,25 @@ async function getAuthenticatedUser(req, { requireAdmin = false } = {}) {
     return { error: 'AUTH_FORBIDDEN' }
   }
 
+  if (permission && !hasPermission(user, permission)) {
+    return { error: 'AUTH_NO_PERMISSION' }
+  }
+
+  // Management actions need a session that passed 2FA once it is enforced
+  if ((requireAdmin || permission) && isTwoFactorRequired(user) && !session?.twoFactorVerifiedAt) {
+    return { error: 'AUTH_TWO_FACTOR_REQUIRED' }
+  }
+
   return { user, userId: user.id, token: cookieToken || sessionToken, session }
 }
 
-async function requireAuthenticatedUser(req, res, { requireAdmin = false } = {}) {
-  const ctx = await getAuthenticatedUser(req, { requireAdmin })
+/**
+ * Resolve the session user or answer the request with 401/403
+ * @param {Object} options - { requireAdmin, permission } where permission may be a list (any one suffices)
+ * @returns {Promise<Object|null>} Auth context, or null when a response was sent
+ */
+async function requireAuthenticatedUser(req, res, { requireAdmin = false, permission = null } = {}) {
+  const ctx = await getAuthenticatedUser(req, { requireAdmin, permission })
   if (ctx.error === 'AUTH_REQUIRED') {
     res.status(401).json({ error: 'Authenticatie vereist' })
     return null
@@ -629,6 +960,17 @@ async function requireAuthenticatedUser(req, res, { requireAdmin = false } = {})
     res.status(403).json({ error: 'Alleen beheerders' })
     return null
   }
+  if (ctx.error === 'AUTH_NO_PERMISSION') {
+    res.status(403).json({ error: 'Je hebt geen rechten voor deze actie' })
+    return null
+  }
+  if (ctx.error === 'AUTH_TWO_FACTOR_REQUIRED') {
+    res.status(403).json({
+      error: 'Tweestapsverificatie is verplicht voor beheerders. Stel het in via Account of log opnieuw in met je code.',
+      code: 'TWO_FACTOR_REQUIRED'
+    })
+    return null
+  }
   return ctx
 }
 
@@ -639,14 +981,31 @@ let sessions = []
 let pushSubscriptions = []
 let notifications = []
 let scheduledNotifications = []
+let streepjesLedger = []
+let seasons = []
+let absenceExcuses = []
+let unavailability = []
+let schoonmaakTasks = []
+let penaltyRules = DEFAULT_PENALTY_RULES.map((rule) => ({ ...rule }))
+let securitySettings = { requireAdminTwoFactor: false }
 let lastEventsLoadedAt = 0
+// Last time an event was deleted; a deletion leaves no updatedAt behind
+let eventsDeletedAt = null
 let lastNotificationsLoadedAt = 0
 // Remove in-memory pendingReset as we'll use MongoDB
 // const pendingReset = {}
 
+// Archived members keep their history but can no longer log in
+const USER_STATUSES = ['active', 'inactive', 'legacy', 'archived']
+
 function normalizeUserStatus(status) {
-  if (status === 'legacy' || status === 'inactive' || status === 'active') return status
-  return 'active'
+  return USER_STATUSES.includes(status) ? status : 'active'
+}
+
+// Legacy and archived members only show up where they have history
+function isHistoricalUser(user) {
+  const status = user?.status || 'active'
+  return status === 'legacy' || status === 'archived'
 }
 
 // Gegevens inladen
@@ -661,7 +1020,8 @@ async function loadUsers() {
         ...user,
         notificationPreferences: normalizeNotificationPreferences(user.notificationPreferences || {}),
         sessionVersion: Number.isFinite(user.sessionVersion) ? user.sessionVersion : 0,
-        status: normalizeUserStatus(user.status)
+        status: normalizeUserStatus(user.status),
+        roles: normalizeRoles(user.roles)
       }))
     )
   infoLog(`Loaded ${users.length} users from MongoDB`)
@@ -679,9 +1039,96 @@ async function loadSessions() {
     .toArray())
     .map(normalizeSessionRecord)
     .filter(Boolean)
+    .map((session) => ({ ...session, checkedAt: Date.now() }))
   infoLog(`Loaded ${sessions.length} active sessions from MongoDB`)
 }
 
+async function loadStreepjesLedger() {
+  const db = await getDb()
+  streepjesLedger = await db.collection('streepjes')
+    .find({})
+    .project({ _id: 0 })
+    .toArray()
+  infoLog(`Loaded ${streepjesLedger.length} streepjes from MongoDB`)
+}
+
+async function loadAbsenceExcuses() {
+  const db = await getDb()
+  absenceExcuses = await db.collection('absenceExcuses')
+    .find({})
+    .project({ _id: 0 })
+    .toArray()
+  infoLog(`Loaded ${absenceExcuses.length} absence excuses from MongoDB`)
+}
+
+async function loadUnavailability() {
+  const db = await getDb()
+  unavailability = await db.collection('unavailability')
+    .find({})
+    .project({ _id: 0 })
+    .toArray()
+  infoLog(`Loaded ${unavailability.length} unavailability entries from MongoDB`)
+}
+
+// Templates for schoonmaak checklists; the first start gets the two original options
+const DEFAULT_SCHOONMAAK_TASKS = [
+  { name: 'Container', description: '' },
+  { name: 'PMD-bak', description: '' }
+]
+
+async function loadSchoonmaakTasks() {
+  const db = await getDb()
+  const collection = db.collection('schoonmaakTasks')
+  if (await collection.countDocuments({}) === 0) {
+    const now = new Date().toISOString()
+    await collection.insertMany(DEFAULT_SCHOONMAAK_TASKS.map((task, index) => ({
+      id: randomUUID(),
+      ...task,
+      active: true,
+      order: index,
+      createdAt: now,
+      updatedAt: now
+    })))
+  }
+  schoonmaakTasks = await collection
+    .find({})
+    .project({ _id: 0 })
+    .sort({ order: 1, name: 1 })
+    .toArray()
+  infoLog(`Loaded ${schoonmaakTasks.length} schoonmaak tasks from MongoDB`)
+}
+
+async function loadSeasons() {
+  const db = await getDb()
+  seasons = await db.collection('seasons')
+    .find({})
+    .project({ _id: 0 })
+    .sort({ startDate: 1 })
+    .toArray()
+  infoLog(`Loaded ${seasons.length} seasons from MongoDB`)
+}
+
+async function loadPenaltyRules() {
+  const db = await getDb()
+  const stored = await db.collection('penaltyRules')
+    .find({})
+    .project({ _id: 0 })
+    .toArray()
+  const { rules, error } = normalizePenaltyRules(stored)
+  if (error) {
+    warnLog(`Ongeldige strafregels in database, standaardregels gebruikt: ${error}`)
+    penaltyRules = DEFAULT_PENALTY_RULES.map((rule) => ({ ...rule }))
+    return
+  }
+  penaltyRules = rules
+}
+
+async function loadSecuritySettings() {
+  const db = await getDb()
+  const stored = await db.collection('settings').findOne({ key: 'security' }, { projection: { _id: 0 } })
+  securitySettings = { requireAdminTwoFactor: Boolean(stored?.requireAdminTwoFactor) }
+}
+
 async function loadEvents() {
   const db = await getDb()
   events = (await db.collection('events')
@@ -694,6 +1141,9 @@ async function loadEvents() {
       schoonmakerIds: sanitizeIdArray(event.schoonmakerIds),
       participants: sanitizeIdArray(event.participants)
     }))
+    .map((event) => ({ ...event, rsvpDeadline: resolveRsvpDeadline(event) }))
+  const feedState = await db.collection('settings').findOne({ key: 'calendarFeed' }, { projection: { _id: 0 } })
+  eventsDeletedAt = feedState?.eventsDeletedAt || null
   infoLog(`Loaded ${events.length} events from MongoDB`)
   lastEventsLoadedAt = Date.now()
 }
@@ -930,6 +1380,24 @@ function formatDateKeyInTimezone(dateInput, timeZone = 'Europe/Amsterdam') {
   return formatter.format(date)
 }
 
+// Current wall clock time as a naive local string, comparable with event dates
+function formatNaiveDateTimeInTimezone(dateInput = new Date(), timeZone = 'Europe/Amsterdam') {
+  const date = dateInput instanceof Date ? dateInput : new Date(dateInput)
+  if (Number.isNaN(date.getTime())) return null
+
+  const formatter = new Intl.DateTimeFormat('sv-SE', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  })
+
+  return formatter.format(date).replace(' ', 'T')
+}
+
 function differenceInDays(targetKey, referenceKey) {
   if (!targetKey || !referenceKey) return null
 
@@ -1907,6 +2375,7 @@ async function syncUserAttendanceForFutureOpkomsten(userId, shouldBePresent) {
       uniqueParticipants.push(uid)
       uniqueParticipants.sort((a, b) => a - b)
       event.participants = uniqueParticipants
+      touchEventRevision(event)
       saveOperations.push(saveEvent(event))
       updatedEvents++
       return
@@ -1914,6 +2383,7 @@ async function syncUserAttendanceForFutureOpkomsten(userId, shouldBePresent) {
 
     if (!shouldBePresent && hasUser) {
       event.participants = uniqueParticipants.filter(id => id !== uid)
+      touchEventRevision(event)
       saveOperations.push(saveEvent(event))
       updatedEvents++
       return
@@ -1955,6 +2425,7 @@ async function saveResetCode(email, code, expiresAt) {
         email, 
         code, 
         expiresAt,
+        attempts: 0,
         createdAt: new Date()
       } 
     },
@@ -1972,6 +2443,56 @@ async function deleteResetCode(email) {
   await db.collection('resetCodes').deleteOne({ email })
 }
 
+// A reset code dies after this many wrong guesses
+const MAX_RESET_CODE_ATTEMPTS = 5
+
+async function registerResetCodeAttempt(email) {
+  const db = await getDb()
+  const record = await db.collection('resetCodes').findOneAndUpdate(
+    { email },
+    { $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  )
+  if (record && record.attempts >= MAX_RESET_CODE_ATTEMPTS) {
+    await deleteResetCode(email)
+  }
+}
+
+// Invites: a one-time activation link where a new member sets a password
+function hashInviteToken(token) {
+  return createHmac('sha256', TOKEN_SECRET).update(`invite:${token}`).digest('hex')
+}
+
+async function createUserInvite(userId, createdBy) {
+  const token = base64UrlEncode(randomBytes(32))
+  const now = new Date()
+  const db = await getDb()
+  // A new invite replaces older links
+  await db.collection('userInvites').deleteMany({ userId })
+  await db.collection('userInvites').insertOne({
+    tokenHash: hashInviteToken(token),
+    userId,
+    createdBy,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + USER_INVITE_MAX_AGE_MS)
+  })
+  return token
+}
+
+async function findUserInvite(token) {
+  if (typeof token !== 'string' || !token || token.length > 120) return null
+  const db = await getDb()
+  return db.collection('userInvites').findOne(
+    { tokenHash: hashInviteToken(token), expiresAt: { $gt: new Date() } },
+    { projection: { _id: 0 } }
+  )
+}
+
+async function deleteUserInvites(userId) {
+  const db = await getDb()
+  await db.collection('userInvites').deleteMany({ userId })
+}
+
 // Clean up expired reset codes
 async function cleanupExpiredResetCodes() {
   try {
@@ -2050,90 +2571,526 @@ async function saveEvent(event) {
 async function deleteEventById(id) {
   const db = await getDb()
   await db.collection('events').deleteOne({ id })
+  await markEventsDeleted()
 }
 
-// =================================
-// DAILY SNAPSHOT SYSTEM
-// =================================
+async function deleteEventsByIds(ids = []) {
+  if (ids.length === 0) return
+  const db = await getDb()
+  await db.collection('events').deleteMany({ id: { $in: ids } })
+  await markEventsDeleted()
+}
 
 /**
- * Creates a snapshot of the current database state
- * @returns {Object} Object containing users and events arrays
+ * Remember when events were deleted, so the iCal feeds move their
+ * Last-Modified even though no remaining event changed
  */
-async function createDatabaseSnapshot() {
-  try {
-    const db = await getDb()
-    
-    // Get all users and events (without MongoDB's _id field)
-    const users = await db.collection('users')
-      .find({})
-      .project({ _id: 0 })
-      .toArray()
-    
-    const events = await db.collection('events')
-      .find({})
-      .project({ _id: 0 })
-      .toArray()
-    
-    return {
-      users: users.sort((a, b) => a.id - b.id), // Sort for consistent comparison
-      events: events.sort((a, b) => a.id.localeCompare(b.id))
-    }
-  } catch (error) {
-    console.error('Failed to create database snapshot:', error)
-    logSystemError(error, { action: 'create-database-snapshot', status: 500 })
-    return null
-  }
+async function markEventsDeleted() {
+  const db = await getDb()
+  eventsDeletedAt = new Date().toISOString()
+  await db.collection('settings').updateOne(
+    { key: 'calendarFeed' },
+    { $set: { eventsDeletedAt } },
+    { upsert: true }
+  )
 }
 
 /**
- * Saves a daily snapshot to the database
- * @param {string} date - Date in YYYY-MM-DD format
- * @param {Object} snapshot - Database snapshot containing users and events
+ * Latest change of any event, including deletions; Last-Modified of the
+ * iCal feeds. Filtered personal feeds use it too, because an event that
+ * drops out of a filter only moves its own updatedAt.
+ * @returns {Date|null} Latest change, null when unknown
  */
-async function saveDailySnapshot(date, snapshot) {
-  try {
-    const db = await getDb()
-    await db.collection('dailySnapshots').updateOne(
-      { date },
-      { 
-        $set: { 
-          date,
-          snapshot,
-          createdAt: new Date()
-        } 
-      },
-      { upsert: true }
-    )
-    debugLog('Daily snapshot saved:', { date })
-  } catch (error) {
-    console.error('Failed to save daily snapshot:', error)
-    logSystemError(error, { action: 'save-daily-snapshot', status: 500 })
+function getEventsLastModified() {
+  let latest = eventsDeletedAt ? new Date(eventsDeletedAt) : null
+  for (const event of events) {
+    const value = new Date(event.updatedAt || event.createdAt || NaN)
+    if (!Number.isNaN(value.getTime()) && (!latest || value > latest)) latest = value
   }
+  return latest
 }
 
+// =================================
+// RSVP DEADLINES
+// =================================
+
 /**
- * Gets a daily snapshot from the database
- * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Object|null} Snapshot object or null if not found
+ * Validate a per-event RSVP offset from a request body
+ * @param {*} value - Hours before the start; empty means the default offset
+ * @returns {{ hours?: number|null, error?: string }} Normalized offset or error
  */
-async function getDailySnapshot(date) {
-  try {
-    const db = await getDb()
-    const record = await db.collection('dailySnapshots').findOne({ date })
-    return record ? record.snapshot : null
-  } catch (error) {
-    console.error('Failed to get daily snapshot:', error)
-    logSystemError(error, { action: 'get-daily-snapshot', status: 500 })
-    return null
+function normalizeRsvpDeadlineHours(value) {
+  if (value === undefined || value === null || value === '') return { hours: null }
+  const hours = Number(value)
+  if (!Number.isInteger(hours) || hours < 0 || hours > MAX_RSVP_DEADLINE_HOURS) {
+    return { error: `Aanmelddeadline moet tussen 0 en ${MAX_RSVP_DEADLINE_HOURS} uur voor aanvang liggen` }
   }
+  return { hours }
 }
 
 /**
- * Compares two snapshots and returns the differences
- * @param {Object} yesterday - Yesterday's snapshot
- * @param {Object} today - Today's snapshot
- * @returns {Object} Differences between snapshots
+ * Resolve until when members can sign up or cancel for an opkomst.
+ * Uses the event's own offset and falls back to RSVP_DEADLINE_HOURS_BEFORE.
+ * @param {Object} event - Event document
+ * @returns {string|null} Naive local date-time (YYYY-MM-DDTHH:mm), null for other events
+ */
+function resolveRsvpDeadline(event) {
+  if (!event?.isOpkomst || typeof event.start !== 'string') return null
+  const hours = Number.isInteger(event.rsvpDeadlineHours) ? event.rsvpDeadlineHours : RSVP_DEADLINE_HOURS_BEFORE
+  const start = event.start.length === 10 ? `${event.start}T00:00` : event.start.slice(0, 16)
+  return shiftNaiveDateTime(start, -hours * 60)
+}
+
+function isRsvpDeadlinePassed(event, now = new Date()) {
+  const deadline = event.rsvpDeadline || resolveRsvpDeadline(event)
+  if (!deadline) return false
+  return formatNaiveDateTimeInTimezone(now) >= deadline
+}
+
+function formatRsvpDeadline(deadline) {
+  const date = new Date(`${deadline}:00Z`)
+  if (Number.isNaN(date.getTime())) return deadline
+  return new Intl.DateTimeFormat('nl-NL', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(date)
+}
+
+// =================================
+// QR CHECK-IN
+// =================================
+
+/*
+ * An admin screen shows a QR code for the running opkomst. The code is
+ * "<eventId>.<slot>.<signature>", where slot is the current time window of
+ * CHECK_IN_CODE_INTERVAL_SECONDS. Codes are signed with TOKEN_SECRET, so no
+ * state is stored; the previous window stays valid to cover scan delays.
+ */
+
+function getCheckInSlot(now = new Date()) {
+  return Math.floor(now.getTime() / (CHECK_IN_CODE_INTERVAL_SECONDS * 1000))
+}
+
+function signCheckInSlot(eventId, slot) {
+  return base64UrlEncode(createHmac('sha256', TOKEN_SECRET).update(`check-in:${eventId}:${slot}`).digest()).slice(0, 22)
+}
+
+function createCheckInCode(eventId, now = new Date()) {
+  const slot = getCheckInSlot(now)
+  return {
+    code: `${eventId}.${slot}.${signCheckInSlot(eventId, slot)}`,
+    expiresAt: new Date((slot + 1) * CHECK_IN_CODE_INTERVAL_SECONDS * 1000).toISOString()
+  }
+}
+
+/**
+ * Whether members can check in for an event right now
+ * @param {Object} event - Event document
+ * @param {Date} [now] - Reference time
+ * @returns {boolean} True within the check-in margin around the event
+ */
+function isCheckInOpen(event, now = new Date()) {
+  if (!event?.isOpkomst || typeof event.start !== 'string') return false
+  const start = event.start.length === 10 ? `${event.start}T00:00` : event.start.slice(0, 16)
+  const rawEnd = typeof event.end === 'string' && event.end ? event.end : event.start
+  const end = rawEnd.length === 10 ? `${rawEnd}T23:59` : rawEnd.slice(0, 16)
+  const current = formatNaiveDateTimeInTimezone(now)
+  return current >= shiftNaiveDateTime(start, -CHECK_IN_MARGIN_MINUTES) &&
+    current <= shiftNaiveDateTime(end, CHECK_IN_MARGIN_MINUTES)
+}
+
+/**
+ * Verify a scanned check-in code
+ * @param {string} code - Code from the QR
+ * @param {Date} [now] - Reference time
+ * @returns {{ event?: Object, error?: string, status?: number }} Event or error with HTTP status
+ */
+function verifyCheckInCode(code, now = new Date()) {
+  const parts = typeof code === 'string' ? code.trim().split('.') : []
+  if (parts.length !== 3) {
+    return { error: 'Ongeldige check-in code', status: 400 }
+  }
+
+  const [eventId, slotText, signature] = parts
+  const slot = Number.parseInt(slotText, 10)
+  const currentSlot = getCheckInSlot(now)
+  if (!Number.isInteger(slot) || slot > currentSlot || slot < currentSlot - 1) {
+    return { error: 'Deze QR-code is verlopen. Scan de code opnieuw.', status: 410 }
+  }
+
+  const expected = Buffer.from(signCheckInSlot(eventId, slot))
+  const given = Buffer.from(signature)
+  if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+    return { error: 'Ongeldige check-in code', status: 400 }
+  }
+
+  const event = events.find((item) => item.id === eventId)
+  if (!event) {
+    return { error: 'Opkomst niet gevonden', status: 404 }
+  }
+  if (!isCheckInOpen(event, now)) {
+    return { error: 'Inchecken voor deze opkomst is gesloten', status: 409 }
+  }
+  return { event }
+}
+
+function buildCheckInUrl(code) {
+  return resolveAbsoluteUrl(`/inchecken?code=${encodeURIComponent(code)}`)
+}
+
+// =================================
+// RECURRING EVENT SERIES
+// =================================
+
+// Fields that a "this and following" / "whole series" edit copies to every occurrence
+const SERIES_SHARED_FIELDS = [
+  'title',
+  'location',
+  'description',
+  'isOpkomst',
+  'opkomstmakers',
+  'opkomstmakerIds',
+  'isSchoonmaak',
+  'schoonmakers',
+  'schoonmakerIds',
+  'schoonmaakOptions',
+  'rsvpDeadlineHours'
+]
+
+// Series bookkeeping is owned by the server and never taken from a request body
+const SERIES_PROTECTED_FIELDS = ['seriesId', 'recurrence', 'recurrenceId', 'isRecurrenceException', 'scope']
+
+function createEventId() {
+  let id
+  do {
+    id = Math.random().toString(36).substr(2, 6)
+  } while (events.some((event) => event.id === id))
+  return id
+}
+
+function resolveRecurrenceScope(event, value) {
+  if (!event?.seriesId) return 'this'
+  return RECURRENCE_SCOPES.includes(value) ? value : 'this'
+}
+
+function stripSeriesFields(body = {}) {
+  const clean = { ...body }
+  SERIES_PROTECTED_FIELDS.forEach((field) => delete clean[field])
+  return clean
+}
+
+function getSeriesOccurrences(seriesId) {
+  return events
+    .filter((event) => event.seriesId === seriesId)
+    .sort((a, b) => String(a.recurrenceId).localeCompare(String(b.recurrenceId)))
+}
+
+/**
+ * Locate an occurrence in the expanded series rule
+ * @param {Object} occurrence - Stored occurrence
+ * @returns {{ expanded: Array, slot: number }} Expansion and index (-1 when unknown)
+ */
+function getSeriesSlot(occurrence) {
+  const rule = occurrence.recurrence
+  const expanded = rule ? expandRecurrence(rule, rule.start, rule.end) : []
+  const slot = expanded.findIndex((item) => item.start === occurrence.recurrenceId)
+  return { expanded, slot }
+}
+
+/**
+ * Split a series at an occurrence: earlier occurrences keep the series
+ * (truncated with COUNT), the occurrence and everything after it moves
+ * to a new series with its own rule.
+ * @param {Object} target - Occurrence where the split happens
+ * @returns {{ earlier: Array, following: Array }} Updated occurrences
+ */
+function splitSeries(target) {
+  const { expanded, slot } = getSeriesSlot(target)
+  const occurrences = getSeriesOccurrences(target.seriesId)
+  if (slot <= 0) {
+    return { earlier: [], following: occurrences }
+  }
+
+  const slotOf = (occurrence) => expanded.findIndex((item) => item.start === occurrence.recurrenceId)
+  const newSeriesId = createEventId()
+  const earlierRule = { ...target.recurrence, count: slot, until: null }
+  const followingRule = {
+    ...target.recurrence,
+    count: expanded.length - slot,
+    until: null,
+    start: expanded[slot].start,
+    end: expanded[slot].end
+  }
+
+  const earlier = []
+  const following = []
+  occurrences.forEach((occurrence) => {
+    if (slotOf(occurrence) < slot) {
+      earlier.push({ ...occurrence, recurrence: earlierRule })
+    } else {
+      following.push({ ...occurrence, seriesId: newSeriesId, recurrence: followingRule })
+    }
+  })
+
+  return { earlier, following }
+}
+
+/**
+ * Apply an edit of one occurrence to a list of occurrences of the same series.
+ * Shared fields that changed are copied, a start/end shift moves the
+ * whole rule so RRULE and RECURRENCE-ID values stay consistent.
+ * Occurrences edited individually before keep their own date and time.
+ * @param {Array} occurrences - Occurrences in scope (same series rule)
+ * @param {Object} target - Occurrence being edited (current state)
+ * @param {Object} body - Requested changes
+ * @returns {{ updated?: Array, error?: string }} Updated occurrences or error
+ */
+function applySeriesEdit(occurrences, target, body) {
+  if (body.allDay !== undefined && Boolean(body.allDay) !== Boolean(target.allDay)) {
+    return { error: '"Hele dag" kan alleen per los evenement worden aangepast' }
+  }
+
+  const current = occurrences.find((occurrence) => occurrence.id === target.id) || target
+  const rule = current.recurrence
+  const expanded = expandRecurrence(rule, rule.start, rule.end)
+  // Measure a shift from the occurrence's slot in the rule: a moved occurrence
+  // no longer starts at its slot, and an unchanged start is no shift at all
+  const original = expanded.find((item) => item.start === current.recurrenceId) ||
+    { start: current.start, end: current.end || current.start }
+  const shiftFrom = (slotValue, currentValue, nextValue) =>
+    nextValue === currentValue ? 0 : diffNaiveMinutes(slotValue, nextValue)
+  const startDelta = body.start ? shiftFrom(original.start, current.start, body.start) : 0
+  const endDelta = body.end ? shiftFrom(original.end, current.end || current.start, body.end) : startDelta
+
+  if (startDelta === null || endDelta === null) {
+    return { error: 'Ongeldige datum voor de reeks' }
+  }
+
+  const nextStart = shiftNaiveDateTime(rule.start, startDelta)
+  const nextRule = {
+    ...rule,
+    byDay: deriveByDay(nextStart, rule.freq, String(rule.byDay || '').startsWith('-')),
+    count: expanded.length,
+    until: null,
+    start: nextStart,
+    end: shiftNaiveDateTime(rule.end, endDelta)
+  }
+  const nextExpanded = startDelta || endDelta
+    ? expandRecurrence(nextRule, nextRule.start, nextRule.end)
+    : expanded
+
+  if (nextExpanded.length !== expanded.length) {
+    return { error: 'Deze datumwijziging past niet in het herhalingspatroon' }
+  }
+
+  const changes = {}
+  SERIES_SHARED_FIELDS.forEach((field) => {
+    if (body[field] !== undefined && !deepEqual(body[field], current[field])) {
+      changes[field] = body[field]
+    }
+  })
+  if (changes.opkomstmakerIds) changes.opkomstmakerIds = sanitizeIdArray(changes.opkomstmakerIds)
+  if (changes.schoonmakerIds) changes.schoonmakerIds = sanitizeIdArray(changes.schoonmakerIds)
+
+  const updated = occurrences.map((occurrence) => {
+    const slot = expanded.findIndex((item) => item.start === occurrence.recurrenceId)
+    const next = { ...occurrence, ...changes, recurrence: nextRule }
+
+    if (slot >= 0) {
+      next.recurrenceId = nextExpanded[slot].start
+      if (!occurrence.isRecurrenceException) {
+        next.start = nextExpanded[slot].start
+        next.end = nextExpanded[slot].end
+      }
+    }
+
+    if (occurrence.id === current.id && occurrence.isRecurrenceException) {
+      next.start = body.start || occurrence.start
+      next.end = body.end || occurrence.end
+    }
+
+    next.rsvpDeadline = resolveRsvpDeadline(next)
+    return next
+  })
+
+  return { updated }
+}
+
+function replaceCachedEvents(updatedEvents = []) {
+  const byId = new Map(updatedEvents.map((event) => [event.id, event]))
+  events = events.map((event) => byId.get(event.id) || event)
+}
+
+// =================================
+// EVENT REVISIONS
+// =================================
+
+// Revision bookkeeping is owned by the server and never taken from a request body
+const EVENT_REVISION_FIELDS = ['createdAt', 'updatedAt', 'sequence']
+
+// Changes that calendar apps must treat as a new version of the event (SEQUENCE)
+const EVENT_SEQUENCE_FIELDS = ['title', 'start', 'end', 'allDay', 'location', 'description', 'cancelled', 'recurrence']
+
+function normalizeRevisionValue(field, value) {
+  if (field === 'allDay' || field === 'cancelled') return Boolean(value)
+  return value ?? null
+}
+
+/**
+ * Carry createdAt/updatedAt/sequence over from the cached version of an
+ * event. Any change moves updatedAt (LAST-MODIFIED in the iCal feeds),
+ * a change of date, time, title, location, description or status also
+ * raises sequence so calendar apps replace their copy.
+ * @param {Object} next - New state of the event
+ * @returns {Object} Event with revision fields set
+ */
+function stampEventRevision(next) {
+  const previous = events.find((event) => event.id === next.id)
+  const now = new Date().toISOString()
+  if (!previous) {
+    return { ...next, createdAt: now, updatedAt: now, sequence: 0 }
+  }
+
+  const stamped = {
+    ...next,
+    createdAt: previous.createdAt || now,
+    updatedAt: previous.updatedAt || previous.createdAt || now,
+    sequence: previous.sequence || 0
+  }
+  const differs = (field) => !deepEqual(
+    normalizeRevisionValue(field, previous[field]),
+    normalizeRevisionValue(field, stamped[field])
+  )
+
+  const fields = new Set([...Object.keys(previous), ...Object.keys(stamped)])
+  EVENT_REVISION_FIELDS.forEach((field) => fields.delete(field))
+  fields.delete('rsvpDeadline')
+  if (![...fields].some(differs)) return stamped
+
+  stamped.updatedAt = now
+  if (EVENT_SEQUENCE_FIELDS.some(differs)) {
+    stamped.sequence += 1
+  }
+  return stamped
+}
+
+/**
+ * Move updatedAt of an event that is changed in place (participants,
+ * attendance, check-ins). None of these raise sequence.
+ * @param {Object} event - Cached event that was just changed
+ * @returns {Object} The same event
+ */
+function touchEventRevision(event) {
+  event.updatedAt = new Date().toISOString()
+  return event
+}
+
+/**
+ * One-time migration: give events from before revision tracking a
+ * createdAt and updatedAt, so the iCal feeds have a stable DTSTAMP
+ */
+async function backfillEventTimestamps() {
+  if (events.every((event) => event.createdAt)) return
+
+  const db = await getDb()
+  const now = new Date().toISOString()
+  const result = await db.collection('events').updateMany(
+    { createdAt: { $exists: false } },
+    { $set: { createdAt: now, updatedAt: now } }
+  )
+  // Reload so every instance uses the timestamps that were actually stored
+  await loadEvents()
+  if (result.modifiedCount > 0) {
+    infoLog(`Backfilled timestamps of ${result.modifiedCount} events`)
+  }
+}
+
+// =================================
+// DAILY SNAPSHOT SYSTEM
+// =================================
+
+/**
+ * Creates a snapshot of the current database state
+ * @returns {Object} Object containing users and events arrays
+ */
+async function createDatabaseSnapshot() {
+  try {
+    const db = await getDb()
+    
+    // Get all users and events (without MongoDB's _id field)
+    const users = await db.collection('users')
+      .find({})
+      .project({ _id: 0 })
+      .toArray()
+    
+    const events = await db.collection('events')
+      .find({})
+      .project({ _id: 0 })
+      .toArray()
+    
+    return {
+      users: users.sort((a, b) => a.id - b.id), // Sort for consistent comparison
+      events: events.sort((a, b) => a.id.localeCompare(b.id))
+    }
+  } catch (error) {
+    console.error('Failed to create database snapshot:', error)
+    logSystemError(error, { action: 'create-database-snapshot', status: 500 })
+    return null
+  }
+}
+
+/**
+ * Saves a daily snapshot to the database
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} snapshot - Database snapshot containing users and events
+ */
+async function saveDailySnapshot(date, snapshot) {
+  try {
+    const db = await getDb()
+    await db.collection('dailySnapshots').updateOne(
+      { date },
+      { 
+        $set: { 
+          date,
+          snapshot,
+          createdAt: new Date()
+        } 
+      },
+      { upsert: true }
+    )
+    debugLog('Daily snapshot saved:', { date })
+  } catch (error) {
+    console.error('Failed to save daily snapshot:', error)
+    logSystemError(error, { action: 'save-daily-snapshot', status: 500 })
+  }
+}
+
+/**
+ * Gets a daily snapshot from the database
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Object|null} Snapshot object or null if not found
+ */
+async function getDailySnapshot(date) {
+  try {
+    const db = await getDb()
+    const record = await db.collection('dailySnapshots').findOne({ date })
+    return record ? record.snapshot : null
+  } catch (error) {
+    console.error('Failed to get daily snapshot:', error)
+    logSystemError(error, { action: 'get-daily-snapshot', status: 500 })
+    return null
+  }
+}
+
+/**
+ * Compares two snapshots and returns the differences
+ * @param {Object} yesterday - Yesterday's snapshot
+ * @param {Object} today - Today's snapshot
+ * @returns {Object} Differences between snapshots
  */
 function compareSnapshots(yesterday, today) {
   const changes = {
@@ -2583,10 +3540,17 @@ function scheduleDailySnapshot() {
   
   const msUntilMidnight = tomorrow.getTime() - now.getTime()
   
+  const runDailyJobs = async () => {
+    await performDailySnapshotAndComparison()
+    await settleFinishedOpkomstStreepjes().catch((error) => {
+      warnLog(`[streepjes] Failed to settle finished opkomsten: ${error.message}`)
+    })
+  }
+
   setTimeout(() => {
-    performDailySnapshotAndComparison()
+    runDailyJobs()
     // Schedule the next run (every 24 hours)
-    setInterval(performDailySnapshotAndComparison, 24 * 60 * 60 * 1000)
+    setInterval(runDailyJobs, 24 * 60 * 60 * 1000)
   }, msUntilMidnight)
   
   infoLog(`Daily snapshot and comparison scheduled for midnight (in ${Math.round(msUntilMidnight / 1000 / 60)} minutes)`)
@@ -2734,7 +3698,7 @@ async function ensureMailerTransport() {
 
 // Hulpfuncties
 function generateCode() {
-  return Math.floor(100000 + Math.random() * 900000).toString()
+  return randomInt(100000, 1000000).toString()
 }
 
 function isUserAdmin(userId) {
@@ -2742,256 +3706,1193 @@ function isUserAdmin(userId) {
   return u && u.isAdmin
 }
 
-// Replace your old calculateStreepjes with:
-function calculateStreepjes() {
-  const counts = {}
-  users.forEach(u => { counts[u.id] = 0 })
+function userHasPermission(userId, permission) {
+  return hasPermission(users.find(u => u.id === parseInt(userId, 10)), permission)
+}
 
-  events.forEach(ev => {
-    if (!ev.isOpkomst || !ev.attendance) return
+const EVENT_MANAGE_PERMISSIONS = ['events.manage', 'schoonmaak.manage']
 
-    Object.entries(ev.attendance).forEach(([uid, a]) => {
-      const idNum = parseInt(uid, 10)
-      // normalize to boolean present/absent
-      const present = (typeof a === 'object' && 'present' in a)
-        ? Boolean(a.present)
-        : Boolean(a)
+// Schoonmaakcoördinatoren mogen alleen schoonmaken beheren
+function canManageEvent(userId, ev) {
+  if (userHasPermission(userId, 'events.manage')) return true
+  return Boolean(ev?.isSchoonmaak) && !ev?.isOpkomst && userHasPermission(userId, 'schoonmaak.manage')
+}
 
-      const isPart = ev.participants?.includes(idNum)
-      // wrong attendance = signed-up but absent OR not-signed-up but present
-      if ((isPart && !present) || (!isPart && present)) {
-        counts[idNum]++
-      }
-    })
-  })
+// =================================
+// STREEPJES LEDGER
+// =================================
 
-  return counts
-}
+// Eén document per streepje; intrekken gebeurt met een doorhaling (struckAt),
+// zodat de geschiedenis nooit stilletjes wordt herschreven.
 
-function escapeHtml(value = '') {
-  return String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;')
+function isStreepjeActive(entry) {
+  return Boolean(entry) && !entry.struckAt
 }
 
-function sanitizeIban(iban = '') {
-  return safeTrimmedString(iban, 64).replace(/\s+/g, '').toUpperCase()
+// Older entries predate weighted rules and always count as one streepje
+function getStreepjeCount(entry) {
+  return Number.isInteger(entry?.count) ? entry.count : 1
 }
 
-function formatIban(iban = '') {
-  const sanitized = sanitizeIban(iban)
-  return sanitized.replace(/(.{4})/g, '$1 ').trim()
+/**
+ * Evaluate the active penalty rules for one event
+ * @returns {Array<{ userId: number, trigger: string, reason: string, count: number }>}
+ */
+function collectAttendanceStreepjes(ev, rules = penaltyRules) {
+  return evaluateEventPenalties(ev, rules, { isExcused: hasApprovedExcuse })
 }
 
-function maskIban(iban = '') {
-  const sanitized = sanitizeIban(iban)
-  if (sanitized.length <= 8) {
-    return sanitized.replace(/.(?=.{4})/g, '*')
+function createStreepjeEntry({
+  userId,
+  eventId = null,
+  source,
+  reason,
+  trigger = null,
+  count = 1,
+  givenBy = null,
+  createdAt = new Date().toISOString()
+}) {
+  const ev = eventId ? events.find((e) => e.id === eventId) : null
+  return {
+    id: randomUUID(),
+    userId,
+    eventId,
+    eventTitle: ev?.title || null,
+    eventStart: ev?.start || null,
+    source,
+    trigger,
+    count,
+    reason,
+    givenBy,
+    createdAt,
+    struckAt: null,
+    struckBy: null,
+    strikeReason: null
   }
-  const head = sanitized.slice(0, 4)
-  const tail = sanitized.slice(-4)
-  return `${head}${'*'.repeat(Math.max(sanitized.length - 8, 4))}${tail}`
 }
 
-function formatCurrency(amount) {
-  const value = Number(amount)
-  if (!Number.isFinite(value)) {
-    return '€ 0,00'
-  }
-
-  try {
-    return new Intl.NumberFormat('nl-NL', {
-      style: 'currency',
-      currency: 'EUR'
-    }).format(value)
-  } catch {
-    return `€ ${value.toFixed(2)}`
-  }
+async function insertStreepjes(entries = []) {
+  if (entries.length === 0) return []
+  const db = await getDb()
+  await db.collection('streepjes').insertMany(entries.map((entry) => ({ ...entry })))
+  streepjesLedger.push(...entries)
+  return entries
 }
 
-function formatDateDisplay(value) {
-  if (!value) {
-    return 'Onbekend'
-  }
+async function strikeStreepje(entry, { by = null, reason }) {
+  const struckAt = new Date().toISOString()
+  const db = await getDb()
+  const result = await db.collection('streepjes').updateOne(
+    { id: entry.id, struckAt: null },
+    { $set: { struckAt, struckBy: by, strikeReason: reason } }
+  )
+  if (result.modifiedCount === 0) return null
 
-  const parsed = new Date(value)
-  if (Number.isNaN(parsed.getTime())) {
-    return 'Onbekend'
+  const cached = streepjesLedger.find((item) => item.id === entry.id)
+  const target = cached || entry
+  Object.assign(target, { struckAt, struckBy: by, strikeReason: reason })
+  return target
+}
+
+/**
+ * Bring the attendance-based ledger entries of one event in line with its
+ * current attendance and the active penalty rules. A changed outcome strikes
+ * the existing entry and adds a new one instead of rewriting history.
+ */
+async function syncAttendanceStreepjes(ev, { by = null, strikeReason = 'Aanwezigheid gecorrigeerd' } = {}) {
+  if (!ev?.isOpkomst && !ev?.isSchoonmaak) return { added: 0, struck: 0 }
+
+  const expected = collectAttendanceStreepjes(ev)
+  const current = streepjesLedger.filter((entry) =>
+    entry.eventId === ev.id && entry.source === 'attendance' && isStreepjeActive(entry)
+  )
+  const matches = (entry, item) =>
+    entry.userId === item.userId && entry.reason === item.reason && getStreepjeCount(entry) === item.count
+
+  const toAdd = expected
+    .filter((item) => !current.some((entry) => matches(entry, item)))
+    .map(({ userId, reason, trigger, count }) => createStreepjeEntry({
+      userId,
+      eventId: ev.id,
+      source: 'attendance',
+      reason,
+      trigger,
+      count,
+      givenBy: by
+    }))
+  const toStrike = current.filter((entry) => !expected.some((item) => matches(entry, item)))
+
+  await insertStreepjes(toAdd)
+  for (const entry of toStrike) {
+    await strikeStreepje(entry, { by, reason: strikeReason })
   }
 
-  try {
-    return new Intl.DateTimeFormat('nl-NL', {
-      day: '2-digit',
-      month: 'long',
-      year: 'numeric'
-    }).format(parsed)
-  } catch {
-    return parsed.toISOString().split('T')[0]
+  if (toAdd.length > 0 || toStrike.length > 0) {
+    logEvent({
+      action: 'streepjes-attendance-synced',
+      metadata: { eventId: ev.id, added: toAdd.length, struck: toStrike.length, by }
+    })
   }
+
+  return { added: toAdd.length, struck: toStrike.length }
 }
 
-function sanitizeFileName(value = '') {
-  return value
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .replace(/-{2,}/g, '-')
-    .slice(0, 60) || 'stamjer'
+// Opkomsten that ended this long ago are settled by the daily job
+const LATE_CANCELLATION_SETTLE_MS = 2 * 24 * 60 * 60 * 1000
+
+/**
+ * Late cancellations only count once an opkomst is over, which is often
+ * after its last attendance change. The daily job syncs the streepjes of
+ * opkomsten that ended recently and have cancellations.
+ * @returns {Promise<number>} Number of opkomsten synced
+ */
+async function settleFinishedOpkomstStreepjes() {
+  const now = Date.now()
+  await ensureEventsFresh(0)
+  await loadStreepjesLedger()
+
+  const finished = events.filter((ev) => {
+    if (!ev.isOpkomst || !ev.attendance || Object.keys(ev.cancellations || {}).length === 0) return false
+    const end = new Date(ev.end || ev.start).getTime()
+    return Number.isFinite(end) && end <= now && now - end < LATE_CANCELLATION_SETTLE_MS
+  })
+  for (const ev of finished) {
+    await syncAttendanceStreepjes(ev)
+  }
+  return finished.length
 }
 
-function safeTrimmedString(value, maxLength = 5000) {
-  if (value === null || value === undefined) {
-    return ''
+/**
+ * One-time migration: fill an empty ledger from the attendance already stored on events
+ */
+async function backfillStreepjesLedger() {
+  const db = await getDb()
+  const existing = await db.collection('streepjes').estimatedDocumentCount()
+  if (existing > 0) return
+
+  const entries = events.flatMap((ev) =>
+    collectAttendanceStreepjes(ev).map(({ userId, reason, trigger, count }) => createStreepjeEntry({
+      userId,
+      eventId: ev.id,
+      source: 'attendance',
+      reason,
+      trigger,
+      count,
+      createdAt: new Date(ev.start).toISOString()
+    }))
+  )
+
+  if (entries.length > 0) {
+    await insertStreepjes(entries)
+    infoLog(`Backfilled ${entries.length} streepjes from event attendance`)
   }
+}
 
-  const raw = typeof value === 'string' ? value : String(value)
-  return raw.trim().slice(0, maxLength)
+/**
+ * Count active streepjes per member, scoped to a season.
+ * Defaults to the current season; pass `season: null` to count everything.
+ */
+function calculateStreepjes({ season = getCurrentSeason() } = {}) {
+  const counts = {}
+  users.forEach(u => { counts[u.id] = 0 })
+
+  streepjesLedger.forEach((entry) => {
+    if (!isStreepjeActive(entry)) return
+    if (!isDateInSeason(getStreepjeDateKey(entry), season)) return
+    counts[entry.userId] = (counts[entry.userId] || 0) + getStreepjeCount(entry)
+  })
+
+  return counts
 }
 
-const PAYMENT_ATTACHMENT_TYPES = new Set(['image/jpeg', 'image/png', 'application/pdf'])
+/**
+ * Compute the streepjes per member as they would be under a different rule set.
+ * Manual entries and entries of deleted events are carried over unchanged.
+ */
+function previewStreepjesCounts(rules, { season = getCurrentSeason() } = {}) {
+  const counts = {}
+  users.forEach(u => { counts[u.id] = 0 })
+  const add = (userId, count) => { counts[userId] = (counts[userId] || 0) + count }
+  const eventIds = new Set(events.map((ev) => ev.id))
+
+  streepjesLedger.forEach((entry) => {
+    if (!isStreepjeActive(entry)) return
+    if (!isDateInSeason(getStreepjeDateKey(entry), season)) return
+    if (entry.source === 'attendance' && eventIds.has(entry.eventId)) return
+    add(entry.userId, getStreepjeCount(entry))
+  })
 
-function detectAttachmentTypeFromBuffer(buffer) {
-  if (!buffer || buffer.length < 4) {
-    return ''
-  }
+  getEventsInSeason(season).forEach((ev) => {
+    collectAttendanceStreepjes(ev, rules).forEach(({ userId, count }) => add(userId, count))
+  })
 
-  const isPdf =
-    buffer.length >= 5 &&
-    buffer[0] === 0x25 &&
-    buffer[1] === 0x50 &&
-    buffer[2] === 0x44 &&
-    buffer[3] === 0x46 &&
-    buffer[4] === 0x2d
+  return counts
+}
 
-  if (isPdf) {
-    return 'application/pdf'
-  }
+function mapPenaltyRulesForClient(rules) {
+  return rules.map((rule) => ({ ...rule, label: PENALTY_TRIGGER_LABELS[rule.trigger] }))
+}
 
-  const isPng =
-    buffer.length >= 8 &&
-    buffer[0] === 0x89 &&
-    buffer[1] === 0x50 &&
-    buffer[2] === 0x4e &&
-    buffer[3] === 0x47 &&
-    buffer[4] === 0x0d &&
-    buffer[5] === 0x0a &&
-    buffer[6] === 0x1a &&
-    buffer[7] === 0x0a
+async function savePenaltyRules(rules, { by = null } = {}) {
+  const db = await getDb()
+  const updatedAt = new Date().toISOString()
+  await db.collection('penaltyRules').bulkWrite(rules.map((rule) => ({
+    replaceOne: {
+      filter: { trigger: rule.trigger },
+      replacement: { ...rule, updatedAt, updatedBy: by },
+      upsert: true
+    }
+  })))
+  penaltyRules = rules.map((rule) => ({ ...rule }))
+}
 
-  if (isPng) {
-    return 'image/png'
+function mapStreepjeForClient(entry) {
+  const giver = entry.givenBy !== null ? users.find((u) => u.id === entry.givenBy) : null
+  const striker = entry.struckBy !== null ? users.find((u) => u.id === entry.struckBy) : null
+  return {
+    ...entry,
+    active: isStreepjeActive(entry),
+    givenByName: giver ? `${giver.firstName} ${giver.lastName}` : null,
+    struckByName: striker ? `${striker.firstName} ${striker.lastName}` : null
   }
+}
 
-  const isJpg =
-    buffer.length >= 3 &&
-    buffer[0] === 0xff &&
-    buffer[1] === 0xd8 &&
-    buffer[2] === 0xff
+function listStreepjesForUser(userId, { season = getCurrentSeason() } = {}) {
+  return streepjesLedger
+    .filter((entry) => entry.userId === userId && isDateInSeason(getStreepjeDateKey(entry), season))
+    .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime())
+    .map(mapStreepjeForClient)
+}
 
-  if (isJpg) {
-    return 'image/jpeg'
-  }
+// =================================
+// SEASONS
+// =================================
 
-  return ''
+// Een seizoen (bijv. september t/m juni) bepaalt welke streepjes meetellen.
+// Na afloop wordt de eindstand bevroren, zodat de jaarlijkse reset geen
+// aanwezigheidsdata hoeft te verwijderen.
+
+const SEASON_DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/
+
+function getTodayKey() {
+  return formatDateKeyInTimezone(new Date())
 }
 
-function resolveAttachmentType(declaredType, fileName, buffer) {
-  const normalizedDeclaredType = safeTrimmedString(declaredType, 120).toLowerCase()
-  if (normalizedDeclaredType === 'image/jpg') {
-    return 'image/jpeg'
+function getCurrentSeason(today = getTodayKey()) {
+  return seasons.find((season) => season.startDate <= today && today <= season.endDate) || null
+}
+
+function isDateInSeason(dateKey, season) {
+  if (!season) return true
+  return Boolean(dateKey) && dateKey >= season.startDate && dateKey <= season.endDate
+}
+
+// A streepje belongs to the date of its event, or to the day it was given
+function getStreepjeDateKey(entry) {
+  if (entry?.eventStart) return String(entry.eventStart).slice(0, 10)
+  return formatDateKeyInTimezone(entry?.createdAt)
+}
+
+function getEventsInSeason(season) {
+  return events.filter((ev) => isDateInSeason(String(ev.start || '').slice(0, 10), season))
+}
+
+/**
+ * Resolve a `seasonId` query parameter.
+ * Empty = current season, 'all' = no season scope, otherwise a season ID.
+ * @returns {{ season: Object|null, error?: string }}
+ */
+function resolveSeasonParam(value) {
+  const raw = typeof value === 'string' ? value.trim() : ''
+  if (!raw) return { season: getCurrentSeason() }
+  if (raw === 'all') return { season: null }
+  const season = seasons.find((item) => item.id === raw)
+  return season ? { season } : { season: null, error: 'Seizoen niet gevonden' }
+}
+
+function validateSeasonInput(input = {}, { excludeId = null } = {}) {
+  const name = safeTrimmedString(input.name, 80)
+  const startDate = safeTrimmedString(input.startDate, 10)
+  const endDate = safeTrimmedString(input.endDate, 10)
+
+  if (!name) return { error: 'Geef het seizoen een naam' }
+  if (!SEASON_DATE_REGEX.test(startDate) || Number.isNaN(Date.parse(startDate))) {
+    return { error: 'Ongeldige startdatum' }
   }
-  if (PAYMENT_ATTACHMENT_TYPES.has(normalizedDeclaredType)) {
-    return normalizedDeclaredType
+  if (!SEASON_DATE_REGEX.test(endDate) || Number.isNaN(Date.parse(endDate))) {
+    return { error: 'Ongeldige einddatum' }
   }
+  if (endDate < startDate) return { error: 'Einddatum ligt voor de startdatum' }
 
-  const detectedType = detectAttachmentTypeFromBuffer(buffer)
-  if (PAYMENT_ATTACHMENT_TYPES.has(detectedType)) {
-    return detectedType
+  const overlap = seasons.find((season) =>
+    season.id !== excludeId && season.startDate <= endDate && startDate <= season.endDate
+  )
+  if (overlap) return { error: `Seizoen overlapt met "${overlap.name}"` }
+
+  return { values: { name, startDate, endDate } }
+}
+
+function buildSeasonStandings(season) {
+  const counts = calculateStreepjes({ season })
+  return users
+    .filter((u) => !isHistoricalUser(u) || counts[u.id])
+    .map((u) => ({
+      userId: u.id,
+      name: `${u.firstName} ${u.lastName}`.trim(),
+      streepjes: counts[u.id] || 0
+    }))
+    .sort((a, b) => b.streepjes - a.streepjes || a.name.localeCompare(b.name))
+}
+
+function mapSeasonForClient(season, { includeStandings = false } = {}) {
+  if (!season) return null
+  const { standings, ...rest } = season
+  const today = getTodayKey()
+  return {
+    ...rest,
+    isCurrent: season.startDate <= today && today <= season.endDate,
+    isArchived: Boolean(season.archivedAt),
+    ...(includeStandings ? { standings: standings || buildSeasonStandings(season) } : {})
   }
+}
 
-  const extension = safeTrimmedString(fileName, 120).toLowerCase().split('.').pop() || ''
-  if (extension === 'jpg' || extension === 'jpeg') {
-    return 'image/jpeg'
+async function saveSeason(season) {
+  const db = await getDb()
+  await db.collection('seasons').updateOne({ id: season.id }, { $set: season }, { upsert: true })
+  const idx = seasons.findIndex((item) => item.id === season.id)
+  if (idx >= 0) {
+    seasons[idx] = season
+  } else {
+    seasons.push(season)
   }
-  if (extension === 'png') {
-    return 'image/png'
+  seasons.sort((a, b) => a.startDate.localeCompare(b.startDate))
+}
+
+/**
+ * Freeze the final standings of a season
+ */
+async function archiveSeason(season, { by = null } = {}) {
+  const archived = {
+    ...season,
+    standings: buildSeasonStandings(season),
+    archivedAt: new Date().toISOString(),
+    archivedBy: by
+  }
+  await saveSeason(archived)
+  logEvent({ action: 'season-archived', metadata: { id: season.id, name: season.name, by } })
+  return archived
+}
+
+async function archiveEndedSeasons() {
+  const today = getTodayKey()
+  const ended = seasons.filter((season) => season.endDate < today && !season.archivedAt)
+  for (const season of ended) {
+    await archiveSeason(season)
   }
-  if (extension === 'pdf') {
-    return 'application/pdf'
+  if (ended.length > 0) {
+    infoLog(`Archived ${ended.length} ended season(s)`)
   }
+}
 
-  return ''
+// =================================
+// ABSENCE EXCUSES (AFMELDINGEN)
+// =================================
+
+// Leden kunnen ook na de aanmelddeadline een afmelding met reden indienen.
+// Een goedgekeurde afmelding telt via de strafregels als 'excused_absence'.
+
+const ABSENCE_EXCUSE_STATUSES = ['pending', 'approved', 'denied']
+const ABSENCE_EXCUSE_STATUS_LABELS = {
+  pending: 'In behandeling',
+  approved: 'Goedgekeurd',
+  denied: 'Afgewezen'
 }
 
-function buildReplyTo(name, email) {
-  const safeEmail = safeTrimmedString(email, 254).toLowerCase()
-  if (!safeEmail || !validator.isEmail(safeEmail)) {
-    return undefined
-  }
+function hasApprovedExcuse(ev, userId) {
+  return absenceExcuses.some((excuse) =>
+    excuse.eventId === ev?.id && excuse.userId === userId && excuse.status === 'approved'
+  )
+}
 
-  const safeName = safeTrimmedString(name, 120).replace(/[\r\n]+/g, ' ')
-  return safeName ? `${safeName} <${safeEmail}>` : safeEmail
+function mapAbsenceExcuseForClient(excuse) {
+  const member = users.find((u) => u.id === excuse.userId)
+  const reviewer = excuse.reviewedBy !== null ? users.find((u) => u.id === excuse.reviewedBy) : null
+  const ev = events.find((e) => e.id === excuse.eventId)
+  return {
+    ...excuse,
+    statusLabel: ABSENCE_EXCUSE_STATUS_LABELS[excuse.status] || excuse.status,
+    userName: member ? `${member.firstName} ${member.lastName}` : null,
+    reviewedByName: reviewer ? `${reviewer.firstName} ${reviewer.lastName}` : null,
+    eventTitle: ev?.title || excuse.eventTitle || null,
+    eventStart: ev?.start || excuse.eventStart || null
+  }
 }
 
-async function buildPaymentRequestPdf(request, attachments = []) {
-  const pdfDoc = await PDFDocument.create()
-  pdfDoc.setCreator('Stamjer Declaratiesysteem')
-  pdfDoc.setProducer('Stamjer Declaratiesysteem')
-  if (request?.expenseTitle) {
-    pdfDoc.setTitle(`Declaratie - ${request.expenseTitle}`)
-    pdfDoc.setSubject(request.expenseTitle)
+async function saveAbsenceExcuse(excuse) {
+  const db = await getDb()
+  await db.collection('absenceExcuses').updateOne({ id: excuse.id }, { $set: excuse }, { upsert: true })
+  const idx = absenceExcuses.findIndex((item) => item.id === excuse.id)
+  if (idx >= 0) {
+    absenceExcuses[idx] = excuse
+  } else {
+    absenceExcuses.push(excuse)
   }
+}
 
-  const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica)
-  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold)
-  const pageSize = [595.28, 841.89] // A4 portrait in points
-  const headingColor = rgb(0.12, 0.23, 0.45)
-  const textColor = rgb(0.16, 0.18, 0.22)
-  const leftMargin = 48
-  const rightMargin = 48
-  const topMargin = 72
-  const bottomMargin = 72
-  const lineHeight = 18
-  const labelWidth = 130
-  const submittedAt = request?.submittedAt ? new Date(request.submittedAt) : new Date()
+function sortExcusesNewestFirst(list) {
+  return [...list].sort((a, b) => new Date(b.submittedAt).getTime() - new Date(a.submittedAt).getTime())
+}
 
-  let page = pdfDoc.addPage(pageSize)
-  let { width, height } = page.getSize()
-  let cursorY = height - topMargin
-  const maxLineWidth = width - leftMargin - rightMargin
+// =================================
+// UNAVAILABILITY & DUTY ROTATION
+// =================================
 
-  const ensureSpace = (lines = 1) => {
-    if (cursorY - lineHeight * lines < bottomMargin) {
-      page = pdfDoc.addPage(pageSize)
-      ;({ width, height } = page.getSize())
-      cursorY = height - topMargin
-    }
+// Leden geven periodes op waarin ze niet beschikbaar zijn voor taken;
+// het rooster (schoonmakers en opkomstmakers) slaat ze op die datums over.
+
+const DEFAULT_ROTATION_SLOT_SIZE = 2
+const DEFAULT_ROTATION_RANGE_DAYS = 90
+
+// Per taak: welk soort evenement en welke velden het rooster vult
+const DUTY_TYPES = {
+  schoonmaak: {
+    eventFlag: 'isSchoonmaak',
+    idsField: 'schoonmakerIds',
+    namesField: 'schoonmakers',
+    label: 'schoonmakers',
+    eventLabel: 'schoonmaak',
+    permission: 'schoonmaak.manage',
+    avoidRepeatPairs: false
+  },
+  opkomst: {
+    eventFlag: 'isOpkomst',
+    idsField: 'opkomstmakerIds',
+    namesField: 'opkomstmakers',
+    label: 'opkomstmakers',
+    eventLabel: 'opkomst',
+    permission: 'rooster.manage',
+    avoidRepeatPairs: true
   }
+}
 
-  const wrapText = (text = '', font = fontRegular, size = 11, maxWidth = maxLineWidth) => {
-    const value = String(text || '').trim()
-    if (!value) {
-      return ['-']
-    }
+function mapUnavailabilityForClient(entry) {
+  const member = users.find((u) => u.id === entry.userId)
+  return {
+    ...entry,
+    userName: member ? `${member.firstName} ${member.lastName}` : null
+  }
+}
 
-    const words = value.split(/\s+/).filter(Boolean)
-    const lines = []
-    let currentLine = ''
+function sortUnavailabilityByDate(list) {
+  return [...list].sort((a, b) => a.startDate.localeCompare(b.startDate) || a.userId - b.userId)
+}
 
-    const flushLine = () => {
-      if (currentLine) {
-        lines.push(currentLine)
-        currentLine = ''
+function getDutyCandidateIds() {
+  return users
+    .filter((u) => u.active && normalizeUserStatus(u.status) === 'active')
+    .map((u) => u.id)
+    .filter(Number.isFinite)
+}
+
+// Display string stored next to the IDs, in the same format as the event form
+function formatMemberFirstNames(ids = []) {
+  return ids
+    .map((id) => users.find((u) => u.id === id)?.firstName)
+    .filter(Boolean)
+    .join(', ')
+}
+
+function getEventDateKey(ev) {
+  return String(ev?.start || '').slice(0, 10)
+}
+
+/**
+ * Count duties of one type per member, split in past and upcoming
+ * @param {Object} duty - Entry of DUTY_TYPES
+ * @param {Object} [options] - { excludeEventIds } events left out (e.g. the ones being planned)
+ * @returns {Map<number, { past: number, upcoming: number }>} Duties per member
+ */
+function countDuties(duty, { excludeEventIds = [] } = {}) {
+  const todayKey = getTodayKey()
+  const excluded = new Set(excludeEventIds)
+  const duties = new Map()
+
+  events.forEach((ev) => {
+    if (!ev[duty.eventFlag] || excluded.has(ev.id)) return
+    const isPast = getEventDateKey(ev) < todayKey
+    sanitizeIdArray(ev[duty.idsField]).forEach((userId) => {
+      const current = duties.get(userId) || { past: 0, upcoming: 0 }
+      if (isPast) current.past += 1
+      else current.upcoming += 1
+      duties.set(userId, current)
+    })
+  })
+
+  return duties
+}
+
+function mapDutyTotalsForClient(duties, proposed = new Map()) {
+  const candidateIds = getDutyCandidateIds()
+  const memberIds = new Set([...candidateIds, ...duties.keys()])
+  return [...memberIds]
+    .map((userId) => {
+      const member = users.find((u) => u.id === userId)
+      if (!member) return null
+      const counts = duties.get(userId) || { past: 0, upcoming: 0 }
+      return {
+        userId,
+        name: `${member.firstName} ${member.lastName}`,
+        active: candidateIds.includes(userId),
+        past: counts.past,
+        upcoming: counts.upcoming,
+        proposed: proposed.get(userId) || 0
       }
-    }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.past + a.upcoming + a.proposed) - (b.past + b.upcoming + b.proposed) || a.name.localeCompare(b.name))
+}
 
-    const appendLongWord = (word) => {
-      let buffer = ''
-      for (const char of word) {
-        const candidate = buffer + char
+// Default planning horizon: end of the current season, else a fixed number of days
+function getDefaultRotationEndKey() {
+  const season = getCurrentSeason()
+  if (season?.endDate) return season.endDate
+  return formatDateKeyInTimezone(new Date(Date.now() + DEFAULT_ROTATION_RANGE_DAYS * 24 * 60 * 60 * 1000))
+}
+
+/**
+ * Build a rotation proposal for one duty type; nothing is saved
+ * @param {Object} duty - Entry of DUTY_TYPES
+ * @param {Object} body - { from, to, perEvent, onlyUnassigned, avoidRepeatPairs }
+ * @returns {Promise<{ result?: Object, error?: string }>} Proposal or validation error
+ */
+async function buildRotationPreview(duty, body = {}) {
+  const todayKey = getTodayKey()
+  const from = typeof body.from === 'string' && body.from ? body.from : todayKey
+  const to = typeof body.to === 'string' && body.to ? body.to : getDefaultRotationEndKey()
+  const { range, error } = normalizeUnavailabilityRange({ startDate: from, endDate: to })
+  if (error) return { error }
+
+  const size = body.perEvent === undefined ? DEFAULT_ROTATION_SLOT_SIZE : Number(body.perEvent)
+  if (!Number.isInteger(size) || size < 1 || size > MAX_ROTATION_SLOT_SIZE) {
+    return { error: `Aantal ${duty.label} moet tussen 1 en ${MAX_ROTATION_SLOT_SIZE} liggen` }
+  }
+  const avoidRepeatPairs = body.avoidRepeatPairs === undefined ? duty.avoidRepeatPairs : Boolean(body.avoidRepeatPairs)
+
+  await ensureEventsFresh()
+  await loadUnavailability()
+  const startKey = range.startDate < todayKey ? todayKey : range.startDate
+  const ofType = events
+    .filter((ev) => ev[duty.eventFlag])
+    .sort((a, b) => String(a.start).localeCompare(String(b.start)))
+  const planned = ofType
+    .filter((ev) => getEventDateKey(ev) >= startKey && getEventDateKey(ev) <= range.endDate)
+    .filter((ev) => !body.onlyUnassigned || sanitizeIdArray(ev[duty.idsField]).length === 0)
+  const plannedIds = new Set(planned.map((ev) => ev.id))
+
+  // The pair rule also looks at the last event before the planned range
+  const firstStart = planned[0] ? String(planned[0].start) : null
+  const previous = firstStart
+    ? ofType.filter((ev) => !plannedIds.has(ev.id) && String(ev.start) < firstStart).pop()
+    : null
+
+  const duties = countDuties(duty, { excludeEventIds: [...plannedIds] })
+  const { assignments } = proposeRotation({
+    slots: planned.map((ev) => ({ id: ev.id, date: getEventDateKey(ev), size })),
+    candidates: getDutyCandidateIds(),
+    counts: new Map([...duties].map(([userId, counts]) => [userId, counts.past + counts.upcoming])),
+    isUnavailable: (userId, date) => isUnavailableOn(unavailability, userId, date),
+    avoidRepeatPairs,
+    previousGroup: previous ? sanitizeIdArray(previous[duty.idsField]) : []
+  })
+
+  const proposed = new Map()
+  const proposal = assignments.map((assignment) => {
+    const ev = planned.find((item) => item.id === assignment.slotId)
+    assignment.userIds.forEach((userId) => proposed.set(userId, (proposed.get(userId) || 0) + 1))
+    const currentIds = sanitizeIdArray(ev[duty.idsField])
+    return {
+      eventId: ev.id,
+      title: ev.title,
+      start: ev.start,
+      currentIds,
+      currentNames: formatMemberFirstNames(currentIds),
+      proposedIds: assignment.userIds,
+      proposedNames: formatMemberFirstNames(assignment.userIds),
+      shortfall: assignment.shortfall
+    }
+  })
+
+  return {
+    result: {
+      from: startKey,
+      to: range.endDate,
+      perEvent: size,
+      avoidRepeatPairs,
+      proposal,
+      totals: mapDutyTotalsForClient(duties, proposed)
+    }
+  }
+}
+
+/**
+ * Apply reviewed assignments of one duty type in one go. Everything is
+ * validated first, so an invalid entry leaves all events untouched.
+ * @param {Object} duty - Entry of DUTY_TYPES
+ * @param {Array<Object>} input - { eventId, userIds }
+ * @returns {Promise<{ events?: Array<Object>, error?: string }>} Updated events or validation error
+ */
+async function applyRotationAssignments(duty, input) {
+  if (!Array.isArray(input) || input.length === 0) return { error: 'Geen indeling om toe te passen' }
+
+  await ensureEventsFresh(0)
+  const updated = []
+  for (const item of input) {
+    const ev = events.find((event) => event.id === item?.eventId)
+    if (!ev || !ev[duty.eventFlag]) {
+      return { error: `Indeling bevat een onbekende ${duty.eventLabel}` }
+    }
+    const userIds = sanitizeIdArray(item.userIds)
+    if (userIds.some((id) => !users.some((u) => u.id === id))) {
+      return { error: 'Indeling bevat een onbekend lid' }
+    }
+    updated.push(stampEventRevision({ ...ev, [duty.idsField]: userIds, [duty.namesField]: formatMemberFirstNames(userIds) }))
+  }
+
+  await Promise.all(updated.map((ev) => saveEvent(ev)))
+  replaceCachedEvents(updated)
+  return { events: updated }
+}
+
+// =================================
+// SLOT SWAPS (RUILEN)
+// =================================
+
+// Een opkomstmaker of schoonmaker biedt zijn plek aan; een ander lid neemt
+// hem over. Het evenement wordt pas aangepast als de ruil rond is.
+
+const SWAP_STATUS_LABELS = {
+  open: 'Aangeboden',
+  pending_approval: 'Wacht op goedkeuring',
+  completed: 'Geruild',
+  denied: 'Afgewezen',
+  cancelled: 'Ingetrokken'
+}
+
+const ACTIVE_SWAP_STATUSES = ['open', 'pending_approval']
+
+function getMemberName(userId) {
+  const member = users.find((u) => u.id === userId)
+  return member ? `${member.firstName} ${member.lastName}` : null
+}
+
+function mapSwapForClient(swap) {
+  const ev = events.find((item) => item.id === swap.eventId)
+  return {
+    ...swap,
+    statusLabel: SWAP_STATUS_LABELS[swap.status] || swap.status,
+    fromName: getMemberName(swap.fromUserId),
+    toName: swap.toUserId ? getMemberName(swap.toUserId) : null,
+    event: ev ? { id: ev.id, title: ev.title, start: ev.start, end: ev.end, allDay: ev.allDay } : null
+  }
+}
+
+// Upcoming events where the member holds an opkomstmaker or schoonmaker slot
+function getUpcomingDutySlots(userId) {
+  const todayKey = getTodayKey()
+  return events
+    .filter((ev) => getEventDateKey(ev) >= todayKey)
+    .flatMap((ev) => Object.entries(DUTY_TYPES)
+      .filter(([, duty]) => ev[duty.eventFlag] && sanitizeIdArray(ev[duty.idsField]).includes(userId))
+      .map(([key]) => ({ eventId: ev.id, duty: key, title: ev.title, start: ev.start })))
+    .sort((a, b) => String(a.start).localeCompare(String(b.start)))
+}
+
+/**
+ * Move a swap to a new status, but only if nobody changed it in the meantime
+ * @returns {Promise<Object|null>} Updated swap, or null when the status was already changed
+ */
+async function updateSwapStatusRecord(existing, status, { by = null, comment = null, extra = {} } = {}) {
+  const now = new Date().toISOString()
+  const db = await getDb()
+  const result = await db.collection('swapRequests').findOneAndUpdate(
+    { id: existing.id, status: existing.status },
+    {
+      $set: { ...extra, status, updatedAt: now },
+      $push: { history: { status, at: now, by, comment } }
+    },
+    { returnDocument: 'after', includeResultMetadata: true, projection: { _id: 0 } }
+  )
+  return result.value
+}
+
+/**
+ * Hand the slot from the offering member to the accepting member. The
+ * update only matches while the slot still looks as expected, so two
+ * concurrent changes cannot both win.
+ * @returns {Promise<{ event?: Object, error?: string, stale?: boolean }>} Updated event or error
+ */
+async function transferDutySlot(swap) {
+  const duty = DUTY_TYPES[swap.duty]
+  await ensureEventsFresh(0)
+  const ev = events.find((item) => item.id === swap.eventId)
+  if (!ev || !ev[duty.eventFlag]) return { error: 'Evenement niet gevonden', stale: true }
+
+  const currentIds = sanitizeIdArray(ev[duty.idsField])
+  if (!currentIds.includes(swap.fromUserId)) {
+    return { error: `${getMemberName(swap.fromUserId) || 'Dit lid'} staat niet meer op deze taak`, stale: true }
+  }
+  if (currentIds.includes(swap.toUserId)) {
+    return { error: 'Je staat al op deze taak' }
+  }
+
+  const nextIds = currentIds.map((id) => (id === swap.fromUserId ? swap.toUserId : id))
+  const names = formatMemberFirstNames(nextIds)
+  const updatedAt = new Date().toISOString()
+  const db = await getDb()
+  const result = await db.collection('events').updateOne(
+    {
+      id: ev.id,
+      $and: [
+        { [duty.idsField]: swap.fromUserId },
+        { [duty.idsField]: { $ne: swap.toUserId } },
+        { [duty.idsField]: { $size: currentIds.length } }
+      ]
+    },
+    { $set: { [duty.idsField]: nextIds, [duty.namesField]: names, updatedAt } }
+  )
+  if (result.matchedCount === 0) {
+    return { error: 'Het evenement is net gewijzigd, probeer het opnieuw' }
+  }
+
+  const updated = { ...ev, [duty.idsField]: nextIds, [duty.namesField]: names, updatedAt }
+  replaceCachedEvents([updated])
+  return { event: updated }
+}
+
+/**
+ * Finish a swap: mark it completed and move the slot. When the slot can
+ * no longer move the swap returns to its previous status, or is cancelled
+ * when the offering member no longer holds the slot.
+ * @returns {Promise<{ swap?: Object, error?: string }>} Completed swap or error
+ */
+async function completeSwap(existing, { by, toUserId, comment = null }) {
+  const claimed = await updateSwapStatusRecord(existing, 'completed', {
+    by,
+    comment,
+    extra: { toUserId, completedAt: new Date().toISOString() }
+  })
+  if (!claimed) return { error: 'Dit ruilverzoek is al afgehandeld' }
+
+  const { error, stale } = await transferDutySlot(claimed)
+  if (error) {
+    await updateSwapStatusRecord(claimed, stale ? 'cancelled' : existing.status, {
+      by,
+      comment: error,
+      extra: { toUserId: existing.toUserId ?? null, completedAt: null }
+    })
+    return { error }
+  }
+  return { swap: claimed }
+}
+
+/**
+ * Email both members about a swap
+ * @param {Object} swap - Swap request
+ * @param {string} kind - pending_approval, completed or denied
+ */
+async function sendSwapEmail(swap, kind, { comment = '' } = {}) {
+  try {
+    const fromUser = users.find((u) => u.id === swap.fromUserId)
+    const toUser = users.find((u) => u.id === swap.toUserId)
+    const recipients = [fromUser?.email, toUser?.email].filter(Boolean)
+    if (recipients.length === 0) return
+
+    const mailer = await ensureMailerTransport()
+    if (!mailer) {
+      warnLog('Ruilmail overgeslagen: transporter niet beschikbaar')
+      return
+    }
+
+    const ev = events.find((item) => item.id === swap.eventId)
+    const dutyLabel = swap.duty === 'opkomst' ? 'opkomstmaker' : 'schoonmaker'
+    const eventLabel = `${ev?.title || 'evenement'} (${formatDateDisplay(ev?.start)})`
+    const fromName = fromUser?.firstName || 'Een lid'
+    const toName = toUser?.firstName || 'een lid'
+    const intro = {
+      pending_approval: `${toName} wil de plek van ${fromName} als ${dutyLabel} bij ${eventLabel} overnemen. Een admin moet de ruil nog goedkeuren.`,
+      completed: `${toName} heeft de plek van ${fromName} als ${dutyLabel} bij ${eventLabel} overgenomen. De ruil is verwerkt in de kalender.`,
+      denied: `De ruil van ${fromName} met ${toName} als ${dutyLabel} bij ${eventLabel} is afgewezen. ${fromName} blijft ingedeeld.`
+    }[kind]
+    if (!intro) return
+
+    const subject = {
+      pending_approval: 'Ruilverzoek wacht op goedkeuring',
+      completed: 'Ruil verwerkt',
+      denied: 'Ruil afgewezen'
+    }[kind]
+    const commentHtml = comment
+      ? `<h3>Toelichting</h3><p>${escapeHtml(comment).replace(/\r?\n/g, '<br />')}</p>`
+      : ''
+
+    await mailer.sendMail({
+      from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
+      to: recipients.join(', '),
+      subject: `Stamjer - ${subject}: ${ev?.title || 'evenement'}`,
+      html: `
+        <h2>${escapeHtml(subject)}</h2>
+        <p>Hoi ${escapeHtml(fromName)} en ${escapeHtml(toName)},</p>
+        <p>${escapeHtml(intro)}</p>
+        ${commentHtml}
+        <p><em>Deze e-mail is automatisch gegenereerd door het Stamjer systeem.</em></p>
+      `,
+      text: [
+        `Hoi ${fromName} en ${toName},`,
+        '',
+        intro,
+        comment ? `Toelichting: ${comment}` : null
+      ].filter((line) => line !== null).join('\n')
+    })
+    debugLog('Swap email sent', { id: swap.id, kind })
+  } catch (error) {
+    console.error('Error sending swap email:', error)
+    logSystemError(error, { action: 'notify-swap', status: 500, metadata: { id: swap?.id, kind } })
+  }
+}
+
+// =================================
+// SCHOONMAAK CHECKLISTS
+// =================================
+
+// Elke schoonmaak krijgt een eigen checklist op basis van de gekozen taken
+// (`schoonmaakOptions` bevat de namen). De checklist staat los van het
+// evenement, zodat bewerken van de schoonmaak de afgevinkte taken niet wist.
+
+const SCHOONMAAK_PHOTO_TYPES = new Set(['image/jpeg', 'image/png'])
+
+function normalizeTaskName(name) {
+  return String(name || '').trim().toLowerCase()
+}
+
+/**
+ * Validate a task template from a request body
+ * @param {Object} input - { name, description, active }
+ * @param {string|null} [currentId] - ID of the template being edited
+ * @returns {{ task?: Object, error?: string }} Normalized task or error
+ */
+function normalizeSchoonmaakTaskInput(input = {}, currentId = null) {
+  const name = safeTrimmedString(input.name, 60)
+  if (!name) return { error: 'Geef de taak een naam' }
+  const duplicate = schoonmaakTasks.some((task) => task.id !== currentId && normalizeTaskName(task.name) === normalizeTaskName(name))
+  if (duplicate) return { error: `Er bestaat al een taak "${name}"` }
+
+  return {
+    task: {
+      name,
+      description: safeTrimmedString(input.description, 500),
+      active: input.active === undefined ? true : Boolean(input.active)
+    }
+  }
+}
+
+/**
+ * Bring a stored checklist in line with the tasks chosen on the event.
+ * Ticks are kept per task name; descriptions follow the templates.
+ * @param {Object} ev - Schoonmaak event
+ * @param {Array<Object>} [storedItems] - Items saved earlier
+ * @returns {Array<Object>} Checklist items in event order
+ */
+function reconcileChecklistItems(ev, storedItems = []) {
+  const names = Array.isArray(ev.schoonmaakOptions) ? ev.schoonmaakOptions.filter(Boolean) : []
+  return names.map((name) => {
+    const template = schoonmaakTasks.find((task) => normalizeTaskName(task.name) === normalizeTaskName(name))
+    const stored = storedItems.find((item) => normalizeTaskName(item.name) === normalizeTaskName(name))
+    return {
+      id: stored?.id || randomUUID(),
+      taskId: template?.id || null,
+      name: template?.name || name,
+      description: template?.description || '',
+      done: Boolean(stored?.done),
+      doneBy: stored?.doneBy ?? null,
+      doneAt: stored?.doneAt ?? null,
+      photoId: stored?.photoId ?? null
+    }
+  })
+}
+
+async function getEventChecklist(ev) {
+  const db = await getDb()
+  const stored = await db.collection('schoonmaakChecklists').findOne({ eventId: ev.id }, { projection: { _id: 0 } })
+  const items = reconcileChecklistItems(ev, stored?.items)
+  if (!stored || JSON.stringify(stored.items) !== JSON.stringify(items)) {
+    await db.collection('schoonmaakChecklists').updateOne(
+      { eventId: ev.id },
+      { $set: { eventId: ev.id, items, updatedAt: new Date().toISOString() } },
+      { upsert: true }
+    )
+  }
+  return items
+}
+
+function mapChecklistForClient(ev, items) {
+  const done = items.filter((item) => item.done).length
+  return {
+    eventId: ev.id,
+    items: items.map((item) => ({ ...item, doneByName: item.doneBy ? getMemberName(item.doneBy) : null })),
+    done,
+    total: items.length,
+    complete: done === items.length
+  }
+}
+
+// Assigned schoonmakers and schoonmaak managers may tick tasks
+function canEditChecklist(ev, userId) {
+  return sanitizeIdArray(ev.schoonmakerIds).includes(userId) || userHasPermission(userId, 'schoonmaak.manage')
+}
+
+/**
+ * Validate an optional photo sent as base64
+ * @param {Object} photo - { content, type, name }
+ * @returns {{ buffer?: Buffer, type?: string, error?: string }} Decoded photo or error
+ */
+function decodeChecklistPhoto(photo) {
+  const content = String(photo?.content || '').replace(/^data:[^;]+;base64,/, '').replace(/\s+/g, '')
+  if (!content || !/^[A-Za-z0-9+/]+={0,2}$/.test(content)) {
+    return { error: 'Foto bevat geen geldige gegevens' }
+  }
+  const buffer = Buffer.from(content, 'base64')
+  if (!buffer.length) return { error: 'Foto is leeg' }
+  if (buffer.length > SCHOONMAAK_PHOTO_SIZE_LIMIT) {
+    return { error: `Foto is groter dan ${Math.round(SCHOONMAAK_PHOTO_SIZE_LIMIT / 1024 / 1024)} MB` }
+  }
+  const type = detectAttachmentTypeFromBuffer(buffer)
+  if (!SCHOONMAAK_PHOTO_TYPES.has(type)) return { error: 'Alleen JPG- en PNG-foto\'s zijn toegestaan' }
+  return { buffer, type }
+}
+
+function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function sanitizeIban(iban = '') {
+  return safeTrimmedString(iban, 64).replace(/\s+/g, '').toUpperCase()
+}
+
+function formatIban(iban = '') {
+  const sanitized = sanitizeIban(iban)
+  return sanitized.replace(/(.{4})/g, '$1 ').trim()
+}
+
+function maskIban(iban = '') {
+  const sanitized = sanitizeIban(iban)
+  if (sanitized.length <= 8) {
+    return sanitized.replace(/.(?=.{4})/g, '*')
+  }
+  const head = sanitized.slice(0, 4)
+  const tail = sanitized.slice(-4)
+  return `${head}${'*'.repeat(Math.max(sanitized.length - 8, 4))}${tail}`
+}
+
+function formatCurrency(amount) {
+  const value = Number(amount)
+  if (!Number.isFinite(value)) {
+    return '€ 0,00'
+  }
+
+  try {
+    return new Intl.NumberFormat('nl-NL', {
+      style: 'currency',
+      currency: 'EUR'
+    }).format(value)
+  } catch {
+    return `€ ${value.toFixed(2)}`
+  }
+}
+
+function formatDateDisplay(value) {
+  if (!value) {
+    return 'Onbekend'
+  }
+
+  const parsed = new Date(value)
+  if (Number.isNaN(parsed.getTime())) {
+    return 'Onbekend'
+  }
+
+  try {
+    return new Intl.DateTimeFormat('nl-NL', {
+      day: '2-digit',
+      month: 'long',
+      year: 'numeric'
+    }).format(parsed)
+  } catch {
+    return parsed.toISOString().split('T')[0]
+  }
+}
+
+function sanitizeFileName(value = '') {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .replace(/-{2,}/g, '-')
+    .slice(0, 60) || 'stamjer'
+}
+
+function safeTrimmedString(value, maxLength = 5000) {
+  if (value === null || value === undefined) {
+    return ''
+  }
+
+  const raw = typeof value === 'string' ? value : String(value)
+  return raw.trim().slice(0, maxLength)
+}
+
+const PAYMENT_ATTACHMENT_TYPES = new Set(['image/jpeg', 'image/png', 'application/pdf'])
+
+function detectAttachmentTypeFromBuffer(buffer) {
+  if (!buffer || buffer.length < 4) {
+    return ''
+  }
+
+  const isPdf =
+    buffer.length >= 5 &&
+    buffer[0] === 0x25 &&
+    buffer[1] === 0x50 &&
+    buffer[2] === 0x44 &&
+    buffer[3] === 0x46 &&
+    buffer[4] === 0x2d
+
+  if (isPdf) {
+    return 'application/pdf'
+  }
+
+  const isPng =
+    buffer.length >= 8 &&
+    buffer[0] === 0x89 &&
+    buffer[1] === 0x50 &&
+    buffer[2] === 0x4e &&
+    buffer[3] === 0x47 &&
+    buffer[4] === 0x0d &&
+    buffer[5] === 0x0a &&
+    buffer[6] === 0x1a &&
+    buffer[7] === 0x0a
+
+  if (isPng) {
+    return 'image/png'
+  }
+
+  const isJpg =
+    buffer.length >= 3 &&
+    buffer[0] === 0xff &&
+    buffer[1] === 0xd8 &&
+    buffer[2] === 0xff
+
+  if (isJpg) {
+    return 'image/jpeg'
+  }
+
+  return ''
+}
+
+function resolveAttachmentType(declaredType, fileName, buffer) {
+  const normalizedDeclaredType = safeTrimmedString(declaredType, 120).toLowerCase()
+  if (normalizedDeclaredType === 'image/jpg') {
+    return 'image/jpeg'
+  }
+  if (PAYMENT_ATTACHMENT_TYPES.has(normalizedDeclaredType)) {
+    return normalizedDeclaredType
+  }
+
+  const detectedType = detectAttachmentTypeFromBuffer(buffer)
+  if (PAYMENT_ATTACHMENT_TYPES.has(detectedType)) {
+    return detectedType
+  }
+
+  const extension = safeTrimmedString(fileName, 120).toLowerCase().split('.').pop() || ''
+  if (extension === 'jpg' || extension === 'jpeg') {
+    return 'image/jpeg'
+  }
+  if (extension === 'png') {
+    return 'image/png'
+  }
+  if (extension === 'pdf') {
+    return 'application/pdf'
+  }
+
+  return ''
+}
+
+function buildReplyTo(name, email) {
+  const safeEmail = safeTrimmedString(email, 254).toLowerCase()
+  if (!safeEmail || !validator.isEmail(safeEmail)) {
+    return undefined
+  }
+
+  const safeName = safeTrimmedString(name, 120).replace(/[\r\n]+/g, ' ')
+  return safeName ? `${safeName} <${safeEmail}>` : safeEmail
+}
+
+async function buildPaymentRequestPdf(request, attachments = []) {
+  const pdfDoc = await PDFDocument.create()
+  pdfDoc.setCreator('Stamjer Declaratiesysteem')
+  pdfDoc.setProducer('Stamjer Declaratiesysteem')
+  if (request?.expenseTitle) {
+    pdfDoc.setTitle(`Declaratie - ${request.expenseTitle}`)
+    pdfDoc.setSubject(request.expenseTitle)
+  }
+
+  const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica)
+  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold)
+  const pageSize = [595.28, 841.89] // A4 portrait in points
+  const headingColor = rgb(0.12, 0.23, 0.45)
+  const textColor = rgb(0.16, 0.18, 0.22)
+  const leftMargin = 48
+  const rightMargin = 48
+  const topMargin = 72
+  const bottomMargin = 72
+  const lineHeight = 18
+  const labelWidth = 130
+  const submittedAt = request?.submittedAt ? new Date(request.submittedAt) : new Date()
+
+  let page = pdfDoc.addPage(pageSize)
+  let { width, height } = page.getSize()
+  let cursorY = height - topMargin
+  const maxLineWidth = width - leftMargin - rightMargin
+
+  const ensureSpace = (lines = 1) => {
+    if (cursorY - lineHeight * lines < bottomMargin) {
+      page = pdfDoc.addPage(pageSize)
+      ;({ width, height } = page.getSize())
+      cursorY = height - topMargin
+    }
+  }
+
+  const wrapText = (text = '', font = fontRegular, size = 11, maxWidth = maxLineWidth) => {
+    const value = String(text || '').trim()
+    if (!value) {
+      return ['-']
+    }
+
+    const words = value.split(/\s+/).filter(Boolean)
+    const lines = []
+    let currentLine = ''
+
+    const flushLine = () => {
+      if (currentLine) {
+        lines.push(currentLine)
+        currentLine = ''
+      }
+    }
+
+    const appendLongWord = (word) => {
+      let buffer = ''
+      for (const char of word) {
+        const candidate = buffer + char
         if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
           buffer = candidate
         } else {
@@ -3008,817 +4909,3015 @@ async function buildPaymentRequestPdf(request, attachments = []) {
           buffer = char
         }
       }
-      if (buffer) {
-        lines.push(buffer)
+      if (buffer) {
+        lines.push(buffer)
+      }
+    }
+
+    for (const word of words) {
+      const candidate = currentLine ? `${currentLine} ${word}` : word
+      if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+        currentLine = candidate
+      } else {
+        flushLine()
+        if (font.widthOfTextAtSize(word, size) > maxWidth) {
+          appendLongWord(word)
+        } else {
+          currentLine = word
+        }
+      }
+    }
+
+    flushLine()
+    return lines.length > 0 ? lines : ['-']
+  }
+
+  const drawHeading = (text, size = 14) => {
+    ensureSpace(2)
+    page.drawText(text, {
+      x: leftMargin,
+      y: cursorY,
+      size,
+      font: fontBold,
+      color: headingColor
+    })
+    cursorY -= size >= 16 ? 28 : 24
+  }
+
+  const drawRow = (label, value) => {
+    const lines = wrapText(value, fontRegular, 11, maxLineWidth - labelWidth)
+    ensureSpace(lines.length)
+
+    page.drawText(label, {
+      x: leftMargin,
+      y: cursorY,
+      size: 11,
+      font: fontBold,
+      color: headingColor
+    })
+
+    lines.forEach((line, index) => {
+      page.drawText(line, {
+        x: leftMargin + labelWidth,
+        y: cursorY - index * lineHeight,
+        size: 11,
+        font: fontRegular,
+        color: textColor
+      })
+    })
+
+    cursorY -= lineHeight * lines.length
+    cursorY -= 4
+  }
+
+  const drawParagraph = (text) => {
+    const lines = wrapText(text, fontRegular, 11)
+    ensureSpace(lines.length)
+
+    lines.forEach((line, index) => {
+      page.drawText(line, {
+        x: leftMargin,
+        y: cursorY - index * lineHeight,
+        size: 11,
+        font: fontRegular,
+        color: textColor
+      })
+    })
+
+    cursorY -= lineHeight * lines.length
+    cursorY -= 8
+  }
+
+  page.drawText('Declaratieaanvraag', {
+    x: leftMargin,
+    y: cursorY,
+    size: 22,
+    font: fontBold,
+    color: headingColor
+  })
+  cursorY -= 26
+
+  const submittedText = new Intl.DateTimeFormat('nl-NL', {
+    dateStyle: 'long',
+    timeStyle: 'short'
+  }).format(submittedAt)
+
+  page.drawText(`Ingediend op ${submittedText}`, {
+    x: leftMargin,
+    y: cursorY,
+    size: 11,
+    font: fontRegular,
+    color: textColor
+  })
+  cursorY -= 24
+
+  drawHeading('Samenvatting', 16)
+
+  const summaryRows = [
+    ['Naam', request.requesterName || 'Onbekend'],
+    ['E-mailadres', request.requesterEmail || '-'],
+    ['Betaald aan', request.paidTo || '-'],
+    ['Datum uitgave', formatDateDisplay(request.expenseDate)],
+    ['Onderwerp', request.expenseTitle || '-'],
+    ['Bedrag', formatCurrency(request.amount)],
+    ['Betaalmethode', request.paymentMethod === 'paymentLink' ? 'Betaallink' : 'IBAN (bankoverschrijving)']
+  ]
+
+  if (request.paymentMethod === 'iban' && request.iban) {
+    summaryRows.push(['IBAN', formatIban(request.iban)])
+  }
+
+  if (request.paymentMethod === 'paymentLink' && request.paymentLink) {
+    summaryRows.push(['Betaallink', request.paymentLink])
+  }
+
+  summaryRows.forEach(([label, value]) => drawRow(label, value))
+
+  drawHeading('Beschrijving')
+  drawParagraph(request.description || 'Geen aanvullende omschrijving opgegeven.')
+
+  if (request.notes) {
+    drawHeading('Opmerking voor admins')
+    drawParagraph(request.notes)
+  }
+
+  drawHeading('Bijlagen')
+  if (!attachments.length) {
+    drawParagraph('Geen bijlagen toegevoegd.')
+  } else {
+    drawParagraph('De originele bestanden vind je op de vervolgpagina’s van dit document.')
+    attachments.forEach((attachment, index) => {
+      ensureSpace(1)
+      page.drawText(`${index + 1}. ${attachment.name} (${attachment.type})`, {
+        x: leftMargin,
+        y: cursorY,
+        size: 11,
+        font: fontRegular,
+        color: textColor
+      })
+      cursorY -= lineHeight
+    })
+    cursorY -= 8
+  }
+
+  for (let i = 0; i < attachments.length; i++) {
+    const attachment = attachments[i]
+
+    if (attachment.type === 'application/pdf') {
+      try {
+        const externalPdf = await PDFDocument.load(attachment.buffer)
+        const copiedPages = await pdfDoc.copyPages(externalPdf, externalPdf.getPageIndices())
+        copiedPages.forEach((copiedPage) => pdfDoc.addPage(copiedPage))
+      } catch {
+        const attachmentPage = pdfDoc.addPage(pageSize)
+        attachmentPage.drawText(`Bijlage ${i + 1}: ${attachment.name}`, {
+          x: leftMargin,
+          y: attachmentPage.getHeight() - topMargin,
+          size: 14,
+          font: fontBold,
+          color: headingColor
+        })
+        attachmentPage.drawText('Deze PDF-bijlage kon niet worden toegevoegd.', {
+          x: leftMargin,
+          y: attachmentPage.getHeight() - topMargin - 24,
+          size: 11,
+          font: fontRegular,
+          color: textColor
+        })
+      }
+      continue
+    }
+
+    const attachmentPage = pdfDoc.addPage(pageSize)
+    const { width: pageWidth, height: pageHeight } = attachmentPage.getSize()
+
+    let embeddedImage
+    try {
+      if (attachment.type === 'image/png') {
+        embeddedImage = await pdfDoc.embedPng(attachment.buffer)
+      } else {
+        embeddedImage = await pdfDoc.embedJpg(attachment.buffer)
+      }
+    } catch {
+      attachmentPage.drawText(`Bijlage ${i + 1}: ${attachment.name}`, {
+        x: leftMargin,
+        y: pageHeight - topMargin,
+        size: 14,
+        font: fontBold,
+        color: headingColor
+      })
+      attachmentPage.drawText('Deze afbeelding kon niet als preview in de PDF worden opgenomen.', {
+        x: leftMargin,
+        y: pageHeight - topMargin - 24,
+        size: 11,
+        font: fontRegular,
+        color: textColor
+      })
+      continue
+    }
+
+    const maxImageWidth = pageWidth - 2 * leftMargin
+    const maxImageHeight = pageHeight - 2 * topMargin - 40
+    const scale = Math.min(
+      maxImageWidth / embeddedImage.width,
+      maxImageHeight / embeddedImage.height,
+      1
+    )
+    const imageWidth = embeddedImage.width * scale
+    const imageHeight = embeddedImage.height * scale
+
+    attachmentPage.drawText(`Bijlage ${i + 1}: ${attachment.name}`, {
+      x: leftMargin,
+      y: pageHeight - topMargin + 10,
+      size: 14,
+      font: fontBold,
+      color: headingColor
+    })
+
+    attachmentPage.drawImage(embeddedImage, {
+      x: (pageWidth - imageWidth) / 2,
+      y: (pageHeight - imageHeight) / 2 - 20,
+      width: imageWidth,
+      height: imageHeight
+    })
+  }
+
+  const pdfBytes = await pdfDoc.save()
+  return Buffer.from(pdfBytes)
+}
+
+// =================================
+// DECLARATIES (PAYMENT REQUESTS)
+// =================================
+
+const PAYMENT_REQUEST_STATUSES = ['submitted', 'approved', 'rejected', 'paid']
+const PAYMENT_REQUEST_STATUS_LABELS = {
+  submitted: 'Ingediend',
+  approved: 'Goedgekeurd',
+  rejected: 'Afgewezen',
+  paid: 'Uitbetaald'
+}
+// Toegestane statusovergangen voor de penningmeester
+const PAYMENT_REQUEST_TRANSITIONS = {
+  submitted: ['approved', 'rejected'],
+  approved: ['paid', 'rejected'],
+  rejected: ['submitted'],
+  paid: []
+}
+
+function canTransitionPaymentRequest(from, to) {
+  return (PAYMENT_REQUEST_TRANSITIONS[from] || []).includes(to)
+}
+
+/**
+ * Strip internal fields; the full IBAN is only returned to reviewers
+ */
+function mapPaymentRequestForClient(request, { includeIban = false } = {}) {
+  if (!request) return null
+  const mapped = { ...request }
+  delete mapped._id
+  mapped.ibanMasked = request.iban ? maskIban(request.iban) : null
+  if (!includeIban) {
+    delete mapped.iban
+  }
+  return mapped
+}
+
+async function insertPaymentRequest(record) {
+  const db = await getDb()
+  await db.collection('paymentRequests').insertOne({ ...record })
+  return record
+}
+
+async function findPaymentRequestById(id) {
+  if (typeof id !== 'string' || !id) return null
+  const db = await getDb()
+  return db.collection('paymentRequests').findOne({ id })
+}
+
+async function listPaymentRequests(filter = {}, { limit = 200 } = {}) {
+  const db = await getDb()
+  return db.collection('paymentRequests')
+    .find(filter)
+    .sort({ submittedAt: -1 })
+    .limit(limit)
+    .toArray()
+}
+
+/**
+ * Move a payment request to a new status. The old status is part of the
+ * filter so concurrent changes never overwrite each other.
+ * @returns {Promise<Object|null>} Updated request or null when it changed meanwhile
+ */
+async function updatePaymentRequestStatusRecord(existing, status, { by = null, comment = '', extra = {} } = {}) {
+  const nowIso = new Date().toISOString()
+  const update = {
+    ...extra,
+    status,
+    reviewerComment: comment,
+    reviewedBy: by,
+    updatedAt: nowIso
+  }
+  if (status === 'approved') update.approvedAt = nowIso
+  if (status === 'rejected') update.rejectedAt = nowIso
+  if (status === 'paid') update.paidAt = nowIso
+
+  const db = await getDb()
+  const result = await db.collection('paymentRequests').findOneAndUpdate(
+    { id: existing.id, status: existing.status },
+    {
+      $set: update,
+      $push: { statusHistory: { status, at: nowIso, by, comment } }
+    },
+    { returnDocument: 'after', includeResultMetadata: true }
+  )
+  return result.value
+}
+
+async function sendPaymentRequestStatusEmail(request, { comment = '' } = {}) {
+  try {
+    if (!request?.requesterEmail) return
+
+    const mailer = await ensureMailerTransport()
+    if (!mailer) {
+      warnLog('Declaratie statusmail overgeslagen: transporter niet beschikbaar')
+      return
+    }
+
+    const statusLabel = PAYMENT_REQUEST_STATUS_LABELS[request.status] || request.status
+    const formattedAmount = formatCurrency(request.amount)
+    const intro = {
+      submitted: 'Je declaratie staat weer open en wordt opnieuw beoordeeld.',
+      approved: 'Je declaratie is goedgekeurd. De penningmeester betaalt het bedrag zo snel mogelijk uit.',
+      rejected: 'Je declaratie is helaas afgewezen.',
+      paid: 'Je declaratie is uitbetaald.'
+    }[request.status] || 'De status van je declaratie is gewijzigd.'
+    const commentHtml = comment
+      ? `<h3>Toelichting van de penningmeester</h3><p>${escapeHtml(comment).replace(/\r?\n/g, '<br />')}</p>`
+      : ''
+
+    await mailer.sendMail({
+      from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
+      to: request.requesterEmail,
+      replyTo: PAYMENT_REQUEST_EMAIL,
+      subject: `Declaratie ${statusLabel.toLowerCase()}: ${request.expenseTitle} - ${formattedAmount}`,
+      html: `
+        <h2>Declaratie ${escapeHtml(statusLabel.toLowerCase())}</h2>
+        <p>Hoi ${escapeHtml(request.requesterName)},</p>
+        <p>${escapeHtml(intro)}</p>
+        <table style="border-collapse: collapse; width: 100%; max-width: 520px;">
+          <tbody>
+            <tr>
+              <td style="padding: 8px; border: 1px solid #e2e8f0; font-weight: 600;">Onderwerp</td>
+              <td style="padding: 8px; border: 1px solid #e2e8f0;">${escapeHtml(request.expenseTitle)}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px; border: 1px solid #e2e8f0; font-weight: 600;">Bedrag</td>
+              <td style="padding: 8px; border: 1px solid #e2e8f0;">${escapeHtml(formattedAmount)}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px; border: 1px solid #e2e8f0; font-weight: 600;">Ingediend op</td>
+              <td style="padding: 8px; border: 1px solid #e2e8f0;">${escapeHtml(formatDateDisplay(request.submittedAt))}</td>
+            </tr>
+            <tr>
+              <td style="padding: 8px; border: 1px solid #e2e8f0; font-weight: 600;">Status</td>
+              <td style="padding: 8px; border: 1px solid #e2e8f0;">${escapeHtml(statusLabel)}</td>
+            </tr>
+          </tbody>
+        </table>
+        ${commentHtml}
+        <p>Je kunt de status van al je declaraties terugvinden onder "Mijn declaraties".</p>
+        <p><em>Deze e-mail is automatisch gegenereerd door het Stamjer systeem.</em></p>
+      `,
+      text: [
+        `Hoi ${request.requesterName},`,
+        '',
+        intro,
+        '',
+        `Onderwerp: ${request.expenseTitle}`,
+        `Bedrag: ${formattedAmount}`,
+        `Status: ${statusLabel}`,
+        comment ? `Toelichting: ${comment}` : null
+      ].filter((line) => line !== null).join('\n')
+    })
+    debugLog('Payment request status email sent', { id: request.id, status: request.status })
+  } catch (error) {
+    console.error('Error sending payment request status email:', error)
+    logSystemError(error, { action: 'notify-payment-request-status', status: 500, metadata: { id: request?.id, status: request?.status } })
+  }
+}
+
+function isSepaExportConfigured() {
+  return Boolean(SEPA_DEBTOR_IBAN) && validator.isIBAN(SEPA_DEBTOR_IBAN)
+}
+
+function getDefaultSepaExecutionDate() {
+  const date = new Date()
+  date.setUTCDate(date.getUTCDate() + SEPA_EXECUTION_OFFSET_DAYS)
+  return formatDateKeyInTimezone(date)
+}
+
+function mapPaymentBatchForClient(batch) {
+  if (!batch) return null
+  const mapped = { ...batch }
+  delete mapped._id
+  delete mapped.xml
+  return mapped
+}
+
+function buildSepaFileName(batch) {
+  return `SEPA-${sanitizeFileName(batch.messageId)}.xml`
+}
+
+function buildSepaEndToEndId(requestId) {
+  return toSepaId('DECL', String(requestId).replace(/-/g, ''))
+}
+
+/**
+ * Match one bank statement transaction against open (approved) IBAN declaraties.
+ * The end-to-end ID from our own SEPA export wins; otherwise amount + IBAN
+ * must point to exactly one declaratie.
+ * @returns {{ state: string, requestId?: string, matchedBy?: string, candidateIds?: string[], reason?: string }}
+ */
+function matchStatementTransaction(transaction, openRequests) {
+  if (transaction.direction !== 'DBIT') {
+    return { state: 'ignored', reason: 'Geen uitgaande betaling' }
+  }
+
+  const sameAmount = openRequests.filter((item) => Math.round(Number(item.amount) * 100) === transaction.amountCents)
+
+  if (transaction.endToEndId) {
+    const byReference = openRequests.find((item) => buildSepaEndToEndId(item.id) === transaction.endToEndId)
+    if (byReference) {
+      if (sameAmount.includes(byReference)) {
+        return { state: 'matched', requestId: byReference.id, matchedBy: 'endToEndId' }
+      }
+      return { state: 'unmatched', candidateIds: [byReference.id], reason: 'Kenmerk gevonden, maar het bedrag wijkt af' }
+    }
+  }
+
+  const byAccount = transaction.iban
+    ? sameAmount.filter((item) => item.iban === transaction.iban)
+    : []
+  if (byAccount.length === 1) {
+    return { state: 'matched', requestId: byAccount[0].id, matchedBy: 'amountIban' }
+  }
+
+  return {
+    state: 'unmatched',
+    candidateIds: (byAccount.length > 1 ? byAccount : sameAmount).map((item) => item.id),
+    reason: byAccount.length > 1 ? 'Meerdere declaraties met hetzelfde bedrag en IBAN' : 'Geen passende declaratie gevonden'
+  }
+}
+
+async function markPaymentRequestPaidFromStatement(request, { statementId, transaction, by, matchedBy }) {
+  const updated = await updatePaymentRequestStatusRecord(request, 'paid', {
+    by,
+    comment: `Afgeletterd via bankafschrift (${transaction.bookingDate || 'onbekende datum'})`,
+    extra: {
+      reconciliation: {
+        statementId,
+        reference: transaction.reference,
+        endToEndId: transaction.endToEndId || null,
+        bookingDate: transaction.bookingDate || null,
+        matchedBy
+      }
+    }
+  })
+  if (updated) {
+    await sendPaymentRequestStatusEmail(updated)
+  }
+  return updated
+}
+
+function mapBankStatementForClient(statement) {
+  if (!statement) return null
+  const mapped = { ...statement }
+  delete mapped._id
+  mapped.transactions = (statement.transactions || []).map((transaction) => ({
+    ...transaction,
+    amount: transaction.amountCents / 100
+  }))
+  mapped.summary = ['matched', 'unmatched', 'ignored'].reduce((acc, state) => {
+    acc[state] = mapped.transactions.filter((transaction) => transaction.state === state).length
+    return acc
+  }, {})
+  return mapped
+}
+
+// Cold start
+await loadUsers()
+await loadSessions()
+await loadEvents()
+await loadPenaltyRules()
+await loadSecuritySettings()
+await loadSeasons()
+await loadAbsenceExcuses()
+await loadUnavailability()
+await loadSchoonmaakTasks()
+await loadStreepjesLedger()
+await backfillStreepjesLedger()
+await backfillEventTimestamps()
+await archiveEndedSeasons()
+await loadPushSubscriptions()
+await loadNotifications()
+await processScheduledNotifications()
+await processUserScheduledNotifications()
+await ensureMailerTransport()
+configureDailyReport({
+  sendEmail: async ({ subject, text, html }) => {
+    const mailer = await ensureMailerTransport()
+    if (!mailer) {
+      warnLog('Daily report overgeslagen: transporter niet beschikbaar')
+      return
+    }
+    try {
+      await mailer.sendMail({
+        from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
+        to: DAILY_LOG_EMAIL,
+        subject,
+        text,
+        html
+      })
+    } catch (error) {
+      console.error('Dagrapport versturen mislukt:', error)
+      logSystemError(error, { action: 'daily-report-email', status: 500 })
+    }
+  }
+})
+await cleanupExpiredResetCodes() // Clean up old reset codes on startup
+await cleanupExpiredSessions() // Clean up old sessions on startup
+await cleanupOldSnapshots() // Remove stale daily snapshots on startup
+scheduleDailySnapshot() // Initialize daily database snapshot and comparison system
+startScheduledNotificationWorker()
+
+// One-time cleanup: Remove old changeLog collection if it exists
+try {
+  const db = await getDb()
+  const collections = await db.listCollections({ name: 'changeLog' }).toArray()
+  if (collections.length > 0) {
+    await db.collection('changeLog').drop()
+    infoLog('Removed old changeLog collection as it is no longer needed')
+  }
+} catch (error) {
+  // Ignore errors if collection doesn't exist
+  if (error.codeName !== 'NamespaceNotFound') {
+    warnLog('Failed to remove old changeLog collection:', error.message)
+  }
+}
+
+// Create initial snapshot if it doesn't exist for today
+try {
+  const today = new Date().toISOString().split('T')[0]
+  const existingSnapshot = await getDailySnapshot(today)
+  if (!existingSnapshot) {
+    const initialSnapshot = await createDatabaseSnapshot()
+    if (initialSnapshot) {
+      await saveDailySnapshot(today, initialSnapshot)
+      infoLog('Created initial database snapshot for today')
+    }
+  }
+} catch (error) {
+  warnLog('Failed to create initial snapshot:', error.message)
+}
+
+logEvent({ action: 'server-start', metadata: { environment: process.env.NODE_ENV || 'development' } })
+
+// Express-app
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const app = express()
+
+function parseOrigins(value = '') {
+  return value
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean)
+}
+
+const defaultProductionOrigins = ['https://stamjer.nl', 'https://www.stamjer.nl']
+const envConfiguredOrigins = Array.from(new Set([
+  ...parseOrigins(process.env.CLIENT_ORIGIN || ''),
+  ...parseOrigins(process.env.ADDITIONAL_CORS_ORIGINS || '')
+]))
+const fallbackOrigins = ['http://localhost:5173', 'http://localhost:4173']
+
+defaultProductionOrigins.forEach((origin) => {
+  if (!fallbackOrigins.includes(origin)) {
+    fallbackOrigins.push(origin)
+  }
+})
+
+const configuredOrigins = envConfiguredOrigins.length > 0
+  ? Array.from(new Set([...envConfiguredOrigins, ...defaultProductionOrigins]))
+  : []
+
+// Add Vercel URLs to fallback origins
+if (process.env.VERCEL_URL) {
+  fallbackOrigins.push(`https://${process.env.VERCEL_URL}`)
+}
+// Also add common Vercel domain patterns
+if (process.env.VERCEL) {
+  // If we're running on Vercel, allow all .vercel.app domains
+  fallbackOrigins.push('https://stamjer.vercel.app')
+  fallbackOrigins.push('https://stamjer-git-main-stamjer.vercel.app')
+  // Add any other deployment URLs that might be used
+}
+
+const corsAllowedOrigins = configuredOrigins.length > 0 ? configuredOrigins : fallbackOrigins
+const allowAllLocalOrigins = !isProduction && configuredOrigins.length === 0
+
+const corsOptions = {
+  origin(origin, callback) {
+    // Always allow requests without origin (e.g., mobile apps, Postman)
+    if (!origin) {
+      return callback(null, true)
+    }
+    
+    // Allow configured origins
+    if (corsAllowedOrigins.includes(origin)) {
+      return callback(null, true)
+    }
+    
+    // Allow all local origins in development
+    if (allowAllLocalOrigins) {
+      return callback(null, true)
+    }
+    
+    // For Vercel deployments, be more flexible with .vercel.app domains
+    if (process.env.VERCEL && origin.includes('.vercel.app')) {
+      return callback(null, true)
+    }
+    
+    debugLog('Blocked request from origin', origin)
+    return callback(new Error('Not allowed by CORS'))
+  },
+  credentials: true,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Token'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
+}
+
+app.use((req, res, next) => {
+  cors(corsOptions)(req, res, (err) => {
+    if (err) {
+      warnLog(`Blocked CORS request from ${req.headers.origin || 'unknown origin'}`)
+      return res.status(403).json({ msg: 'Origin not allowed' })
+    }
+    return next()
+  })
+})
+
+app.use(express.json({ limit: '25mb' }))
+app.use(createRequestLogger())
+
+// Request logging (no sensitive payloads)
+app.use((req, res, next) => {
+  infoLog(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`)
+  return next()
+})
+
+// API-router
+const apiRouter = express.Router()
+
+// Eenvoudige test
+apiRouter.get('/test', (req, res) => {
+  res.json({ msg: 'API is in orde' })
+})
+
+// Gebruikers ophalen: namen voor keuzelijsten; e-mail en rol alleen voor members.manage (na 2FA als dat verplicht is)
+apiRouter.get('/users', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    await loadUsers()
+    if (users.length === 0) await loadUsers()
+    const canManageMembers = userHasPermission(auth.userId, 'members.manage') &&
+      (!isTwoFactorRequired(auth.user) || Boolean(auth.session?.twoFactorVerifiedAt))
+    const safeUsers = users.map(u => ({
+      id: u.id,
+      firstName: u.firstName,
+      lastName: u.lastName,
+      ...(canManageMembers ? { email: u.email, role: u.role } : {}),
+      active: Boolean(u.active),
+      status: u.status || 'active'
+    }))
+    res.json(safeUsers)
+  } catch (err) {
+    console.error('Fout bij ophalen gebruikers:', err)
+    logSystemError(err, { action: 'GET /api/users', status: 500 })
+    res.status(500).json({ error: 'Opvragen gebruikers mislukt', message: err.message })
+  }
+})
+
+// Ledenlijst met streepjes; beheervelden alleen voor members.manage (na 2FA als dat verplicht is)
+apiRouter.get('/users/full', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    await loadUsers()
+    if (users.length === 0) await loadUsers()
+    await loadStreepjesLedger()
+
+    const { season, error } = resolveSeasonParam(req.query?.seasonId)
+    if (error) return res.status(404).json({ error })
+
+    const canManageMembers = userHasPermission(auth.userId, 'members.manage') &&
+      (!isTwoFactorRequired(auth.user) || Boolean(auth.session?.twoFactorVerifiedAt))
+    const mapMember = canManageMembers ? mapMemberForAdmin : mapMemberForList
+    const streepjes = calculateStreepjes({ season })
+    res.json({
+      season: mapSeasonForClient(season),
+      users: users.map(u => ({
+        ...mapMember(u),
+        streepjes: streepjes[u.id] || 0
+      }))
+    })
+  } catch (err) {
+    console.error('Fout bij ophalen volledige gebruikerslijst:', err)
+    logSystemError(err, { action: 'GET /api/users/full', status: 500 })
+    res.status(500).json({ error: 'Opvragen volledige gebruikerslijst mislukt', message: err.message })
+  }
+})
+
+// Helper function to send active status change notification email
+async function sendActiveStatusChangeEmail(user, newActiveStatus) {
+  try {
+    const statusText = newActiveStatus ? 'actief' : 'inactief'
+
+    const mailer = await ensureMailerTransport()
+    if (!mailer) {
+      warnLog('Status change notification skipped: transporter niet beschikbaar')
+      return
+    }
+
+    await mailer.sendMail({
+      from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
+      to: DAILY_CHANGE_EMAIL,
+      subject: `Stamjer - Status wijziging: ${user.firstName} ${user.lastName}`,
+      html: `
+        <h2>Status wijziging</h2>
+        <p><strong>${user.firstName} ${user.lastName}</strong> heeft zijn/haar status gewijzigd.</p>
+        
+        <table style="border-collapse: collapse; width: 100%; max-width: 400px;">
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Naam:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${user.firstName} ${user.lastName}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">E-mail:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${user.email}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Nieuwe status:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${statusText}</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Datum/tijd:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${new Date().toLocaleString('nl-NL')}</td>
+          </tr>
+        </table>
+        
+        <p><em>Deze e-mail is automatisch gegenereerd door het Stamjer systeem.</em></p>
+      `
+    })
+    debugLog('Status change notification email sent', { userId: user.id, active: newActiveStatus })
+  } catch (error) {
+    console.error('Error sending status change email:', error)
+    logSystemError(error, { action: 'notify-active-status', status: 500, metadata: { userId: user?.id, active: newActiveStatus } })
+  }
+}
+
+// Profiel bijwerken
+apiRouter.put('/user/profile', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const { userId, active, notificationPreferences } = req.body
+    if (!userId) return res.status(400).json({ error: 'Gebruikers-ID is vereist' })
+    const uid = parseInt(userId, 10)
+    if (uid !== auth.userId) return res.status(403).json({ error: 'Je kunt alleen je eigen profiel bijwerken' })
+    const idx = users.findIndex(u => u.id === uid)
+    if (idx < 0) return res.status(404).json({ error: 'Gebruiker niet gevonden' })
+    
+    // Ensure we never drop preferences; default to all optional channels off
+    users[idx].notificationPreferences = normalizeNotificationPreferences(users[idx].notificationPreferences || {})
+
+    const previousActiveStatus = users[idx].active
+    
+    let attendanceSync = { updatedEvents: 0 }
+
+    if (typeof active === 'boolean') {
+      users[idx].active = active
+      
+      // Send email notification if active status changed
+      if (previousActiveStatus !== active) {
+        attendanceSync = await syncUserAttendanceForFutureOpkomsten(uid, active)
+        await sendActiveStatusChangeEmail(users[idx], active)
+      }
+    }
+
+    if (notificationPreferences && typeof notificationPreferences === 'object') {
+      users[idx].notificationPreferences = normalizeNotificationPreferences(notificationPreferences)
+    }
+    
+    await saveUser(users[idx])
+    res.json({ 
+      user: mapUserForClient(users[idx], auth.session), 
+      msg: 'Profiel succesvol bijgewerkt',
+      attendanceUpdates: attendanceSync.updatedEvents
+    })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PUT /api/user/profile', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Profiel bijwerken mislukt' })
+  }
+})
+
+// Status bijwerken (recht members.manage)
+apiRouter.patch('/users/:id/status', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    const { status } = req.body || {}
+    if (!USER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Ongeldige status. Kies uit: ${USER_STATUSES.join(', ')}` })
+    }
+
+    const targetId = sanitizeUserId(req.params.id)
+    if (targetId === null) return res.status(400).json({ error: 'Ongeldig gebruikers-ID' })
+    if (targetId === auth.userId && status === 'archived') {
+      return res.status(400).json({ error: 'Je kunt jezelf niet archiveren' })
+    }
+
+    const idx = users.findIndex(u => u.id === targetId)
+    if (idx < 0) return res.status(404).json({ error: 'Gebruiker niet gevonden' })
+
+    const previousStatus = users[idx].status || 'active'
+    if (previousStatus === status) {
+      return res.json({ user: { id: targetId, status }, msg: 'Status ongewijzigd' })
+    }
+
+    users[idx].status = status
+
+    // Sync opkomst attendance based on status change
+    if (previousStatus === 'active' && status !== 'active') {
+      await syncUserAttendanceForFutureOpkomsten(targetId, false)
+    } else if (previousStatus !== 'active' && status === 'active' && users[idx].active) {
+      await syncUserAttendanceForFutureOpkomsten(targetId, true)
+    }
+
+    // Archiving signs the member out everywhere and voids a pending invite
+    if (status === 'archived') {
+      users[idx].sessionVersion = (users[idx].sessionVersion || 0) + 1
+      await revokeUserSessions(targetId)
+      await deleteUserInvites(targetId)
+    }
+
+    await saveUser(users[idx])
+    logEvent('user-status-changed', {
+      targetUserId: targetId,
+      changedBy: auth.userId,
+      previousStatus,
+      newStatus: status
+    })
+
+    res.json({
+      user: { id: targetId, status },
+      msg: `Status bijgewerkt naar ${status}`
+    })
+  } catch (err) {
+    logSystemError(err, { action: 'PATCH /api/users/:id/status', status: 500 })
+    res.status(500).json({ error: 'Status bijwerken mislukt' })
+  }
+})
+
+// Beschikbare rollen en rechten (recht members.manage)
+apiRouter.get('/roles', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    res.json({
+      roles: ROLES,
+      permissions: Object.entries(PERMISSIONS).map(([id, label]) => ({ id, label }))
+    })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/roles', status: 500 })
+    res.status(500).json({ error: 'Rollen ophalen mislukt' })
+  }
+})
+
+function mapSecuritySettingsForClient() {
+  return {
+    requireAdminTwoFactor: securitySettings.requireAdminTwoFactor,
+    adminsWithoutTwoFactor: users
+      .filter((u) => u.status !== 'archived' && getUserPermissions(u).length > 0 && !u.twoFactor?.enabled)
+      .map((u) => ({ id: u.id, name: `${u.firstName} ${u.lastName}`.trim() }))
+  }
+}
+
+// Beveiligingsinstellingen (recht members.manage)
+apiRouter.get('/security-settings', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    await loadSecuritySettings()
+    res.json(mapSecuritySettingsForClient())
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/security-settings', status: 500 })
+    res.status(500).json({ error: 'Beveiligingsinstellingen ophalen mislukt' })
+  }
+})
+
+apiRouter.put('/security-settings', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    const requireAdminTwoFactor = req.body?.requireAdminTwoFactor
+    if (typeof requireAdminTwoFactor !== 'boolean') {
+      return res.status(400).json({ error: 'Ongeldige instelling' })
+    }
+    // Otherwise the admin would lock themselves out of this page
+    if (requireAdminTwoFactor && !auth.session?.twoFactorVerifiedAt) {
+      return res.status(400).json({ error: 'Zet eerst zelf tweestapsverificatie aan en log daarmee in' })
+    }
+
+    const db = await getDb()
+    await db.collection('settings').updateOne(
+      { key: 'security' },
+      { $set: { requireAdminTwoFactor, updatedAt: new Date(), updatedBy: auth.userId } },
+      { upsert: true }
+    )
+    securitySettings = { ...securitySettings, requireAdminTwoFactor }
+    logEvent({ action: 'security-settings-updated', metadata: { userId: auth.userId, requireAdminTwoFactor } })
+
+    res.json(mapSecuritySettingsForClient())
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PUT /api/security-settings', status: 500 })
+    res.status(500).json({ error: 'Beveiligingsinstellingen opslaan mislukt' })
+  }
+})
+
+// Rollen van een lid toewijzen (recht members.manage)
+apiRouter.put('/users/:id/roles', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    const targetId = sanitizeUserId(req.params.id)
+    const idx = targetId === null ? -1 : users.findIndex(u => u.id === targetId)
+    if (idx < 0) return res.status(404).json({ error: 'Gebruiker niet gevonden' })
+
+    const { roles, error } = validateRoles(req.body?.roles)
+    if (error) return res.status(400).json({ error })
+
+    const previousRoles = users[idx].roles || []
+    users[idx].roles = roles
+    await saveUser(users[idx])
+    logEvent({
+      action: 'user-roles-changed',
+      metadata: { targetUserId: targetId, changedBy: auth.userId, previousRoles, roles }
+    })
+
+    res.json({
+      user: { id: targetId, roles, roleLabels: getRoleLabels(users[idx]), permissions: getUserPermissions(users[idx]) },
+      msg: 'Rollen bijgewerkt'
+    })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PUT /api/users/:id/roles', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Rollen bijwerken mislukt' })
+  }
+})
+
+/**
+ * Validate name and email of a member
+ * @param {Object} input - { firstName, lastName, email }
+ * @param {number|null} excludeId - Member being edited, so their own email is not a duplicate
+ * @returns {{ values?: Object, error?: string }} Normalized values or error
+ */
+function validateMemberInput(input = {}, excludeId = null) {
+  const firstName = sanitizeClientString(input.firstName || '', 80).trim()
+  const lastName = sanitizeClientString(input.lastName || '', 80).trim()
+  const email = typeof input.email === 'string' ? input.email.trim().toLowerCase() : ''
+
+  if (!firstName) return { error: 'Voornaam is verplicht' }
+  if (!lastName) return { error: 'Achternaam is verplicht' }
+  if (!validator.isEmail(email)) return { error: 'Ongeldig e-mailadres' }
+  if (users.some(u => u.id !== excludeId && u.email.toLowerCase() === email)) {
+    return { error: 'Er is al een lid met dit e-mailadres' }
+  }
+  return { values: { firstName, lastName, email } }
+}
+
+// Fields every logged-in member may see of the others
+function mapMemberForList(u) {
+  return {
+    id: u.id,
+    firstName: u.firstName,
+    lastName: u.lastName,
+    email: u.email,
+    active: u.active,
+    isAdmin: u.isAdmin || false,
+    status: u.status || 'active'
+  }
+}
+
+function mapMemberForAdmin(u) {
+  return {
+    id: u.id,
+    firstName: u.firstName,
+    lastName: u.lastName,
+    email: u.email,
+    active: u.active,
+    isAdmin: u.isAdmin || false,
+    roles: u.roles || [],
+    status: u.status || 'active',
+    invitePending: !u.password,
+    twoFactorEnabled: Boolean(u.twoFactor?.enabled)
+  }
+}
+
+async function sendUserInviteEmail(user, token) {
+  const mailer = await ensureMailerTransport()
+  if (!mailer) {
+    warnLog('Uitnodiging overgeslagen: transporter niet beschikbaar')
+    return false
+  }
+
+  const link = resolveAbsoluteUrl(`/activeren?token=${encodeURIComponent(token)}`)
+  await mailer.sendMail({
+    from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
+    to: user.email,
+    subject: 'Je uitnodiging voor Stamjer',
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #222; background-color: #f9f9f9; padding: 20px; border-radius: 8px; max-width: 500px;">
+        <h2 style="color: #1e40af; text-align: center;">Welkom bij Stamjer</h2>
+        <p>Hallo ${escapeHtml(user.firstName)},</p>
+        <p>Je bent uitgenodigd voor Stamjer. Kies via onderstaande knop je eigen wachtwoord om je account te activeren:</p>
+        <p style="text-align: center;">
+          <a href="${escapeHtml(link)}" style="display: inline-block; background: #2563eb; color: #fff; padding: 10px 18px; border-radius: 6px; text-decoration: none; font-weight: bold;">Account activeren</a>
+        </p>
+        <p>De link is <strong>${USER_INVITE_MAX_AGE_DAYS} dagen</strong> geldig en werkt maar één keer. Je logt daarna in met <strong>${escapeHtml(user.email)}</strong>.</p>
+        <hr style="margin: 20px 0;">
+        <p style="font-size: 12px; color: #666; text-align: center;">
+          Dit bericht is automatisch verzonden door Stamjer. Reageren op deze e-mail is niet nodig.
+        </p>
+      </div>
+    `
+  })
+  return true
+}
+
+// New members have no password until they activate their invite
+function buildInvitedUser(id, values, { roles = [], invitedBy }) {
+  return {
+    id,
+    ...values,
+    password: '',
+    active: true,
+    status: 'active',
+    isAdmin: false,
+    roles,
+    notificationPreferences: normalizeNotificationPreferences({}),
+    sessionVersion: 0,
+    invitedAt: new Date().toISOString(),
+    invitedBy
+  }
+}
+
+function nextUserId() {
+  return users.reduce((max, u) => Math.max(max, u.id), 0) + 1
+}
+
+async function inviteUser(user, invitedBy) {
+  const token = await createUserInvite(user.id, invitedBy)
+  try {
+    return await sendUserInviteEmail(user, token)
+  } catch (error) {
+    console.error('Error sending invite email:', error)
+    logSystemError(error, { action: 'invite-user', status: 500, metadata: { userId: user.id } })
+    return false
+  }
+}
+
+// Nieuw lid uitnodigen (recht members.manage)
+apiRouter.post('/users', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    const { values, error } = validateMemberInput(req.body)
+    if (error) return res.status(400).json({ error })
+
+    const roleResult = validateRoles(req.body?.roles ?? [])
+    if (roleResult.error) return res.status(400).json({ error: roleResult.error })
+
+    const user = buildInvitedUser(nextUserId(), values, { roles: roleResult.roles, invitedBy: auth.userId })
+
+    await saveUser(user)
+    users.push(user)
+    const inviteSent = await inviteUser(user, auth.userId)
+    logEvent({
+      action: 'user-invited',
+      metadata: { targetUserId: user.id, invitedBy: auth.userId, inviteSent }
+    })
+
+    res.status(201).json({
+      user: mapMemberForAdmin(user),
+      inviteSent,
+      msg: inviteSent ? 'Uitnodiging verstuurd' : 'Lid aangemaakt, maar de uitnodiging kon niet worden verstuurd'
+    })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/users', status: 500, metadata: { email: maskEmail(req.body?.email || '') } })
+    res.status(500).json({ error: 'Lid uitnodigen mislukt' })
+  }
+})
+
+// Uitnodiging opnieuw versturen (recht members.manage)
+apiRouter.post('/users/:id/invite', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    const targetId = sanitizeUserId(req.params.id)
+    const user = targetId === null ? null : users.find(u => u.id === targetId)
+    if (!user) return res.status(404).json({ error: 'Gebruiker niet gevonden' })
+    if (user.password) return res.status(409).json({ error: 'Dit lid heeft het account al geactiveerd' })
+    if (user.status === 'archived') return res.status(409).json({ error: 'Dit lid is gearchiveerd' })
+
+    const inviteSent = await inviteUser(user, auth.userId)
+    logEvent({
+      action: 'user-invite-resent',
+      metadata: { targetUserId: targetId, invitedBy: auth.userId, inviteSent }
+    })
+    if (!inviteSent) return res.status(502).json({ error: 'Uitnodiging versturen mislukt' })
+
+    res.json({ inviteSent, msg: 'Uitnodiging opnieuw verstuurd' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/users/:id/invite', status: 500 })
+    res.status(500).json({ error: 'Uitnodiging versturen mislukt' })
+  }
+})
+
+// Naam en e-mailadres van een lid bijwerken (recht members.manage)
+apiRouter.put('/users/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    const targetId = sanitizeUserId(req.params.id)
+    const idx = targetId === null ? -1 : users.findIndex(u => u.id === targetId)
+    if (idx < 0) return res.status(404).json({ error: 'Gebruiker niet gevonden' })
+
+    const { values, error } = validateMemberInput(req.body, targetId)
+    if (error) return res.status(400).json({ error })
+
+    const previousEmail = users[idx].email
+    Object.assign(users[idx], values)
+    await saveUser(users[idx])
+    if (previousEmail.toLowerCase() !== values.email) {
+      // A pending reset code belongs to the old address
+      await deleteResetCode(previousEmail.toLowerCase())
+    }
+    logEvent({
+      action: 'user-updated',
+      metadata: { targetUserId: targetId, changedBy: auth.userId, emailChanged: previousEmail.toLowerCase() !== values.email }
+    })
+
+    res.json({ user: mapMemberForAdmin(users[idx]), msg: 'Lid bijgewerkt' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PUT /api/users/:id', status: 500 })
+    res.status(500).json({ error: 'Lid bijwerken mislukt' })
+  }
+})
+
+/**
+ * Parse an uploaded member list and compare it with the current members
+ * @param {Object} body - { csv, deactivateMissing }
+ * @param {number} actingUserId - Never deactivated by their own import
+ * @returns {{ plan?: Object, error?: string }} Import plan or error
+ */
+function buildMemberImportPlan(body = {}, actingUserId) {
+  if (typeof body.csv !== 'string' || !body.csv.trim()) {
+    return { error: 'Upload een CSV-bestand met leden' }
+  }
+
+  const { rows, errors } = parseMemberCsv(body.csv)
+  const plan = planMemberImport(rows, users, {
+    deactivateMissing: Boolean(body.deactivateMissing),
+    keepUserIds: [actingUserId]
+  })
+  plan.errors = [...errors, ...plan.errors].sort((a, b) => a.line - b.line)
+  return { plan }
+}
+
+// Ledenlijst (CSV) vergelijken zonder iets op te slaan (recht members.manage)
+apiRouter.post('/users/import/preview', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    await loadUsers()
+    const { plan, error } = buildMemberImportPlan(req.body, auth.userId)
+    if (error) return res.status(400).json({ error })
+
+    res.json(plan)
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/users/import/preview', status: 500 })
+    res.status(500).json({ error: 'Ledenlijst controleren mislukt' })
+  }
+})
+
+// Ledenlijst (CSV) in één transactie toepassen (recht members.manage)
+apiRouter.post('/users/import', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    await loadUsers()
+    const { plan, error } = buildMemberImportPlan(req.body, auth.userId)
+    if (error) return res.status(400).json({ error })
+    if (plan.errors.length > 0) {
+      return res.status(400).json({ error: 'De ledenlijst bevat fouten; los die eerst op', errors: plan.errors })
+    }
+
+    let nextId = nextUserId()
+    const created = plan.creates.map((row) =>
+      buildInvitedUser(nextId++, { firstName: row.firstName, lastName: row.lastName, email: row.email }, { invitedBy: auth.userId })
+    )
+    const deactivatedIds = plan.deactivations.map((item) => item.userId)
+
+    // All or nothing: a half-applied member list is worse than none
+    const client = await clientPromise
+    const session = client.startSession()
+    try {
+      await session.withTransaction(async () => {
+        const collection = (await getDb()).collection('users')
+        if (created.length > 0) {
+          await collection.insertMany(created.map((user) => ({ ...user })), { session })
+        }
+        for (const update of plan.updates) {
+          await collection.updateOne({ id: update.userId }, { $set: update.changes }, { session })
+        }
+        if (deactivatedIds.length > 0) {
+          await collection.updateMany({ id: { $in: deactivatedIds } }, { $set: { status: 'inactive' } }, { session })
+        }
+      })
+    } finally {
+      await session.endSession()
+    }
+
+    await loadUsers()
+
+    // Attendance follows the status, as with a manual status change
+    for (const update of plan.updates) {
+      const user = users.find((u) => u.id === update.userId)
+      if (update.changes.status === 'active' && user?.active) {
+        await syncUserAttendanceForFutureOpkomsten(update.userId, true)
+      }
+    }
+    for (const userId of deactivatedIds) {
+      await syncUserAttendanceForFutureOpkomsten(userId, false)
+    }
+
+    let invitesSent = 0
+    if (req.body.sendInvites !== false) {
+      for (const user of created) {
+        if (await inviteUser(user, auth.userId)) invitesSent++
+      }
+    }
+
+    logEvent({
+      action: 'users-imported',
+      metadata: {
+        importedBy: auth.userId,
+        created: created.length,
+        updated: plan.updates.length,
+        deactivated: deactivatedIds.length,
+        invitesSent
+      }
+    })
+
+    res.json({
+      created: created.length,
+      updated: plan.updates.length,
+      deactivated: deactivatedIds.length,
+      unchanged: plan.unchanged,
+      invitesSent,
+      msg: `${created.length} nieuw, ${plan.updates.length} bijgewerkt, ${deactivatedIds.length} op inactief gezet`
+    })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/users/import', status: 500 })
+    res.status(500).json({ error: 'Ledenlijst importeren mislukt; er is niets gewijzigd' })
+  }
+})
+
+// Ledenlijst als CSV met status en streepjes (recht members.manage)
+apiRouter.get('/users/export', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'members.manage' })
+    if (!auth) return
+
+    await loadUsers()
+    await loadStreepjesLedger()
+    const { season, error } = resolveSeasonParam(req.query?.seasonId)
+    if (error) return res.status(404).json({ error })
+
+    const streepjes = calculateStreepjes({ season })
+    const members = [...users]
+      .sort((a, b) => `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`, 'nl-NL'))
+      .map((u) => ({
+        firstName: u.firstName,
+        lastName: u.lastName,
+        email: u.email,
+        status: u.status || 'active',
+        active: u.active,
+        roles: getRoleLabels(u),
+        streepjes: streepjes[u.id] || 0
+      }))
+
+    res.json({
+      fileName: `stamjer-leden-${new Date().toISOString().slice(0, 10)}.csv`,
+      csv: buildMembersCsv(members)
+    })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/users/export', status: 500 })
+    res.status(500).json({ error: 'Ledenlijst exporteren mislukt' })
+  }
+})
+
+// Profiel ophalen (met voorkeuren)
+apiRouter.get('/user/profile', async (req, res) => {
+  const auth = await requireAuthenticatedUser(req, res)
+  if (!auth) return
+
+  const { userId } = req.query
+  const uid = sanitizeUserId(userId)
+  if (uid === null) {
+    return res.status(400).json({ error: 'Ongeldig gebruikers-ID' })
+  }
+  if (uid !== auth.userId) {
+    return res.status(403).json({ error: 'Je kunt alleen je eigen profiel bekijken' })
+  }
+
+  const user = users.find((u) => u.id === uid)
+  if (!user) {
+    return res.status(404).json({ error: 'Gebruiker niet gevonden' })
+  }
+
+  res.json({ user: mapUserForClient(user, auth.session) })
+})
+
+// Evenementen ophalen
+apiRouter.get('/events', async (req, res) => {
+  await ensureEventsFresh()
+  res.json({ events })
+})
+
+apiRouter.get('/events/opkomsten', async (req, res) => {
+  await ensureEventsFresh()
+  res.json({ events: events.filter(e => e.isOpkomst) })
+})
+
+// Evenement aanmaken (recht events.manage, of schoonmaak.manage voor schoonmaken)
+apiRouter.post('/events', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: EVENT_MANAGE_PERMISSIONS })
+    if (!auth) return
+
+    const {
+      title, start, end, allDay,
+      location, description,
+      isOpkomst, opkomstmakers, opkomstmakerIds,
+      isSchoonmaak, schoonmakers, schoonmakerIds,
+      schoonmaakOptions,
+      rsvpDeadlineHours: rsvpDeadlineInput,
+      recurrence: recurrenceInput = null,
+      participants: requestedParticipants = []
+    } = req.body
+    if (!canManageEvent(auth.userId, { isOpkomst, isSchoonmaak })) {
+      return res.status(403).json({ msg: 'Je mag alleen schoonmaken aanmaken' })
+    }
+    if (!title || !start) return res.status(400).json({ msg: 'Titel en startdatum zijn vereist' })
+
+    const { hours: rsvpDeadlineHours, error: rsvpError } = normalizeRsvpDeadlineHours(rsvpDeadlineInput)
+    if (rsvpError) return res.status(400).json({ msg: rsvpError })
+
+    let recurrenceRule = null
+    if (recurrenceInput) {
+      const { rule, error } = normalizeRecurrenceInput(recurrenceInput, start)
+      if (error) return res.status(400).json({ msg: error })
+      recurrenceRule = rule
+    }
+
+    const sanitizedParticipants = Array.isArray(requestedParticipants)
+      ? requestedParticipants
+          .map(pid => parseInt(pid, 10))
+          .filter(Number.isFinite)
+      : []
+
+    const id = createEventId()
+    const isOpkomstFlag = !!isOpkomst
+    const isSchoonmaakFlag = !!isSchoonmaak
+    const opkomstMakerIdList = sanitizeIdArray(opkomstmakerIds)
+    const schoonmakerIdList = sanitizeIdArray(schoonmakerIds)
+
+    const newEv = {
+      id,
+      title,
+      start,
+      end: end || start,
+      allDay: !!allDay,
+      location: location || '',
+      description: description || '',
+      isOpkomst: isOpkomstFlag,
+      opkomstmakers: opkomstmakers || '',
+      opkomstmakerIds: opkomstMakerIdList,
+      isSchoonmaak: isSchoonmaakFlag,
+      schoonmakers: schoonmakers || '',
+      schoonmakerIds: schoonmakerIdList,
+      schoonmaakOptions: schoonmaakOptions || [],
+      rsvpDeadlineHours: isOpkomstFlag ? rsvpDeadlineHours : null,
+      participants: sanitizedParticipants,
+      createdAt: new Date().toISOString(),
+      sequence: 0
+    }
+    newEv.updatedAt = newEv.createdAt
+    newEv.rsvpDeadline = resolveRsvpDeadline(newEv)
+
+    if (isOpkomstFlag) {
+      if (!users || users.length === 0) {
+        await loadUsers()
+      }
+      const activeUserIds = users
+        .filter(u => u.active && (u.status || 'active') === 'active')
+        .map(u => u.id)
+        .filter(Number.isFinite)
+
+      const combinedParticipants = Array.from(
+        new Set([...sanitizedParticipants, ...activeUserIds])
+      ).sort((a, b) => a - b)
+
+      newEv.participants = combinedParticipants
+    }
+
+    if (recurrenceRule) {
+      const seriesId = createEventId()
+      const recurrence = { ...recurrenceRule, start: newEv.start, end: newEv.end }
+      const occurrences = expandRecurrence(recurrence, newEv.start, newEv.end).map((occurrence, index) => ({
+        ...newEv,
+        id: index === 0 ? id : createEventId(),
+        start: occurrence.start,
+        end: occurrence.end,
+        participants: [...newEv.participants],
+        seriesId,
+        recurrenceId: occurrence.start,
+        recurrence,
+        isRecurrenceException: false
+      })).map((occurrence) => ({ ...occurrence, rsvpDeadline: resolveRsvpDeadline(occurrence) }))
+
+      events.push(...occurrences)
+      await Promise.all(occurrences.map((occurrence) => saveEvent(occurrence)))
+      await ensureEventsFresh(0)
+      logEvent({ action: 'event-series-created', metadata: { seriesId, occurrences: occurrences.length } })
+      return res.json({ event: occurrences[0], events: occurrences })
+    }
+
+    events.push(newEv)
+    await saveEvent(newEv)
+    await ensureEventsFresh(0)
+    res.json(newEv)
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/events', status: 500, metadata: req.body })
+    res.status(500).json({ msg: 'Aanmaken evenement mislukt' })
+  }
+})
+
+// Evenement bijwerken (recht events.manage, of schoonmaak.manage voor schoonmaken)
+apiRouter.put('/events/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: EVENT_MANAGE_PERMISSIONS })
+    if (!auth) return
+
+    const { id } = req.params
+    const idx = events.findIndex(e => e.id === id)
+    if (idx < 0) return res.status(404).json({ msg: 'Niet gevonden' })
+
+    const scope = resolveRecurrenceScope(events[idx], req.body?.scope ?? req.query?.scope)
+    const body = stripSeriesFields(req.body || {})
+    delete body.rsvpDeadline
+    EVENT_REVISION_FIELDS.forEach((field) => delete body[field])
+    // Afgelasten gaat via POST /events/:id/cancel
+    delete body.cancelled
+    // Older clients still send their own ID; it does not belong on the event
+    delete body.userId
+    if (!canManageEvent(auth.userId, events[idx]) || !canManageEvent(auth.userId, { ...events[idx], ...body })) {
+      return res.status(403).json({ msg: 'Je mag alleen schoonmaken bewerken' })
+    }
+    if (body.rsvpDeadlineHours !== undefined) {
+      const { hours, error } = normalizeRsvpDeadlineHours(body.rsvpDeadlineHours)
+      if (error) return res.status(400).json({ msg: error })
+      body.rsvpDeadlineHours = hours
+    }
+
+    if (scope !== 'this') {
+      const target = events[idx]
+      const split = scope === 'following' ? splitSeries(target) : { earlier: [], following: getSeriesOccurrences(target.seriesId) }
+      const { updated: seriesUpdates, error } = applySeriesEdit(split.following, target, body)
+      if (error) return res.status(400).json({ msg: error })
+
+      const earlier = split.earlier.map(stampEventRevision)
+      const following = seriesUpdates.map(stampEventRevision)
+      const changed = [...earlier, ...following]
+      replaceCachedEvents(changed)
+      await Promise.all(changed.map((event) => saveEvent(event)))
+      await ensureEventsFresh(0)
+      logEvent({ action: 'event-series-updated', metadata: { eventId: id, scope, occurrences: following.length } })
+      return res.json({ event: following.find((event) => event.id === id), events: following })
+    }
+
+    const updated = { ...events[idx], ...body }
+    if (updated.seriesId) {
+      updated.isRecurrenceException = true
+    }
+
+    if (req.body?.opkomstmakerIds !== undefined) {
+      updated.opkomstmakerIds = sanitizeIdArray(req.body.opkomstmakerIds)
+    } else if (!Array.isArray(updated.opkomstmakerIds)) {
+      updated.opkomstmakerIds = sanitizeIdArray(updated.opkomstmakerIds)
+    }
+
+    if (req.body?.schoonmakerIds !== undefined) {
+      updated.schoonmakerIds = sanitizeIdArray(req.body.schoonmakerIds)
+    } else if (!Array.isArray(updated.schoonmakerIds)) {
+      updated.schoonmakerIds = sanitizeIdArray(updated.schoonmakerIds)
+    }
+
+    if (req.body?.participants !== undefined) {
+      updated.participants = sanitizeIdArray(req.body.participants)
+    } else if (!Array.isArray(updated.participants)) {
+      updated.participants = sanitizeIdArray(updated.participants)
+    }
+
+    updated.rsvpDeadline = resolveRsvpDeadline(updated)
+    const stamped = stampEventRevision(updated)
+    events[idx] = stamped
+    await saveEvent(stamped)
+    if (req.body?.attendance !== undefined || req.body?.participants !== undefined) {
+      await syncAttendanceStreepjes(stamped, { by: auth.userId })
+    }
+    await ensureEventsFresh(0)
+    res.json(stamped)
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PUT /api/events/:id', status: 500, metadata: req.body })
+    res.status(500).json({ msg: 'Bijwerken evenement mislukt' })
+  }
+})
+
+// Evenement afgelasten of weer laten doorgaan (zelfde rechten als bewerken)
+apiRouter.post('/events/:id/cancel', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: EVENT_MANAGE_PERMISSIONS })
+    if (!auth) return
+
+    const { id } = req.params
+    const idx = events.findIndex(e => e.id === id)
+    if (idx < 0) return res.status(404).json({ msg: 'Niet gevonden' })
+    if (!canManageEvent(auth.userId, events[idx])) {
+      return res.status(403).json({ msg: 'Je mag alleen schoonmaken afgelasten' })
+    }
+
+    const cancelled = req.body?.cancelled === undefined ? true : Boolean(req.body.cancelled)
+    const updated = stampEventRevision({ ...events[idx], cancelled })
+    events[idx] = updated
+    await saveEvent(updated)
+    await ensureEventsFresh(0)
+    logEvent({ action: cancelled ? 'event-cancelled' : 'event-restored', metadata: { eventId: id, by: auth.userId } })
+    res.json(updated)
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/events/:id/cancel', status: 500, metadata: req.body })
+    res.status(500).json({ msg: 'Afgelasten evenement mislukt' })
+  }
+})
+
+// Evenement verwijderen (recht events.manage, of schoonmaak.manage voor schoonmaken)
+apiRouter.delete('/events/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: EVENT_MANAGE_PERMISSIONS })
+    if (!auth) return
+
+    const { id } = req.params
+    const idx = events.findIndex(e => e.id === id)
+    if (idx < 0) return res.status(404).json({ msg: 'Niet gevonden' })
+    if (!canManageEvent(auth.userId, events[idx])) {
+      return res.status(403).json({ msg: 'Je mag alleen schoonmaken verwijderen' })
+    }
+
+    const scope = resolveRecurrenceScope(events[idx], req.query?.scope ?? req.body?.scope)
+    if (scope !== 'this') {
+      const target = events[idx]
+      const split = scope === 'following'
+        ? splitSeries(target)
+        : { earlier: [], following: getSeriesOccurrences(target.seriesId) }
+      // The earlier occurrences get a shorter rule, a new version for calendar apps
+      const earlier = split.earlier.map(stampEventRevision)
+      const removedIds = split.following.map((event) => event.id)
+
+      events = events.filter((event) => !removedIds.includes(event.id))
+      replaceCachedEvents(earlier)
+      await deleteEventsByIds(removedIds)
+      await Promise.all(earlier.map((event) => saveEvent(event)))
+      await ensureEventsFresh(0)
+      logEvent({ action: 'event-series-deleted', metadata: { eventId: id, scope, removed: removedIds.length } })
+      return res.json({ msg: 'Evenementen verwijderd', event: target, removed: removedIds.length })
+    }
+
+    const [removed] = events.splice(idx, 1)
+    await deleteEventById(id)
+    await ensureEventsFresh(0)
+    res.json({ msg: 'Evenement verwijderd', event: removed })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'DELETE /api/events/:id', status: 500, metadata: req.params })
+    res.status(500).json({ msg: 'Verwijderen mislukt' })
+  }
+})
+
+// Aanwezigheid bijwerken: leden alleen hun eigen aanmelding, beheerders van iedereen
+apiRouter.put('/events/:id/attendance', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const { id } = req.params
+    const { userId, attending } = req.body || {}
+    const isAdmin = userHasPermission(auth.userId, ['events.manage', 'strepen.manage'])
+    const uid = userId === undefined || userId === null || userId === '' ? auth.userId : sanitizeUserId(userId)
+    if (uid === null) return res.status(400).json({ msg: 'Ongeldig lid' })
+    if (uid !== auth.userId && !isAdmin) {
+      return res.status(403).json({ msg: 'Je kunt alleen je eigen aanwezigheid aanpassen' })
+    }
+
+    const ev = events.find(e => e.id === id)
+    if (!ev) return res.status(404).json({ msg: 'Niet gevonden' })
+    
+    // Only opkomst events have participants/attendance
+    if (!ev.isOpkomst) {
+      return res.status(400).json({ msg: 'Aanwezigheid kan alleen bijgewerkt worden voor opkomst evenementen' })
+    }
+
+    // Admins can still correct attendance after the deadline has passed
+    if (isRsvpDeadlinePassed(ev)) {
+      if (!isAdmin) {
+        const deadline = ev.rsvpDeadline || resolveRsvpDeadline(ev)
+        return res.status(403).json({
+          msg: `Aan- en afmelden kon tot ${formatRsvpDeadline(deadline)}. Kun je niet komen? Dien dan een afmelding met reden in.`,
+          code: 'RSVP_DEADLINE_PASSED',
+          rsvpDeadline: deadline
+        })
+      }
+    }
+    
+    if (!ev.participants) ev.participants = []
+    const idx = ev.participants.indexOf(uid)
+    
+    // Track the change for logging
+    let changeDetails = {
+      title: ev.title,
+      start: ev.start,
+      participantId: uid,
+      action: attending ? 'joined' : 'left'
+    }
+    
+    // Remember when members cancel so late cancellations can be penalised
+    if (!ev.cancellations || typeof ev.cancellations !== 'object') ev.cancellations = {}
+
+    if (attending && idx < 0) {
+      ev.participants.push(uid)
+      delete ev.cancellations[String(uid)]
+      touchEventRevision(ev)
+      // Find user for logging
+      const user = users.find(u => u.id === uid)
+      if (user) {
+        changeDetails.participantName = `${user.firstName} ${user.lastName}`
+      }
+    }
+    if (!attending && idx >= 0) {
+      ev.participants.splice(idx, 1)
+      ev.cancellations[String(uid)] = new Date().toISOString()
+      touchEventRevision(ev)
+      // Find user for logging
+      const user = users.find(u => u.id === uid)
+      if (user) {
+        changeDetails.participantName = `${user.firstName} ${user.lastName}`
       }
     }
+    
+    await saveEvent(ev)
+    if (ev.attendance) {
+      await syncAttendanceStreepjes(ev, { by: auth.userId })
+    }
+    
+    res.json({ msg: 'Aanwezigheid bijgewerkt', event: ev })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PUT /api/events/:id/attendance', status: 500, metadata: req.body })
+    res.status(500).json({ msg: 'Bijwerken aanwezigheid mislukt' })
+  }
+})
 
-    for (const word of words) {
-      const candidate = currentLine ? `${currentLine} ${word}` : word
-      if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
-        currentLine = candidate
-      } else {
-        flushLine()
-        if (font.widthOfTextAtSize(word, size) > maxWidth) {
-          appendLongWord(word)
-        } else {
-          currentLine = word
-        }
-      }
+// Roterende QR check-in code voor een opkomst (recht strepen.manage)
+apiRouter.get('/events/:id/check-in-code', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
+
+    await ensureEventsFresh()
+    const ev = events.find((item) => item.id === req.params.id)
+    if (!ev) return res.status(404).json({ error: 'Opkomst niet gevonden' })
+    if (!ev.isOpkomst) return res.status(400).json({ error: 'Inchecken kan alleen bij opkomsten' })
+    if (!isCheckInOpen(ev)) {
+      return res.status(409).json({ error: 'Inchecken kan vanaf een uur voor de opkomst tot een uur na afloop' })
     }
 
-    flushLine()
-    return lines.length > 0 ? lines : ['-']
+    const { code, expiresAt } = createCheckInCode(ev.id)
+    res.json({
+      code,
+      url: buildCheckInUrl(code),
+      expiresAt,
+      refreshSeconds: CHECK_IN_CODE_INTERVAL_SECONDS,
+      attendance: ev.attendance || {},
+      checkIns: ev.checkIns || {}
+    })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/events/:id/check-in-code', status: 500, metadata: req.params })
+    res.status(500).json({ error: 'Check-in code maken mislukt' })
   }
+})
 
-  const drawHeading = (text, size = 14) => {
-    ensureSpace(2)
-    page.drawText(text, {
-      x: leftMargin,
-      y: cursorY,
-      size,
-      font: fontBold,
-      color: headingColor
+// Inchecken met een gescande QR-code
+apiRouter.post('/check-in', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    await ensureEventsFresh()
+    const { event: ev, error, status } = verifyCheckInCode(req.body?.code)
+    if (error) return res.status(status).json({ error })
+
+    const key = String(auth.userId)
+    if (!ev.attendance || typeof ev.attendance !== 'object') ev.attendance = {}
+    if (!ev.checkIns || typeof ev.checkIns !== 'object') ev.checkIns = {}
+
+    // Same attendance map as the streeplijst, so streepjes follow automatically
+    const current = ev.attendance[key]
+    ev.attendance[key] = typeof current === 'object' && current !== null ? { ...current, present: true } : true
+    const alreadyCheckedIn = Boolean(ev.checkIns[key])
+    if (!alreadyCheckedIn) {
+      ev.checkIns[key] = new Date().toISOString()
+    }
+    if (!alreadyCheckedIn || !deepEqual(current, ev.attendance[key])) {
+      touchEventRevision(ev)
+    }
+
+    await saveEvent(ev)
+    await syncAttendanceStreepjes(ev)
+    if (!alreadyCheckedIn) {
+      logEvent({ action: 'event-check-in', metadata: { eventId: ev.id, userId: auth.userId } })
+    }
+
+    res.json({
+      event: { id: ev.id, title: ev.title, start: ev.start, end: ev.end, location: ev.location || '' },
+      checkedInAt: ev.checkIns[key],
+      alreadyCheckedIn
     })
-    cursorY -= size >= 16 ? 28 : 24
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/check-in', status: 500 })
+    res.status(500).json({ error: 'Inchecken mislukt' })
   }
+})
 
-  const drawRow = (label, value) => {
-    const lines = wrapText(value, fontRegular, 11, maxLineWidth - labelWidth)
-    ensureSpace(lines.length)
+// Eigen streepjes (gespecificeerd)
+apiRouter.get('/streepjes/mine', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
 
-    page.drawText(label, {
-      x: leftMargin,
-      y: cursorY,
-      size: 11,
-      font: fontBold,
-      color: headingColor
+    const { season, error } = resolveSeasonParam(req.query?.seasonId)
+    if (error) return res.status(404).json({ error })
+
+    await loadStreepjesLedger()
+    const entries = listStreepjesForUser(auth.userId, { season })
+    res.json({
+      season: mapSeasonForClient(season),
+      entries,
+      total: entries.filter((entry) => entry.active).reduce((sum, entry) => sum + getStreepjeCount(entry), 0)
     })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/streepjes/mine', status: 500 })
+    res.status(500).json({ error: 'Streepjes ophalen mislukt' })
+  }
+})
 
-    lines.forEach((line, index) => {
-      page.drawText(line, {
-        x: leftMargin + labelWidth,
-        y: cursorY - index * lineHeight,
-        size: 11,
-        font: fontRegular,
-        color: textColor
-      })
+// Streepjes van een lid (recht strepen.manage)
+apiRouter.get('/streepjes', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
+
+    const uid = sanitizeUserId(req.query?.userId)
+    if (uid === null) return res.status(400).json({ error: 'Ongeldig gebruikers-ID' })
+
+    const { season, error } = resolveSeasonParam(req.query?.seasonId)
+    if (error) return res.status(404).json({ error })
+
+    await loadStreepjesLedger()
+    const entries = listStreepjesForUser(uid, { season })
+    res.json({
+      season: mapSeasonForClient(season),
+      entries,
+      total: entries.filter((entry) => entry.active).reduce((sum, entry) => sum + getStreepjeCount(entry), 0)
     })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/streepjes', status: 500, metadata: req.query })
+    res.status(500).json({ error: 'Streepjes ophalen mislukt' })
+  }
+})
 
-    cursorY -= lineHeight * lines.length
-    cursorY -= 4
+// Handmatig streepje geven (recht strepen.manage)
+apiRouter.post('/streepjes', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
+
+    const { userId, reason, eventId = null } = req.body || {}
+    const uid = sanitizeUserId(userId)
+    if (uid === null || !users.some((u) => u.id === uid)) {
+      return res.status(400).json({ error: 'Ongeldig gebruikers-ID' })
+    }
+
+    const trimmedReason = safeTrimmedString(reason, 300)
+    if (!trimmedReason) return res.status(400).json({ error: 'Geef een reden voor het streepje' })
+
+    if (eventId && !events.some((e) => e.id === eventId)) {
+      return res.status(404).json({ error: 'Evenement niet gevonden' })
+    }
+
+    const [entry] = await insertStreepjes([createStreepjeEntry({
+      userId: uid,
+      eventId: eventId || null,
+      source: 'manual',
+      reason: trimmedReason,
+      givenBy: auth.userId
+    })])
+
+    logEvent({ action: 'streepje-given', metadata: { id: entry.id, userId: uid, eventId: entry.eventId, givenBy: auth.userId } })
+    res.status(201).json({ entry: mapStreepjeForClient(entry), msg: 'Streepje toegevoegd' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/streepjes', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Streepje toevoegen mislukt' })
   }
+})
 
-  const drawParagraph = (text) => {
-    const lines = wrapText(text, fontRegular, 11)
-    ensureSpace(lines.length)
+// Streepje doorhalen met reden (recht strepen.manage)
+apiRouter.post('/streepjes/:id/strike', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
 
-    lines.forEach((line, index) => {
-      page.drawText(line, {
-        x: leftMargin,
-        y: cursorY - index * lineHeight,
-        size: 11,
-        font: fontRegular,
-        color: textColor
-      })
+    const trimmedReason = safeTrimmedString(req.body?.reason, 300)
+    if (!trimmedReason) return res.status(400).json({ error: 'Geef een reden voor het doorhalen' })
+
+    await loadStreepjesLedger()
+    const entry = streepjesLedger.find((item) => item.id === req.params.id)
+    if (!entry) return res.status(404).json({ error: 'Streepje niet gevonden' })
+    if (!isStreepjeActive(entry)) return res.status(409).json({ error: 'Dit streepje is al doorgehaald' })
+
+    const struck = await strikeStreepje(entry, { by: auth.userId, reason: trimmedReason })
+    if (!struck) return res.status(409).json({ error: 'Dit streepje is al doorgehaald' })
+
+    logEvent({ action: 'streepje-struck', metadata: { id: entry.id, userId: entry.userId, struckBy: auth.userId } })
+    res.json({ entry: mapStreepjeForClient(struck), msg: 'Streepje doorgehaald' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/streepjes/:id/strike', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Streepje doorhalen mislukt' })
+  }
+})
+
+// Afmelding met reden indienen (ook na de deadline)
+apiRouter.post('/events/:id/excuses', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const ev = events.find((e) => e.id === req.params.id)
+    if (!ev) return res.status(404).json({ error: 'Opkomst niet gevonden' })
+    if (!ev.isOpkomst) return res.status(400).json({ error: 'Afmeldingen kunnen alleen voor opkomsten worden ingediend' })
+
+    const reason = safeTrimmedString(req.body?.reason, 500)
+    if (!reason) return res.status(400).json({ error: 'Geef een reden voor je afmelding' })
+
+    await loadAbsenceExcuses()
+    const existing = absenceExcuses.find((item) => item.eventId === ev.id && item.userId === auth.userId)
+    if (existing?.status === 'approved') {
+      return res.status(409).json({ error: 'Je afmelding voor deze opkomst is al goedgekeurd' })
+    }
+
+    const now = new Date().toISOString()
+    const excuse = {
+      id: existing?.id || randomUUID(),
+      eventId: ev.id,
+      eventTitle: ev.title || null,
+      eventStart: ev.start || null,
+      userId: auth.userId,
+      reason,
+      status: 'pending',
+      submittedAt: now,
+      reviewedAt: null,
+      reviewedBy: null,
+      reviewComment: null,
+      history: [
+        ...(existing?.history || []),
+        { status: 'pending', at: now, by: auth.userId, comment: reason }
+      ]
+    }
+    await saveAbsenceExcuse(excuse)
+
+    logEvent({ action: existing ? 'absence-excuse-resubmitted' : 'absence-excuse-submitted', metadata: { id: excuse.id, eventId: ev.id, userId: auth.userId } })
+    res.status(existing ? 200 : 201).json({ excuse: mapAbsenceExcuseForClient(excuse), msg: 'Afmelding ingediend' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/events/:id/excuses', status: 500, metadata: { eventId: req.params.id } })
+    res.status(500).json({ error: 'Afmelding indienen mislukt' })
+  }
+})
+
+// Eigen afmeldingen
+apiRouter.get('/excuses/mine', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    await loadAbsenceExcuses()
+    const mine = absenceExcuses.filter((item) => item.userId === auth.userId)
+    res.json({ excuses: sortExcusesNewestFirst(mine).map(mapAbsenceExcuseForClient) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/excuses/mine', status: 500 })
+    res.status(500).json({ error: 'Afmeldingen ophalen mislukt' })
+  }
+})
+
+// Afmeldingen beoordelen (recht strepen.manage), standaard de openstaande
+apiRouter.get('/excuses', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
+
+    const status = typeof req.query?.status === 'string' ? req.query.status : 'pending'
+    if (status !== 'all' && !ABSENCE_EXCUSE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Ongeldige status' })
+    }
+
+    await loadAbsenceExcuses()
+    const filtered = status === 'all' ? absenceExcuses : absenceExcuses.filter((item) => item.status === status)
+    res.json({
+      excuses: sortExcusesNewestFirst(filtered).map(mapAbsenceExcuseForClient),
+      pendingCount: absenceExcuses.filter((item) => item.status === 'pending').length
     })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/excuses', status: 500, metadata: req.query })
+    res.status(500).json({ error: 'Afmeldingen ophalen mislukt' })
+  }
+})
 
-    cursorY -= lineHeight * lines.length
-    cursorY -= 8
+apiRouter.patch('/excuses/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
+
+    const { status } = req.body || {}
+    if (!['approved', 'denied'].includes(status)) {
+      return res.status(400).json({ error: 'Kies goedkeuren of afwijzen' })
+    }
+
+    const comment = safeTrimmedString(req.body?.comment, 500)
+    if (status === 'denied' && !comment) {
+      return res.status(400).json({ error: 'Geef een toelichting bij het afwijzen' })
+    }
+
+    await loadAbsenceExcuses()
+    const existing = absenceExcuses.find((item) => item.id === req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Afmelding niet gevonden' })
+    if (existing.status === status) {
+      return res.status(409).json({ error: `Afmelding is al ${ABSENCE_EXCUSE_STATUS_LABELS[status].toLowerCase()}` })
+    }
+
+    const now = new Date().toISOString()
+    const excuse = {
+      ...existing,
+      status,
+      reviewedAt: now,
+      reviewedBy: auth.userId,
+      reviewComment: comment || null,
+      history: [...(existing.history || []), { status, at: now, by: auth.userId, comment: comment || null }]
+    }
+    await saveAbsenceExcuse(excuse)
+
+    // Streepjes voor deze opkomst direct bijwerken
+    const ev = events.find((e) => e.id === excuse.eventId)
+    if (ev) {
+      await loadStreepjesLedger()
+      await syncAttendanceStreepjes(ev, {
+        by: auth.userId,
+        strikeReason: status === 'approved' ? 'Afmelding goedgekeurd' : 'Afmelding afgewezen'
+      })
+    }
+
+    logEvent({ action: 'absence-excuse-reviewed', metadata: { id: excuse.id, eventId: excuse.eventId, userId: excuse.userId, status, by: auth.userId } })
+    res.json({ excuse: mapAbsenceExcuseForClient(excuse), msg: status === 'approved' ? 'Afmelding goedgekeurd' : 'Afmelding afgewezen' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PATCH /api/excuses/:id', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Afmelding beoordelen mislukt' })
   }
+})
 
-  page.drawText('Declaratieaanvraag', {
-    x: leftMargin,
-    y: cursorY,
-    size: 22,
-    font: fontBold,
-    color: headingColor
-  })
-  cursorY -= 26
+// Eigen periodes van niet-beschikbaarheid
+apiRouter.get('/unavailability/mine', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
 
-  const submittedText = new Intl.DateTimeFormat('nl-NL', {
-    dateStyle: 'long',
-    timeStyle: 'short'
-  }).format(submittedAt)
+    await loadUnavailability()
+    const mine = unavailability.filter((entry) => entry.userId === auth.userId)
+    res.json({ entries: sortUnavailabilityByDate(mine).map(mapUnavailabilityForClient) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/unavailability/mine', status: 500 })
+    res.status(500).json({ error: 'Beschikbaarheid ophalen mislukt' })
+  }
+})
 
-  page.drawText(`Ingediend op ${submittedText}`, {
-    x: leftMargin,
-    y: cursorY,
-    size: 11,
-    font: fontRegular,
-    color: textColor
-  })
-  cursorY -= 24
+// Alle komende niet-beschikbaarheid (recht rooster.manage of schoonmaak.manage)
+apiRouter.get('/unavailability', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: ['rooster.manage', 'schoonmaak.manage'] })
+    if (!auth) return
 
-  drawHeading('Samenvatting', 16)
+    await loadUnavailability()
+    const todayKey = getTodayKey()
+    const upcoming = unavailability.filter((entry) => entry.endDate >= todayKey)
+    res.json({ entries: sortUnavailabilityByDate(upcoming).map(mapUnavailabilityForClient) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/unavailability', status: 500 })
+    res.status(500).json({ error: 'Beschikbaarheid ophalen mislukt' })
+  }
+})
 
-  const summaryRows = [
-    ['Naam', request.requesterName || 'Onbekend'],
-    ['E-mailadres', request.requesterEmail || '-'],
-    ['Betaald aan', request.paidTo || '-'],
-    ['Datum uitgave', formatDateDisplay(request.expenseDate)],
-    ['Onderwerp', request.expenseTitle || '-'],
-    ['Bedrag', formatCurrency(request.amount)],
-    ['Betaalmethode', request.paymentMethod === 'paymentLink' ? 'Betaallink' : 'IBAN (bankoverschrijving)']
-  ]
+// Periode van niet-beschikbaarheid opgeven (admins ook namens een lid)
+apiRouter.post('/unavailability', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const { range, error } = normalizeUnavailabilityRange(req.body || {})
+    if (error) return res.status(400).json({ error })
+    if (range.endDate < getTodayKey()) {
+      return res.status(400).json({ error: 'Deze periode ligt al in het verleden' })
+    }
+
+    let userId = auth.userId
+    if (req.body?.userId !== undefined && req.body.userId !== null && req.body.userId !== '') {
+      const requested = sanitizeUserId(req.body.userId)
+      if (requested !== auth.userId) {
+        if (!userHasPermission(auth.userId, ['rooster.manage', 'schoonmaak.manage'])) {
+          return res.status(403).json({ error: 'Je hebt geen rechten voor deze actie' })
+        }
+        if (requested === null || !users.some((u) => u.id === requested)) {
+          return res.status(404).json({ error: 'Lid niet gevonden' })
+        }
+        userId = requested
+      }
+    }
+
+    const entry = {
+      id: randomUUID(),
+      userId,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      reason: safeTrimmedString(req.body?.reason, 200),
+      createdAt: new Date().toISOString(),
+      createdBy: auth.userId
+    }
+
+    const db = await getDb()
+    await db.collection('unavailability').insertOne({ ...entry })
+    unavailability.push(entry)
+
+    logEvent({ action: 'unavailability-added', metadata: { id: entry.id, userId, startDate: entry.startDate, endDate: entry.endDate } })
+    res.status(201).json({ entry: mapUnavailabilityForClient(entry), msg: 'Niet-beschikbaarheid opgeslagen' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/unavailability', status: 500 })
+    res.status(500).json({ error: 'Beschikbaarheid opslaan mislukt' })
+  }
+})
+
+apiRouter.delete('/unavailability/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    await loadUnavailability()
+    const entry = unavailability.find((item) => item.id === req.params.id)
+    if (!entry) return res.status(404).json({ error: 'Periode niet gevonden' })
+    if (entry.userId !== auth.userId && !userHasPermission(auth.userId, ['rooster.manage', 'schoonmaak.manage'])) {
+      return res.status(403).json({ error: 'Je hebt geen rechten voor deze actie' })
+    }
+
+    const db = await getDb()
+    await db.collection('unavailability').deleteOne({ id: entry.id })
+    unavailability = unavailability.filter((item) => item.id !== entry.id)
+
+    logEvent({ action: 'unavailability-removed', metadata: { id: entry.id, userId: entry.userId } })
+    res.json({ msg: 'Periode verwijderd' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'DELETE /api/unavailability/:id', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Periode verwijderen mislukt' })
+  }
+})
 
-  if (request.paymentMethod === 'iban' && request.iban) {
-    summaryRows.push(['IBAN', formatIban(request.iban)])
+// Schoonmaaktotalen per lid (recht schoonmaak.manage)
+apiRouter.get('/schoonmaak/totals', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: DUTY_TYPES.schoonmaak.permission })
+    if (!auth) return
+
+    await ensureEventsFresh()
+    res.json({ totals: mapDutyTotalsForClient(countDuties(DUTY_TYPES.schoonmaak)) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/schoonmaak/totals', status: 500 })
+    res.status(500).json({ error: 'Schoonmaaktotalen ophalen mislukt' })
   }
+})
 
-  if (request.paymentMethod === 'paymentLink' && request.paymentLink) {
-    summaryRows.push(['Betaallink', request.paymentLink])
+// Voorstel voor het schoonmaakrooster (recht schoonmaak.manage); slaat nog niets op
+apiRouter.post('/schoonmaak/rotation/preview', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: DUTY_TYPES.schoonmaak.permission })
+    if (!auth) return
+
+    const { result, error } = await buildRotationPreview(DUTY_TYPES.schoonmaak, req.body || {})
+    if (error) return res.status(400).json({ error })
+    res.json(result)
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/schoonmaak/rotation/preview', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Schoonmaakrooster maken mislukt' })
   }
+})
 
-  summaryRows.forEach(([label, value]) => drawRow(label, value))
+// Voorgesteld schoonmaakrooster in een keer toepassen (recht schoonmaak.manage)
+apiRouter.post('/schoonmaak/rotation/apply', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: DUTY_TYPES.schoonmaak.permission })
+    if (!auth) return
 
-  drawHeading('Beschrijving')
-  drawParagraph(request.description || 'Geen aanvullende omschrijving opgegeven.')
+    const input = Array.isArray(req.body?.assignments)
+      ? req.body.assignments.map((item) => ({ eventId: item?.eventId, userIds: item?.schoonmakerIds }))
+      : []
+    const { events: updated, error } = await applyRotationAssignments(DUTY_TYPES.schoonmaak, input)
+    if (error) return res.status(400).json({ error })
 
-  if (request.notes) {
-    drawHeading('Opmerking voor admins')
-    drawParagraph(request.notes)
+    logEvent({ action: 'schoonmaak-rotation-applied', metadata: { events: updated.length, by: auth.userId } })
+    res.json({ events: updated, msg: `${updated.length} schoonmaken ingedeeld` })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/schoonmaak/rotation/apply', status: 500 })
+    res.status(500).json({ error: 'Schoonmaakrooster toepassen mislukt' })
   }
+})
 
-  drawHeading('Bijlagen')
-  if (!attachments.length) {
-    drawParagraph('Geen bijlagen toegevoegd.')
-  } else {
-    drawParagraph('De originele bestanden vind je op de vervolgpagina’s van dit document.')
-    attachments.forEach((attachment, index) => {
-      ensureSpace(1)
-      page.drawText(`${index + 1}. ${attachment.name} (${attachment.type})`, {
-        x: leftMargin,
-        y: cursorY,
-        size: 11,
-        font: fontRegular,
-        color: textColor
-      })
-      cursorY -= lineHeight
-    })
-    cursorY -= 8
+// Opkomstmakertotalen per lid (recht rooster.manage)
+apiRouter.get('/opkomstmakers/totals', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: DUTY_TYPES.opkomst.permission })
+    if (!auth) return
+
+    await ensureEventsFresh()
+    res.json({ totals: mapDutyTotalsForClient(countDuties(DUTY_TYPES.opkomst)) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/opkomstmakers/totals', status: 500 })
+    res.status(500).json({ error: 'Opkomstmakertotalen ophalen mislukt' })
   }
+})
 
-  for (let i = 0; i < attachments.length; i++) {
-    const attachment = attachments[i]
+// Voorstel voor het opkomstmakerrooster (recht rooster.manage); standaard tot het einde van het seizoen
+apiRouter.post('/opkomstmakers/rotation/preview', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: DUTY_TYPES.opkomst.permission })
+    if (!auth) return
 
-    if (attachment.type === 'application/pdf') {
-      try {
-        const externalPdf = await PDFDocument.load(attachment.buffer)
-        const copiedPages = await pdfDoc.copyPages(externalPdf, externalPdf.getPageIndices())
-        copiedPages.forEach((copiedPage) => pdfDoc.addPage(copiedPage))
-      } catch {
-        const attachmentPage = pdfDoc.addPage(pageSize)
-        attachmentPage.drawText(`Bijlage ${i + 1}: ${attachment.name}`, {
-          x: leftMargin,
-          y: attachmentPage.getHeight() - topMargin,
-          size: 14,
-          font: fontBold,
-          color: headingColor
-        })
-        attachmentPage.drawText('Deze PDF-bijlage kon niet worden toegevoegd.', {
-          x: leftMargin,
-          y: attachmentPage.getHeight() - topMargin - 24,
-          size: 11,
-          font: fontRegular,
-          color: textColor
-        })
-      }
-      continue
-    }
+    const { result, error } = await buildRotationPreview(DUTY_TYPES.opkomst, req.body || {})
+    if (error) return res.status(400).json({ error })
+    res.json(result)
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/opkomstmakers/rotation/preview', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Opkomstmakerrooster maken mislukt' })
+  }
+})
 
-    const attachmentPage = pdfDoc.addPage(pageSize)
-    const { width: pageWidth, height: pageHeight } = attachmentPage.getSize()
+// Voorgesteld opkomstmakerrooster in een keer toepassen (recht rooster.manage)
+apiRouter.post('/opkomstmakers/rotation/apply', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: DUTY_TYPES.opkomst.permission })
+    if (!auth) return
 
-    let embeddedImage
-    try {
-      if (attachment.type === 'image/png') {
-        embeddedImage = await pdfDoc.embedPng(attachment.buffer)
-      } else {
-        embeddedImage = await pdfDoc.embedJpg(attachment.buffer)
-      }
-    } catch {
-      attachmentPage.drawText(`Bijlage ${i + 1}: ${attachment.name}`, {
-        x: leftMargin,
-        y: pageHeight - topMargin,
-        size: 14,
-        font: fontBold,
-        color: headingColor
-      })
-      attachmentPage.drawText('Deze afbeelding kon niet als preview in de PDF worden opgenomen.', {
-        x: leftMargin,
-        y: pageHeight - topMargin - 24,
-        size: 11,
-        font: fontRegular,
-        color: textColor
-      })
-      continue
-    }
+    const input = Array.isArray(req.body?.assignments)
+      ? req.body.assignments.map((item) => ({ eventId: item?.eventId, userIds: item?.opkomstmakerIds }))
+      : []
+    const { events: updated, error } = await applyRotationAssignments(DUTY_TYPES.opkomst, input)
+    if (error) return res.status(400).json({ error })
 
-    const maxImageWidth = pageWidth - 2 * leftMargin
-    const maxImageHeight = pageHeight - 2 * topMargin - 40
-    const scale = Math.min(
-      maxImageWidth / embeddedImage.width,
-      maxImageHeight / embeddedImage.height,
-      1
-    )
-    const imageWidth = embeddedImage.width * scale
-    const imageHeight = embeddedImage.height * scale
+    logEvent({ action: 'opkomstmaker-rotation-applied', metadata: { events: updated.length, by: auth.userId } })
+    res.json({ events: updated, msg: `${updated.length} opkomsten ingedeeld` })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/opkomstmakers/rotation/apply', status: 500 })
+    res.status(500).json({ error: 'Opkomstmakerrooster toepassen mislukt' })
+  }
+})
 
-    attachmentPage.drawText(`Bijlage ${i + 1}: ${attachment.name}`, {
-      x: leftMargin,
-      y: pageHeight - topMargin + 10,
-      size: 14,
-      font: fontBold,
-      color: headingColor
+// Ruilbord: open aanbiedingen, eigen ruilverzoeken en eigen taken
+apiRouter.get('/swaps', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    await ensureEventsFresh()
+    const db = await getDb()
+    const todayKey = getTodayKey()
+    const [active, mine] = await Promise.all([
+      db.collection('swapRequests').find({ status: { $in: ACTIVE_SWAP_STATUSES } }).project({ _id: 0 }).sort({ createdAt: 1 }).toArray(),
+      db.collection('swapRequests')
+        .find({ $or: [{ fromUserId: auth.userId }, { toUserId: auth.userId }] })
+        .project({ _id: 0 })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .toArray()
+    ])
+
+    const upcoming = active.filter((swap) => {
+      const ev = events.find((item) => item.id === swap.eventId)
+      return ev && getEventDateKey(ev) >= todayKey
     })
+    const open = upcoming
+      .filter((swap) => swap.status === 'open' && swap.fromUserId !== auth.userId)
+      .map((swap) => {
+        const ev = events.find((item) => item.id === swap.eventId)
+        const alreadyAssigned = sanitizeIdArray(ev[DUTY_TYPES[swap.duty].idsField]).includes(auth.userId)
+        return { ...mapSwapForClient(swap), canAccept: !alreadyAssigned }
+      })
+    const activeByEvent = new Map(mine
+      .filter((swap) => ACTIVE_SWAP_STATUSES.includes(swap.status) && swap.fromUserId === auth.userId)
+      .map((swap) => [`${swap.eventId}:${swap.duty}`, swap.id]))
 
-    attachmentPage.drawImage(embeddedImage, {
-      x: (pageWidth - imageWidth) / 2,
-      y: (pageHeight - imageHeight) / 2 - 20,
-      width: imageWidth,
-      height: imageHeight
+    res.json({
+      requiresApproval: SWAP_REQUIRES_APPROVAL,
+      open,
+      mine: mine.map(mapSwapForClient),
+      duties: getUpcomingDutySlots(auth.userId).map((slot) => ({
+        ...slot,
+        swapId: activeByEvent.get(`${slot.eventId}:${slot.duty}`) || null
+      })),
+      pendingApproval: upcoming
+        .filter((swap) => swap.status === 'pending_approval' && userHasPermission(auth.userId, DUTY_TYPES[swap.duty].permission))
+        .map(mapSwapForClient)
     })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/swaps', status: 500 })
+    res.status(500).json({ error: 'Ruilverzoeken ophalen mislukt' })
   }
+})
 
-  const pdfBytes = await pdfDoc.save()
-  return Buffer.from(pdfBytes)
-}
+// Eigen opkomstmaker- of schoonmakerplek aanbieden om te ruilen
+apiRouter.post('/events/:id/swaps', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
 
-// Cold start
-await loadUsers()
-await loadSessions()
-await loadEvents()
-await loadPushSubscriptions()
-await loadNotifications()
-await processScheduledNotifications()
-await processUserScheduledNotifications()
-await ensureMailerTransport()
-configureDailyReport({
-  sendEmail: async ({ subject, text, html }) => {
-    const mailer = await ensureMailerTransport()
-    if (!mailer) {
-      warnLog('Daily report overgeslagen: transporter niet beschikbaar')
-      return
+    const dutyKey = req.body?.duty
+    const duty = DUTY_TYPES[dutyKey]
+    if (!duty || !Object.prototype.hasOwnProperty.call(DUTY_TYPES, dutyKey)) {
+      return res.status(400).json({ error: 'Kies opkomstmaker of schoonmaker' })
     }
-    try {
-      await mailer.sendMail({
-        from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
-        to: DAILY_LOG_EMAIL,
-        subject,
-        text,
-        html
-      })
-    } catch (error) {
-      console.error('Dagrapport versturen mislukt:', error)
-      logSystemError(error, { action: 'daily-report-email', status: 500 })
+
+    await ensureEventsFresh()
+    const ev = events.find((item) => item.id === req.params.id)
+    if (!ev || !ev[duty.eventFlag]) return res.status(404).json({ error: 'Evenement niet gevonden' })
+    if (getEventDateKey(ev) < getTodayKey()) {
+      return res.status(400).json({ error: 'Dit evenement is al geweest' })
+    }
+    if (!sanitizeIdArray(ev[duty.idsField]).includes(auth.userId)) {
+      return res.status(403).json({ error: 'Je staat niet op deze taak' })
     }
+
+    const db = await getDb()
+    const existing = await db.collection('swapRequests').findOne({
+      eventId: ev.id,
+      duty: dutyKey,
+      fromUserId: auth.userId,
+      status: { $in: ACTIVE_SWAP_STATUSES }
+    })
+    if (existing) return res.status(409).json({ error: 'Je hebt deze plek al aangeboden' })
+
+    const now = new Date().toISOString()
+    const swap = {
+      id: randomUUID(),
+      eventId: ev.id,
+      duty: dutyKey,
+      fromUserId: auth.userId,
+      toUserId: null,
+      status: 'open',
+      note: safeTrimmedString(req.body?.note, 300),
+      createdAt: now,
+      updatedAt: now,
+      history: [{ status: 'open', at: now, by: auth.userId, comment: null }]
+    }
+    await db.collection('swapRequests').insertOne({ ...swap })
+
+    logEvent({ action: 'swap-offered', metadata: { id: swap.id, eventId: ev.id, duty: dutyKey, userId: auth.userId } })
+    res.status(201).json({ swap: mapSwapForClient(swap), msg: 'Plek aangeboden om te ruilen' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/events/:id/swaps', status: 500, metadata: { eventId: req.params.id } })
+    res.status(500).json({ error: 'Plek aanbieden mislukt' })
   }
 })
-await cleanupExpiredResetCodes() // Clean up old reset codes on startup
-await cleanupExpiredSessions() // Clean up old sessions on startup
-await cleanupOldSnapshots() // Remove stale daily snapshots on startup
-scheduleDailySnapshot() // Initialize daily database snapshot and comparison system
-startScheduledNotificationWorker()
 
-// One-time cleanup: Remove old changeLog collection if it exists
-try {
-  const db = await getDb()
-  const collections = await db.listCollections({ name: 'changeLog' }).toArray()
-  if (collections.length > 0) {
-    await db.collection('changeLog').drop()
-    infoLog('Removed old changeLog collection as it is no longer needed')
-  }
-} catch (error) {
-  // Ignore errors if collection doesn't exist
-  if (error.codeName !== 'NamespaceNotFound') {
-    warnLog('Failed to remove old changeLog collection:', error.message)
-  }
-}
+// Aangeboden plek overnemen
+apiRouter.post('/swaps/:id/accept', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
 
-// Create initial snapshot if it doesn't exist for today
-try {
-  const today = new Date().toISOString().split('T')[0]
-  const existingSnapshot = await getDailySnapshot(today)
-  if (!existingSnapshot) {
-    const initialSnapshot = await createDatabaseSnapshot()
-    if (initialSnapshot) {
-      await saveDailySnapshot(today, initialSnapshot)
-      infoLog('Created initial database snapshot for today')
+    const db = await getDb()
+    const existing = await db.collection('swapRequests').findOne({ id: req.params.id }, { projection: { _id: 0 } })
+    if (!existing) return res.status(404).json({ error: 'Ruilverzoek niet gevonden' })
+    if (existing.status !== 'open') return res.status(409).json({ error: 'Deze plek is niet meer beschikbaar' })
+    if (existing.fromUserId === auth.userId) {
+      return res.status(400).json({ error: 'Je kunt je eigen plek niet overnemen' })
     }
-  }
-} catch (error) {
-  warnLog('Failed to create initial snapshot:', error.message)
-}
 
-logEvent({ action: 'server-start', metadata: { environment: process.env.NODE_ENV || 'development' } })
+    await ensureEventsFresh(0)
+    const ev = events.find((item) => item.id === existing.eventId)
+    if (!ev || getEventDateKey(ev) < getTodayKey()) {
+      return res.status(400).json({ error: 'Dit evenement is al geweest' })
+    }
+    if (sanitizeIdArray(ev[DUTY_TYPES[existing.duty].idsField]).includes(auth.userId)) {
+      return res.status(400).json({ error: 'Je staat al op deze taak' })
+    }
 
-// Express-app
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = dirname(__filename)
+    if (SWAP_REQUIRES_APPROVAL) {
+      const swap = await updateSwapStatusRecord(existing, 'pending_approval', {
+        by: auth.userId,
+        extra: { toUserId: auth.userId, acceptedAt: new Date().toISOString() }
+      })
+      if (!swap) return res.status(409).json({ error: 'Deze plek is niet meer beschikbaar' })
 
-const app = express()
+      logEvent({ action: 'swap-accepted', metadata: { id: swap.id, eventId: swap.eventId, userId: auth.userId, pendingApproval: true } })
+      sendSwapEmail(swap, 'pending_approval')
+      return res.json({ swap: mapSwapForClient(swap), msg: 'Ruil aangevraagd. Een admin keurt hem goed.' })
+    }
 
-function parseOrigins(value = '') {
-  return value
-    .split(',')
-    .map(origin => origin.trim())
-    .filter(Boolean)
-}
+    const { swap, error } = await completeSwap(existing, { by: auth.userId, toUserId: auth.userId })
+    if (error) return res.status(409).json({ error })
 
-const defaultProductionOrigins = ['https://stamjer.nl', 'https://www.stamjer.nl']
-const envConfiguredOrigins = Array.from(new Set([
-  ...parseOrigins(process.env.CLIENT_ORIGIN || ''),
-  ...parseOrigins(process.env.ADDITIONAL_CORS_ORIGINS || '')
-]))
-const fallbackOrigins = ['http://localhost:5173', 'http://localhost:4173']
+    logEvent({ action: 'swap-completed', metadata: { id: swap.id, eventId: swap.eventId, from: swap.fromUserId, to: swap.toUserId } })
+    sendSwapEmail(swap, 'completed')
+    res.json({ swap: mapSwapForClient(swap), msg: 'Plek overgenomen' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/swaps/:id/accept', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Plek overnemen mislukt' })
+  }
+})
+
+// Aanbod intrekken (aanbieder of beheerder van deze taak)
+apiRouter.post('/swaps/:id/cancel', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const db = await getDb()
+    const existing = await db.collection('swapRequests').findOne({ id: req.params.id }, { projection: { _id: 0 } })
+    if (!existing) return res.status(404).json({ error: 'Ruilverzoek niet gevonden' })
+    if (existing.fromUserId !== auth.userId && !userHasPermission(auth.userId, DUTY_TYPES[existing.duty].permission)) {
+      return res.status(403).json({ error: 'Je hebt geen rechten voor deze actie' })
+    }
+    if (!ACTIVE_SWAP_STATUSES.includes(existing.status)) {
+      return res.status(409).json({ error: 'Dit ruilverzoek is al afgehandeld' })
+    }
 
-defaultProductionOrigins.forEach((origin) => {
-  if (!fallbackOrigins.includes(origin)) {
-    fallbackOrigins.push(origin)
+    const swap = await updateSwapStatusRecord(existing, 'cancelled', { by: auth.userId })
+    if (!swap) return res.status(409).json({ error: 'Dit ruilverzoek is al afgehandeld' })
+
+    logEvent({ action: 'swap-cancelled', metadata: { id: swap.id, eventId: swap.eventId, by: auth.userId } })
+    res.json({ swap: mapSwapForClient(swap), msg: 'Aanbod ingetrokken' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/swaps/:id/cancel', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Aanbod intrekken mislukt' })
   }
 })
 
-const configuredOrigins = envConfiguredOrigins.length > 0
-  ? Array.from(new Set([...envConfiguredOrigins, ...defaultProductionOrigins]))
-  : []
-
-// Add Vercel URLs to fallback origins
-if (process.env.VERCEL_URL) {
-  fallbackOrigins.push(`https://${process.env.VERCEL_URL}`)
-}
-// Also add common Vercel domain patterns
-if (process.env.VERCEL) {
-  // If we're running on Vercel, allow all .vercel.app domains
-  fallbackOrigins.push('https://stamjer.vercel.app')
-  fallbackOrigins.push('https://stamjer-git-main-stamjer.vercel.app')
-  // Add any other deployment URLs that might be used
-}
-
-const corsAllowedOrigins = configuredOrigins.length > 0 ? configuredOrigins : fallbackOrigins
-const allowAllLocalOrigins = !isProduction && configuredOrigins.length === 0
+// Ruil goedkeuren of afwijzen (recht rooster.manage of schoonmaak.manage, per taak)
+apiRouter.patch('/swaps/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: [DUTY_TYPES.opkomst.permission, DUTY_TYPES.schoonmaak.permission] })
+    if (!auth) return
 
-const corsOptions = {
-  origin(origin, callback) {
-    // Always allow requests without origin (e.g., mobile apps, Postman)
-    if (!origin) {
-      return callback(null, true)
+    const { status } = req.body || {}
+    if (!['approved', 'denied'].includes(status)) {
+      return res.status(400).json({ error: 'Kies goedkeuren of afwijzen' })
     }
-    
-    // Allow configured origins
-    if (corsAllowedOrigins.includes(origin)) {
-      return callback(null, true)
-    }
-    
-    // Allow all local origins in development
-    if (allowAllLocalOrigins) {
-      return callback(null, true)
+    const comment = safeTrimmedString(req.body?.comment, 500)
+
+    const db = await getDb()
+    const existing = await db.collection('swapRequests').findOne({ id: req.params.id }, { projection: { _id: 0 } })
+    if (!existing) return res.status(404).json({ error: 'Ruilverzoek niet gevonden' })
+    if (!userHasPermission(auth.userId, DUTY_TYPES[existing.duty].permission)) {
+      return res.status(403).json({ error: 'Je hebt geen rechten voor deze actie' })
     }
-    
-    // For Vercel deployments, be more flexible with .vercel.app domains
-    if (process.env.VERCEL && origin.includes('.vercel.app')) {
-      return callback(null, true)
+    if (existing.status !== 'pending_approval') {
+      return res.status(409).json({ error: 'Dit ruilverzoek wacht niet op goedkeuring' })
     }
-    
-    debugLog('Blocked request from origin', origin)
-    return callback(new Error('Not allowed by CORS'))
-  },
-  credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Session-Token'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
-}
 
-app.use((req, res, next) => {
-  cors(corsOptions)(req, res, (err) => {
-    if (err) {
-      warnLog(`Blocked CORS request from ${req.headers.origin || 'unknown origin'}`)
-      return res.status(403).json({ msg: 'Origin not allowed' })
+    if (status === 'denied') {
+      const swap = await updateSwapStatusRecord(existing, 'denied', { by: auth.userId, comment: comment || null })
+      if (!swap) return res.status(409).json({ error: 'Dit ruilverzoek is al afgehandeld' })
+
+      logEvent({ action: 'swap-denied', metadata: { id: swap.id, eventId: swap.eventId, by: auth.userId } })
+      sendSwapEmail(swap, 'denied', { comment })
+      return res.json({ swap: mapSwapForClient(swap), msg: 'Ruil afgewezen' })
     }
-    return next()
-  })
+
+    const { swap, error } = await completeSwap(existing, { by: auth.userId, toUserId: existing.toUserId, comment: comment || null })
+    if (error) return res.status(409).json({ error })
+
+    logEvent({ action: 'swap-completed', metadata: { id: swap.id, eventId: swap.eventId, from: swap.fromUserId, to: swap.toUserId, by: auth.userId } })
+    sendSwapEmail(swap, 'completed', { comment })
+    res.json({ swap: mapSwapForClient(swap), msg: 'Ruil goedgekeurd' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PATCH /api/swaps/:id', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Ruil beoordelen mislukt' })
+  }
 })
 
-app.use(express.json({ limit: '25mb' }))
-app.use(createRequestLogger())
+// Schoonmaaktaken (sjablonen); leden zien alleen actieve taken
+apiRouter.get('/schoonmaak/tasks', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
 
-// Request logging (no sensitive payloads)
-app.use((req, res, next) => {
-  infoLog(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`)
-  return next()
+    await loadSchoonmaakTasks()
+    const tasks = userHasPermission(auth.userId, 'schoonmaak.manage') ? schoonmaakTasks : schoonmaakTasks.filter((task) => task.active)
+    res.json({ tasks })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/schoonmaak/tasks', status: 500 })
+    res.status(500).json({ error: 'Schoonmaaktaken ophalen mislukt' })
+  }
 })
 
-// API-router
-const apiRouter = express.Router()
+apiRouter.post('/schoonmaak/tasks', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'schoonmaak.manage' })
+    if (!auth) return
 
-// Eenvoudige test
-apiRouter.get('/test', (req, res) => {
-  res.json({ msg: 'API is in orde' })
+    await loadSchoonmaakTasks()
+    const { task: input, error } = normalizeSchoonmaakTaskInput(req.body || {})
+    if (error) return res.status(400).json({ error })
+
+    const now = new Date().toISOString()
+    const task = {
+      id: randomUUID(),
+      ...input,
+      order: schoonmaakTasks.reduce((max, item) => Math.max(max, item.order ?? 0), -1) + 1,
+      createdAt: now,
+      updatedAt: now
+    }
+    const db = await getDb()
+    await db.collection('schoonmaakTasks').insertOne({ ...task })
+    schoonmaakTasks.push(task)
+
+    logEvent({ action: 'schoonmaak-task-created', metadata: { id: task.id, name: task.name, by: auth.userId } })
+    res.status(201).json({ task, msg: 'Taak toegevoegd' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/schoonmaak/tasks', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Taak toevoegen mislukt' })
+  }
 })
 
-// Gebruikers ophalen
-apiRouter.get('/users', async (req, res) => {
+// Taak wijzigen; een nieuwe naam wordt ook doorgevoerd in komende schoonmaken
+apiRouter.put('/schoonmaak/tasks/:id', async (req, res) => {
   try {
-    await loadUsers()
-    if (users.length === 0) await loadUsers()
-    const safeUsers = users.map(u => ({
-      id: u.id,
-      firstName: u.firstName,
-      lastName: u.lastName,
-      email: u.email,
-      role: u.role,
-      active: Boolean(u.active),
-      status: u.status || 'active'
-    }))
-    res.json(safeUsers)
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'schoonmaak.manage' })
+    if (!auth) return
+
+    await loadSchoonmaakTasks()
+    const existing = schoonmaakTasks.find((task) => task.id === req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Taak niet gevonden' })
+
+    const { task: input, error } = normalizeSchoonmaakTaskInput({ ...existing, ...req.body }, existing.id)
+    if (error) return res.status(400).json({ error })
+
+    const task = { ...existing, ...input, updatedAt: new Date().toISOString() }
+    const db = await getDb()
+    await db.collection('schoonmaakTasks').updateOne({ id: task.id }, { $set: task })
+    schoonmaakTasks = schoonmaakTasks.map((item) => (item.id === task.id ? task : item))
+
+    if (normalizeTaskName(existing.name) !== normalizeTaskName(task.name)) {
+      await ensureEventsFresh(0)
+      const todayKey = getTodayKey()
+      const renamed = events
+        .filter((ev) => ev.isSchoonmaak && getEventDateKey(ev) >= todayKey)
+        .filter((ev) => (ev.schoonmaakOptions || []).some((name) => normalizeTaskName(name) === normalizeTaskName(existing.name)))
+        .map((ev) => stampEventRevision({
+          ...ev,
+          schoonmaakOptions: ev.schoonmaakOptions.map((name) => (normalizeTaskName(name) === normalizeTaskName(existing.name) ? task.name : name))
+        }))
+      await Promise.all(renamed.map((ev) => saveEvent(ev)))
+      replaceCachedEvents(renamed)
+      await db.collection('schoonmaakChecklists').updateMany(
+        { eventId: { $in: renamed.map((ev) => ev.id) }, 'items.name': existing.name },
+        { $set: { 'items.$.name': task.name } }
+      )
+    }
+
+    logEvent({ action: 'schoonmaak-task-updated', metadata: { id: task.id, name: task.name, by: auth.userId } })
+    res.json({ task, msg: 'Taak opgeslagen' })
   } catch (err) {
-    console.error('Fout bij ophalen gebruikers:', err)
-    logSystemError(err, { action: 'GET /api/users', status: 500 })
-    res.status(500).json({ error: 'Opvragen gebruikers mislukt', message: err.message })
+    console.error(err)
+    logSystemError(err, { action: 'PUT /api/schoonmaak/tasks/:id', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Taak opslaan mislukt' })
   }
 })
 
-apiRouter.get('/users/full', async (req, res) => {
+// Taak verwijderen; bestaande checklists houden hun afgevinkte taken
+apiRouter.delete('/schoonmaak/tasks/:id', async (req, res) => {
   try {
-    await loadUsers()
-    if (users.length === 0) await loadUsers()
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'schoonmaak.manage' })
+    if (!auth) return
 
-    const streepjes = calculateStreepjes()
-    res.json({
-      users: users.map(u => ({
-        id: u.id,
-        firstName: u.firstName,
-        lastName: u.lastName,
-        email: u.email,
-        active: u.active,
-        isAdmin: u.isAdmin || false,
-        streepjes: streepjes[u.id] || 0,
-        status: u.status || 'active'
-      }))
-    })
+    await loadSchoonmaakTasks()
+    const existing = schoonmaakTasks.find((task) => task.id === req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Taak niet gevonden' })
+
+    const db = await getDb()
+    await db.collection('schoonmaakTasks').deleteOne({ id: existing.id })
+    schoonmaakTasks = schoonmaakTasks.filter((task) => task.id !== existing.id)
+
+    logEvent({ action: 'schoonmaak-task-deleted', metadata: { id: existing.id, name: existing.name, by: auth.userId } })
+    res.json({ msg: 'Taak verwijderd' })
   } catch (err) {
-    console.error('Fout bij ophalen volledige gebruikerslijst:', err)
-    logSystemError(err, { action: 'GET /api/users/full', status: 500 })
-    res.status(500).json({ error: 'Opvragen volledige gebruikerslijst mislukt', message: err.message })
+    console.error(err)
+    logSystemError(err, { action: 'DELETE /api/schoonmaak/tasks/:id', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Taak verwijderen mislukt' })
   }
 })
 
-// Helper function to send active status change notification email
-async function sendActiveStatusChangeEmail(user, newActiveStatus) {
+// Checklist van een schoonmaak
+apiRouter.get('/events/:id/checklist', async (req, res) => {
   try {
-    const statusText = newActiveStatus ? 'actief' : 'inactief'
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
 
-    const mailer = await ensureMailerTransport()
-    if (!mailer) {
-      warnLog('Status change notification skipped: transporter niet beschikbaar')
-      return
-    }
+    await ensureEventsFresh()
+    const ev = events.find((item) => item.id === req.params.id)
+    if (!ev || !ev.isSchoonmaak) return res.status(404).json({ error: 'Schoonmaak niet gevonden' })
 
-    await mailer.sendMail({
-      from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
-      to: DAILY_CHANGE_EMAIL,
-      subject: `Stamjer - Status wijziging: ${user.firstName} ${user.lastName}`,
-      html: `
-        <h2>Status wijziging</h2>
-        <p><strong>${user.firstName} ${user.lastName}</strong> heeft zijn/haar status gewijzigd.</p>
-        
-        <table style="border-collapse: collapse; width: 100%; max-width: 400px;">
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Naam:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${user.firstName} ${user.lastName}</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">E-mail:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${user.email}</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Nieuwe status:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${statusText}</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold;">Datum/tijd:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${new Date().toLocaleString('nl-NL')}</td>
-          </tr>
-        </table>
-        
-        <p><em>Deze e-mail is automatisch gegenereerd door het Stamjer systeem.</em></p>
-      `
-    })
-    debugLog('Status change notification email sent', { userId: user.id, active: newActiveStatus })
-  } catch (error) {
-    console.error('Error sending status change email:', error)
-    logSystemError(error, { action: 'notify-active-status', status: 500, metadata: { userId: user?.id, active: newActiveStatus } })
+    const items = await getEventChecklist(ev)
+    res.json({ checklist: mapChecklistForClient(ev, items), canEdit: canEditChecklist(ev, auth.userId) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/events/:id/checklist', status: 500, metadata: { eventId: req.params.id } })
+    res.status(500).json({ error: 'Checklist ophalen mislukt' })
   }
-}
+})
 
-// Profiel bijwerken
-apiRouter.put('/user/profile', async (req, res) => {
+// Taak afvinken, eventueel met een foto (schoonmakers van deze schoonmaak of admin)
+apiRouter.patch('/events/:id/checklist/:itemId', async (req, res) => {
   try {
     const auth = await requireAuthenticatedUser(req, res)
     if (!auth) return
 
-    const { userId, active, notificationPreferences } = req.body
-    if (!userId) return res.status(400).json({ error: 'Gebruikers-ID is vereist' })
-    const uid = parseInt(userId, 10)
-    if (uid !== auth.userId) return res.status(403).json({ error: 'Je kunt alleen je eigen profiel bijwerken' })
-    const idx = users.findIndex(u => u.id === uid)
-    if (idx < 0) return res.status(404).json({ error: 'Gebruiker niet gevonden' })
-    
-    // Ensure we never drop preferences; default to all optional channels off
-    users[idx].notificationPreferences = normalizeNotificationPreferences(users[idx].notificationPreferences || {})
+    await ensureEventsFresh()
+    const ev = events.find((item) => item.id === req.params.id)
+    if (!ev || !ev.isSchoonmaak) return res.status(404).json({ error: 'Schoonmaak niet gevonden' })
+    if (!canEditChecklist(ev, auth.userId)) {
+      return res.status(403).json({ error: 'Alleen de schoonmakers van deze schoonmaak kunnen taken afvinken' })
+    }
 
-    const previousActiveStatus = users[idx].active
-    
-    let attendanceSync = { updatedEvents: 0 }
+    const items = await getEventChecklist(ev)
+    const item = items.find((entry) => entry.id === req.params.itemId)
+    if (!item) return res.status(404).json({ error: 'Taak niet gevonden' })
 
-    if (typeof active === 'boolean') {
-      users[idx].active = active
-      
-      // Send email notification if active status changed
-      if (previousActiveStatus !== active) {
-        attendanceSync = await syncUserAttendanceForFutureOpkomsten(uid, active)
-        await sendActiveStatusChangeEmail(users[idx], active)
-      }
+    const db = await getDb()
+    const now = new Date().toISOString()
+    const done = req.body?.done === undefined ? item.done : Boolean(req.body.done)
+    let photoId = item.photoId
+    let insertedPhotoId = null
+
+    if (req.body?.photo) {
+      const { buffer, type, error } = decodeChecklistPhoto(req.body.photo)
+      if (error) return res.status(400).json({ error })
+      photoId = randomUUID()
+      await db.collection('schoonmaakPhotos').insertOne({
+        id: photoId,
+        eventId: ev.id,
+        itemId: item.id,
+        type,
+        data: buffer,
+        size: buffer.length,
+        uploadedBy: auth.userId,
+        uploadedAt: now
+      })
+      insertedPhotoId = photoId
+    } else if (req.body?.removePhoto) {
+      photoId = null
     }
 
-    if (notificationPreferences && typeof notificationPreferences === 'object') {
-      users[idx].notificationPreferences = normalizeNotificationPreferences(notificationPreferences)
+    // Update only this task, so schoonmakers ticking other tasks at the same time keep their changes
+    let stored
+    try {
+      stored = await db.collection('schoonmaakChecklists').findOneAndUpdate(
+        { eventId: ev.id, 'items.id': item.id },
+        {
+          $set: {
+            'items.$[task].done': done,
+            'items.$[task].doneBy': done ? (item.done ? item.doneBy : auth.userId) : null,
+            'items.$[task].doneAt': done ? (item.done ? item.doneAt : now) : null,
+            'items.$[task].photoId': photoId,
+            updatedAt: now
+          }
+        },
+        { arrayFilters: [{ 'task.id': item.id }], returnDocument: 'after', projection: { _id: 0 } }
+      )
+    } catch (updateError) {
+      if (insertedPhotoId) await db.collection('schoonmaakPhotos').deleteOne({ id: insertedPhotoId })
+      throw updateError
     }
-    
-    await saveUser(users[idx])
-    res.json({ 
-      user: users[idx], 
-      msg: 'Profiel succesvol bijgewerkt',
-      attendanceUpdates: attendanceSync.updatedEvents
-    })
+    if (!stored) {
+      if (insertedPhotoId) await db.collection('schoonmaakPhotos').deleteOne({ id: insertedPhotoId })
+      return res.status(404).json({ error: 'Taak niet gevonden' })
+    }
+
+    if (item.photoId && item.photoId !== photoId) {
+      await db.collection('schoonmaakPhotos').deleteOne({ id: item.photoId })
+    }
+    const nextItems = stored.items
+
+    logEvent({ action: 'schoonmaak-task-checked', metadata: { eventId: ev.id, itemId: item.id, done, photo: Boolean(photoId), by: auth.userId } })
+    res.json({ checklist: mapChecklistForClient(ev, nextItems), msg: done ? 'Taak afgevinkt' : 'Taak weer open' })
   } catch (err) {
     console.error(err)
-    logSystemError(err, { action: 'PUT /api/user/profile', status: 500, metadata: req.body })
-    res.status(500).json({ error: 'Profiel bijwerken mislukt' })
+    logSystemError(err, { action: 'PATCH /api/events/:id/checklist/:itemId', status: 500, metadata: { eventId: req.params.id, itemId: req.params.itemId } })
+    res.status(500).json({ error: 'Taak bijwerken mislukt' })
   }
 })
 
-// Status bijwerken (alleen admin)
-apiRouter.patch('/users/:id/status', async (req, res) => {
+// Foto bij een afgevinkte taak
+apiRouter.get('/schoonmaak/photos/:id', async (req, res) => {
   try {
-    const auth = await requireAuthenticatedUser(req, res, { requireAdmin: true })
+    const auth = await requireAuthenticatedUser(req, res)
     if (!auth) return
 
-    const { userId, status } = req.body
-    if (!userId || sanitizeUserId(userId) !== auth.userId) return res.status(403).json({ error: 'Alleen beheerders' })
+    const db = await getDb()
+    const photo = await db.collection('schoonmaakPhotos').findOne({ id: req.params.id })
+    if (!photo) return res.status(404).json({ error: 'Foto niet gevonden' })
 
-    const validStatuses = ['active', 'inactive', 'legacy']
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({ error: 'Ongeldige status. Kies uit: active, inactive, legacy' })
-    }
+    const data = Buffer.from(photo.data.buffer ?? photo.data)
+    res.json({
+      photo: {
+        id: photo.id,
+        type: photo.type,
+        uploadedBy: photo.uploadedBy,
+        uploadedAt: photo.uploadedAt,
+        dataUrl: `data:${photo.type};base64,${data.toString('base64')}`
+      }
+    })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/schoonmaak/photos/:id', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Foto ophalen mislukt' })
+  }
+})
 
-    const targetId = sanitizeUserId(req.params.id)
-    if (targetId === null) return res.status(400).json({ error: 'Ongeldig gebruikers-ID' })
+// Geweest schoonmaken waarvan de checklist niet af is (recht schoonmaak.manage)
+apiRouter.get('/schoonmaak/incomplete', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'schoonmaak.manage' })
+    if (!auth) return
 
-    const idx = users.findIndex(u => u.id === targetId)
-    if (idx < 0) return res.status(404).json({ error: 'Gebruiker niet gevonden' })
+    await ensureEventsFresh()
+    await loadSchoonmaakTasks()
+    const todayKey = getTodayKey()
+    const season = getCurrentSeason()
+    const fromKey = typeof req.query.from === 'string' && SEASON_DATE_REGEX.test(req.query.from)
+      ? req.query.from
+      : season?.startDate || ''
+    const past = events.filter((ev) => {
+      const day = getEventDateKey(ev)
+      return ev.isSchoonmaak && day < todayKey && day >= fromKey && (ev.schoonmaakOptions || []).length > 0
+    })
 
-    const previousStatus = users[idx].status || 'active'
-    if (previousStatus === status) {
-      return res.json({ user: { id: targetId, status }, msg: 'Status ongewijzigd' })
-    }
+    const db = await getDb()
+    const stored = await db.collection('schoonmaakChecklists')
+      .find({ eventId: { $in: past.map((ev) => ev.id) } })
+      .project({ _id: 0 })
+      .toArray()
 
-    users[idx].status = status
+    const incomplete = past
+      .map((ev) => {
+        const items = reconcileChecklistItems(ev, stored.find((entry) => entry.eventId === ev.id)?.items)
+        const checklist = mapChecklistForClient(ev, items)
+        return {
+          eventId: ev.id,
+          title: ev.title,
+          start: ev.start,
+          schoonmakers: formatMemberFirstNames(sanitizeIdArray(ev.schoonmakerIds)) || ev.schoonmakers || '',
+          done: checklist.done,
+          total: checklist.total,
+          missing: items.filter((item) => !item.done).map((item) => item.name)
+        }
+      })
+      .filter((row) => row.done < row.total)
+      .sort((a, b) => String(b.start).localeCompare(String(a.start)))
 
-    // Sync opkomst attendance based on status change
-    if (previousStatus === 'active' && status !== 'active') {
-      await syncUserAttendanceForFutureOpkomsten(targetId, false)
-    } else if (previousStatus !== 'active' && status === 'active' && users[idx].active) {
-      await syncUserAttendanceForFutureOpkomsten(targetId, true)
-    }
+    res.json({ from: fromKey || null, events: incomplete })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/schoonmaak/incomplete', status: 500 })
+    res.status(500).json({ error: 'Onvolledige schoonmaken ophalen mislukt' })
+  }
+})
 
-    await saveUser(users[idx])
-    logEvent('user-status-changed', {
-      targetUserId: targetId,
-      changedBy: sanitizeUserId(userId),
-      previousStatus,
-      newStatus: status
-    })
+// Seizoenen (lezen voor leden, beheren door admin)
+apiRouter.get('/seasons', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
 
+    await loadSeasons()
+    await archiveEndedSeasons()
+    const current = getCurrentSeason()
     res.json({
-      user: { id: targetId, status },
-      msg: `Status bijgewerkt naar ${status}`
+      seasons: [...seasons].reverse().map((season) => mapSeasonForClient(season)),
+      currentSeasonId: current?.id || null
     })
   } catch (err) {
-    logSystemError(err, { action: 'PATCH /api/users/:id/status', status: 500 })
-    res.status(500).json({ error: 'Status bijwerken mislukt' })
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/seasons', status: 500 })
+    res.status(500).json({ error: 'Seizoenen ophalen mislukt' })
   }
 })
 
-// Profiel ophalen (met voorkeuren)
-apiRouter.get('/user/profile', async (req, res) => {
-  const auth = await requireAuthenticatedUser(req, res)
-  if (!auth) return
+// Stand van een seizoen (bevroren eindstand voor afgelopen seizoenen)
+apiRouter.get('/seasons/:id/standings', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
 
-  const { userId } = req.query
-  const uid = sanitizeUserId(userId)
-  if (uid === null) {
-    return res.status(400).json({ error: 'Ongeldig gebruikers-ID' })
-  }
-  if (uid !== auth.userId) {
-    return res.status(403).json({ error: 'Je kunt alleen je eigen profiel bekijken' })
-  }
+    const season = seasons.find((item) => item.id === req.params.id)
+    if (!season) return res.status(404).json({ error: 'Seizoen niet gevonden' })
 
-  const user = users.find((u) => u.id === uid)
-  if (!user) {
-    return res.status(404).json({ error: 'Gebruiker niet gevonden' })
+    if (!season.archivedAt) await loadStreepjesLedger()
+    res.json({ season: mapSeasonForClient(season, { includeStandings: true }) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/seasons/:id/standings', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Stand ophalen mislukt' })
   }
-
-  const safeUser = { ...user }
-  delete safeUser.password
-  res.json({ user: safeUser })
 })
 
-// Evenementen ophalen
-apiRouter.get('/events', async (req, res) => {
-  await ensureEventsFresh()
-  res.json({ events })
-})
+apiRouter.post('/seasons', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
 
-apiRouter.get('/events/opkomsten', async (req, res) => {
-  await ensureEventsFresh()
-  res.json({ events: events.filter(e => e.isOpkomst) })
+    await loadSeasons()
+    const { values, error } = validateSeasonInput(req.body)
+    if (error) return res.status(400).json({ error })
+
+    const season = {
+      id: randomUUID(),
+      ...values,
+      createdAt: new Date().toISOString(),
+      createdBy: auth.userId,
+      archivedAt: null,
+      archivedBy: null,
+      standings: null
+    }
+    await saveSeason(season)
+    logEvent({ action: 'season-created', metadata: { id: season.id, ...values, by: auth.userId } })
+    res.status(201).json({ season: mapSeasonForClient(season), msg: 'Seizoen aangemaakt' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/seasons', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Seizoen aanmaken mislukt' })
+  }
 })
 
-// Evenement aanmaken
-apiRouter.post('/events', async (req, res) => {
+apiRouter.put('/seasons/:id', async (req, res) => {
   try {
-    const {
-      title, start, end, allDay,
-      location, description,
-      isOpkomst, opkomstmakers, opkomstmakerIds,
-      isSchoonmaak, schoonmakers, schoonmakerIds,
-      schoonmaakOptions,
-      userId,
-      participants: requestedParticipants = []
-    } = req.body
-    if (!userId) return res.status(401).json({ msg: 'Authenticatie vereist' })
-    if (!isUserAdmin(userId)) return res.status(403).json({ msg: 'Alleen beheerders' })
-    if (!title || !start) return res.status(400).json({ msg: 'Titel en startdatum zijn vereist' })
-
-    const sanitizedParticipants = Array.isArray(requestedParticipants)
-      ? requestedParticipants
-          .map(pid => parseInt(pid, 10))
-          .filter(Number.isFinite)
-      : []
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
 
-    const id = Math.random().toString(36).substr(2, 6)
-    const isOpkomstFlag = !!isOpkomst
-    const isSchoonmaakFlag = !!isSchoonmaak
-    const opkomstMakerIdList = sanitizeIdArray(opkomstmakerIds)
-    const schoonmakerIdList = sanitizeIdArray(schoonmakerIds)
+    await loadSeasons()
+    const existing = seasons.find((item) => item.id === req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Seizoen niet gevonden' })
+    if (existing.archivedAt) return res.status(409).json({ error: 'Een gearchiveerd seizoen kan niet meer worden gewijzigd' })
 
-    const newEv = {
-      id,
-      title,
-      start,
-      end: end || start,
-      allDay: !!allDay,
-      location: location || '',
-      description: description || '',
-      isOpkomst: isOpkomstFlag,
-      opkomstmakers: opkomstmakers || '',
-      opkomstmakerIds: opkomstMakerIdList,
-      isSchoonmaak: isSchoonmaakFlag,
-      schoonmakers: schoonmakers || '',
-      schoonmakerIds: schoonmakerIdList,
-      schoonmaakOptions: schoonmaakOptions || [],
-      participants: sanitizedParticipants
-    }
+    const { values, error } = validateSeasonInput({ ...existing, ...req.body }, { excludeId: existing.id })
+    if (error) return res.status(400).json({ error })
 
-    if (isOpkomstFlag) {
-      if (!users || users.length === 0) {
-        await loadUsers()
-      }
-      const activeUserIds = users
-        .filter(u => u.active && (u.status || 'active') === 'active')
-        .map(u => u.id)
-        .filter(Number.isFinite)
+    const season = { ...existing, ...values, updatedAt: new Date().toISOString(), updatedBy: auth.userId }
+    await saveSeason(season)
+    await archiveEndedSeasons()
+    logEvent({ action: 'season-updated', metadata: { id: season.id, ...values, by: auth.userId } })
+    res.json({ season: mapSeasonForClient(seasons.find((item) => item.id === season.id)), msg: 'Seizoen bijgewerkt' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'PUT /api/seasons/:id', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Seizoen bijwerken mislukt' })
+  }
+})
 
-      const combinedParticipants = Array.from(
-        new Set([...sanitizedParticipants, ...activeUserIds])
-      ).sort((a, b) => a - b)
+apiRouter.delete('/seasons/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
 
-      newEv.participants = combinedParticipants
-    }
+    await loadSeasons()
+    const existing = seasons.find((item) => item.id === req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Seizoen niet gevonden' })
+    if (existing.archivedAt) return res.status(409).json({ error: 'Een gearchiveerd seizoen kan niet worden verwijderd' })
 
-    events.push(newEv)
-    await saveEvent(newEv)
-    await ensureEventsFresh(0)
-    res.json(newEv)
+    const db = await getDb()
+    await db.collection('seasons').deleteOne({ id: existing.id })
+    seasons = seasons.filter((item) => item.id !== existing.id)
+    logEvent({ action: 'season-deleted', metadata: { id: existing.id, name: existing.name, by: auth.userId } })
+    res.json({ msg: 'Seizoen verwijderd' })
   } catch (err) {
     console.error(err)
-    logSystemError(err, { action: 'POST /api/events', status: 500, metadata: req.body })
-    res.status(500).json({ msg: 'Aanmaken evenement mislukt' })
+    logSystemError(err, { action: 'DELETE /api/seasons/:id', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Seizoen verwijderen mislukt' })
   }
 })
 
-// Evenement bijwerken
-apiRouter.put('/events/:id', async (req, res) => {
+// Eindstand opnieuw vastleggen, bijv. na een late correctie
+apiRouter.post('/seasons/:id/archive', async (req, res) => {
   try {
-    const { id } = req.params
-    const idx = events.findIndex(e => e.id === id)
-    if (idx < 0) return res.status(404).json({ msg: 'Niet gevonden' })
-    const updated = { ...events[idx], ...req.body }
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
 
-    if (req.body?.opkomstmakerIds !== undefined) {
-      updated.opkomstmakerIds = sanitizeIdArray(req.body.opkomstmakerIds)
-    } else if (!Array.isArray(updated.opkomstmakerIds)) {
-      updated.opkomstmakerIds = sanitizeIdArray(updated.opkomstmakerIds)
+    await loadSeasons()
+    const existing = seasons.find((item) => item.id === req.params.id)
+    if (!existing) return res.status(404).json({ error: 'Seizoen niet gevonden' })
+    if (existing.endDate >= getTodayKey()) {
+      return res.status(409).json({ error: 'Een seizoen kan pas na de einddatum worden gearchiveerd' })
     }
 
-    if (req.body?.schoonmakerIds !== undefined) {
-      updated.schoonmakerIds = sanitizeIdArray(req.body.schoonmakerIds)
-    } else if (!Array.isArray(updated.schoonmakerIds)) {
-      updated.schoonmakerIds = sanitizeIdArray(updated.schoonmakerIds)
-    }
+    await loadStreepjesLedger()
+    const season = await archiveSeason(existing, { by: auth.userId })
+    res.json({ season: mapSeasonForClient(season, { includeStandings: true }), msg: 'Eindstand vastgelegd' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/seasons/:id/archive', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Seizoen archiveren mislukt' })
+  }
+})
 
-    if (req.body?.participants !== undefined) {
-      updated.participants = sanitizeIdArray(req.body.participants)
-    } else if (!Array.isArray(updated.participants)) {
-      updated.participants = sanitizeIdArray(updated.participants)
-    }
+// Strafregels voor streepjes (recht strepen.manage)
+apiRouter.get('/penalty-rules', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
 
-    events[idx] = updated
-    await saveEvent(updated)
-    await ensureEventsFresh(0)
-    res.json(updated)
+    await loadPenaltyRules()
+    res.json({ rules: mapPenaltyRulesForClient(penaltyRules) })
   } catch (err) {
     console.error(err)
-    logSystemError(err, { action: 'PUT /api/events/:id', status: 500, metadata: req.body })
-    res.status(500).json({ msg: 'Bijwerken evenement mislukt' })
+    logSystemError(err, { action: 'GET /api/penalty-rules', status: 500 })
+    res.status(500).json({ error: 'Strafregels ophalen mislukt' })
   }
 })
 
-// Evenement verwijderen
-apiRouter.delete('/events/:id', async (req, res) => {
+// Voorbeeld: effect van gewijzigde strafregels op de huidige stand
+apiRouter.post('/penalty-rules/preview', async (req, res) => {
   try {
-    const { id } = req.params
-    const idx = events.findIndex(e => e.id === id)
-    if (idx < 0) return res.status(404).json({ msg: 'Niet gevonden' })
-    const [removed] = events.splice(idx, 1)
-    await deleteEventById(id)
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
+
+    const { rules, error } = normalizePenaltyRules(req.body?.rules)
+    if (error) return res.status(400).json({ error })
+
     await ensureEventsFresh(0)
-    res.json({ msg: 'Evenement verwijderd', event: removed })
+    await loadStreepjesLedger()
+    const current = calculateStreepjes()
+    const proposed = previewStreepjesCounts(rules)
+
+    const changes = users
+      .filter((u) => !isHistoricalUser(u) || current[u.id] || proposed[u.id])
+      .map((u) => ({
+        userId: u.id,
+        name: `${u.firstName} ${u.lastName}`.trim(),
+        current: current[u.id] || 0,
+        proposed: proposed[u.id] || 0
+      }))
+      .map((row) => ({ ...row, diff: row.proposed - row.current }))
+      .sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff) || a.name.localeCompare(b.name))
+
+    res.json({
+      rules: mapPenaltyRulesForClient(rules),
+      changes,
+      totals: {
+        current: changes.reduce((sum, row) => sum + row.current, 0),
+        proposed: changes.reduce((sum, row) => sum + row.proposed, 0),
+        affectedUsers: changes.filter((row) => row.diff !== 0).length
+      }
+    })
   } catch (err) {
     console.error(err)
-    logSystemError(err, { action: 'DELETE /api/events/:id', status: 500, metadata: req.params })
-    res.status(500).json({ msg: 'Verwijderen mislukt' })
+    logSystemError(err, { action: 'POST /api/penalty-rules/preview', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Voorbeeld berekenen mislukt' })
   }
 })
 
-// Aanwezigheid bijwerken
-apiRouter.put('/events/:id/attendance', async (req, res) => {
+// Strafregels opslaan en streepjes herberekenen
+apiRouter.put('/penalty-rules', async (req, res) => {
   try {
-    const { id, userId, attending } = { ...req.params, ...req.body }
-    const ev = events.find(e => e.id === id)
-    if (!ev) return res.status(404).json({ msg: 'Niet gevonden' })
-    
-    // Only opkomst events have participants/attendance
-    if (!ev.isOpkomst) {
-      return res.status(400).json({ msg: 'Aanwezigheid kan alleen bijgewerkt worden voor opkomst evenementen' })
-    }
-    
-    if (!ev.participants) ev.participants = []
-    const uid = parseInt(userId, 10)
-    const idx = ev.participants.indexOf(uid)
-    
-    // Track the change for logging
-    let changeDetails = {
-      title: ev.title,
-      start: ev.start,
-      participantId: uid,
-      action: attending ? 'joined' : 'left'
-    }
-    
-    if (attending && idx < 0) {
-      ev.participants.push(uid)
-      // Find user for logging
-      const user = users.find(u => u.id === uid)
-      if (user) {
-        changeDetails.participantName = `${user.firstName} ${user.lastName}`
-      }
-    }
-    if (!attending && idx >= 0) {
-      ev.participants.splice(idx, 1)
-      // Find user for logging
-      const user = users.find(u => u.id === uid)
-      if (user) {
-        changeDetails.participantName = `${user.firstName} ${user.lastName}`
-      }
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'strepen.manage' })
+    if (!auth) return
+
+    const { rules, error } = normalizePenaltyRules(req.body?.rules)
+    if (error) return res.status(400).json({ error })
+
+    await ensureEventsFresh(0)
+    await loadStreepjesLedger()
+    await savePenaltyRules(rules, { by: auth.userId })
+
+    // Earlier seasons keep the rules they were played under
+    const summary = { added: 0, struck: 0 }
+    for (const ev of getEventsInSeason(getCurrentSeason())) {
+      const result = await syncAttendanceStreepjes(ev, { by: auth.userId, strikeReason: 'Strafregels aangepast' })
+      summary.added += result.added
+      summary.struck += result.struck
     }
-    
-    await saveEvent(ev)
-    
-    res.json({ msg: 'Aanwezigheid bijgewerkt', event: ev })
+
+    logEvent({ action: 'penalty-rules-updated', metadata: { by: auth.userId, rules, ...summary } })
+    res.json({ rules: mapPenaltyRulesForClient(penaltyRules), summary, msg: 'Strafregels opgeslagen' })
   } catch (err) {
     console.error(err)
-    logSystemError(err, { action: 'PUT /api/events/:id/attendance', status: 500, metadata: req.body })
-    res.status(500).json({ msg: 'Bijwerken aanwezigheid mislukt' })
+    logSystemError(err, { action: 'PUT /api/penalty-rules', status: 500, metadata: req.body })
+    res.status(500).json({ error: 'Strafregels opslaan mislukt' })
   }
 })
 
@@ -3967,7 +8066,7 @@ apiRouter.post('/notifications/manual', async (req, res) => {
   }
 
   try {
-    const auth = await requireAuthenticatedUser(req, res, { requireAdmin: true })
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'notifications.manage' })
     if (!auth) return
 
     const { title, message, recipientIds = [], eventId = null, url = null, priority = 'default' } = req.body || {}
@@ -4020,7 +8119,7 @@ apiRouter.get('/notifications/scheduled', async (req, res) => {
   }
 
   try {
-    const auth = await requireAuthenticatedUser(req, res, { requireAdmin: true })
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'notifications.manage' })
     if (!auth) return
     const items = await listScheduledNotifications()
     res.json({ items })
@@ -4037,7 +8136,7 @@ apiRouter.post('/notifications/schedule', async (req, res) => {
   }
 
   try {
-    const auth = await requireAuthenticatedUser(req, res, { requireAdmin: true })
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'notifications.manage' })
     if (!auth) return
     const { title, message, sendAt, audience = 'all', recipientIds = [], priority = 'normal', cta = null, attachments = [] } = req.body || {}
     if (!title || !message) {
@@ -4069,7 +8168,7 @@ apiRouter.put('/notifications/schedule/:id', async (req, res) => {
   }
 
   try {
-    const auth = await requireAuthenticatedUser(req, res, { requireAdmin: true })
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'notifications.manage' })
     if (!auth) return
     const { id } = req.params
     const updated = await updateScheduledNotificationRecord(id, req.body || {})
@@ -4087,7 +8186,7 @@ apiRouter.delete('/notifications/schedule/:id', async (req, res) => {
   }
 
   try {
-    const auth = await requireAuthenticatedUser(req, res, { requireAdmin: true })
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'notifications.manage' })
     if (!auth) return
     const { id } = req.params
     await cancelScheduledNotificationRecord(id)
@@ -4108,20 +8207,111 @@ apiRouter.get('/session', async (req, res) => {
       return res.status(401).json({ error: 'Geen geldige sessie' })
     }
 
-    let session = auth.session
-    if (!session) {
-      const issued = await createUserSession(auth.user, req)
-      setSessionCookie(res, issued.token)
-      session = issued.session
-    }
+    let session = auth.session
+    if (!session) {
+      const issued = await createUserSession(auth.user, req)
+      setSessionCookie(res, issued.token)
+      session = issued.session
+    }
+
+    res.json({ user: mapUserForClient(auth.user, session) })
+  } catch (error) {
+    console.error('Session lookup error details:', error)
+    logSystemError(error, { action: 'GET /api/session', status: 500 })
+    res.status(500).json({ msg: 'Sessie ophalen mislukt' })
+  }
+})
+
+// Brute-force protection: attempt counters in MongoDB, shared by all instances
+const rateLimits = createRateLimitStore(async () => (await getDb()).collection('rateLimits'))
+
+// The same answer whether the email exists or the password is wrong
+const INVALID_LOGIN_MESSAGE = 'Onjuist e-mailadres of wachtwoord'
+
+function formatRetryAfter(ms) {
+  const minutes = Math.ceil(ms / 60000)
+  return minutes <= 1 ? 'een minuut' : `${minutes} minuten`
+}
+
+/**
+ * Answer with 429 when one of the keys is blocked
+ * @returns {Promise<boolean>} True when the request may continue
+ */
+async function enforceRateLimits(res, keys) {
+  for (const key of keys) {
+    const { allowed, retryAfterMs, locked } = await rateLimits.check(key)
+    if (allowed) continue
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)))
+    res.status(429).json({
+      msg: locked
+        ? `Dit account is tijdelijk geblokkeerd na te veel mislukte pogingen. Probeer het over ${formatRetryAfter(retryAfterMs)} opnieuw of herstel je wachtwoord.`
+        : `Te veel pogingen. Probeer het over ${formatRetryAfter(retryAfterMs)} opnieuw.`
+    })
+    return false
+  }
+  return true
+}
+
+async function sendAccountLockedEmail(user) {
+  const mailer = await ensureMailerTransport()
+  if (!mailer) {
+    warnLog('Blokkeringsmail overgeslagen: transporter niet beschikbaar')
+    return
+  }
+
+  const minutes = Math.round(AUTH_RATE_LIMITS.loginAccount.lockoutMs / 60000)
+  await mailer.sendMail({
+    from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
+    to: user.email,
+    subject: 'Je Stamjer-account is tijdelijk geblokkeerd',
+    html: `
+      <div style="font-family: Arial, sans-serif; color: #222; background-color: #f9f9f9; padding: 20px; border-radius: 8px; max-width: 500px;">
+        <h2 style="color: #1e40af; text-align: center;">Account tijdelijk geblokkeerd</h2>
+        <p>Hallo ${escapeHtml(user.firstName)},</p>
+        <p>Er is te vaak geprobeerd met een verkeerd wachtwoord of verkeerde code in te loggen op je Stamjer-account. Daarom is inloggen de komende <strong>${minutes} minuten</strong> geblokkeerd.</p>
+        <p>Was jij dit niet? Wijzig dan je wachtwoord via "Wachtwoord vergeten" op de inlogpagina en zet tweestapsverificatie aan.</p>
+        <hr style="margin: 20px 0;">
+        <p style="font-size: 12px; color: #666; text-align: center;">
+          Dit bericht is automatisch verzonden door Stamjer. Reageren op deze e-mail is niet nodig.
+        </p>
+      </div>
+    `
+  })
+}
 
-    res.json({ user: mapUserForClient(auth.user, session) })
-  } catch (error) {
-    console.error('Session lookup error details:', error)
-    logSystemError(error, { action: 'GET /api/session', status: 500 })
-    res.status(500).json({ msg: 'Sessie ophalen mislukt' })
+/**
+ * Count a failed login or 2FA attempt for the IP address and the account
+ * and warn the member by email when the account just got locked.
+ */
+async function registerAuthFailure({ ipKey, ipPolicy, accountKey, accountPolicy, user }) {
+  await rateLimits.hit(ipKey, ipPolicy)
+  const { lockedNow } = await rateLimits.hit(accountKey, accountPolicy)
+  if (lockedNow && user) {
+    logEvent({ action: 'account-locked', metadata: { userId: user.id } })
+    try {
+      await sendAccountLockedEmail(user)
+    } catch (err) {
+      console.error('Account locked email error:', err)
+    }
   }
-})
+}
+
+// Compared against when the account does not exist, so timing reveals nothing
+let dummyPasswordHash = null
+
+async function checkLoginPassword(u, password) {
+  if (!u?.password) {
+    dummyPasswordHash = dummyPasswordHash || await bcrypt.hash(randomUUID(), 10)
+    await bcrypt.compare(password, dummyPasswordHash)
+    return false
+  }
+  if (u.password.startsWith('$2b$')) return bcrypt.compare(password, u.password)
+  if (u.password !== password) return false
+  // Upgrade legacy plain-text passwords on first login
+  u.password = await bcrypt.hash(password, 10)
+  await saveUser(u)
+  return true
+}
 
 apiRouter.post('/login', async (req, res) => {
   try {
@@ -4130,17 +8320,29 @@ apiRouter.post('/login', async (req, res) => {
     
     // Normalize email to lowercase for consistent comparison
     const normalizedEmail = email.trim().toLowerCase()
-    const u = users.find(u => u.email.toLowerCase() === normalizedEmail)
-    if (!u) return res.status(400).json({ msg: 'Gebruiker niet gevonden' })
+    const ipKey = `login:ip:${getClientIp(req)}`
+    const accountKey = `login:account:${normalizedEmail}`
+    if (!await enforceRateLimits(res, [ipKey, accountKey])) return
 
-    const match = u.password.startsWith('$2b$')
-      ? await bcrypt.compare(password, u.password)
-      : (u.password === password && await (async () => {
-          u.password = await bcrypt.hash(password, 10)
-          await saveUser(u)
-        })())
+    const u = users.find(u => u.email.toLowerCase() === normalizedEmail)
+    const match = await checkLoginPassword(u, password)
+    if (!match) {
+      await registerAuthFailure({
+        ipKey,
+        ipPolicy: AUTH_RATE_LIMITS.loginIp,
+        accountKey,
+        accountPolicy: AUTH_RATE_LIMITS.loginAccount,
+        user: u
+      })
+      return res.status(400).json({ msg: INVALID_LOGIN_MESSAGE })
+    }
+    await rateLimits.reset(accountKey)
+    if (u.status === 'archived') return res.status(403).json({ msg: 'Dit account is gearchiveerd' })
 
-    if (!match) return res.status(400).json({ msg: 'Onjuist wachtwoord' })
+    // With 2FA the session is only created after the code step
+    if (u.twoFactor?.enabled) {
+      return res.json({ twoFactorRequired: true, challenge: createTwoFactorChallenge(u) })
+    }
 
     const { token, session } = await createUserSession(u, req)
     setSessionCookie(res, token)
@@ -4149,24 +8351,190 @@ apiRouter.post('/login', async (req, res) => {
     res.json({ user: mapUserForClient(u, session) })
   } catch (err) {
     console.error('Login error details:', err)
-    logSystemError(err, { action: 'POST /api/login', status: 500, metadata: req.body })
+    logSystemError(err, { action: 'POST /api/login', status: 500, metadata: { email: maskEmail(req.body?.email || '') } })
+    res.status(500).json({ msg: 'Inloggen mislukt' })
+  }
+})
+
+// Tweede stap van het inloggen: code uit de authenticator-app of een herstelcode
+apiRouter.post('/login/2fa', async (req, res) => {
+  try {
+    const code = typeof req.body?.code === 'string' ? req.body.code.trim() : ''
+    const u = verifyTwoFactorChallenge(req.body?.challenge)
+    if (!u || u.status === 'archived') {
+      return res.status(400).json({ msg: 'Inlogpoging verlopen. Log opnieuw in.' })
+    }
+    if (!code) return res.status(400).json({ msg: 'Vul je code in' })
+
+    const ipKey = `2fa:ip:${getClientIp(req)}`
+    const accountKey = `2fa:account:${u.id}`
+    if (!await enforceRateLimits(res, [ipKey, accountKey])) return
+
+    const method = await verifySecondFactor(u, code)
+    if (!method) {
+      await registerAuthFailure({
+        ipKey,
+        ipPolicy: AUTH_RATE_LIMITS.loginIp,
+        accountKey,
+        accountPolicy: AUTH_RATE_LIMITS.twoFactorAccount,
+        user: u
+      })
+      return res.status(400).json({ msg: 'Ongeldige code' })
+    }
+    await rateLimits.reset(accountKey)
+
+    const { token, session } = await createUserSession(u, req, { twoFactor: true })
+    setSessionCookie(res, token)
+    res.json({ user: mapUserForClient(u, session), recoveryCodeUsed: method === 'recovery' })
+  } catch (err) {
+    console.error('Login 2FA error details:', err)
+    logSystemError(err, { action: 'POST /api/login/2fa', status: 500 })
     res.status(500).json({ msg: 'Inloggen mislukt' })
   }
 })
 
+// Passkeys (WebAuthn): the browser proves possession of a key pair bound to
+// this domain, unlocked with fingerprint, face or device PIN
+function resolveWebAuthnContext(req) {
+  const origin = String(req.headers?.origin || '')
+  const isLocal = allowAllLocalOrigins && /^http:\/\/localhost(:\d+)?$/.test(origin)
+  if (!origin || (!corsAllowedOrigins.includes(origin) && !isLocal)) return null
+
+  const { hostname } = new URL(origin)
+  const rpID = WEBAUTHN_RP_ID || hostname
+  if (hostname !== rpID && !hostname.endsWith(`.${rpID}`)) return null
+  return { origin, rpID }
+}
+
+async function storeWebAuthnChallenge(challenge, { type, userId = null }) {
+  const id = randomUUID()
+  const now = new Date()
+  const db = await getDb()
+  await db.collection('webauthnChallenges').insertOne({
+    id,
+    challenge,
+    type,
+    userId,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + WEBAUTHN_CHALLENGE_MAX_AGE_MS)
+  })
+  return id
+}
+
+// Each challenge can be answered once
+async function consumeWebAuthnChallenge(id, { type, userId = null }) {
+  if (typeof id !== 'string' || !id) return null
+  const db = await getDb()
+  const record = await db.collection('webauthnChallenges').findOneAndDelete({ id, type, userId })
+  if (!record || new Date(record.expiresAt).getTime() < Date.now()) return null
+  return record.challenge
+}
+
+function toWebAuthnCredential(passkey) {
+  return {
+    id: passkey.id,
+    publicKey: base64UrlDecode(passkey.publicKey),
+    counter: passkey.counter || 0,
+    transports: passkey.transports || []
+  }
+}
+
+function mapPasskeyForClient(passkey) {
+  return {
+    id: passkey.id,
+    name: passkey.name,
+    backedUp: Boolean(passkey.backedUp),
+    createdAt: passkey.createdAt,
+    lastUsedAt: passkey.lastUsedAt || null
+  }
+}
+
+// Inloggen met een passkey, stap 1: challenge ophalen
+apiRouter.post('/login/passkey/options', async (req, res) => {
+  try {
+    const context = resolveWebAuthnContext(req)
+    if (!context) return res.status(400).json({ msg: 'Passkeys werken niet vanaf dit adres' })
+    if (!await enforceRateLimits(res, [`login:ip:${getClientIp(req)}`])) return
+
+    // No allowCredentials: the device offers the passkeys it has for this domain
+    const options = await generateAuthenticationOptions({
+      rpID: context.rpID,
+      userVerification: 'required'
+    })
+    const challengeId = await storeWebAuthnChallenge(options.challenge, { type: 'login' })
+    res.json({ challengeId, options })
+  } catch (err) {
+    console.error('Passkey options error:', err)
+    logSystemError(err, { action: 'POST /api/login/passkey/options', status: 500 })
+    res.status(500).json({ msg: 'Inloggen met passkey mislukt' })
+  }
+})
+
+// Inloggen met een passkey, stap 2: antwoord van het apparaat controleren
+apiRouter.post('/login/passkey', async (req, res) => {
+  try {
+    const context = resolveWebAuthnContext(req)
+    if (!context) return res.status(400).json({ msg: 'Passkeys werken niet vanaf dit adres' })
+    const ipKey = `login:ip:${getClientIp(req)}`
+    if (!await enforceRateLimits(res, [ipKey])) return
+
+    const { challengeId, response } = req.body || {}
+    const invalid = async () => {
+      await rateLimits.hit(ipKey, AUTH_RATE_LIMITS.loginIp)
+      return res.status(400).json({ msg: 'Inloggen met passkey mislukt. Probeer het opnieuw of log in met je wachtwoord.' })
+    }
+
+    const expectedChallenge = await consumeWebAuthnChallenge(challengeId, { type: 'login' })
+    const credentialId = typeof response?.id === 'string' ? response.id : ''
+    const u = credentialId ? users.find((candidate) => (candidate.passkeys || []).some((passkey) => passkey.id === credentialId)) : null
+    if (!expectedChallenge || !u) return invalid()
+
+    const passkey = u.passkeys.find((candidate) => candidate.id === credentialId)
+    let verification
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: context.origin,
+        expectedRPID: context.rpID,
+        credential: toWebAuthnCredential(passkey),
+        requireUserVerification: true
+      })
+    } catch (verifyError) {
+      debugLog('Passkey verification failed', { userId: u.id, error: verifyError.message })
+      return invalid()
+    }
+    if (!verification.verified) return invalid()
+    if (u.status === 'archived') return res.status(403).json({ msg: 'Dit account is gearchiveerd' })
+
+    passkey.counter = verification.authenticationInfo.newCounter
+    passkey.lastUsedAt = new Date().toISOString()
+    await saveUser(u)
+
+    // A passkey with fingerprint or PIN counts as two factors
+    const { token, session } = await createUserSession(u, req, { twoFactor: true })
+    setSessionCookie(res, token)
+    logEvent({ action: 'passkey-login', metadata: { userId: u.id } })
+    res.json({ user: mapUserForClient(u, session) })
+  } catch (err) {
+    console.error('Passkey login error:', err)
+    logSystemError(err, { action: 'POST /api/login/passkey', status: 500 })
+    res.status(500).json({ msg: 'Inloggen met passkey mislukt' })
+  }
+})
+
 apiRouter.post('/logout', async (req, res) => {
   try {
     const auth = await requireAuthenticatedUser(req, res)
     if (!auth) return
 
+    // Only this device; other devices are signed out via /sessions
     if (auth.session?.sessionId) {
       await revokeSession(auth.session.sessionId)
-    }
-
-    const idx = users.findIndex((u) => u.id === auth.userId)
-    if (idx >= 0) {
-      users[idx].sessionVersion = (users[idx].sessionVersion || 0) + 1
-      await saveUser(users[idx])
+    } else {
+      // Legacy tokens can only be invalidated all at once
+      auth.user.sessionVersion = (auth.user.sessionVersion || 0) + 1
+      await saveUser(auth.user)
     }
 
     clearSessionCookie(res)
@@ -4178,6 +8546,87 @@ apiRouter.post('/logout', async (req, res) => {
   }
 })
 
+function mapSessionForClient(session, currentSessionId) {
+  return {
+    id: session.sessionId,
+    device: describeUserAgent(session.userAgent),
+    userAgent: session.userAgent || '',
+    ipAddress: session.ipAddress || '',
+    region: session.region || '',
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: session.sessionId === currentSessionId
+  }
+}
+
+// Actieve sessies (apparaten) van de ingelogde gebruiker
+apiRouter.get('/sessions', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const db = await getDb()
+    const active = await db.collection('sessions')
+      .find({ userId: auth.userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .project({ _id: 0, tokenHash: 0 })
+      .sort({ lastSeenAt: -1 })
+      .toArray()
+
+    res.json({ sessions: active.map((session) => mapSessionForClient(session, auth.session?.sessionId)) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/sessions', status: 500 })
+    res.status(500).json({ error: 'Apparaten ophalen mislukt' })
+  }
+})
+
+// Eén apparaat uitloggen
+apiRouter.delete('/sessions/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const sessionId = sanitizeClientString(req.params.id, 80)
+    const db = await getDb()
+    const session = await db.collection('sessions').findOne({ sessionId, userId: auth.userId, revokedAt: null })
+    if (!session) return res.status(404).json({ error: 'Apparaat niet gevonden' })
+
+    await revokeSession(sessionId)
+    const current = sessionId === auth.session?.sessionId
+    if (current) clearSessionCookie(res)
+    logEvent({ action: 'session-revoked', metadata: { userId: auth.userId, sessionId } })
+
+    res.json({ ok: true, current })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'DELETE /api/sessions/:id', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ error: 'Apparaat uitloggen mislukt' })
+  }
+})
+
+// Overal uitloggen behalve op dit apparaat
+apiRouter.post('/sessions/revoke-others', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+    if (!auth.session?.sessionId) {
+      return res.status(400).json({ error: 'Log opnieuw in om andere apparaten uit te loggen' })
+    }
+
+    await revokeUserSessions(auth.userId, { exceptSessionId: auth.session.sessionId })
+    // Also ends old-style device tokens
+    auth.user.sessionVersion = (auth.user.sessionVersion || 0) + 1
+    await saveUser(auth.user)
+    logEvent({ action: 'sessions-revoked', metadata: { userId: auth.userId } })
+
+    res.json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/sessions/revoke-others', status: 500 })
+    res.status(500).json({ error: 'Andere apparaten uitloggen mislukt' })
+  }
+})
+
 // Wachtwoord vergeten
 apiRouter.post('/forgot-password', async (req, res) => {
   try {
@@ -4189,12 +8638,19 @@ apiRouter.post('/forgot-password', async (req, res) => {
     if (!rawEmail || !validator.isEmail(rawEmail))
       return res.status(400).json({ msg: 'Ongeldig e-mailadres' })
 
+    // Every request counts, so nobody can flood a mailbox with codes
+    const ipKey = `reset-request:ip:${getClientIp(req)}`
+    const accountKey = `reset-request:account:${rawEmail}`
+    if (!await enforceRateLimits(res, [ipKey, accountKey])) return
+    await rateLimits.hit(ipKey, AUTH_RATE_LIMITS.resetRequestIp)
+    await rateLimits.hit(accountKey, AUTH_RATE_LIMITS.resetRequestAccount)
+
     const u = users.find(u => u.email.toLowerCase() === rawEmail)
     debugLog('Forgot password lookup result', { email: maskEmail(rawEmail), userFound: Boolean(u) })
     debugLog('Known user accounts for debugging', { count: users.length })
     
     const generic = 'Als het e-mailadres bestaat, ontvang je een herstelcode via e-mail.'
-    if (u) {
+    if (u && u.status !== 'archived') {
       const code = generateCode()
       const expiresAt = Date.now() + 15 * 60 * 1000 // 15 minutes
       
@@ -4259,47 +8715,78 @@ apiRouter.post('/reset-password', async (req, res) => {
         .json({ msg: 'E-mail, code en minimaal 6-karakter wachtwoord zijn vereist' })
     }
 
-    // 5) Lookup pending code & validate expiry
+    // 5) Throttle guessing per IP; each code also dies after a few wrong tries
+    const ipKey = `reset-code:ip:${getClientIp(req)}`
+    if (!await enforceRateLimits(res, [ipKey])) return
+
+    // 6) Lookup pending code & validate expiry; one message for every failure
     debugLog('Reset password request received', { email: maskEmail(rawEmail) })
     
     const rec = await getResetCode(rawEmail)
     debugLog('Reset code lookup result', { email: maskEmail(rawEmail), recordFound: Boolean(rec) })
     
-    if (!rec) {
-      return res.status(400).json({ msg: 'Geen actieve herstelcode gevonden voor dit e-mailadres' })
-    }
-    
-    if (rec.code !== code) {
-      return res.status(400).json({ msg: 'Ongeldige herstelcode' })
-    }
-    
-    if (Date.now() > rec.expiresAt) {
-      await deleteResetCode(rawEmail) // Clean up expired code
-      return res.status(400).json({ msg: 'Herstelcode is verlopen. Vraag een nieuwe aan.' })
-    }
-
-    // 6) Find user and hash the new password
+    const invalidCode = 'Ongeldige of verlopen herstelcode. Vraag zo nodig een nieuwe aan.'
     const idx = users.findIndex(u => u.email.toLowerCase() === rawEmail)
-    if (idx < 0) {
-      return res.status(400).json({ msg: 'Gebruiker niet gevonden' })
+    const expectedCode = Buffer.from(String(rec?.code || ''))
+    const givenCode = Buffer.from(code)
+    const codeMatches = Boolean(rec) && expectedCode.length === givenCode.length && timingSafeEqual(expectedCode, givenCode)
+
+    if (!codeMatches || Date.now() > rec.expiresAt || idx < 0) {
+      await rateLimits.hit(ipKey, AUTH_RATE_LIMITS.resetCodeIp)
+      if (rec && !codeMatches) await registerResetCodeAttempt(rawEmail)
+      if (rec && codeMatches) await deleteResetCode(rawEmail) // Clean up expired code
+      return res.status(400).json({ msg: invalidCode })
     }
 
+    // 7) Hash the new password
     users[idx].password = await bcrypt.hash(newPassword, 10)
     users[idx].sessionVersion = (users[idx].sessionVersion || 0) + 1
     await saveUser(users[idx])
     await revokeUserSessions(users[idx].id)
     await deleteResetCode(rawEmail) // Clean up used reset code
+    await rateLimits.reset(`login:account:${rawEmail}`)
 
-    // 7) Success response
+    // 8) Success response
     res.json({ msg: 'Wachtwoord succesvol gereset' })
 
   } catch (err) {
     console.error('Reset-password error:', err)
-    logSystemError(err, { action: 'POST /api/reset-password', status: 500, metadata: req.body })
+    logSystemError(err, { action: 'POST /api/reset-password', status: 500, metadata: { email: maskEmail(req.body?.email || '') } })
     res.status(500).json({ msg: 'Wachtwoordherstel mislukt' })
   }
 })
 
+// Account activeren via de uitnodigingslink
+apiRouter.post('/activate', async (req, res) => {
+  try {
+    const token = typeof req.body?.token === 'string' ? req.body.token.trim() : ''
+    const password = typeof req.body?.password === 'string' ? req.body.password : ''
+    if (!token) return res.status(400).json({ msg: 'Activatielink ontbreekt' })
+    if (password.length < 6) return res.status(400).json({ msg: 'Wachtwoord moet minimaal 6 karakters bevatten' })
+
+    const invite = await findUserInvite(token)
+    const u = invite ? users.find(u => u.id === invite.userId) : null
+    if (!u || u.status === 'archived') {
+      return res.status(400).json({ msg: 'Deze activatielink is ongeldig of verlopen. Vraag een nieuwe uitnodiging aan.' })
+    }
+
+    u.password = await bcrypt.hash(password, 10)
+    u.activatedAt = new Date().toISOString()
+    u.sessionVersion = (u.sessionVersion || 0) + 1
+    await saveUser(u)
+    await deleteUserInvites(u.id)
+    logEvent({ action: 'user-activated', metadata: { userId: u.id } })
+
+    const { token: sessionToken, session } = await createUserSession(u, req)
+    setSessionCookie(res, sessionToken)
+    res.json({ user: mapUserForClient(u, session), msg: 'Account geactiveerd' })
+  } catch (err) {
+    console.error('Activate error:', err)
+    logSystemError(err, { action: 'POST /api/activate', status: 500 })
+    res.status(500).json({ msg: 'Account activeren mislukt' })
+  }
+})
+
 
 // Wachtwoord wijzigen
 apiRouter.post('/change-password', async (req, res) => {
@@ -4330,6 +8817,234 @@ apiRouter.post('/change-password', async (req, res) => {
   }
 })
 
+// Tweestapsverificatie instellen: nieuwe sleutel voor de authenticator-app
+apiRouter.post('/2fa/setup', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const u = auth.user
+    if (u.twoFactor?.enabled) return res.status(409).json({ error: 'Tweestapsverificatie staat al aan' })
+
+    const secret = generateTotpSecret()
+    u.twoFactor = { enabled: false, pendingSecret: sealTwoFactorSecret(secret) }
+    await saveUser(u)
+    res.json({ secret, otpauthUrl: buildOtpauthUrl({ secret, accountName: u.email }) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/2fa/setup', status: 500 })
+    res.status(500).json({ error: 'Tweestapsverificatie instellen mislukt' })
+  }
+})
+
+// Tweestapsverificatie aanzetten met de eerste code uit de app
+apiRouter.post('/2fa/enable', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const u = auth.user
+    if (u.twoFactor?.enabled) return res.status(409).json({ error: 'Tweestapsverificatie staat al aan' })
+    if (!u.twoFactor?.pendingSecret) return res.status(400).json({ error: 'Start eerst het instellen van tweestapsverificatie' })
+
+    const secret = openTwoFactorSecret(u.twoFactor.pendingSecret)
+    const step = verifyTotpCode(secret, req.body?.code)
+    if (step === null) return res.status(400).json({ error: 'Ongeldige code. Controleer de tijd op je telefoon en probeer het opnieuw.' })
+
+    const recoveryCodes = generateRecoveryCodes()
+    u.twoFactor = {
+      enabled: true,
+      secret: u.twoFactor.pendingSecret,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      enabledAt: new Date().toISOString()
+    }
+    await saveUser(u)
+    await markSessionTwoFactorVerified(auth.session)
+    logEvent({ action: 'two-factor-enabled', metadata: { userId: u.id } })
+
+    res.json({ recoveryCodes, user: mapUserForClient(u, auth.session), msg: 'Tweestapsverificatie staat aan' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/2fa/enable', status: 500 })
+    res.status(500).json({ error: 'Tweestapsverificatie aanzetten mislukt' })
+  }
+})
+
+// Tweestapsverificatie uitzetten (niet als het verplicht is)
+apiRouter.post('/2fa/disable', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const u = auth.user
+    if (!u.twoFactor?.enabled) return res.status(409).json({ error: 'Tweestapsverificatie staat niet aan' })
+    if (isTwoFactorRequired(u)) return res.status(403).json({ error: 'Tweestapsverificatie is verplicht voor jouw account' })
+    if (!await verifySecondFactor(u, req.body?.code)) return res.status(400).json({ error: 'Ongeldige code' })
+
+    u.twoFactor = { enabled: false }
+    await saveUser(u)
+    logEvent({ action: 'two-factor-disabled', metadata: { userId: u.id } })
+
+    res.json({ user: mapUserForClient(u, auth.session), msg: 'Tweestapsverificatie staat uit' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/2fa/disable', status: 500 })
+    res.status(500).json({ error: 'Tweestapsverificatie uitzetten mislukt' })
+  }
+})
+
+// Nieuwe herstelcodes; de oude vervallen
+apiRouter.post('/2fa/recovery-codes', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const u = auth.user
+    if (!u.twoFactor?.enabled) return res.status(409).json({ error: 'Tweestapsverificatie staat niet aan' })
+    if (!await verifySecondFactor(u, req.body?.code)) return res.status(400).json({ error: 'Ongeldige code' })
+
+    const recoveryCodes = generateRecoveryCodes()
+    u.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode)
+    await saveUser(u)
+    logEvent({ action: 'two-factor-recovery-codes-renewed', metadata: { userId: u.id } })
+
+    res.json({ recoveryCodes, user: mapUserForClient(u, auth.session) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/2fa/recovery-codes', status: 500 })
+    res.status(500).json({ error: 'Herstelcodes aanmaken mislukt' })
+  }
+})
+
+// Passkeys van de ingelogde gebruiker
+apiRouter.get('/passkeys', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    res.json({ passkeys: (auth.user.passkeys || []).map(mapPasskeyForClient) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/passkeys', status: 500 })
+    res.status(500).json({ error: 'Passkeys ophalen mislukt' })
+  }
+})
+
+// Passkey toevoegen, stap 1: opties voor het apparaat
+apiRouter.post('/passkeys/options', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const context = resolveWebAuthnContext(req)
+    if (!context) return res.status(400).json({ error: 'Passkeys werken niet vanaf dit adres' })
+    const u = auth.user
+    const passkeys = u.passkeys || []
+    if (passkeys.length >= MAX_PASSKEYS_PER_USER) {
+      return res.status(400).json({ error: `Je kunt maximaal ${MAX_PASSKEYS_PER_USER} passkeys toevoegen` })
+    }
+
+    const options = await generateRegistrationOptions({
+      rpName: 'Stamjer',
+      rpID: context.rpID,
+      userID: Buffer.from(String(u.id)),
+      userName: u.email,
+      userDisplayName: `${u.firstName} ${u.lastName}`.trim(),
+      attestationType: 'none',
+      excludeCredentials: passkeys.map((passkey) => ({ id: passkey.id, transports: passkey.transports })),
+      authenticatorSelection: { residentKey: 'required', userVerification: 'required' }
+    })
+    const challengeId = await storeWebAuthnChallenge(options.challenge, { type: 'register', userId: u.id })
+    res.json({ challengeId, options })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/passkeys/options', status: 500 })
+    res.status(500).json({ error: 'Passkey toevoegen mislukt' })
+  }
+})
+
+// Passkey toevoegen, stap 2: nieuwe sleutel van het apparaat opslaan
+apiRouter.post('/passkeys', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const context = resolveWebAuthnContext(req)
+    if (!context) return res.status(400).json({ error: 'Passkeys werken niet vanaf dit adres' })
+    const u = auth.user
+    const { challengeId, response } = req.body || {}
+    const expectedChallenge = await consumeWebAuthnChallenge(challengeId, { type: 'register', userId: u.id })
+    if (!expectedChallenge) return res.status(400).json({ error: 'Verzoek verlopen. Probeer het opnieuw.' })
+
+    let verification
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: context.origin,
+        expectedRPID: context.rpID,
+        requireUserVerification: true
+      })
+    } catch (verifyError) {
+      debugLog('Passkey registration failed', { userId: u.id, error: verifyError.message })
+      return res.status(400).json({ error: 'Passkey kon niet worden gecontroleerd' })
+    }
+    if (!verification.verified) return res.status(400).json({ error: 'Passkey kon niet worden gecontroleerd' })
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo
+    if (users.some((candidate) => (candidate.passkeys || []).some((passkey) => passkey.id === credential.id))) {
+      return res.status(409).json({ error: 'Deze passkey is al gekoppeld' })
+    }
+
+    const name = sanitizeClientString(req.body?.name || '', 60).trim() || describeUserAgent(req.headers?.['user-agent'])
+    const passkey = {
+      id: credential.id,
+      publicKey: base64UrlEncode(credential.publicKey),
+      counter: credential.counter,
+      transports: credential.transports || [],
+      deviceType: credentialDeviceType,
+      backedUp: credentialBackedUp,
+      name,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    }
+    u.passkeys = [...(u.passkeys || []), passkey]
+    await saveUser(u)
+    logEvent({ action: 'passkey-added', metadata: { userId: u.id } })
+
+    res.status(201).json({ passkey: mapPasskeyForClient(passkey), msg: 'Passkey toegevoegd' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/passkeys', status: 500 })
+    res.status(500).json({ error: 'Passkey toevoegen mislukt' })
+  }
+})
+
+// Passkey verwijderen
+apiRouter.delete('/passkeys/:id', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const u = auth.user
+    const passkeys = u.passkeys || []
+    if (!passkeys.some((passkey) => passkey.id === req.params.id)) {
+      return res.status(404).json({ error: 'Passkey niet gevonden' })
+    }
+
+    u.passkeys = passkeys.filter((passkey) => passkey.id !== req.params.id)
+    await saveUser(u)
+    logEvent({ action: 'passkey-removed', metadata: { userId: u.id } })
+
+    res.json({ msg: 'Passkey verwijderd' })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'DELETE /api/passkeys/:id', status: 500 })
+    res.status(500).json({ error: 'Passkey verwijderen mislukt' })
+  }
+})
+
 // Declaratie indienen
 apiRouter.post('/payment-requests', async (req, res) => {
   try {
@@ -4476,16 +9191,13 @@ apiRouter.post('/payment-requests', async (req, res) => {
       return res.status(400).json({ msg: errors[0], errors })
     }
 
-    const matchedUserId = sanitizeUserId(userId)
+    // Koppel de declaratie bij voorkeur aan de ingelogde sessie
+    const auth = await getAuthenticatedUser(req)
+    const matchedUserId = auth.user ? auth.userId : sanitizeUserId(userId)
     const matchedUser = matchedUserId !== null
       ? users.find((u) => u.id === matchedUserId)
       : null
 
-    const mailer = await ensureMailerTransport()
-    if (!mailer) {
-      return res.status(503).json({ msg: 'E-mailservice is tijdelijk niet beschikbaar.' })
-    }
-
     const pdfBuffer = await buildPaymentRequestPdf({
       requesterName: trimmedName,
       requesterEmail: trimmedEmail,
@@ -4502,6 +9214,33 @@ apiRouter.post('/payment-requests', async (req, res) => {
       attachments: sanitizedAttachments.map(({ name, type }) => ({ name, type }))
     }, sanitizedAttachments)
 
+    // Store the declaratie before notifying anyone, so a mail failure cannot lose it
+    const paymentRequest = await insertPaymentRequest({
+      id: randomUUID(),
+      userId: matchedUser?.id ?? null,
+      requesterName: trimmedName,
+      requesterEmail: trimmedEmail,
+      expenseTitle: trimmedExpenseTitle,
+      paidTo: trimmedPaidTo,
+      expenseDate: expenseDateValue.toISOString(),
+      amount: Math.round(amountNumber * 100) / 100,
+      description: trimmedDescription,
+      notes: trimmedNotes,
+      paymentMethod: normalizedPaymentMethod,
+      iban: sanitizedIban,
+      paymentLink: trimmedPaymentLink,
+      attachments: sanitizedAttachments.map(({ name, type, buffer }) => ({ name, type, size: buffer.length })),
+      status: 'submitted',
+      reviewerComment: '',
+      reviewedBy: null,
+      statusHistory: [{ status: 'submitted', at: submittedAt.toISOString(), by: matchedUser?.id ?? null, comment: '' }],
+      submittedAt: submittedAt.toISOString(),
+      updatedAt: submittedAt.toISOString(),
+      approvedAt: null,
+      rejectedAt: null,
+      paidAt: null
+    })
+
     const pdfFileName = `Declaratie-${sanitizeFileName(trimmedExpenseTitle || trimmedName)}-${submittedAt.toISOString().split('T')[0]}.pdf`
     const formattedAmount = formatCurrency(amountNumber)
     const formattedDate = formatDateDisplay(expenseDateValue)
@@ -4580,25 +9319,35 @@ apiRouter.post('/payment-requests', async (req, res) => {
       'De volledige aanvraag vind je in de meegestuurde pdf.'
     ].filter(Boolean).join('\n')
 
-    const sendResult = await mailer.sendMail({
-      from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
-      to: PAYMENT_REQUEST_EMAIL,
-      replyTo,
-      subject,
-      html: htmlBody,
-      text: textBodyLines,
-      attachments: [
-        {
-          filename: pdfFileName,
-          content: pdfBuffer,
-          contentType: 'application/pdf'
-        }
-      ]
-    })
+    let sendResult = null
+    const mailer = await ensureMailerTransport()
+    try {
+      if (!mailer) throw new Error('Mailer transport not available')
+      sendResult = await mailer.sendMail({
+        from: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com',
+        to: PAYMENT_REQUEST_EMAIL,
+        replyTo,
+        subject,
+        html: htmlBody,
+        text: textBodyLines,
+        attachments: [
+          {
+            filename: pdfFileName,
+            content: pdfBuffer,
+            contentType: 'application/pdf'
+          }
+        ]
+      })
+    } catch (mailError) {
+      // The declaratie is stored and visible to the penningmeester; only the notification failed
+      console.error('Payment request email error:', mailError)
+      logSystemError(mailError, { action: 'POST /api/payment-requests', metadata: { id: paymentRequest.id } })
+    }
 
     logEvent({
       action: 'payment-request-submitted',
       metadata: {
+        id: paymentRequest.id,
         userId: matchedUser?.id || null,
         requesterEmail: trimmedEmail,
         amount: amountNumber,
@@ -4606,12 +9355,16 @@ apiRouter.post('/payment-requests', async (req, res) => {
         paidTo: trimmedPaidTo,
         paymentMethod: normalizedPaymentMethod,
         attachments: sanitizedAttachments.length,
-        ibanMasked: normalizedPaymentMethod === 'iban' ? maskIban(sanitizedIban) : null
+        ibanMasked: normalizedPaymentMethod === 'iban' ? maskIban(sanitizedIban) : null,
+        emailSent: Boolean(sendResult)
       }
     })
 
-    const responsePayload = { msg: 'Declaratie succesvol verstuurd.' }
-    const previewUrl = nodemailer.getTestMessageUrl(sendResult)
+    const responsePayload = {
+      msg: 'Declaratie succesvol verstuurd.',
+      request: mapPaymentRequestForClient(paymentRequest)
+    }
+    const previewUrl = sendResult ? nodemailer.getTestMessageUrl(sendResult) : false
     if (previewUrl) {
       responsePayload.previewUrl = previewUrl
     }
@@ -4624,13 +9377,535 @@ apiRouter.post('/payment-requests', async (req, res) => {
   }
 })
 
+// Eigen declaraties ophalen
+apiRouter.get('/payment-requests/mine', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    const items = await listPaymentRequests({ userId: auth.userId })
+    res.json({ requests: items.map((item) => mapPaymentRequestForClient(item)) })
+  } catch (error) {
+    console.error('List own payment requests error:', error)
+    logSystemError(error, { action: 'GET /api/payment-requests/mine', status: 500 })
+    res.status(500).json({ msg: 'Declaraties ophalen mislukt.' })
+  }
+})
+
+// Alle declaraties (penningmeester / admin)
+apiRouter.get('/payment-requests', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'declaraties.manage' })
+    if (!auth) return
+
+    const { status, userId, from, to, q } = req.query || {}
+    const filter = {}
+
+    if (status) {
+      const statuses = String(status).split(',').map((value) => value.trim()).filter(Boolean)
+      if (statuses.some((value) => !PAYMENT_REQUEST_STATUSES.includes(value))) {
+        return res.status(400).json({ msg: `Ongeldige status. Kies uit: ${PAYMENT_REQUEST_STATUSES.join(', ')}` })
+      }
+      filter.status = { $in: statuses }
+    }
+
+    if (userId !== undefined && userId !== '') {
+      const uid = sanitizeUserId(userId)
+      if (uid === null) return res.status(400).json({ msg: 'Ongeldig gebruikers-ID' })
+      filter.userId = uid
+    }
+
+    const range = {}
+    for (const [key, value, op] of [['from', from, '$gte'], ['to', to, '$lte']]) {
+      if (!value) continue
+      const date = new Date(value)
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ msg: `Ongeldige datum voor ${key}` })
+      }
+      if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+        date.setUTCHours(23, 59, 59, 999)
+      }
+      range[op] = date.toISOString()
+    }
+    if (Object.keys(range).length > 0) {
+      filter.submittedAt = range
+    }
+
+    const search = safeTrimmedString(q, 100)
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i')
+      filter.$or = [{ requesterName: pattern }, { expenseTitle: pattern }, { paidTo: pattern }]
+    }
+
+    const items = await listPaymentRequests(filter, { limit: 500 })
+    const totals = PAYMENT_REQUEST_STATUSES.reduce((acc, key) => {
+      const matching = items.filter((item) => item.status === key)
+      acc[key] = {
+        count: matching.length,
+        amount: Math.round(matching.reduce((sum, item) => sum + (Number(item.amount) || 0), 0) * 100) / 100
+      }
+      return acc
+    }, {})
+
+    res.json({
+      requests: items.map((item) => mapPaymentRequestForClient(item, { includeIban: true })),
+      totals
+    })
+  } catch (error) {
+    console.error('List payment requests error:', error)
+    logSystemError(error, { action: 'GET /api/payment-requests', status: 500, metadata: req.query })
+    res.status(500).json({ msg: 'Declaraties ophalen mislukt.' })
+  }
+})
+
+// Status van een declaratie wijzigen (penningmeester / admin)
+apiRouter.patch('/payment-requests/:id/status', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'declaraties.manage' })
+    if (!auth) return
+
+    const { status, comment = '' } = req.body || {}
+    if (!PAYMENT_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ msg: `Ongeldige status. Kies uit: ${PAYMENT_REQUEST_STATUSES.join(', ')}` })
+    }
+
+    const existing = await findPaymentRequestById(req.params.id)
+    if (!existing) return res.status(404).json({ msg: 'Declaratie niet gevonden' })
+
+    if (!canTransitionPaymentRequest(existing.status, status)) {
+      const fromLabel = PAYMENT_REQUEST_STATUS_LABELS[existing.status] || existing.status
+      const toLabel = PAYMENT_REQUEST_STATUS_LABELS[status] || status
+      return res.status(409).json({ msg: `Een declaratie met status "${fromLabel}" kan niet naar "${toLabel}".` })
+    }
+
+    if (existing.batchId && status === 'rejected') {
+      return res.status(409).json({ msg: 'Deze declaratie zit al in een SEPA-batch en kan niet meer worden afgewezen.' })
+    }
+
+    const trimmedComment = safeTrimmedString(comment, 2000)
+    if (status === 'rejected' && !trimmedComment) {
+      return res.status(400).json({ msg: 'Geef een toelichting bij het afwijzen van een declaratie.' })
+    }
+
+    const updated = await updatePaymentRequestStatusRecord(existing, status, {
+      by: auth.userId,
+      comment: trimmedComment
+    })
+    if (!updated) {
+      return res.status(409).json({ msg: 'De declaratie is zojuist door iemand anders gewijzigd. Vernieuw en probeer opnieuw.' })
+    }
+
+    await sendPaymentRequestStatusEmail(updated, { comment: trimmedComment })
+
+    logEvent({
+      action: 'payment-request-status-changed',
+      metadata: {
+        id: updated.id,
+        changedBy: auth.userId,
+        previousStatus: existing.status,
+        newStatus: status
+      }
+    })
+
+    res.json({
+      request: mapPaymentRequestForClient(updated, { includeIban: true }),
+      msg: `Declaratie ${PAYMENT_REQUEST_STATUS_LABELS[status].toLowerCase()}`
+    })
+  } catch (error) {
+    console.error('Update payment request status error:', error)
+    logSystemError(error, { action: 'PATCH /api/payment-requests/:id/status', status: 500, metadata: { id: req.params.id, status: req.body?.status } })
+    res.status(500).json({ msg: 'Status van declaratie bijwerken mislukt.' })
+  }
+})
+
+// SEPA-batch maken van goedgekeurde IBAN-declaraties (penningmeester / admin)
+apiRouter.post('/payment-requests/sepa-export', async (req, res) => {
+  let batchId = null
+  let batchStored = false
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'declaraties.manage' })
+    if (!auth) return
+
+    if (!isSepaExportConfigured()) {
+      return res.status(503).json({ msg: 'SEPA-export is niet geconfigureerd. Stel een geldig SEPA_DEBTOR_IBAN in.' })
+    }
+
+    const { ids, executionDate } = req.body || {}
+    const today = formatDateKeyInTimezone(new Date())
+    const requestedDate = executionDate ? String(executionDate).trim() : getDefaultSepaExecutionDate()
+    // Round-trip the date so values like 2026-02-31 do not roll over into March
+    const parsedDate = new Date(`${requestedDate}T00:00:00Z`)
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(requestedDate) || Number.isNaN(parsedDate.getTime()) ||
+      parsedDate.toISOString().slice(0, 10) !== requestedDate) {
+      return res.status(400).json({ msg: 'Kies een geldige uitvoerdatum.' })
+    }
+    if (requestedDate < today) {
+      return res.status(400).json({ msg: 'De uitvoerdatum mag niet in het verleden liggen.' })
+    }
+
+    const filter = { status: 'approved', paymentMethod: 'iban', batchId: null }
+    if (ids !== undefined) {
+      const selectedIds = Array.isArray(ids)
+        ? ids.filter((value) => typeof value === 'string' && value)
+        : []
+      if (selectedIds.length === 0) {
+        return res.status(400).json({ msg: 'Selecteer minimaal één declaratie.' })
+      }
+      filter.id = { $in: selectedIds }
+    }
+
+    const createdAt = new Date()
+    const nowIso = createdAt.toISOString()
+    batchId = randomUUID()
+    const messageId = toSepaId('STAMJER', nowIso.replace(/\D/g, '').slice(0, 14), batchId.slice(0, 8))
+
+    // Claim de declaraties eerst atomair, zodat ze nooit in twee batches belanden
+    const db = await getDb()
+    await db.collection('paymentRequests').updateMany(filter, {
+      $set: { batchId, batchedAt: nowIso, updatedAt: nowIso }
+    })
+    const claimed = await db.collection('paymentRequests').find({ batchId }).sort({ submittedAt: 1 }).toArray()
+
+    const invalid = claimed.filter((item) => !item.iban || !validator.isIBAN(item.iban))
+    if (invalid.length > 0) {
+      await db.collection('paymentRequests').updateMany(
+        { batchId, id: { $in: invalid.map((item) => item.id) } },
+        { $set: { batchId: null, batchedAt: null } }
+      )
+    }
+    const included = claimed.filter((item) => !invalid.includes(item))
+
+    if (included.length === 0) {
+      return res.status(409).json({
+        msg: 'Er zijn geen goedgekeurde IBAN-declaraties die nog niet in een batch zitten.',
+        skipped: invalid.map((item) => item.id)
+      })
+    }
+
+    const { xml, count, totalCents } = buildSepaCreditTransferXml({
+      messageId,
+      executionDate: requestedDate,
+      createdAt,
+      debtor: { name: SEPA_DEBTOR_NAME, iban: SEPA_DEBTOR_IBAN, bic: SEPA_DEBTOR_BIC },
+      transfers: included.map((item) => ({
+        endToEndId: buildSepaEndToEndId(item.id),
+        amount: item.amount,
+        name: item.requesterName,
+        iban: item.iban,
+        remittance: `Declaratie ${item.expenseTitle} ${formatDateKeyInTimezone(item.expenseDate) || ''}`
+      }))
+    })
+
+    const batch = {
+      id: batchId,
+      messageId,
+      executionDate: requestedDate,
+      requestIds: included.map((item) => item.id),
+      count,
+      totalAmount: totalCents / 100,
+      debtorIbanMasked: maskIban(SEPA_DEBTOR_IBAN),
+      createdAt: nowIso,
+      createdBy: auth.userId,
+      xml
+    }
+    await db.collection('paymentBatches').insertOne({ ...batch })
+    batchStored = true
+
+    logEvent({
+      action: 'payment-requests-sepa-exported',
+      metadata: {
+        batchId,
+        createdBy: auth.userId,
+        count,
+        totalAmount: batch.totalAmount,
+        executionDate: requestedDate,
+        skipped: invalid.length
+      }
+    })
+
+    res.status(201).json({
+      batch: mapPaymentBatchForClient(batch),
+      fileName: buildSepaFileName(batch),
+      xml,
+      skipped: invalid.map((item) => item.id)
+    })
+  } catch (error) {
+    // Geef geclaimde declaraties vrij als de batch niet is opgeslagen
+    if (batchId && !batchStored) {
+      try {
+        const db = await getDb()
+        await db.collection('paymentRequests').updateMany({ batchId }, { $set: { batchId: null, batchedAt: null } })
+      } catch (releaseError) {
+        console.error('Releasing SEPA batch claim failed:', releaseError)
+      }
+    }
+    console.error('SEPA export error:', error)
+    logSystemError(error, { action: 'POST /api/payment-requests/sepa-export', status: 500, metadata: { executionDate: req.body?.executionDate } })
+    res.status(500).json({ msg: 'SEPA-bestand maken mislukt.' })
+  }
+})
+
+// Eerdere SEPA-batches (penningmeester / admin)
+apiRouter.get('/payment-batches', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'declaraties.manage' })
+    if (!auth) return
+
+    const db = await getDb()
+    const batches = await db.collection('paymentBatches')
+      .find({}, { projection: { xml: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .toArray()
+    res.json({ batches: batches.map(mapPaymentBatchForClient) })
+  } catch (error) {
+    console.error('List payment batches error:', error)
+    logSystemError(error, { action: 'GET /api/payment-batches', status: 500 })
+    res.status(500).json({ msg: 'SEPA-batches ophalen mislukt.' })
+  }
+})
+
+// SEPA-bestand van een batch opnieuw downloaden
+apiRouter.get('/payment-batches/:id/sepa', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'declaraties.manage' })
+    if (!auth) return
+
+    const db = await getDb()
+    const batch = await db.collection('paymentBatches').findOne({ id: req.params.id })
+    if (!batch) return res.status(404).json({ msg: 'Batch niet gevonden' })
+
+    res.json({
+      batch: mapPaymentBatchForClient(batch),
+      fileName: buildSepaFileName(batch),
+      xml: batch.xml
+    })
+  } catch (error) {
+    console.error('Download payment batch error:', error)
+    logSystemError(error, { action: 'GET /api/payment-batches/:id/sepa', status: 500, metadata: { id: req.params.id } })
+    res.status(500).json({ msg: 'SEPA-bestand ophalen mislukt.' })
+  }
+})
+
+// Bankafschrift (CAMT.053) importeren en declaraties afletteren (penningmeester / admin)
+apiRouter.post('/bank-statements/import', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'declaraties.manage' })
+    if (!auth) return
+
+    const { xml, fileName = '' } = req.body || {}
+    if (typeof xml !== 'string' || !xml.trim()) {
+      return res.status(400).json({ msg: 'Upload een CAMT.053-bestand (XML).' })
+    }
+
+    let parsed
+    try {
+      parsed = parseCamt053(xml)
+    } catch (parseError) {
+      return res.status(400).json({ msg: parseError.message || 'Bankafschrift kon niet worden gelezen.' })
+    }
+
+    if (parsed.transactions.length === 0) {
+      return res.status(400).json({ msg: 'Het bankafschrift bevat geen transacties.' })
+    }
+
+    const accountIban = parsed.statements[0]?.accountIban || null
+    if (isSepaExportConfigured() && accountIban && accountIban !== SEPA_DEBTOR_IBAN) {
+      return res.status(400).json({ msg: `Dit afschrift hoort bij rekening ${maskIban(accountIban)} en niet bij de rekening van de stam.` })
+    }
+
+    const statementKey = [accountIban || 'onbekend', ...parsed.statements.map((item) => item.statementId)].join('|')
+    const db = await getDb()
+    const duplicate = await db.collection('bankStatements').findOne({ statementKey }, { projection: { id: 1 } })
+    if (duplicate) {
+      return res.status(409).json({ msg: 'Dit bankafschrift is al geïmporteerd.', statementId: duplicate.id })
+    }
+
+    const openRequests = await db.collection('paymentRequests')
+      .find({ status: 'approved', paymentMethod: 'iban' })
+      .sort({ batchedAt: -1, submittedAt: 1 })
+      .toArray()
+
+    // Plan the matches first; the statement is stored before any declaratie is
+    // marked paid, so every payment can be traced back to its statement
+    const id = randomUUID()
+    const transactions = []
+    for (const transaction of parsed.transactions) {
+      const pool = openRequests.filter((item) => !transactions.some((tx) => tx.requestId === item.id))
+      const match = matchStatementTransaction(transaction, pool)
+      transactions.push({
+        ...transaction,
+        state: match.state,
+        requestId: match.state === 'matched' ? match.requestId : null,
+        matchedBy: match.state === 'matched' ? match.matchedBy : null,
+        candidateIds: match.candidateIds || [],
+        reason: match.reason || null
+      })
+    }
+
+    const statement = {
+      id,
+      statementKey,
+      statementIds: parsed.statements.map((item) => item.statementId),
+      accountIbanMasked: accountIban ? maskIban(accountIban) : null,
+      fileName: safeTrimmedString(fileName, 180),
+      importedAt: new Date().toISOString(),
+      importedBy: auth.userId,
+      transactions
+    }
+    try {
+      await db.collection('bankStatements').insertOne({ ...statement })
+    } catch (insertError) {
+      // Same statement uploaded at the same time: the unique statementKey index wins
+      if (insertError?.code === 11000) {
+        return res.status(409).json({ msg: 'Dit bankafschrift is al geïmporteerd.' })
+      }
+      throw insertError
+    }
+
+    for (const record of transactions) {
+      if (record.state !== 'matched') continue
+      const request = openRequests.find((item) => item.id === record.requestId)
+      const updated = await markPaymentRequestPaidFromStatement(request, {
+        statementId: id,
+        transaction: record,
+        by: auth.userId,
+        matchedBy: record.matchedBy
+      })
+      if (updated) continue
+
+      Object.assign(record, {
+        state: 'unmatched',
+        requestId: null,
+        matchedBy: null,
+        candidateIds: [request.id],
+        reason: 'Declaratie is tijdens het afletteren gewijzigd'
+      })
+      await db.collection('bankStatements').updateOne(
+        { id },
+        {
+          $set: {
+            'transactions.$[tx].state': record.state,
+            'transactions.$[tx].requestId': null,
+            'transactions.$[tx].matchedBy': null,
+            'transactions.$[tx].candidateIds': record.candidateIds,
+            'transactions.$[tx].reason': record.reason
+          }
+        },
+        { arrayFilters: [{ 'tx.reference': record.reference }] }
+      )
+    }
+
+    const mapped = mapBankStatementForClient(statement)
+    logEvent({
+      action: 'bank-statement-imported',
+      metadata: {
+        id,
+        importedBy: auth.userId,
+        transactions: transactions.length,
+        ...mapped.summary
+      }
+    })
+
+    res.status(201).json({
+      statement: mapped,
+      msg: `${mapped.summary.matched} declaratie(s) afgeletterd, ${mapped.summary.unmatched} transactie(s) handmatig te koppelen.`
+    })
+  } catch (error) {
+    console.error('Bank statement import error:', error)
+    logSystemError(error, { action: 'POST /api/bank-statements/import', status: 500, metadata: { fileName: req.body?.fileName } })
+    res.status(500).json({ msg: 'Bankafschrift importeren mislukt.' })
+  }
+})
+
+// Geïmporteerde bankafschriften (penningmeester / admin)
+apiRouter.get('/bank-statements', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'declaraties.manage' })
+    if (!auth) return
+
+    const db = await getDb()
+    const statements = await db.collection('bankStatements')
+      .find({})
+      .sort({ importedAt: -1 })
+      .limit(20)
+      .toArray()
+    res.json({ statements: statements.map(mapBankStatementForClient) })
+  } catch (error) {
+    console.error('List bank statements error:', error)
+    logSystemError(error, { action: 'GET /api/bank-statements', status: 500 })
+    res.status(500).json({ msg: 'Bankafschriften ophalen mislukt.' })
+  }
+})
+
+// Transactie handmatig koppelen aan een declaratie of negeren
+apiRouter.post('/bank-statements/:id/match', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res, { permission: 'declaraties.manage' })
+    if (!auth) return
+
+    const { reference, requestId = null, ignore = false } = req.body || {}
+    const db = await getDb()
+    const statement = await db.collection('bankStatements').findOne({ id: req.params.id })
+    if (!statement) return res.status(404).json({ msg: 'Bankafschrift niet gevonden' })
+
+    const transaction = (statement.transactions || []).find((tx) => tx.reference === reference)
+    if (!transaction) return res.status(404).json({ msg: 'Transactie niet gevonden' })
+    if (transaction.state !== 'unmatched') {
+      return res.status(409).json({ msg: 'Deze transactie is al verwerkt.' })
+    }
+
+    let update
+    if (parseBoolean(ignore)) {
+      update = { state: 'ignored', reason: 'Handmatig genegeerd' }
+    } else {
+      const request = await findPaymentRequestById(requestId)
+      if (!request) return res.status(404).json({ msg: 'Declaratie niet gevonden' })
+      if (request.status !== 'approved') {
+        return res.status(409).json({ msg: 'Alleen goedgekeurde declaraties kunnen worden afgeletterd.' })
+      }
+
+      const updated = await markPaymentRequestPaidFromStatement(request, {
+        statementId: statement.id,
+        transaction,
+        by: auth.userId,
+        matchedBy: 'manual'
+      })
+      if (!updated) {
+        return res.status(409).json({ msg: 'De declaratie is zojuist door iemand anders gewijzigd. Vernieuw en probeer opnieuw.' })
+      }
+      update = { state: 'matched', requestId: updated.id, matchedBy: 'manual', reason: null }
+    }
+
+    const setFields = Object.fromEntries(
+      Object.entries(update).map(([key, value]) => [`transactions.$[tx].${key}`, value])
+    )
+    await db.collection('bankStatements').updateOne(
+      { id: statement.id },
+      { $set: setFields },
+      { arrayFilters: [{ 'tx.reference': reference }] }
+    )
+
+    logEvent({
+      action: 'bank-statement-transaction-resolved',
+      metadata: { id: statement.id, reference, changedBy: auth.userId, state: update.state, requestId: update.requestId || null }
+    })
+
+    const refreshed = await db.collection('bankStatements').findOne({ id: statement.id })
+    res.json({ statement: mapBankStatementForClient(refreshed) })
+  } catch (error) {
+    console.error('Bank statement match error:', error)
+    logSystemError(error, { action: 'POST /api/bank-statements/:id/match', status: 500, metadata: { id: req.params.id, reference: req.body?.reference } })
+    res.status(500).json({ msg: 'Transactie koppelen mislukt.' })
+  }
+})
+
 // Manual trigger for daily snapshot comparison (admin only, for testing)
 apiRouter.post('/admin/trigger-daily-snapshot', async (req, res) => {
   try {
-    const { userId } = req.body
-    if (!userId) return res.status(401).json({ msg: 'Authenticatie vereist' })
-    if (!isUserAdmin(userId)) return res.status(403).json({ msg: 'Alleen beheerders' })
-    
+    const auth = await requireAuthenticatedUser(req, res, { requireAdmin: true })
+    if (!auth) return
+
     await performDailySnapshotAndComparison()
     res.json({ msg: 'Daily snapshot comparison triggered successfully' })
   } catch (err) {
@@ -4675,7 +9950,8 @@ const handleCronDaily = async (req, res) => {
 
     infoLog(`Daily snapshot cron triggered (${req.method})`)
     await performDailySnapshotAndComparison()
-    res.status(200).json({ ok: true, message: 'Daily snapshot and comparison completed successfully' })
+    const settled = await settleFinishedOpkomstStreepjes()
+    res.status(200).json({ ok: true, message: 'Daily snapshot and comparison completed successfully', settled })
   } catch (err) {
     console.error('Daily snapshot cron failed:', err)
     logSystemError(err, { action: `${req.method} /api/cron-daily`, status: 500 })
@@ -4687,10 +9963,97 @@ const handleCronDaily = async (req, res) => {
 apiRouter.get('/cron-daily', handleCronDaily)
 apiRouter.post('/cron-daily', handleCronDaily)
 
-// iCalendar feed endpoint
+/**
+ * Secret token of a member's personal calendar feed. Derived from
+ * TOKEN_SECRET and calendarFeedVersion, so bumping the version
+ * invalidates the old link without storing the token itself.
+ */
+function createCalendarFeedToken(user) {
+  const signature = createHmac('sha256', TOKEN_SECRET)
+    .update(`calendar-feed:${user.id}:${user.calendarFeedVersion || 0}`)
+    .digest('hex')
+    .slice(0, 32)
+  return `${user.id}-${signature}`
+}
+
+function findUserByCalendarFeedToken(token) {
+  const match = /^(\d+)-[0-9a-f]{32}$/.exec(String(token || ''))
+  if (!match) return null
+  const user = users.find((u) => u.id === Number(match[1]))
+  if (!user || user.status === 'archived') return null
+
+  const expected = Buffer.from(createCalendarFeedToken(user))
+  const actual = Buffer.from(token)
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null
+  return user
+}
+
+// Persoonlijke agenda-link ophalen
+apiRouter.get('/calendar-feed', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+    res.json({ token: createCalendarFeedToken(auth.user) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'GET /api/calendar-feed', status: 500 })
+    res.status(500).json({ error: 'Agenda-link ophalen mislukt' })
+  }
+})
+
+// Nieuwe agenda-link maken; de oude link werkt daarna niet meer
+apiRouter.post('/calendar-feed/regenerate', async (req, res) => {
+  try {
+    const auth = await requireAuthenticatedUser(req, res)
+    if (!auth) return
+
+    auth.user.calendarFeedVersion = (auth.user.calendarFeedVersion || 0) + 1
+    await saveUser(auth.user)
+    logEvent({ action: 'calendar-feed-regenerated', metadata: { userId: auth.userId } })
+
+    res.json({ token: createCalendarFeedToken(auth.user) })
+  } catch (err) {
+    console.error(err)
+    logSystemError(err, { action: 'POST /api/calendar-feed/regenerate', status: 500 })
+    res.status(500).json({ error: 'Nieuwe agenda-link maken mislukt' })
+  }
+})
+
+// Openbare iCalendar feed: alleen titels en tijden
 apiRouter.get('/calendar.ics', createICalendarHandler(async () => {
   // Return events from in-memory cache (kept in sync with database)
-  return events
+  await ensureEventsFresh()
+  return { events: events.map(toPublicEvent), lastModified: getEventsLastModified() }
+}))
+
+// Persoonlijke iCalendar feed, met ?opkomsten=1, ?duties=1 en ?attending=1 als filters
+apiRouter.get('/calendar/:token.ics', createICalendarHandler(async (req) => {
+  const user = findUserByCalendarFeedToken(req.params.token)
+  if (!user) return null
+  await ensureEventsFresh()
+  const isEnabled = (value) => value === '1' || value === 'true'
+  const getMember = (id) => {
+    const member = users.find((u) => u.id === id)
+    return member ? { name: `${member.firstName} ${member.lastName}`.trim(), email: member.email } : null
+  }
+
+  return {
+    events: filterFeedEvents(events, user.id, {
+      opkomsten: isEnabled(req.query.opkomsten),
+      duties: isEnabled(req.query.duties),
+      attending: isEnabled(req.query.attending)
+    }),
+    lastModified: getEventsLastModified(),
+    options: {
+      calendarName: 'Stamjer Agenda (persoonlijk)',
+      eventUrl: (eventId) => resolveAbsoluteUrl(`/kalender?event=${encodeURIComponent(eventId)}`),
+      personal: {
+        userId: user.id,
+        getMember,
+        organizer: { name: 'Stamjer', email: process.env.SMTP_FROM || 'stamjer.mpd@gmail.com' }
+      }
+    }
+  }
 }))
 
 // API-mounting
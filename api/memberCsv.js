@@ -0,0 +1,212 @@
+/* eslint-env node */
+/**
+ * ================================================================
+ * MEMBER LIST - CSV IMPORT & EXPORT
+ * ================================================================
+ *
+ * Every year the board receives the member list as a spreadsheet.
+ * This module reads such a list (saved as CSV) and works out what
+ * changes compared to the members in the database, so an admin can
+ * review the plan before it is applied. It also writes the member
+ * list back out as CSV.
+ *
+ * Rules:
+ * - Rows are matched to existing members by email (case-insensitive)
+ * - Unknown emails become new members, known ones get name updates
+ * - Inactive and legacy members on the list become active again;
+ *   archived members are reported as an error instead
+ * - Optionally, active members missing from the list are deactivated
+ * - Any invalid row blocks the whole import
+ *
+ * Both comma and semicolon separated files are accepted, since Dutch
+ * Excel saves CSV with semicolons.
+ *
+ * @author R.S. Kort
+ * @version 1.0.0
+ */
+
+import validator from 'validator'
+
+export const MAX_MEMBER_CSV_ROWS = 1000
+
+// Accepted header names per field, compared lowercase without spaces
+const COLUMN_ALIASES = {
+  firstName: ['voornaam', 'firstname', 'roepnaam'],
+  lastName: ['achternaam', 'lastname', 'familienaam'],
+  email: ['email', 'e-mail', 'e-mailadres', 'emailadres', 'mail']
+}
+
+const EXPORT_COLUMNS = ['Voornaam', 'Achternaam', 'E-mail', 'Status', 'Actief', 'Rollen', 'Streepjes']
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ * @param {string} text - File contents
+ * @returns {string[][]} Rows, without empty lines
+ */
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '')
+  const firstLine = input.split(/\r?\n/, 1)[0] || ''
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ','
+
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  row.push(cell)
+  rows.push(row)
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''))
+}
+
+function findColumns(header) {
+  const normalized = header.map((name) => name.trim().toLowerCase().replace(/\s+/g, ''))
+  const columns = {}
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[field] = normalized.findIndex((name) => aliases.includes(name))
+  }
+  return columns
+}
+
+/**
+ * Read and validate the member rows of a CSV file
+ * @param {string} text - File contents with a header row
+ * @returns {{ rows: Array<Object>, errors: Array<{ line: number, message: string }> }}
+ */
+export function parseMemberCsv(text) {
+  const [header, ...lines] = parseCsv(text)
+  if (!header) return { rows: [], errors: [{ line: 1, message: 'Het bestand is leeg' }] }
+
+  const columns = findColumns(header)
+  const missing = Object.entries(columns).filter(([, index]) => index < 0).map(([field]) => COLUMN_ALIASES[field][0])
+  if (missing.length > 0) {
+    return { rows: [], errors: [{ line: 1, message: `Kolom ontbreekt: ${missing.join(', ')}` }] }
+  }
+  if (lines.length > MAX_MEMBER_CSV_ROWS) {
+    return { rows: [], errors: [{ line: 1, message: `Maximaal ${MAX_MEMBER_CSV_ROWS} leden per import` }] }
+  }
+
+  const rows = []
+  const errors = []
+  const seen = new Map()
+  lines.forEach((cells, index) => {
+    const line = index + 2
+    const firstName = (cells[columns.firstName] || '').trim().slice(0, 80)
+    const lastName = (cells[columns.lastName] || '').trim().slice(0, 80)
+    const email = (cells[columns.email] || '').trim().toLowerCase()
+
+    if (!firstName || !lastName) {
+      errors.push({ line, message: 'Voornaam en achternaam zijn verplicht' })
+    } else if (!validator.isEmail(email)) {
+      errors.push({ line, message: `Ongeldig e-mailadres: ${email || '(leeg)'}` })
+    } else if (seen.has(email)) {
+      errors.push({ line, message: `${email} staat ook al op regel ${seen.get(email)}` })
+    } else {
+      seen.set(email, line)
+      rows.push({ line, firstName, lastName, email })
+    }
+  })
+
+  return { rows, errors }
+}
+
+/**
+ * Compare the rows with the existing members
+ * @param {Array<Object>} rows - Valid rows from parseMemberCsv
+ * @param {Array<Object>} existingUsers - Current members
+ * @param {Object} [options] - { deactivateMissing, keepUserIds } where keepUserIds are never deactivated
+ * @returns {{ creates: Array<Object>, updates: Array<Object>, deactivations: Array<Object>, unchanged: number, errors: Array<Object> }}
+ */
+export function planMemberImport(rows, existingUsers, { deactivateMissing = false, keepUserIds = [] } = {}) {
+  const byEmail = new Map(existingUsers.map((user) => [String(user.email || '').toLowerCase(), user]))
+  const listed = new Set()
+  const creates = []
+  const updates = []
+  const errors = []
+  let unchanged = 0
+
+  rows.forEach((row) => {
+    const user = byEmail.get(row.email)
+    if (!user) {
+      creates.push({ line: row.line, firstName: row.firstName, lastName: row.lastName, email: row.email })
+      return
+    }
+
+    listed.add(user.id)
+    const status = user.status || 'active'
+    if (status === 'archived') {
+      errors.push({ line: row.line, message: `${row.email} is gearchiveerd; zet de status eerst terug` })
+      return
+    }
+
+    const changes = {}
+    if (user.firstName !== row.firstName) changes.firstName = row.firstName
+    if (user.lastName !== row.lastName) changes.lastName = row.lastName
+    if (status !== 'active') changes.status = 'active'
+
+    if (Object.keys(changes).length === 0) {
+      unchanged++
+    } else {
+      updates.push({ line: row.line, userId: user.id, name: `${user.firstName} ${user.lastName}`.trim(), email: row.email, changes })
+    }
+  })
+
+  const deactivations = deactivateMissing
+    ? existingUsers
+        .filter((user) => (user.status || 'active') === 'active' && !listed.has(user.id) && !keepUserIds.includes(user.id))
+        .map((user) => ({ userId: user.id, name: `${user.firstName} ${user.lastName}`.trim(), email: user.email }))
+    : []
+
+  return { creates, updates, deactivations, unchanged, errors }
+}
+
+// Cells starting with these characters would run as a formula in Excel
+function escapeCsvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value)
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Write the member list as semicolon separated CSV (opens directly in Dutch Excel)
+ * @param {Array<Object>} members - { firstName, lastName, email, status, active, roles, streepjes }
+ * @returns {string} CSV with a UTF-8 byte order mark
+ */
+export function buildMembersCsv(members) {
+  const lines = [EXPORT_COLUMNS, ...members.map((member) => [
+    member.firstName,
+    member.lastName,
+    member.email,
+    member.status,
+    member.active ? 'ja' : 'nee',
+    (member.roles || []).join(', '),
+    member.streepjes ?? 0
+  ])]
+  return `\uFEFF${lines.map((cells) => cells.map(escapeCsvCell).join(';')).join('\r\n')}\r\n`
+}
@@ -0,0 +1,200 @@
+/* eslint-env node */
+/**
+ * ================================================================
+ * PENALTY RULES - STREEPJES
+ * ================================================================
+ *
+ * Configurable rules that decide how many streepjes an attendance
+ * situation is worth. The board changes these per season, so the
+ * rules live in the database and are evaluated here server-side.
+ *
+ * Every (event, member) pair is classified into the situations that
+ * apply, from most to least specific. The first situation with an
+ * enabled rule decides the number of streepjes, so "absent with an
+ * approved excuse" can override "signed up but absent". An approved
+ * excuse never falls through to a less specific rule: without an
+ * enabled excused_absence rule it simply counts zero.
+ *
+ * Supported triggers:
+ * - schoonmaker_no_show: assigned schoonmaker who was absent
+ * - excused_absence: absent with an approved excuse
+ * - signed_up_absent: signed up for an opkomst but absent
+ * - late_cancellation: cancelled within `hoursBefore` hours of the start and absent;
+ *   only once the event is over, and never with an approved excuse
+ * - not_signed_up_present: present at an opkomst without signing up
+ *
+ * @author R.S. Kort
+ * @version 1.0.0
+ */
+
+export const MAX_PENALTY_WEIGHT = 10
+export const MAX_LATE_CANCELLATION_HOURS = 168
+
+// Ordered from most to least specific; the first enabled rule wins
+export const PENALTY_TRIGGERS = [
+  'schoonmaker_no_show',
+  'excused_absence',
+  'signed_up_absent',
+  'late_cancellation',
+  'not_signed_up_present'
+]
+
+export const PENALTY_TRIGGER_LABELS = {
+  schoonmaker_no_show: 'Schoonmaker niet verschenen',
+  excused_absence: 'Afwezig met goedgekeurde afmelding',
+  signed_up_absent: 'Aangemeld maar afwezig',
+  late_cancellation: 'Te laat afgemeld',
+  not_signed_up_present: 'Niet aangemeld maar aanwezig'
+}
+
+// Defaults reproduce the original hard-coded behaviour (approved excuses count zero)
+export const DEFAULT_PENALTY_RULES = [
+  { trigger: 'schoonmaker_no_show', weight: 2, enabled: false },
+  { trigger: 'excused_absence', weight: 0, enabled: true },
+  { trigger: 'signed_up_absent', weight: 1, enabled: true },
+  { trigger: 'late_cancellation', weight: 2, enabled: false, hoursBefore: 24 },
+  { trigger: 'not_signed_up_present', weight: 1, enabled: true }
+]
+
+/**
+ * Read the attendance value of a member as { recorded, present, excused }
+ * @param {Object} attendance - Event attendance map keyed by user ID
+ * @param {number} userId - Member ID
+ */
+function readAttendance(attendance, userId) {
+  if (!attendance || !Object.prototype.hasOwnProperty.call(attendance, String(userId))) {
+    return { recorded: false, present: false, excused: false }
+  }
+
+  const value = attendance[String(userId)]
+  if (typeof value === 'object' && value !== null && 'present' in value) {
+    return { recorded: true, present: Boolean(value.present), excused: Boolean(value.excused) }
+  }
+  return { recorded: true, present: Boolean(value), excused: false }
+}
+
+/**
+ * Validate rules submitted by an admin and merge them with the defaults,
+ * so the stored rule set always contains every trigger exactly once.
+ * @param {Array<Object>} input - Rules from the request body
+ * @returns {{ rules?: Array<Object>, error?: string }} Normalized rules or error message
+ */
+export function normalizePenaltyRules(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Ongeldige strafregels' }
+  }
+
+  const byTrigger = new Map()
+  for (const raw of input) {
+    const trigger = typeof raw?.trigger === 'string' ? raw.trigger : ''
+    if (!PENALTY_TRIGGERS.includes(trigger)) {
+      return { error: `Onbekende strafregel: ${trigger || '(leeg)'}` }
+    }
+    if (byTrigger.has(trigger)) {
+      return { error: `Strafregel "${PENALTY_TRIGGER_LABELS[trigger]}" komt dubbel voor` }
+    }
+
+    const weight = Number(raw.weight)
+    if (!Number.isInteger(weight) || weight < 0 || weight > MAX_PENALTY_WEIGHT) {
+      return { error: `Aantal streepjes moet tussen 0 en ${MAX_PENALTY_WEIGHT} liggen` }
+    }
+
+    const rule = { trigger, weight, enabled: Boolean(raw.enabled) }
+    if (trigger === 'late_cancellation') {
+      const hoursBefore = Number(raw.hoursBefore)
+      if (!Number.isInteger(hoursBefore) || hoursBefore < 1 || hoursBefore > MAX_LATE_CANCELLATION_HOURS) {
+        return { error: `Afmeldtermijn moet tussen 1 en ${MAX_LATE_CANCELLATION_HOURS} uur liggen` }
+      }
+      rule.hoursBefore = hoursBefore
+    }
+    byTrigger.set(trigger, rule)
+  }
+
+  const rules = DEFAULT_PENALTY_RULES.map((fallback) => ({ ...fallback, ...(byTrigger.get(fallback.trigger) || {}) }))
+  return { rules }
+}
+
+/**
+ * Determine which triggers apply to a member at an event, most specific first
+ * @param {Object} ev - Event document
+ * @param {number} userId - Member ID
+ * @param {Object} options - { isExcused(ev, userId), lateCancellationHours, now }
+ * @returns {string[]} Applicable triggers
+ */
+function classifyAttendance(ev, userId, { isExcused, lateCancellationHours, now }) {
+  const { recorded, present, excused } = readAttendance(ev.attendance, userId)
+  const triggers = []
+
+  if (ev.isSchoonmaak) {
+    if (recorded && !present && ev.schoonmakerIds?.includes(userId)) {
+      triggers.push('schoonmaker_no_show')
+    }
+    return triggers
+  }
+
+  if (!ev.isOpkomst) return triggers
+
+  const signedUp = ev.participants?.includes(userId)
+  if (present) {
+    if (!signedUp) triggers.push('not_signed_up_present')
+    return triggers
+  }
+
+  if (signedUp && recorded) {
+    if (excused || isExcused(ev, userId)) triggers.push('excused_absence')
+    triggers.push('signed_up_absent')
+    return triggers
+  }
+
+  // A cancellation only counts once the event is over and the member
+  // turned out to be absent, and never when the absence was excused
+  const cancelledAt = ev.cancellations?.[String(userId)]
+  if (!signedUp && cancelledAt && lateCancellationHours) {
+    const start = new Date(ev.start).getTime()
+    const end = ev.end ? new Date(ev.end).getTime() : start
+    const cancelled = new Date(cancelledAt).getTime()
+    if (!Number.isFinite(end) || end > now) return triggers
+    if (excused || isExcused(ev, userId)) return triggers
+    if (Number.isFinite(start) && Number.isFinite(cancelled) && start - cancelled < lateCancellationHours * 3600000) {
+      triggers.push('late_cancellation')
+    }
+  }
+
+  return triggers
+}
+
+/**
+ * Evaluate the rules for one event
+ * @param {Object} ev - Event document with attendance
+ * @param {Array<Object>} rules - Normalized penalty rules
+ * @param {Object} [options] - { isExcused(ev, userId) } hook for approved excuses, { now } for the current time
+ * @returns {Array<{ userId: number, trigger: string, reason: string, count: number }>}
+ */
+export function evaluateEventPenalties(ev, rules, { isExcused = () => false, now = Date.now() } = {}) {
+  if (!ev?.attendance || (!ev.isOpkomst && !ev.isSchoonmaak)) return []
+
+  const enabled = new Map(rules.filter((rule) => rule.enabled).map((rule) => [rule.trigger, rule]))
+  const lateCancellationHours = enabled.get('late_cancellation')?.hoursBefore ?? null
+  const candidates = new Set([
+    ...Object.keys(ev.attendance).map((uid) => parseInt(uid, 10)),
+    ...Object.keys(ev.cancellations || {}).map((uid) => parseInt(uid, 10)),
+    ...(ev.isSchoonmaak ? ev.schoonmakerIds || [] : [])
+  ])
+
+  const result = []
+  candidates.forEach((userId) => {
+    if (!Number.isFinite(userId)) return
+    const triggers = classifyAttendance(ev, userId, { isExcused, lateCancellationHours, now })
+    if (triggers.includes('excused_absence') && !enabled.has('excused_absence')) return
+
+    const trigger = triggers.find((item) => enabled.has(item))
+    if (!trigger) return
+
+    const count = enabled.get(trigger).weight
+    if (count > 0) {
+      result.push({ userId, trigger, reason: PENALTY_TRIGGER_LABELS[trigger], count })
+    }
+  })
+
+  return result
+}
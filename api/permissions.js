@@ -0,0 +1,124 @@
+/* eslint-env node */
+/**
+ * ================================================================
+ * ROLES & PERMISSIONS
+ * ================================================================
+ *
+ * Named roles grant fine-grained permissions, so the penningmeester
+ * can handle declaraties and the schoonmaakcoördinator can plan
+ * schoonmaken without becoming a full admin.
+ *
+ * Rules:
+ * - Members store role IDs in `roles`; without roles someone is a plain lid
+ * - A member's permissions are the union of their roles
+ * - The `isAdmin` flag keeps working and grants every permission
+ * - Checks accept one permission or a list where any one is enough
+ *
+ * The permission IDs are mirrored in src/lib/permissions.js.
+ *
+ * @author R.S. Kort
+ * @version 1.0.0
+ */
+
+export const PERMISSIONS = {
+  'events.manage': 'Alle evenementen aanmaken, bewerken en verwijderen',
+  'schoonmaak.manage': 'Schoonmaken, schoonmaaktaken en het schoonmaakrooster beheren',
+  'rooster.manage': 'Opkomstmakerrooster en ruilen beheren',
+  'strepen.manage': 'Streeplijst, streepjes, afmeldingen, seizoenen en strafregels beheren',
+  'declaraties.manage': 'Declaraties beoordelen, uitbetalen en afletteren',
+  'members.manage': 'Leden en hun rollen beheren',
+  'notifications.manage': 'Meldingen versturen en plannen'
+}
+
+export const DEFAULT_ROLE = 'lid'
+
+export const ROLES = [
+  {
+    id: 'bestuur',
+    label: 'Bestuur',
+    description: 'Alle beheerrechten',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  {
+    id: 'penningmeester',
+    label: 'Penningmeester',
+    description: 'Declaraties en uitbetalingen',
+    permissions: ['declaraties.manage']
+  },
+  {
+    id: 'schoonmaakcoordinator',
+    label: 'Schoonmaakcoördinator',
+    description: 'Schoonmaken plannen en beheren',
+    permissions: ['schoonmaak.manage']
+  },
+  {
+    id: DEFAULT_ROLE,
+    label: 'Lid',
+    description: 'Geen beheerrechten',
+    permissions: []
+  }
+]
+
+/**
+ * Keep only known role IDs, without duplicates or the implicit default role
+ * @param {Array<string>} input - Role IDs
+ * @returns {string[]} Normalized role IDs
+ */
+export function normalizeRoles(input) {
+  if (!Array.isArray(input)) return []
+  const known = new Set(ROLES.map((role) => role.id))
+  return [...new Set(input.filter((roleId) => known.has(roleId) && roleId !== DEFAULT_ROLE))]
+}
+
+/**
+ * Validate roles submitted by an admin
+ * @param {Array<string>} input - Role IDs from the request body
+ * @returns {{ roles?: string[], error?: string }} Normalized roles or error
+ */
+export function validateRoles(input) {
+  if (!Array.isArray(input)) return { error: 'Ongeldige rollen' }
+  const unknown = input.find((roleId) => !ROLES.some((role) => role.id === roleId))
+  if (unknown !== undefined) return { error: `Onbekende rol: ${unknown || '(leeg)'}` }
+  return { roles: normalizeRoles(input) }
+}
+
+/**
+ * All permissions of a member
+ * @param {Object} user - User document with `roles` and `isAdmin`
+ * @returns {string[]} Permission IDs
+ */
+export function getUserPermissions(user) {
+  if (!user) return []
+  if (user.isAdmin) return Object.keys(PERMISSIONS)
+  const roleIds = normalizeRoles(user.roles)
+  const granted = new Set()
+  ROLES.filter((role) => roleIds.includes(role.id)).forEach((role) => {
+    role.permissions.forEach((permission) => granted.add(permission))
+  })
+  return [...granted]
+}
+
+/**
+ * Whether a member has a permission
+ * @param {Object} user - User document
+ * @param {string|string[]} permission - Permission, or a list where any one suffices
+ * @returns {boolean} True when allowed
+ */
+export function hasPermission(user, permission) {
+  if (!user) return false
+  if (user.isAdmin) return true
+  const required = Array.isArray(permission) ? permission : [permission]
+  const granted = getUserPermissions(user)
+  return required.some((item) => granted.includes(item))
+}
+
+/**
+ * Display names of a member's roles
+ * @param {Object} user - User document
+ * @returns {string[]} Role labels; plain members get the default role
+ */
+export function getRoleLabels(user) {
+  const roleIds = normalizeRoles(user?.roles)
+  const ids = roleIds.length > 0 ? roleIds : [DEFAULT_ROLE]
+  return ROLES.filter((role) => ids.includes(role.id)).map((role) => role.label)
+}
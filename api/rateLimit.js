@@ -0,0 +1,121 @@
+/* eslint-env node */
+/**
+ * ================================================================
+ * RATE LIMITING - LOGIN & PASSWORD RESET
+ * ================================================================
+ *
+ * Slows down password and code guessing. Counters live in MongoDB
+ * so every serverless instance sees the same attempts.
+ *
+ * Rules:
+ * - Counters are kept per key, e.g. per IP address or per account
+ * - The first few attempts in a window are free, after that each
+ *   attempt doubles the wait (exponential backoff) up to a maximum
+ * - Policies with `lockoutAfter` lock the key for `lockoutMs` once
+ *   that many attempts failed; the caller can warn the member
+ * - A counter starts over when its window has passed, and a
+ *   successful login clears it
+ *
+ * @author R.S. Kort
+ * @version 1.0.0
+ */
+
+const MINUTE_MS = 60 * 1000
+
+export const AUTH_RATE_LIMITS = {
+  // Failed logins for one email address
+  loginAccount: { windowMs: 60 * MINUTE_MS, freeAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5 * MINUTE_MS, lockoutAfter: 10, lockoutMs: 30 * MINUTE_MS },
+  // Failed logins from one IP address, across accounts
+  loginIp: { windowMs: 15 * MINUTE_MS, freeAttempts: 20, baseDelayMs: 30 * 1000, maxDelayMs: 15 * MINUTE_MS },
+  // Wrong two-factor codes for one member
+  twoFactorAccount: { windowMs: 60 * MINUTE_MS, freeAttempts: 3, baseDelayMs: 1000, maxDelayMs: 5 * MINUTE_MS, lockoutAfter: 10, lockoutMs: 30 * MINUTE_MS },
+  // Reset code requests per email address and per IP address (every request counts)
+  resetRequestAccount: { windowMs: 60 * MINUTE_MS, freeAttempts: 3, baseDelayMs: MINUTE_MS, maxDelayMs: 60 * MINUTE_MS },
+  resetRequestIp: { windowMs: 60 * MINUTE_MS, freeAttempts: 10, baseDelayMs: MINUTE_MS, maxDelayMs: 60 * MINUTE_MS },
+  // Wrong reset codes from one IP address
+  resetCodeIp: { windowMs: 60 * MINUTE_MS, freeAttempts: 10, baseDelayMs: MINUTE_MS, maxDelayMs: 60 * MINUTE_MS }
+}
+
+/**
+ * Wait time after a number of failed attempts
+ * @param {number} failures - Failed attempts in the current window
+ * @param {Object} policy - One of AUTH_RATE_LIMITS
+ * @returns {{ delayMs: number, locked: boolean }} How long the key is blocked
+ */
+export function getBackoff(failures, policy) {
+  if (policy.lockoutAfter && failures >= policy.lockoutAfter) {
+    return { delayMs: policy.lockoutMs, locked: true }
+  }
+  if (failures <= policy.freeAttempts) return { delayMs: 0, locked: false }
+  const delayMs = policy.baseDelayMs * 2 ** (failures - policy.freeAttempts - 1)
+  return { delayMs: Math.min(delayMs, policy.maxDelayMs), locked: false }
+}
+
+/**
+ * MongoDB-backed attempt counters
+ * Documents: { key, failures, windowStart, blockedUntil, locked, expiresAt }
+ * with a TTL index on expiresAt so old counters disappear by themselves.
+ * @param {Function} getCollection - Async function returning the collection
+ * @returns {Object} { check, hit, reset }
+ */
+export function createRateLimitStore(getCollection) {
+  /**
+   * Whether a key may try again
+   * @returns {Promise<{ allowed: boolean, retryAfterMs: number, locked: boolean }>}
+   */
+  async function check(key, now = new Date()) {
+    const collection = await getCollection()
+    const record = await collection.findOne({ key }, { projection: { _id: 0, blockedUntil: 1, locked: 1 } })
+    const retryAfterMs = record?.blockedUntil ? record.blockedUntil.getTime() - now.getTime() : 0
+    if (retryAfterMs <= 0) return { allowed: true, retryAfterMs: 0, locked: false }
+    return { allowed: false, retryAfterMs, locked: Boolean(record.locked) }
+  }
+
+  /**
+   * Count a (failed) attempt and block the key when the policy says so
+   * @returns {Promise<{ failures: number, retryAfterMs: number, locked: boolean, lockedNow: boolean }>}
+   */
+  async function hit(key, policy, now = new Date()) {
+    const collection = await getCollection()
+    const windowExpired = { $lt: [{ $ifNull: ['$windowStart', new Date(0)] }, new Date(now.getTime() - policy.windowMs)] }
+    // Pipeline update so the increment and window reset are atomic across instances
+    const record = await collection.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          key,
+          failures: { $cond: [windowExpired, 1, { $add: [{ $ifNull: ['$failures', 0] }, 1] }] },
+          windowStart: { $cond: [windowExpired, now, '$windowStart'] }
+        }
+      }],
+      { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+    )
+
+    const failures = record?.failures || 1
+    const { delayMs, locked } = getBackoff(failures, policy)
+    const blockedUntil = new Date(now.getTime() + delayMs)
+    const windowEnd = new Date((record?.windowStart || now).getTime() + policy.windowMs)
+    await collection.updateOne(
+      { key },
+      {
+        $set: {
+          blockedUntil: delayMs > 0 ? blockedUntil : null,
+          locked,
+          expiresAt: blockedUntil > windowEnd ? blockedUntil : windowEnd
+        }
+      }
+    )
+
+    return { failures, retryAfterMs: delayMs, locked, lockedNow: locked && failures === policy.lockoutAfter }
+  }
+
+  /**
+   * Forget all attempts of a key
+   */
+  async function reset(key) {
+    const collection = await getCollection()
+    await collection.deleteOne({ key })
+  }
+
+  return { check, hit, reset }
+}
@@ -0,0 +1,302 @@
+/* eslint-env node */
+/**
+ * ================================================================
+ * RECURRING EVENTS - RRULE SUBSET
+ * ================================================================
+ *
+ * Small recurrence engine for repeating events (e.g. weekly opkomsten).
+ * Series are materialised into individual event documents that share a
+ * `seriesId`, so attendance and streepjes keep working per occurrence.
+ * Every occurrence carries the series rule so the iCalendar feed can
+ * emit one RRULE with EXDATE/RECURRENCE-ID instead of loose events.
+ *
+ * Supported rules:
+ * - Weekly (every week or every other week) on the weekday of the start
+ * - Monthly on the nth (or last) weekday of the start date
+ * - Ending on a date (UNTIL) or after a number of occurrences (COUNT)
+ *
+ * Dates are handled as naive local strings (YYYY-MM-DD or
+ * YYYY-MM-DDTHH:mm), the same format the calendar form stores.
+ *
+ * @author R.S. Kort
+ */
+
+export const MAX_RECURRENCE_OCCURRENCES = 104
+export const RECURRENCE_SCOPES = ['this', 'following', 'all']
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']
+const DAY_MS = 24 * 60 * 60 * 1000
+const NAIVE_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Parse a naive local date(time) string into a UTC-based timestamp.
+ * The timestamp is only used for calendar arithmetic, never as an instant.
+ * @param {string} value - Date string (YYYY-MM-DD or YYYY-MM-DDTHH:mm[:ss])
+ * @returns {{ time: number, hasTime: boolean, hasSeconds: boolean }|null}
+ */
+function parseNaiveDateTime(value) {
+  if (typeof value !== 'string') return null
+  const match = NAIVE_DATETIME_REGEX.exec(value.trim())
+  if (!match) return null
+
+  const [, year, month, day, hour, minute, second] = match
+  const time = Date.UTC(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hour || 0),
+    Number(minute || 0),
+    Number(second || 0)
+  )
+
+  if (!Number.isFinite(time)) return null
+  return { time, hasTime: hour !== undefined, hasSeconds: second !== undefined }
+}
+
+/**
+ * Format a UTC-based timestamp back into the naive string format
+ * @param {number} time - Timestamp produced by parseNaiveDateTime
+ * @param {Object} shape - Which parts to include
+ * @returns {string} Naive date(time) string
+ */
+function formatNaiveDateTime(time, { hasTime = true, hasSeconds = false } = {}) {
+  const d = new Date(time)
+  const date = [
+    d.getUTCFullYear(),
+    String(d.getUTCMonth() + 1).padStart(2, '0'),
+    String(d.getUTCDate()).padStart(2, '0')
+  ].join('-')
+
+  if (!hasTime) return date
+
+  const clock = [
+    String(d.getUTCHours()).padStart(2, '0'),
+    String(d.getUTCMinutes()).padStart(2, '0')
+  ]
+  if (hasSeconds) {
+    clock.push(String(d.getUTCSeconds()).padStart(2, '0'))
+  }
+  return `${date}T${clock.join(':')}`
+}
+
+/**
+ * Difference between two naive date strings in minutes (b - a)
+ * @param {string} a - Reference date string
+ * @param {string} b - Target date string
+ * @returns {number|null} Minutes between both values
+ */
+export function diffNaiveMinutes(a, b) {
+  const from = parseNaiveDateTime(a)
+  const to = parseNaiveDateTime(b)
+  if (!from || !to) return null
+  return Math.round((to.time - from.time) / 60000)
+}
+
+/**
+ * Shift a naive date string by a number of minutes, keeping its shape
+ * @param {string} value - Date string
+ * @param {number} minutes - Minutes to add (may be negative)
+ * @returns {string} Shifted date string (input is returned when unparsable)
+ */
+export function shiftNaiveDateTime(value, minutes) {
+  const parsed = parseNaiveDateTime(value)
+  if (!parsed || !minutes) return value
+  return formatNaiveDateTime(parsed.time + minutes * 60000, parsed)
+}
+
+/**
+ * Derive the BYDAY value for a rule from its first occurrence
+ * @param {string} start - First occurrence start
+ * @param {string} freq - WEEKLY or MONTHLY
+ * @param {boolean} lastWeekday - Use "last <weekday> of the month"
+ * @returns {string|null} BYDAY value such as TU, 2TU or -1TU
+ */
+export function deriveByDay(start, freq, lastWeekday = false) {
+  const parsed = parseNaiveDateTime(start)
+  if (!parsed) return null
+
+  const d = new Date(parsed.time)
+  const code = WEEKDAY_CODES[d.getUTCDay()]
+  if (freq === 'WEEKLY') return code
+
+  if (lastWeekday) return `-1${code}`
+  return `${Math.ceil(d.getUTCDate() / 7)}${code}`
+}
+
+/**
+ * Validate client input and turn it into a stored recurrence rule.
+ * Accepted input: { frequency: 'weekly'|'biweekly'|'monthly', until?, count?, lastWeekday? }
+ * @param {Object} input - Recurrence options from the request body
+ * @param {string} start - Start of the first occurrence
+ * @returns {{ rule?: Object, error?: string }} Normalized rule or error message
+ */
+export function normalizeRecurrenceInput(input, start) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Ongeldige herhaling' }
+  }
+
+  const frequency = String(input.frequency || '').toLowerCase()
+  const presets = {
+    weekly: { freq: 'WEEKLY', interval: 1 },
+    biweekly: { freq: 'WEEKLY', interval: 2 },
+    monthly: { freq: 'MONTHLY', interval: 1 }
+  }
+  const preset = presets[frequency]
+  if (!preset) {
+    return { error: 'Kies wekelijks, tweewekelijks of maandelijks als herhaling' }
+  }
+
+  if (!parseNaiveDateTime(start)) {
+    return { error: 'Herhaling vereist een geldige startdatum' }
+  }
+
+  const count = input.count === undefined || input.count === null || input.count === ''
+    ? null
+    : Number.parseInt(input.count, 10)
+  const until = typeof input.until === 'string' && input.until.trim() ? input.until.trim() : null
+
+  if (count === null && !until) {
+    return { error: 'Geef een einddatum of een aantal herhalingen op' }
+  }
+
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_RECURRENCE_OCCURRENCES)) {
+    return { error: `Aantal herhalingen moet tussen 1 en ${MAX_RECURRENCE_OCCURRENCES} liggen` }
+  }
+
+  // Date.UTC rolls 2026-02-31 over to March, so the date has to round-trip
+  const parsedUntil = until && DATE_ONLY_REGEX.test(until) ? parseNaiveDateTime(until) : null
+  if (until && (!parsedUntil || formatNaiveDateTime(parsedUntil.time, { hasTime: false }) !== until)) {
+    return { error: 'Ongeldige einddatum voor herhaling' }
+  }
+
+  if (until && until < start.slice(0, 10)) {
+    return { error: 'Einddatum van de herhaling ligt voor de startdatum' }
+  }
+
+  const lastWeekday = preset.freq === 'MONTHLY' && Boolean(input.lastWeekday)
+  if (lastWeekday) {
+    const startDate = new Date(parseNaiveDateTime(start).time)
+    const daysInMonth = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + 1, 0)).getUTCDate()
+    if (daysInMonth - startDate.getUTCDate() >= 7) {
+      return { error: 'De startdatum valt niet op de laatste weekdag van de maand' }
+    }
+  }
+
+  return {
+    rule: {
+      freq: preset.freq,
+      interval: preset.interval,
+      byDay: deriveByDay(start, preset.freq, lastWeekday),
+      count: count ?? null,
+      until: count !== null ? null : until
+    }
+  }
+}
+
+/**
+ * Find the timestamp of the nth (or last) weekday in a month
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11)
+ * @param {string} byDay - BYDAY value such as 2TU or -1FR
+ * @returns {number|null} Date timestamp (midnight UTC) or null when absent
+ */
+function resolveMonthlyWeekday(year, month, byDay) {
+  const match = /^(-?\d)([A-Z]{2})$/.exec(byDay || '')
+  if (!match) return null
+
+  const position = Number(match[1])
+  const weekday = WEEKDAY_CODES.indexOf(match[2])
+  if (weekday < 0 || position === 0) return null
+
+  // Normalise month overflow (e.g. month 13 => February next year)
+  const monthStart = new Date(Date.UTC(year, month, 1))
+  year = monthStart.getUTCFullYear()
+  month = monthStart.getUTCMonth()
+
+  if (position > 0) {
+    const first = new Date(Date.UTC(year, month, 1))
+    const offset = (weekday - first.getUTCDay() + 7) % 7
+    const day = 1 + offset + (position - 1) * 7
+    const candidate = Date.UTC(year, month, day)
+    return new Date(candidate).getUTCMonth() === month ? candidate : null
+  }
+
+  const last = new Date(Date.UTC(year, month + 1, 0))
+  const offset = (last.getUTCDay() - weekday + 7) % 7
+  return Date.UTC(year, month, last.getUTCDate() - offset)
+}
+
+/**
+ * Expand a recurrence rule into concrete occurrences.
+ * The first occurrence is always the series start itself.
+ * @param {Object} rule - Stored recurrence rule
+ * @param {string} start - Series start
+ * @param {string} end - Series end (same shape as start)
+ * @returns {Array<{ start: string, end: string }>} Occurrences in order
+ */
+export function expandRecurrence(rule, start, end) {
+  const startParsed = parseNaiveDateTime(start)
+  if (!rule || !startParsed) return []
+
+  const endParsed = parseNaiveDateTime(end)
+  const duration = endParsed ? Math.max(endParsed.time - startParsed.time, 0) : 0
+  const timeOfDay = startParsed.time % DAY_MS
+  const interval = Math.max(Number.parseInt(rule.interval, 10) || 1, 1)
+  const limit = Math.min(rule.count || MAX_RECURRENCE_OCCURRENCES, MAX_RECURRENCE_OCCURRENCES)
+  const untilParsed = rule.until ? parseNaiveDateTime(rule.until) : null
+  const untilLimit = untilParsed ? untilParsed.time + DAY_MS : Infinity
+
+  const occurrences = []
+  const pushOccurrence = (time) => {
+    occurrences.push({
+      start: formatNaiveDateTime(time, startParsed),
+      end: endParsed ? formatNaiveDateTime(time + duration, endParsed) : formatNaiveDateTime(time, startParsed)
+    })
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    for (let i = 0; occurrences.length < limit; i++) {
+      const time = startParsed.time + i * interval * 7 * DAY_MS
+      if (time >= untilLimit) break
+      pushOccurrence(time)
+    }
+    return occurrences
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const first = new Date(startParsed.time)
+    // Safety net: a rule like "5th tuesday" skips months, so cap the scan
+    for (let i = 0; occurrences.length < limit && i < MAX_RECURRENCE_OCCURRENCES * 2; i++) {
+      const monthIndex = first.getUTCMonth() + i * interval
+      const day = resolveMonthlyWeekday(first.getUTCFullYear(), monthIndex, rule.byDay)
+      if (day === null) continue
+      const time = day + timeOfDay
+      if (time < startParsed.time) continue
+      if (time >= untilLimit) break
+      pushOccurrence(time)
+    }
+  }
+
+  return occurrences
+}
+
+/**
+ * Build the RRULE value for the iCalendar feed.
+ * COUNT is always emitted because series are materialised up-front,
+ * which avoids timezone conversions for UNTIL.
+ * @param {Object} rule - Stored recurrence rule
+ * @param {number} count - Number of occurrences in the expanded series
+ * @returns {string} RRULE value without the "RRULE:" prefix
+ */
+export function buildRRule(rule, count) {
+  const parts = [`FREQ=${rule.freq}`]
+  if (rule.interval && rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`)
+  }
+  if (rule.byDay) {
+    parts.push(`BYDAY=${rule.byDay}`)
+  }
+  parts.push(`COUNT=${count}`)
+  return parts.join(';')
+}
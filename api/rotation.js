@@ -0,0 +1,141 @@
+/* eslint-env node */
+/**
+ * ================================================================
+ * DUTY ROTATION - SCHOONMAKERS & OPKOMSTMAKERS
+ * ================================================================
+ *
+ * Proposes who does which duty for a list of upcoming events, so the
+ * work is spread evenly instead of landing on the same few members.
+ * The proposal is only advice: an admin reviews it and applies it.
+ *
+ * Rules:
+ * - Events are filled in date order, members with the fewest duties first
+ * - Ties go to whoever was assigned longest ago, then to a stable
+ *   per-event shuffle so low member IDs are not always picked first
+ * - Members are never proposed on a date they marked as unavailable
+ * - Optionally, two members who shared the previous event are not paired
+ *   again, unless there is nobody else available
+ * - When too few members are available the event reports a shortfall
+ *
+ * @author R.S. Kort
+ * @version 1.0.0
+ */
+
+export const MAX_ROTATION_SLOT_SIZE = 6
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * Validate an unavailability range from a request body
+ * @param {Object} input - { startDate, endDate?, reason? }
+ * @returns {{ range?: { startDate: string, endDate: string }, error?: string }} Normalized range or error
+ */
+export function normalizeUnavailabilityRange(input = {}) {
+  const startDate = typeof input.startDate === 'string' ? input.startDate.trim() : ''
+  const endDate = typeof input.endDate === 'string' && input.endDate.trim() ? input.endDate.trim() : startDate
+
+  if (!DATE_ONLY_REGEX.test(startDate) || !DATE_ONLY_REGEX.test(endDate)) {
+    return { error: 'Geef een geldige begin- en einddatum op' }
+  }
+  if (endDate < startDate) {
+    return { error: 'Einddatum ligt voor de begindatum' }
+  }
+  return { range: { startDate, endDate } }
+}
+
+/**
+ * Whether a member marked a date as unavailable
+ * @param {Array<Object>} entries - Unavailability entries { userId, startDate, endDate }
+ * @param {number} userId - Member ID
+ * @param {string} dateKey - Date (YYYY-MM-DD)
+ * @returns {boolean} True when the date falls in one of the member's ranges
+ */
+export function isUnavailableOn(entries, userId, dateKey) {
+  return entries.some((entry) =>
+    entry.userId === userId && entry.startDate <= dateKey && entry.endDate >= dateKey
+  )
+}
+
+// Small deterministic hash so ties rotate between events without randomness
+function tieBreaker(userId, slotId) {
+  const text = `${slotId}:${userId}`
+  let hash = 0
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0
+  }
+  return hash
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}:${b}` : `${b}:${a}`
+}
+
+/**
+ * Pick `size` members from the ordered candidates. With `blockedPairs`
+ * a candidate that would repeat a pair is skipped while others remain.
+ */
+function pickGroup(ordered, size, blockedPairs) {
+  const picked = []
+  while (picked.length < size) {
+    const remaining = ordered.filter((userId) => !picked.includes(userId))
+    if (remaining.length === 0) break
+    const fresh = remaining.find((userId) => picked.every((other) => !blockedPairs.has(pairKey(userId, other))))
+    picked.push(fresh ?? remaining[0])
+  }
+  return picked
+}
+
+/**
+ * Build a balanced proposal
+ * @param {Object} options
+ * @param {Array<{ id: string, date: string, size: number }>} options.slots - Events to fill
+ * @param {number[]} options.candidates - Member IDs that can be assigned
+ * @param {Map<number, number>} [options.counts] - Duties each member already has
+ * @param {Function} [options.isUnavailable] - (userId, date) => boolean
+ * @param {boolean} [options.avoidRepeatPairs] - Do not pair members who shared the previous event
+ * @param {number[]} [options.previousGroup] - Members of the event before the first slot
+ * @returns {{ assignments: Array<{ slotId: string, userIds: number[], shortfall: number }>, counts: Map<number, number> }}
+ */
+export function proposeRotation({
+  slots,
+  candidates,
+  counts = new Map(),
+  isUnavailable = () => false,
+  avoidRepeatPairs = false,
+  previousGroup = []
+}) {
+  const totals = new Map(candidates.map((userId) => [userId, counts.get(userId) || 0]))
+  const lastAssigned = new Map()
+  const ordered = [...slots].sort((a, b) => a.date.localeCompare(b.date))
+  let lastGroup = previousGroup
+
+  const assignments = ordered.map((slot, index) => {
+    const available = candidates
+      .filter((userId) => !isUnavailable(userId, slot.date))
+      .sort((a, b) =>
+        totals.get(a) - totals.get(b) ||
+        (lastAssigned.get(a) ?? -1) - (lastAssigned.get(b) ?? -1) ||
+        tieBreaker(a, slot.id) - tieBreaker(b, slot.id)
+      )
+
+    const blockedPairs = new Set()
+    if (avoidRepeatPairs) {
+      lastGroup.forEach((a, i) => lastGroup.slice(i + 1).forEach((b) => blockedPairs.add(pairKey(a, b))))
+    }
+
+    const userIds = pickGroup(available, slot.size, blockedPairs)
+    lastGroup = userIds
+    userIds.forEach((userId) => {
+      totals.set(userId, totals.get(userId) + 1)
+      lastAssigned.set(userId, index)
+    })
+
+    return {
+      slotId: slot.id,
+      userIds: [...userIds].sort((a, b) => a - b),
+      shortfall: Math.max(slot.size - userIds.length, 0)
+    }
+  })
+
+  return { assignments, counts: totals }
+}
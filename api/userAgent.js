@@ -0,0 +1,49 @@
+/* eslint-env node */
+/**
+ * ================================================================
+ * USER AGENT DESCRIPTIONS
+ * ================================================================
+ *
+ * Turns the user agent stored with a session into a short device
+ * name for the "Apparaten" overview, e.g. "Safari op iPhone".
+ *
+ * Rules:
+ * - Only the common browsers and platforms are recognized; anything
+ *   else falls back to "Onbekende browser" / "onbekend apparaat"
+ * - Order matters: Edge and Opera also claim to be Chrome, and
+ *   Chrome also claims to be Safari
+ *
+ * @author R.S. Kort
+ * @version 1.0.0
+ */
+
+const BROWSERS = [
+  { pattern: /Edg(e|A|iOS)?\//, name: 'Edge' },
+  { pattern: /OPR\/|Opera/, name: 'Opera' },
+  { pattern: /SamsungBrowser\//, name: 'Samsung Internet' },
+  { pattern: /Firefox\/|FxiOS\//, name: 'Firefox' },
+  { pattern: /Chrome\/|CriOS\//, name: 'Chrome' },
+  { pattern: /Safari\//, name: 'Safari' }
+]
+
+const PLATFORMS = [
+  { pattern: /iPhone/, name: 'iPhone' },
+  { pattern: /iPad/, name: 'iPad' },
+  { pattern: /Android/, name: 'Android' },
+  { pattern: /Windows/, name: 'Windows' },
+  { pattern: /Mac OS X|Macintosh/, name: 'Mac' },
+  { pattern: /CrOS/, name: 'Chromebook' },
+  { pattern: /Linux/, name: 'Linux' }
+]
+
+/**
+ * Short device name for a user agent
+ * @param {string} userAgent - User-Agent header as stored with the session
+ * @returns {string} e.g. "Chrome op Windows"
+ */
+export function describeUserAgent(userAgent) {
+  const ua = String(userAgent || '')
+  const browser = BROWSERS.find((entry) => entry.pattern.test(ua))?.name || 'Onbekende browser'
+  const platform = PLATFORMS.find((entry) => entry.pattern.test(ua))?.name || 'onbekend apparaat'
+  return `${browser} op ${platform}`
+}
@@ -27,13 +27,14 @@ import { APP_VERSION } from './config/appInfo'
 import ProtectedRoute from './components/ProtectedRoute'
 import { AppErrorBoundary, PageErrorBoundary, setupGlobalErrorHandling } from './components/ErrorBoundary'
 import { ToastProvider } from './hooks/useToast'
-import { CalendarIcon, ClipboardIcon, EuroIcon, TrophyIcon, UserIcon, LoginIcon } from './components/icons'
+import { CalendarIcon, ClipboardIcon, EuroIcon, TrophyIcon, RotationIcon, UserIcon, LoginIcon } from './components/icons'
 import PullToRefresh from './components/PullToRefresh'
 
 // Query client configuration
 import { queryClient } from './lib/queryClient'
 import { performHardReset } from './lib/hardReset'
 import { getCurrentSession, logout as logoutSession } from './services/api'
+import { PERMISSIONS, getRoleLabel, hasPermission } from './lib/permissions'
 
 // Import styles
 import './styles/shared.css'
@@ -44,21 +45,26 @@ import clickSoundUrl from './assets/stamjer.mp3'
 // Page components (lazy-loaded)
 const Login = lazy(() => import('./pages/Login'))
 const ForgotPassword = lazy(() => import('./pages/ForgotPassword'))
+const ActivateAccount = lazy(() => import('./pages/ActivateAccount'))
 const CalendarPage = lazy(() => import('./pages/CalendarPage'))
 const OpkomstenPage = lazy(() => import('./pages/OpkomstenPage'))
 const MyAccount = lazy(() => import('./pages/MyAccount'))
 const StrepenPage = lazy(() => import('./pages/StrepenPage'))
 const PaymentRequestPage = lazy(() => import('./pages/PaymentRequestPage'))
+const CheckInPage = lazy(() => import('./pages/CheckInPage'))
+const RoosterPage = lazy(() => import('./pages/RoosterPage'))
 const NotFound = lazy(() => import('./pages/NotFound'))
 
 const ROUTE_LABELS = {
   '/': 'Login',
   '/login': 'Login',
   '/forgot-password': 'Wachtwoord herstellen',
+  '/activeren': 'Account activeren',
   '/kalender': 'Kalender',
   '/opkomsten': 'Opkomsten',
   '/declaraties': 'Declaraties',
   '/strepen': 'Strepen',
+  '/rooster': 'Rooster',
   '/account': 'Account',
 }
 
@@ -67,11 +73,18 @@ const NAV_ICON_MAP = {
   '/opkomsten': ClipboardIcon,
   '/declaraties': EuroIcon,
   '/strepen': TrophyIcon,
+  '/rooster': RotationIcon,
   '/account': UserIcon,
   '/login': LoginIcon,
   '/': LoginIcon,
 }
 
+// Management pages; a list means any one permission is enough
+const ROUTE_PERMISSIONS = {
+  '/strepen': PERMISSIONS.STREPEN,
+  '/rooster': [PERMISSIONS.ROOSTER, PERMISSIONS.SCHOONMAAK],
+}
+
 
 
 /**
@@ -289,7 +302,7 @@ function App() {
   }, [location.pathname])
 
   const shouldHideNavigation = useMemo(() => {
-    return ['/login', '/', '/forgot-password'].includes(location.pathname)
+    return ['/login', '/', '/forgot-password', '/activeren'].includes(location.pathname)
   }, [location.pathname])
 
   const navMenuItems = useMemo(() => {
@@ -314,14 +327,15 @@ function App() {
       },
     ]
 
-    if (user?.isAdmin) {
+    Object.entries(ROUTE_PERMISSIONS).forEach(([to, permission]) => {
+      if (!hasPermission(user, permission)) return
       baseItems.push({
-        to: '/strepen',
-        label: ROUTE_LABELS['/strepen'],
-        icon: NAV_ICON_MAP['/strepen'],
+        to,
+        label: ROUTE_LABELS[to],
+        icon: NAV_ICON_MAP[to],
         variant: 'secondary',
       })
-    }
+    })
 
     baseItems.push(
       user
@@ -365,13 +379,14 @@ function App() {
       },
     ]
 
-    if (user.isAdmin) {
+    Object.entries(ROUTE_PERMISSIONS).forEach(([to, permission]) => {
+      if (!hasPermission(user, permission)) return
       items.push({
-        to: '/strepen',
-        label: ROUTE_LABELS['/strepen'],
-        icon: NAV_ICON_MAP['/strepen'],
+        to,
+        label: ROUTE_LABELS[to],
+        icon: NAV_ICON_MAP[to],
       })
-    }
+    })
 
     items.push({
       to: '/account',
@@ -474,7 +489,7 @@ function App() {
                   {user && (
                     <div className="nav-user-chip" role="group" aria-label="Gebruikersinformatie">
                       <span className="nav-user-name">{user.firstName}</span>
-                      <span className="nav-user-role">{user.isAdmin ? 'Administrator' : 'Lid'}</span>
+                      <span className="nav-user-role">{getRoleLabel(user)}</span>
                     </div>
                   )}
                 </div>
@@ -540,6 +555,11 @@ function App() {
                     <ForgotPassword />
                   </PageErrorBoundary>
                 } />
+                <Route path="/activeren" element={
+                  <PageErrorBoundary pageName="Activate Account">
+                    <ActivateAccount setUser={handleLogin} />
+                  </PageErrorBoundary>
+                } />
                 
                 {/* Protected Routes - Require authentication */}
                 <Route path="/kalender" element={
@@ -564,9 +584,23 @@ function App() {
                   </ProtectedRoute>
                 } />
                 <Route path="/strepen" element={
-                  <ProtectedRoute user={user}>
+                  <ProtectedRoute user={user} permission={ROUTE_PERMISSIONS['/strepen']}>
                     <PageErrorBoundary pageName="Strepen">
-                      {user && user.isAdmin ? <StrepenPage /> : <div>Alleen toegankelijk voor admins. Dus niet voor plebs zoals jij...</div>}
+                      <StrepenPage />
+                    </PageErrorBoundary>
+                  </ProtectedRoute>
+                } />
+                <Route path="/rooster" element={
+                  <ProtectedRoute user={user} permission={ROUTE_PERMISSIONS['/rooster']}>
+                    <PageErrorBoundary pageName="Rooster">
+                      <RoosterPage user={user} />
+                    </PageErrorBoundary>
+                  </ProtectedRoute>
+                } />
+                <Route path="/inchecken" element={
+                  <ProtectedRoute user={user}>
+                    <PageErrorBoundary pageName="Check-in">
+                      <CheckInPage />
                     </PageErrorBoundary>
                   </ProtectedRoute>
                 } />
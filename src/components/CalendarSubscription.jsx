@@ -7,54 +7,103 @@
  * Provides easy access to iCalendar URL for external calendar apps.
  * 
  * Features:
+ * - Personal feed link with a secret token, regenerable when leaked
+ * - Feed options: only opkomsten, only own duties, only attending
+ * - Optional reminders before each event
+ * - Public feed link with titles and times only
  * - Copy URL to clipboard
  * - Instructions for popular calendar apps
  * - Clean, elegant design
  * 
  * @author R.S. Kort
- * @version 1.0.0
+ * @version 1.2.0
  */
 
 import React, { useState } from 'react'
+import { useCalendarFeed, useRegenerateCalendarFeed } from '../hooks/useQueries'
 import './CalendarSubscription.css'
 
 // Toggle this to show/hide for all users
 const ADMIN_ONLY = false
 
+const FEED_FILTERS = [
+  { key: 'opkomsten', label: 'Alleen opkomsten' },
+  { key: 'duties', label: 'Alleen waar ik opkomstmaker of schoonmaker ben' },
+  { key: 'attending', label: 'Alleen waar ik bij ben' }
+]
+
+// Values for the `alarms` parameter of the feed
+const REMINDER_OPTIONS = [
+  { value: '', label: 'Geen herinnering' },
+  { value: '2h', label: '2 uur van tevoren' },
+  { value: '1d', label: '1 dag van tevoren' },
+  { value: '1d,2h', label: '1 dag en 2 uur van tevoren' }
+]
+
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text)
+  } catch (error) {
+    console.error('Failed to copy:', error)
+    // Fallback for older browsers
+    const textArea = document.createElement('textarea')
+    textArea.value = text
+    textArea.style.position = 'fixed'
+    textArea.style.left = '-999999px'
+    document.body.appendChild(textArea)
+    textArea.select()
+    try {
+      document.execCommand('copy')
+    } finally {
+      document.body.removeChild(textArea)
+    }
+  }
+}
+
 export default function CalendarSubscription({ user }) {
-  const [copied, setCopied] = useState(false)
+  const [copied, setCopied] = useState(null)
   const [showInstructions, setShowInstructions] = useState(false)
+  const [filters, setFilters] = useState({ opkomsten: false, duties: false, attending: false })
+  const [reminder, setReminder] = useState('')
+  const [feedback, setFeedback] = useState(null)
+  const isHidden = ADMIN_ONLY && !user?.isAdmin
+  const { data: feed, isLoading, error } = useCalendarFeed({ enabled: !isHidden })
+  const regenerate = useRegenerateCalendarFeed()
   
   // Hide from non-admins if ADMIN_ONLY is true
-  if (ADMIN_ONLY && !user?.isAdmin) {
+  if (isHidden) {
     return null
   }
   
-  // Get the calendar URL - use the current origin to handle both dev and production
-  const calendarUrl = `${window.location.origin}/api/calendar.ics`
+  // Build the calendar URLs - use the current origin to handle both dev and production
+  const publicUrl = `${window.location.origin}/api/calendar.ics`
+  const query = new URLSearchParams()
+  FEED_FILTERS.forEach(({ key }) => {
+    if (filters[key]) query.set(key, '1')
+  })
+  if (reminder) query.set('alarms', reminder)
+  const personalUrl = feed?.token
+    ? `${window.location.origin}/api/calendar/${feed.token}.ics${query.toString() ? `?${query}` : ''}`
+    : null
   
-  const handleCopyUrl = async () => {
+  const handleCopyUrl = async (type, url) => {
     try {
-      await navigator.clipboard.writeText(calendarUrl)
-      setCopied(true)
-      setTimeout(() => setCopied(false), 2000)
-    } catch (error) {
-      console.error('Failed to copy:', error)
-      // Fallback for older browsers
-      const textArea = document.createElement('textarea')
-      textArea.value = calendarUrl
-      textArea.style.position = 'fixed'
-      textArea.style.left = '-999999px'
-      document.body.appendChild(textArea)
-      textArea.select()
-      try {
-        document.execCommand('copy')
-        setCopied(true)
-        setTimeout(() => setCopied(false), 2000)
-      } catch (err) {
-        console.error('Fallback copy failed:', err)
-      }
-      document.body.removeChild(textArea)
+      await copyToClipboard(url)
+      setCopied(type)
+      setTimeout(() => setCopied(null), 2000)
+    } catch (err) {
+      console.error('Fallback copy failed:', err)
+    }
+  }
+
+  const handleRegenerate = async () => {
+    if (!window.confirm('Een nieuwe link maken? Agenda-apps met de oude link krijgen dan geen updates meer.')) return
+    setFeedback(null)
+    try {
+      await regenerate.mutateAsync()
+      setFeedback({ type: 'success', text: 'Nieuwe link gemaakt. Abonneer je agenda-app opnieuw met de nieuwe URL.' })
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Nieuwe link maken mislukt' })
     }
   }
   
@@ -62,17 +111,73 @@ export default function CalendarSubscription({ user }) {
     <div className="setting-item-vertical">
       <div className="setting-label">
         <h6>Agenda abonnement</h6>
-        <p>Synchroniseer alle Stamjer evenementen met je eigen agenda-app</p>
+        <p>Synchroniseer Stamjer evenementen met je eigen agenda-app via je persoonlijke link. Deel deze link niet.</p>
       </div>
-      
-      <button
-        type="button"
-        className="btn btn-secondary"
-        onClick={handleCopyUrl}
-        disabled={copied}
-      >
-        {copied ? '✓ Gekopieerd' : 'Kopieer URL'}
-      </button>
+
+      <div className="calendar-subscription-filters">
+        {FEED_FILTERS.map(({ key, label }) => (
+          <label key={key} className="calendar-subscription-filter">
+            <input
+              type="checkbox"
+              checked={filters[key]}
+              onChange={(e) => setFilters((prev) => ({ ...prev, [key]: e.target.checked }))}
+            />
+            {label}
+          </label>
+        ))}
+        <label className="calendar-subscription-filter">
+          Herinnering
+          <select
+            className="form-input calendar-subscription-reminder"
+            value={reminder}
+            onChange={(e) => setReminder(e.target.value)}
+          >
+            {REMINDER_OPTIONS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {isLoading && <p className="calendar-subscription-meta">Link laden...</p>}
+      {error && <div className="setting-error">{error.message || 'Agenda-link ophalen mislukt'}</div>}
+
+      {personalUrl && (
+        <div className="calendar-subscription-actions">
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={() => handleCopyUrl('personal', personalUrl)}
+            disabled={copied === 'personal'}
+          >
+            {copied === 'personal' ? '✓ Gekopieerd' : 'Kopieer persoonlijke URL'}
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary"
+            onClick={handleRegenerate}
+            disabled={regenerate.isPending}
+          >
+            {regenerate.isPending ? 'Bezig...' : 'Nieuwe link maken'}
+          </button>
+        </div>
+      )}
+
+      {feedback && (
+        <div className={feedback.type === 'error' ? 'setting-error' : 'setting-success'}>{feedback.text}</div>
+      )}
+
+      <p className="calendar-subscription-meta">
+        Wil je de agenda delen met iemand zonder account? Gebruik dan de{' '}
+        <button
+          type="button"
+          className="calendar-subscription-link"
+          onClick={() => handleCopyUrl('public', publicUrl)}
+        >
+          {copied === 'public' ? 'openbare URL (gekopieerd)' : 'openbare URL'}
+        </button>
+        , met alleen titels en tijden.
+      </p>
       
       <button
         type="button"
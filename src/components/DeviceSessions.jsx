@@ -0,0 +1,110 @@
+/**
+ * ================================================================
+ * DEVICE SESSIONS COMPONENT
+ * ================================================================
+ *
+ * Lists the devices where the member is logged in, with when each
+ * was last used and from where. Any device can be signed out, or
+ * every device except the current one at once.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import { useRevokeOtherSessions, useRevokeSession, useSessions } from '../hooks/useQueries'
+import './DeviceSessions.css'
+
+function formatLastSeen(value) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return date.toLocaleString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+}
+
+export default function DeviceSessions({ onLogout }) {
+  const { data, isLoading, error } = useSessions()
+  const revoke = useRevokeSession()
+  const revokeOthers = useRevokeOtherSessions()
+  const [pendingId, setPendingId] = useState(null)
+  const [feedback, setFeedback] = useState(null)
+
+  if (isLoading) return <p className="device-sessions__meta">Apparaten laden...</p>
+  if (error) return <div className="setting-error">{error.message || 'Apparaten ophalen mislukt'}</div>
+
+  const sessions = data?.sessions || []
+  const otherCount = sessions.filter((session) => !session.current).length
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      onLogout?.()
+      return
+    }
+    setFeedback(null)
+    setPendingId(session.id)
+    try {
+      await revoke.mutateAsync(session.id)
+      setFeedback({ type: 'success', text: `${session.device} is uitgelogd.` })
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Apparaat uitloggen mislukt' })
+    } finally {
+      setPendingId(null)
+    }
+  }
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Wil je op alle andere apparaten uitloggen?')) return
+    setFeedback(null)
+    try {
+      await revokeOthers.mutateAsync()
+      setFeedback({ type: 'success', text: 'Je bent op alle andere apparaten uitgelogd.' })
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Andere apparaten uitloggen mislukt' })
+    }
+  }
+
+  return (
+    <div className="device-sessions">
+      <ul className="device-sessions__list">
+        {sessions.map((session) => (
+          <li
+            key={session.id}
+            className={`device-sessions__item${session.current ? ' device-sessions__item--current' : ''}`}
+          >
+            <div className="device-sessions__info">
+              <strong>
+                {session.device}
+                {session.current && <span className="device-sessions__badge">Dit apparaat</span>}
+              </strong>
+              <span className="device-sessions__meta">
+                Laatst actief {formatLastSeen(session.lastSeenAt)}
+                {(session.region || session.ipAddress) && ` · ${[session.region, session.ipAddress].filter(Boolean).join(' · ')}`}
+              </span>
+            </div>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => handleRevoke(session)}
+              disabled={pendingId === session.id}
+            >
+              {pendingId === session.id ? 'Bezig...' : 'Uitloggen'}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {otherCount > 0 && (
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={handleRevokeOthers}
+          disabled={revokeOthers.isPending}
+        >
+          {revokeOthers.isPending ? 'Bezig...' : 'Overal uitloggen behalve hier'}
+        </button>
+      )}
+
+      {feedback && (
+        <div className={feedback.type === 'error' ? 'setting-error' : 'setting-success'}>{feedback.text}</div>
+      )}
+    </div>
+  )
+}
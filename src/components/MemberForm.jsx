@@ -0,0 +1,64 @@
+/**
+ * ================================================================
+ * MEMBER FORM COMPONENT
+ * ================================================================
+ *
+ * Name and email of a member, used by the member management in
+ * Account both to invite someone new and to correct an existing
+ * member. Validation of duplicates happens server-side.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import './MemberForm.css'
+
+const EMPTY_MEMBER = { firstName: '', lastName: '', email: '' }
+
+export default function MemberForm({ initialValues = EMPTY_MEMBER, submitLabel, isPending = false, onSubmit, onCancel }) {
+  const [values, setValues] = useState({
+    firstName: initialValues.firstName || '',
+    lastName: initialValues.lastName || '',
+    email: initialValues.email || ''
+  })
+
+  const handleChange = (field) => (e) => setValues(prev => ({ ...prev, [field]: e.target.value }))
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSubmit({
+      firstName: values.firstName.trim(),
+      lastName: values.lastName.trim(),
+      email: values.email.trim().toLowerCase()
+    })
+  }
+
+  const isComplete = values.firstName.trim() && values.lastName.trim() && values.email.trim()
+
+  return (
+    <form className="member-form" onSubmit={handleSubmit}>
+      <label>
+        Voornaam
+        <input type="text" value={values.firstName} maxLength={80} onChange={handleChange('firstName')} required autoComplete="off" />
+      </label>
+      <label>
+        Achternaam
+        <input type="text" value={values.lastName} maxLength={80} onChange={handleChange('lastName')} required autoComplete="off" />
+      </label>
+      <label className="member-form__email">
+        E-mailadres
+        <input type="email" value={values.email} onChange={handleChange('email')} required autoComplete="off" />
+      </label>
+      <div className="member-form__actions">
+        <button type="submit" className="member-form__submit" disabled={isPending || !isComplete}>
+          {isPending ? 'Bezig...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="member-form__cancel" onClick={onCancel} disabled={isPending}>
+            Annuleren
+          </button>
+        )}
+      </div>
+    </form>
+  )
+}
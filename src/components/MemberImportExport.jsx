@@ -0,0 +1,203 @@
+/**
+ * ================================================================
+ * MEMBER IMPORT / EXPORT COMPONENT
+ * ================================================================
+ *
+ * Yearly member list as CSV. The admin uploads the list, reviews
+ * which members are added, updated and deactivated, and applies it
+ * in one go. The export contains every member with status and
+ * streepjes of the current season.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import { exportMembers } from '../services/api'
+import { useImportMembers, usePreviewMemberImport } from '../hooks/useQueries'
+import './MemberImportExport.css'
+
+const CHANGE_LABELS = {
+  firstName: 'voornaam',
+  lastName: 'achternaam',
+  status: 'weer actief'
+}
+
+function downloadCsvFile(csv, fileName) {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+function PlanSection({ title, items, render }) {
+  if (items.length === 0) return null
+  return (
+    <details className="member-import__section">
+      <summary>{title} ({items.length})</summary>
+      <ul>
+        {items.map((item, index) => <li key={item.userId ?? item.line ?? index}>{render(item)}</li>)}
+      </ul>
+    </details>
+  )
+}
+
+export default function MemberImportExport({ onImported }) {
+  const preview = usePreviewMemberImport()
+  const apply = useImportMembers()
+  const [csv, setCsv] = useState('')
+  const [fileName, setFileName] = useState('')
+  const [deactivateMissing, setDeactivateMissing] = useState(false)
+  const [sendInvites, setSendInvites] = useState(true)
+  const [plan, setPlan] = useState(null)
+  const [feedback, setFeedback] = useState(null)
+  const [isExporting, setIsExporting] = useState(false)
+
+  const runPreview = async (text, deactivate) => {
+    setFeedback(null)
+    setPlan(null)
+    try {
+      setPlan(await preview.mutateAsync({ csv: text, deactivateMissing: deactivate }))
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Ledenlijst controleren mislukt' })
+    }
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const text = await file.text()
+      setCsv(text)
+      setFileName(file.name)
+      await runPreview(text, deactivateMissing)
+    } catch {
+      setFeedback({ type: 'error', text: 'Bestand kon niet worden gelezen.' })
+    }
+  }
+
+  const handleDeactivateChange = (checked) => {
+    setDeactivateMissing(checked)
+    if (csv) runPreview(csv, checked)
+  }
+
+  const handleApply = async () => {
+    setFeedback(null)
+    try {
+      const result = await apply.mutateAsync({ csv, deactivateMissing, sendInvites })
+      const inviteText = result.created > 0 ? ` ${result.invitesSent} uitnodiging(en) verstuurd.` : ''
+      setFeedback({ type: 'success', text: `Ledenlijst verwerkt: ${result.msg}.${inviteText}` })
+      setPlan(null)
+      setCsv('')
+      setFileName('')
+      onImported?.()
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Ledenlijst importeren mislukt' })
+    }
+  }
+
+  const handleCancel = () => {
+    setPlan(null)
+    setCsv('')
+    setFileName('')
+  }
+
+  const handleExport = async () => {
+    setFeedback(null)
+    setIsExporting(true)
+    try {
+      const data = await exportMembers()
+      downloadCsvFile(data.csv, data.fileName)
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Ledenlijst exporteren mislukt' })
+    } finally {
+      setIsExporting(false)
+    }
+  }
+
+  const hasChanges = plan && (plan.creates.length + plan.updates.length + plan.deactivations.length) > 0
+
+  return (
+    <div className="member-import">
+      <div className="member-import__actions">
+        <label className="member-import__button">
+          Ledenlijst importeren (CSV)
+          <input type="file" accept=".csv,text/csv" hidden onChange={handleFileChange} disabled={preview.isPending || apply.isPending} />
+        </label>
+        <button type="button" className="member-import__button" onClick={handleExport} disabled={isExporting}>
+          {isExporting ? 'Exporteren...' : 'Ledenlijst exporteren'}
+        </button>
+      </div>
+      <p className="member-import__hint">
+        Kolommen: voornaam, achternaam en e-mail. Leden worden op e-mailadres gekoppeld.
+      </p>
+
+      {preview.isPending && <p className="member-import__hint">Ledenlijst controleren...</p>}
+
+      {plan && (
+        <div className="member-import__plan">
+          <p className="member-import__summary">
+            <strong>{fileName}</strong>: {plan.creates.length} nieuw, {plan.updates.length} bijgewerkt,{' '}
+            {plan.deactivations.length} op inactief, {plan.unchanged} ongewijzigd
+          </p>
+
+          {plan.errors.length > 0 && (
+            <ul className="member-import__errors" role="alert">
+              {plan.errors.map((item) => (
+                <li key={`${item.line}-${item.message}`}>Regel {item.line}: {item.message}</li>
+              ))}
+            </ul>
+          )}
+
+          <PlanSection
+            title="Nieuwe leden"
+            items={plan.creates}
+            render={(item) => `${item.firstName} ${item.lastName} (${item.email})`}
+          />
+          <PlanSection
+            title="Bijgewerkt"
+            items={plan.updates}
+            render={(item) => `${item.name}: ${Object.keys(item.changes).map((key) => CHANGE_LABELS[key] || key).join(', ')}`}
+          />
+          <PlanSection
+            title="Op inactief"
+            items={plan.deactivations}
+            render={(item) => `${item.name} (${item.email})`}
+          />
+
+          <label className="member-import__option">
+            <input type="checkbox" checked={deactivateMissing} onChange={(e) => handleDeactivateChange(e.target.checked)} />
+            Actieve leden die niet op de lijst staan op inactief zetten
+          </label>
+          <label className="member-import__option">
+            <input type="checkbox" checked={sendInvites} onChange={(e) => setSendInvites(e.target.checked)} />
+            Nieuwe leden een uitnodiging sturen
+          </label>
+
+          <div className="member-import__actions">
+            <button
+              type="button"
+              className="member-import__button member-import__button--primary"
+              onClick={handleApply}
+              disabled={!hasChanges || plan.errors.length > 0 || apply.isPending || preview.isPending}
+            >
+              {apply.isPending ? 'Verwerken...' : 'Wijzigingen toepassen'}
+            </button>
+            <button type="button" className="member-import__button" onClick={handleCancel} disabled={apply.isPending}>
+              Annuleren
+            </button>
+          </div>
+        </div>
+      )}
+
+      {feedback && (
+        <div className={feedback.type === 'error' ? 'setting-error' : 'setting-success'}>{feedback.text}</div>
+      )}
+    </div>
+  )
+}
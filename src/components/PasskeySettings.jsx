@@ -0,0 +1,124 @@
+/**
+ * ================================================================
+ * PASSKEY SETTINGS COMPONENT
+ * ================================================================
+ *
+ * Members add a passkey on their phone or laptop and then log in
+ * with fingerprint, face or device PIN instead of their password.
+ * Lists the passkeys of the account and removes ones that are no
+ * longer used.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import { browserSupportsWebAuthn } from '@simplewebauthn/browser'
+import { useDeletePasskey, usePasskeys, useRegisterPasskey } from '../hooks/useQueries'
+import './PasskeySettings.css'
+
+function formatDate(value) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return date.toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric' })
+}
+
+// Cancelling the browser dialog is not an error worth showing as one
+function describePasskeyError(err, fallback) {
+  if (err?.name === 'NotAllowedError') return 'Geannuleerd of niet toegestaan door je apparaat.'
+  if (err?.name === 'InvalidStateError') return 'Dit apparaat heeft al een passkey voor je account.'
+  return err?.message || fallback
+}
+
+export default function PasskeySettings() {
+  const isSupported = browserSupportsWebAuthn()
+  const { data, isLoading, error } = usePasskeys({ enabled: isSupported })
+  const register = useRegisterPasskey()
+  const remove = useDeletePasskey()
+  const [name, setName] = useState('')
+  const [feedback, setFeedback] = useState(null)
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    setFeedback(null)
+    try {
+      await register.mutateAsync({ name: name.trim() })
+      setName('')
+      setFeedback({ type: 'success', text: 'Passkey toegevoegd. Je kunt hiermee voortaan inloggen zonder wachtwoord.' })
+    } catch (err) {
+      setFeedback({ type: 'error', text: describePasskeyError(err, 'Passkey toevoegen mislukt') })
+    }
+  }
+
+  const handleRemove = async (passkey) => {
+    if (!window.confirm(`Passkey "${passkey.name}" verwijderen?`)) return
+    setFeedback(null)
+    try {
+      await remove.mutateAsync(passkey.id)
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Passkey verwijderen mislukt' })
+    }
+  }
+
+  const passkeys = data?.passkeys || []
+
+  return (
+    <div className="passkeys">
+      <div className="setting-label">
+        <h6>Passkeys</h6>
+        <p>Log in met je vingerafdruk, gezicht of pincode van je telefoon of laptop, zonder wachtwoord.</p>
+      </div>
+
+      {!isSupported && (
+        <p className="passkeys__meta">Deze browser ondersteunt geen passkeys.</p>
+      )}
+      {isSupported && isLoading && <p className="passkeys__meta">Passkeys laden...</p>}
+      {error && <div className="setting-error">{error.message || 'Passkeys ophalen mislukt'}</div>}
+
+      {passkeys.length > 0 && (
+        <ul className="passkeys__list">
+          {passkeys.map((passkey) => (
+            <li key={passkey.id} className="passkeys__item">
+              <div>
+                <strong>{passkey.name}</strong>
+                <span className="passkeys__meta">
+                  Toegevoegd {formatDate(passkey.createdAt)}
+                  {passkey.lastUsedAt ? ` · laatst gebruikt ${formatDate(passkey.lastUsedAt)}` : ''}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={() => handleRemove(passkey)}
+                disabled={remove.isPending}
+              >
+                Verwijderen
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isSupported && (
+        <form className="passkeys__form" onSubmit={handleAdd}>
+          <input
+            type="text"
+            className="form-input"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Naam, bijv. Mijn telefoon"
+            maxLength={60}
+            aria-label="Naam van de passkey"
+            disabled={register.isPending}
+          />
+          <button type="submit" className="btn btn-secondary" disabled={register.isPending}>
+            {register.isPending ? 'Bezig...' : 'Passkey toevoegen'}
+          </button>
+        </form>
+      )}
+
+      {feedback && (
+        <div className={feedback.type === 'error' ? 'setting-error' : 'setting-success'}>{feedback.text}</div>
+      )}
+    </div>
+  )
+}
@@ -1,10 +1,18 @@
 import React from 'react'
 import { Navigate, useLocation } from 'react-router-dom'
+import { hasPermission } from '../lib/permissions'
 
-export default function ProtectedRoute({ user, children }) {
+/**
+ * Only render children for a logged-in member, optionally with a permission
+ * (a list means any one of them is enough)
+ */
+export default function ProtectedRoute({ user, permission = null, children }) {
   const location = useLocation()
   if (!user) {
     return <Navigate to="/login" state={{ from: location }} replace />
   }
+  if (permission && !hasPermission(user, permission)) {
+    return <div className="access-denied" role="alert">Je hebt geen toegang tot deze pagina.</div>
+  }
   return children
 }
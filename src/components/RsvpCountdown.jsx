@@ -0,0 +1,46 @@
+/**
+ * ================================================================
+ * RSVP COUNTDOWN COMPONENT
+ * ================================================================
+ *
+ * Shows how long members can still sign up or cancel for an opkomst,
+ * or since when the aanmelddeadline has passed. Updates every minute.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useEffect, useState } from 'react'
+import { getRsvpDeadline, formatRsvpCountdown, formatRsvpDeadline } from '../lib/rsvpDeadline'
+import './RsvpCountdown.css'
+
+/**
+ * RsvpCountdown component
+ *
+ * @param {Object} props
+ * @param {Object} props.event - Opkomst (plain or FullCalendar event)
+ * @param {string} [props.className] - Extra class names
+ */
+export default function RsvpCountdown({ event, className = '' }) {
+  const deadline = getRsvpDeadline(event)
+  const [now, setNow] = useState(() => new Date())
+
+  useEffect(() => {
+    if (!deadline) return undefined
+    const timer = setInterval(() => setNow(new Date()), 60000)
+    return () => clearInterval(timer)
+  }, [deadline])
+
+  if (!deadline) return null
+
+  const isOpen = now < deadline
+  return (
+    <p
+      className={`rsvp-countdown ${isOpen ? '' : 'rsvp-countdown--closed'} ${className}`.trim()}
+      title={`Aanmelddeadline: ${formatRsvpDeadline(deadline)}`}
+    >
+      {isOpen
+        ? `Nog ${formatRsvpCountdown(deadline, now)} om je aan of af te melden`
+        : `Aanmelden gesloten sinds ${formatRsvpDeadline(deadline)}`}
+    </p>
+  )
+}
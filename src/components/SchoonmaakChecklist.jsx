@@ -0,0 +1,178 @@
+/**
+ * ================================================================
+ * SCHOONMAAK CHECKLIST COMPONENT
+ * ================================================================
+ *
+ * Shows the tasks of one schoonmaak. The assigned schoonmakers (and
+ * admins) tick tasks off, optionally with a photo as proof; everyone
+ * else sees the progress and who finished what.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import { useEventChecklist, useSchoonmaakPhoto, useUpdateChecklistItem } from '../hooks/useQueries'
+import './SchoonmaakChecklist.css'
+
+// Phone photos are large; scale them down before uploading
+const MAX_PHOTO_DIMENSION = 1600
+const PHOTO_QUALITY = 0.8
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(new Error('Foto lezen mislukt'))
+    reader.readAsDataURL(file)
+  })
+}
+
+async function preparePhoto(file) {
+  const dataUrl = await readFileAsDataUrl(file)
+  const image = await new Promise((resolve, reject) => {
+    const img = new Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error('Bestand is geen geldige foto'))
+    img.src = dataUrl
+  })
+
+  const scale = Math.min(1, MAX_PHOTO_DIMENSION / Math.max(image.width, image.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(image.width * scale)
+  canvas.height = Math.round(image.height * scale)
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height)
+
+  return {
+    content: canvas.toDataURL('image/jpeg', PHOTO_QUALITY),
+    type: 'image/jpeg',
+    name: file.name
+  }
+}
+
+function formatDoneAt(value) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return date.toLocaleString('nl-NL', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })
+}
+
+function ChecklistPhoto({ photoId }) {
+  const { data: photo, isLoading, error } = useSchoonmaakPhoto(photoId)
+
+  if (isLoading) return <p className="schoonmaak-checklist__meta">Foto laden...</p>
+  if (error || !photo) return <p className="schoonmaak-checklist__error">Foto ophalen mislukt</p>
+  return <img className="schoonmaak-checklist__photo" src={photo.dataUrl} alt="Foto van de taak" />
+}
+
+export default function SchoonmaakChecklist({ eventId }) {
+  const { data, isLoading, error } = useEventChecklist(eventId)
+  const update = useUpdateChecklistItem()
+  const [openPhotoId, setOpenPhotoId] = useState(null)
+  const [pendingItemId, setPendingItemId] = useState(null)
+  const [feedback, setFeedback] = useState('')
+
+  if (isLoading) return <p className="schoonmaak-checklist__meta">Checklist laden...</p>
+  if (error) return <p className="schoonmaak-checklist__error">{error.message || 'Checklist ophalen mislukt'}</p>
+
+  const checklist = data?.checklist
+  const canEdit = Boolean(data?.canEdit)
+  if (!checklist || checklist.total === 0) {
+    return <p className="schoonmaak-checklist__meta">Geen taken voor deze schoonmaak.</p>
+  }
+
+  const submit = async (item, changes) => {
+    setFeedback('')
+    setPendingItemId(item.id)
+    try {
+      await update.mutateAsync({ eventId, itemId: item.id, update: changes })
+    } catch (err) {
+      setFeedback(err?.message || 'Taak bijwerken mislukt')
+    } finally {
+      setPendingItemId(null)
+    }
+  }
+
+  const handlePhotoChange = async (item, e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const photo = await preparePhoto(file)
+      await submit(item, { done: true, photo })
+    } catch (err) {
+      setFeedback(err?.message || 'Foto uploaden mislukt')
+    }
+  }
+
+  return (
+    <div className="schoonmaak-checklist">
+      <div className="schoonmaak-checklist__progress">
+        <span>{checklist.done} van {checklist.total} taken gedaan</span>
+        <div className="schoonmaak-checklist__bar" aria-hidden="true">
+          <div
+            className="schoonmaak-checklist__bar-fill"
+            style={{ width: `${Math.round((checklist.done / checklist.total) * 100)}%` }}
+          />
+        </div>
+      </div>
+
+      <ul className="schoonmaak-checklist__list">
+        {checklist.items.map((item) => {
+          const isPending = pendingItemId === item.id
+          return (
+            <li
+              key={item.id}
+              className={`schoonmaak-checklist__item${item.done ? ' schoonmaak-checklist__item--done' : ''}`}
+            >
+              <label className="schoonmaak-checklist__task">
+                <input
+                  type="checkbox"
+                  checked={item.done}
+                  disabled={!canEdit || isPending}
+                  onChange={(e) => submit(item, { done: e.target.checked })}
+                />
+                <span>
+                  <strong>{item.name}</strong>
+                  {item.description && <span className="schoonmaak-checklist__description">{item.description}</span>}
+                  {item.done && item.doneByName && (
+                    <span className="schoonmaak-checklist__meta">
+                      Afgevinkt door {item.doneByName}{item.doneAt ? ` op ${formatDoneAt(item.doneAt)}` : ''}
+                    </span>
+                  )}
+                </span>
+              </label>
+
+              <div className="schoonmaak-checklist__actions">
+                {item.photoId && (
+                  <button
+                    type="button"
+                    className="schoonmaak-checklist__btn schoonmaak-checklist__btn--secondary"
+                    onClick={() => setOpenPhotoId(openPhotoId === item.photoId ? null : item.photoId)}
+                  >
+                    {openPhotoId === item.photoId ? 'Foto verbergen' : 'Foto bekijken'}
+                  </button>
+                )}
+                {canEdit && (
+                  <label className={`schoonmaak-checklist__btn${isPending ? ' schoonmaak-checklist__btn--disabled' : ''}`}>
+                    {item.photoId ? 'Andere foto' : 'Foto toevoegen'}
+                    <input
+                      type="file"
+                      accept="image/jpeg,image/png"
+                      capture="environment"
+                      hidden
+                      disabled={isPending}
+                      onChange={(e) => handlePhotoChange(item, e)}
+                    />
+                  </label>
+                )}
+              </div>
+
+              {openPhotoId === item.photoId && item.photoId && <ChecklistPhoto photoId={item.photoId} />}
+            </li>
+          )
+        })}
+      </ul>
+
+      {feedback && <p className="schoonmaak-checklist__error" role="alert">{feedback}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,113 @@
+/**
+ * ================================================================
+ * STREEPJES LEDGER COMPONENT
+ * ================================================================
+ *
+ * Itemised list of streepjes for one member. Every entry shows why
+ * it was given, for which opkomst and by whom. Struck entries stay
+ * visible (crossed out) together with the reason for striking.
+ *
+ * @author R.S. Kort
+ */
+
+import React from 'react'
+import './StreepjesLedger.css'
+
+const SOURCE_LABELS = {
+  attendance: 'Aanwezigheid',
+  manual: 'Handmatig'
+}
+
+function formatLedgerDate(value) {
+  if (!value) return ''
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return date.toLocaleDateString('nl-NL', { day: 'numeric', month: 'long', year: 'numeric' })
+}
+
+/**
+ * StreepjesLedger component
+ *
+ * @param {Object} props
+ * @param {Array} props.entries - Ledger entries from the API
+ * @param {boolean} [props.isLoading] - Show loading state
+ * @param {Error|null} [props.error] - Load error
+ * @param {Function} [props.onStrike] - Called with an entry to strike it (admin only)
+ * @param {Function} [props.onExcuse] - Called with an attendance entry to submit an excuse for its opkomst
+ * @param {boolean} [props.disabled] - Disable strike buttons
+ * @param {string} [props.emptyText] - Text when the ledger is empty
+ */
+export default function StreepjesLedger({
+  entries = [],
+  isLoading = false,
+  error = null,
+  onStrike,
+  onExcuse,
+  disabled = false,
+  emptyText = 'Geen streepjes. Netjes!'
+}) {
+  if (isLoading) {
+    return <p className="streepjes-ledger__status">Streepjes laden...</p>
+  }
+
+  if (error) {
+    return (
+      <p className="streepjes-ledger__status streepjes-ledger__status--error">
+        {error.message || 'Streepjes laden mislukt.'}
+      </p>
+    )
+  }
+
+  if (entries.length === 0) {
+    return <p className="streepjes-ledger__status">{emptyText}</p>
+  }
+
+  return (
+    <ul className="streepjes-ledger">
+      {entries.map((entry) => (
+        <li
+          key={entry.id}
+          className={`streepjes-ledger__item ${entry.active ? '' : 'streepjes-ledger__item--struck'}`}
+        >
+          <div className="streepjes-ledger__header">
+            <span className="streepjes-ledger__reason">{entry.reason}</span>
+            <span className="streepjes-ledger__source">{SOURCE_LABELS[entry.source] || entry.source}</span>
+          </div>
+          <div className="streepjes-ledger__meta">
+            {entry.eventTitle && (
+              <span>{entry.eventTitle}{entry.eventStart ? ` · ${formatLedgerDate(entry.eventStart)}` : ''}</span>
+            )}
+            <span>Gegeven op {formatLedgerDate(entry.createdAt)}</span>
+            {entry.givenByName && <span>door {entry.givenByName}</span>}
+          </div>
+          {!entry.active && (
+            <p className="streepjes-ledger__strike">
+              Doorgehaald op {formatLedgerDate(entry.struckAt)}
+              {entry.struckByName ? ` door ${entry.struckByName}` : ''}: {entry.strikeReason}
+            </p>
+          )}
+          {entry.active && onExcuse && entry.source === 'attendance' && entry.eventId && (
+            <button
+              type="button"
+              className="streepjes-ledger__strike-btn"
+              onClick={() => onExcuse(entry)}
+              disabled={disabled}
+            >
+              Afmelding indienen
+            </button>
+          )}
+          {entry.active && onStrike && (
+            <button
+              type="button"
+              className="streepjes-ledger__strike-btn"
+              onClick={() => onStrike(entry)}
+              disabled={disabled}
+            >
+              Doorhalen
+            </button>
+          )}
+        </li>
+      ))}
+    </ul>
+  )
+}
@@ -0,0 +1,177 @@
+/**
+ * ================================================================
+ * SWAP BOARD COMPONENT
+ * ================================================================
+ *
+ * Members who cannot make their opkomstmaker or schoonmaker slot offer
+ * it here, and other members take it over. The server moves the slot
+ * on the event itself, possibly after admin approval.
+ *
+ * Sections:
+ * - Mijn taken: own upcoming slots, offer or withdraw
+ * - Over te nemen: slots offered by others
+ * - Geschiedenis: own recent swaps with their status
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import { useAcceptSwap, useCancelSwap, useOfferSwap, useSwaps } from '../hooks/useQueries'
+import './SwapBoard.css'
+
+const DUTY_LABELS = {
+  opkomst: 'Opkomstmaker',
+  schoonmaak: 'Schoonmaker'
+}
+
+const HISTORY_LIMIT = 10
+
+function formatStart(value) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  return date.toLocaleDateString('nl-NL', { weekday: 'short', day: 'numeric', month: 'long' })
+}
+
+export default function SwapBoard() {
+  const { data, isLoading, error } = useSwaps()
+  const offer = useOfferSwap()
+  const accept = useAcceptSwap()
+  const cancel = useCancelSwap()
+  const [notes, setNotes] = useState({})
+  const [feedback, setFeedback] = useState(null)
+
+  const isBusy = offer.isPending || accept.isPending || cancel.isPending
+
+  const run = async (action, fallback) => {
+    setFeedback(null)
+    try {
+      const result = await action()
+      setFeedback({ type: 'success', text: result?.msg || 'Opgeslagen' })
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || fallback })
+    }
+  }
+
+  if (isLoading) return <p className="swap-board__hint">Laden...</p>
+  if (error) return <div className="setting-error">{error.message || 'Ruilverzoeken ophalen mislukt'}</div>
+
+  const { duties, open, mine, requiresApproval } = data
+  const history = mine.filter((swap) => !['open', 'pending_approval'].includes(swap.status)).slice(0, HISTORY_LIMIT)
+  const pendingOwn = mine.filter((swap) => swap.status === 'pending_approval')
+
+  return (
+    <div className="swap-board">
+      <p className="swap-board__hint">
+        Kun je niet? Bied je plek aan zodat een ander lid hem kan overnemen.
+        {requiresApproval && ' Een admin keurt elke ruil goed voordat hij wordt verwerkt.'}
+      </p>
+
+      {feedback && (
+        <div className={feedback.type === 'error' ? 'setting-error' : 'setting-success'}>{feedback.text}</div>
+      )}
+
+      <section className="swap-board__section">
+        <h5>Mijn taken</h5>
+        {duties.length === 0 ? (
+          <p className="swap-board__hint">Je hebt geen komende taken.</p>
+        ) : (
+          <ul className="swap-board__list">
+            {duties.map((slot) => {
+              const key = `${slot.eventId}:${slot.duty}`
+              return (
+                <li key={key} className="swap-board__item">
+                  <div className="swap-board__info">
+                    <strong>{slot.title}</strong>
+                    <span className="swap-board__meta">{DUTY_LABELS[slot.duty]} · {formatStart(slot.start)}</span>
+                  </div>
+                  {slot.swapId ? (
+                    <button
+                      type="button"
+                      className="swap-board__btn swap-board__btn--secondary"
+                      onClick={() => run(() => cancel.mutateAsync(slot.swapId), 'Aanbod intrekken mislukt')}
+                      disabled={isBusy}
+                    >
+                      Aanbod intrekken
+                    </button>
+                  ) : (
+                    <div className="swap-board__offer">
+                      <input
+                        type="text"
+                        placeholder="Toelichting (optioneel)"
+                        maxLength={300}
+                        value={notes[key] || ''}
+                        onChange={(e) => setNotes((prev) => ({ ...prev, [key]: e.target.value }))}
+                        aria-label={`Toelichting voor ${slot.title}`}
+                      />
+                      <button
+                        type="button"
+                        className="swap-board__btn"
+                        onClick={() => run(
+                          () => offer.mutateAsync({ eventId: slot.eventId, duty: slot.duty, note: notes[key] || '' }),
+                          'Plek aanbieden mislukt'
+                        )}
+                        disabled={isBusy}
+                      >
+                        Aanbieden
+                      </button>
+                    </div>
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+      </section>
+
+      <section className="swap-board__section">
+        <h5>Over te nemen</h5>
+        {open.length === 0 ? (
+          <p className="swap-board__hint">Er worden op dit moment geen plekken aangeboden.</p>
+        ) : (
+          <ul className="swap-board__list">
+            {open.map((swap) => (
+              <li key={swap.id} className="swap-board__item">
+                <div className="swap-board__info">
+                  <strong>{swap.event?.title || 'Evenement'}</strong>
+                  <span className="swap-board__meta">
+                    {DUTY_LABELS[swap.duty]} · {formatStart(swap.event?.start)} · van {swap.fromName || 'onbekend'}
+                  </span>
+                  {swap.note && <span className="swap-board__note">{swap.note}</span>}
+                </div>
+                <button
+                  type="button"
+                  className="swap-board__btn"
+                  onClick={() => run(() => accept.mutateAsync(swap.id), 'Plek overnemen mislukt')}
+                  disabled={isBusy || !swap.canAccept}
+                  title={swap.canAccept ? undefined : 'Je staat al op deze taak'}
+                >
+                  Overnemen
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </section>
+
+      {(pendingOwn.length > 0 || history.length > 0) && (
+        <section className="swap-board__section">
+          <h5>Geschiedenis</h5>
+          <ul className="swap-board__list">
+            {[...pendingOwn, ...history].map((swap) => (
+              <li key={swap.id} className="swap-board__item">
+                <div className="swap-board__info">
+                  <strong>{swap.event?.title || 'Evenement'}</strong>
+                  <span className="swap-board__meta">
+                    {DUTY_LABELS[swap.duty]} · {swap.fromName || 'onbekend'}
+                    {swap.toName ? ` → ${swap.toName}` : ''}
+                  </span>
+                </div>
+                <span className={`swap-board__status swap-board__status--${swap.status}`}>{swap.statusLabel}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,60 @@
+/**
+ * ================================================================
+ * TWO-FACTOR POLICY COMPONENT
+ * ================================================================
+ *
+ * Admin switch that makes tweestapsverificatie mandatory for every
+ * member with management rights, with the list of those who have
+ * not set it up yet.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import ToggleSwitch from './ToggleSwitch'
+import { useSecuritySettings, useUpdateSecuritySettings } from '../hooks/useQueries'
+
+export default function TwoFactorPolicy() {
+  const { data, isLoading, error } = useSecuritySettings()
+  const update = useUpdateSecuritySettings()
+  const [feedback, setFeedback] = useState(null)
+
+  if (isLoading) return <p className="admin-users-hint">Beveiligingsinstellingen laden...</p>
+  if (error) return <div className="setting-error">{error.message || 'Beveiligingsinstellingen ophalen mislukt'}</div>
+
+  const handleToggle = async (requireAdminTwoFactor) => {
+    setFeedback(null)
+    try {
+      await update.mutateAsync({ requireAdminTwoFactor })
+    } catch (err) {
+      setFeedback(err?.message || 'Instelling opslaan mislukt')
+    }
+  }
+
+  const missing = data?.adminsWithoutTwoFactor || []
+
+  return (
+    <div className="setting-item-vertical">
+      <div className="setting-item">
+        <div className="setting-label">
+          <h6>Tweestapsverificatie verplicht voor beheerders</h6>
+          <p>Iedereen met beheerrechten moet dan met een code uit een authenticator-app inloggen.</p>
+        </div>
+        <div className="toggle-container">
+          <ToggleSwitch
+            isToggled={Boolean(data?.requireAdminTwoFactor)}
+            onToggle={(event) => handleToggle(event.target.checked)}
+            disabled={update.isPending}
+            variant="notification"
+          />
+        </div>
+      </div>
+      {missing.length > 0 && (
+        <p className="admin-users-hint">
+          Nog zonder tweestapsverificatie: {missing.map((member) => member.name).join(', ')}
+        </p>
+      )}
+      {feedback && <div className="setting-error">{feedback}</div>}
+    </div>
+  )
+}
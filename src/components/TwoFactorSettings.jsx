@@ -0,0 +1,195 @@
+/**
+ * ================================================================
+ * TWO-FACTOR SETTINGS COMPONENT
+ * ================================================================
+ *
+ * Lets a member turn on tweestapsverificatie with an authenticator
+ * app: scan the QR code, confirm with a first code and store the
+ * recovery codes. Also turns it off again (unless it is required
+ * for the account) and renews the recovery codes.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useEffect, useState } from 'react'
+import QRCode from 'qrcode'
+import { useTwoFactorAction } from '../hooks/useQueries'
+import './TwoFactorSettings.css'
+
+function storeUser(user) {
+  try {
+    const stored = JSON.parse(localStorage.getItem('user') || '{}')
+    localStorage.setItem('user', JSON.stringify({ ...stored, ...user, password: undefined }))
+  } catch {
+    localStorage.setItem('user', JSON.stringify(user))
+  }
+}
+
+export default function TwoFactorSettings({ user }) {
+  const action = useTwoFactorAction()
+  const [status, setStatus] = useState(user?.twoFactor || { enabled: false, required: false, recoveryCodesLeft: 0 })
+  const [setup, setSetup] = useState(null)
+  const [qrCode, setQrCode] = useState('')
+  const [mode, setMode] = useState(null)
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [feedback, setFeedback] = useState(null)
+
+  useEffect(() => {
+    if (user?.twoFactor) setStatus(user.twoFactor)
+  }, [user])
+
+  useEffect(() => {
+    if (!setup?.otpauthUrl) {
+      setQrCode('')
+      return
+    }
+    QRCode.toDataURL(setup.otpauthUrl, { margin: 1, width: 220 })
+      .then(setQrCode)
+      .catch(() => setQrCode(''))
+  }, [setup])
+
+  const run = async (name, onSuccess) => {
+    setFeedback(null)
+    try {
+      const data = await action.mutateAsync({ action: name, code })
+      if (data.user) {
+        storeUser(data.user)
+        setStatus(data.user.twoFactor)
+      }
+      setCode('')
+      onSuccess(data)
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Er ging iets mis' })
+    }
+  }
+
+  const handleStart = () => run('setup', (data) => {
+    setSetup(data)
+    setMode('enable')
+  })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (mode === 'enable') {
+      run('enable', (data) => {
+        setSetup(null)
+        setMode(null)
+        setRecoveryCodes(data.recoveryCodes)
+      })
+    } else if (mode === 'disable') {
+      run('disable', () => {
+        setMode(null)
+        setRecoveryCodes(null)
+        setFeedback({ type: 'success', text: 'Tweestapsverificatie staat uit.' })
+      })
+    } else if (mode === 'renew') {
+      run('recovery-codes', (data) => {
+        setMode(null)
+        setRecoveryCodes(data.recoveryCodes)
+      })
+    }
+  }
+
+  const handleCancel = () => {
+    setMode(null)
+    setSetup(null)
+    setCode('')
+    setFeedback(null)
+  }
+
+  const needsNewLogin = status.enabled && status.required && user?.session && !user.session.twoFactorVerified
+
+  return (
+    <div className="two-factor">
+      <div className="setting-label">
+        <h6>Tweestapsverificatie</h6>
+        <p>
+          {status.enabled
+            ? `Aan. Je logt in met je wachtwoord en een code uit je authenticator-app. Nog ${status.recoveryCodesLeft} herstelcode(s) over.`
+            : 'Beveilig je account met een code uit een authenticator-app, naast je wachtwoord.'}
+        </p>
+        {status.required && !status.enabled && (
+          <p className="two-factor__warning">Verplicht voor jouw account: zonder tweestapsverificatie kun je geen beheertaken doen.</p>
+        )}
+        {needsNewLogin && (
+          <p className="two-factor__warning">Log opnieuw in met je code om beheertaken te doen.</p>
+        )}
+      </div>
+
+      {recoveryCodes && (
+        <div className="two-factor__codes">
+          <p>
+            <strong>Bewaar deze herstelcodes op een veilige plek.</strong> Elke code werkt één keer als je je
+            telefoon kwijt bent. Ze worden maar één keer getoond.
+          </p>
+          <ul>
+            {recoveryCodes.map((recoveryCode) => <li key={recoveryCode}><code>{recoveryCode}</code></li>)}
+          </ul>
+          <button type="button" className="btn btn-secondary" onClick={() => setRecoveryCodes(null)}>
+            Ik heb ze bewaard
+          </button>
+        </div>
+      )}
+
+      {mode === 'enable' && setup && (
+        <div className="two-factor__setup">
+          <p>Scan de QR-code met je authenticator-app, of voer de sleutel handmatig in.</p>
+          {qrCode && <img className="two-factor__qr" src={qrCode} alt="QR-code voor je authenticator-app" />}
+          <code className="two-factor__secret">{setup.secret.match(/.{1,4}/g).join(' ')}</code>
+        </div>
+      )}
+
+      {mode ? (
+        <form className="two-factor__form" onSubmit={handleSubmit}>
+          <label className="form-label" htmlFor="two-factor-settings-code">
+            {mode === 'enable' ? 'Code uit de app' : 'Code uit de app of een herstelcode'}
+          </label>
+          <input
+            id="two-factor-settings-code"
+            type="text"
+            className="form-input"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputMode={mode === 'enable' ? 'numeric' : 'text'}
+            autoComplete="one-time-code"
+            maxLength={9}
+            autoFocus
+            disabled={action.isPending}
+          />
+          <div className="two-factor__actions">
+            <button type="button" className="btn btn-secondary" onClick={handleCancel} disabled={action.isPending}>
+              Annuleren
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={action.isPending || !code.trim()}>
+              {action.isPending ? 'Bezig...' : mode === 'disable' ? 'Uitzetten' : 'Bevestigen'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="two-factor__actions">
+          {status.enabled ? (
+            <>
+              <button type="button" className="btn btn-secondary" onClick={() => setMode('renew')}>
+                Nieuwe herstelcodes
+              </button>
+              {!status.required && (
+                <button type="button" className="btn btn-secondary" onClick={() => setMode('disable')}>
+                  Uitzetten
+                </button>
+              )}
+            </>
+          ) : (
+            <button type="button" className="btn btn-secondary" onClick={handleStart} disabled={action.isPending}>
+              {action.isPending ? 'Bezig...' : 'Tweestapsverificatie instellen'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {feedback && (
+        <div className={feedback.type === 'error' ? 'setting-error' : 'setting-success'}>{feedback.text}</div>
+      )}
+    </div>
+  )
+}
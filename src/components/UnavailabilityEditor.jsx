@@ -0,0 +1,120 @@
+/**
+ * ================================================================
+ * UNAVAILABILITY EDITOR COMPONENT
+ * ================================================================
+ *
+ * Lets a member mark periods in which they cannot organise an opkomst
+ * or clean. The rooster skips members on those dates when a
+ * new schedule is proposed.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import { useAddUnavailability, useDeleteUnavailability, useMyUnavailability } from '../hooks/useQueries'
+import './UnavailabilityEditor.css'
+
+function formatDay(value) {
+  const date = new Date(`${value}T00:00:00`)
+  if (Number.isNaN(date.getTime())) return value
+  return date.toLocaleDateString('nl-NL', { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric' })
+}
+
+function todayKey() {
+  const now = new Date()
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`
+}
+
+export default function UnavailabilityEditor() {
+  const { data: entries = [], isLoading, error } = useMyUnavailability()
+  const add = useAddUnavailability()
+  const remove = useDeleteUnavailability()
+  const [startDate, setStartDate] = useState('')
+  const [endDate, setEndDate] = useState('')
+  const [reason, setReason] = useState('')
+  const [feedback, setFeedback] = useState(null)
+
+  const today = todayKey()
+  const upcoming = entries.filter((entry) => entry.endDate >= today)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setFeedback(null)
+    try {
+      await add.mutateAsync({ startDate, endDate: endDate || startDate, reason })
+      setStartDate('')
+      setEndDate('')
+      setReason('')
+      setFeedback({ type: 'success', text: 'Periode opgeslagen' })
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Periode opslaan mislukt' })
+    }
+  }
+
+  const handleDelete = async (entryId) => {
+    setFeedback(null)
+    try {
+      await remove.mutateAsync(entryId)
+    } catch (err) {
+      setFeedback({ type: 'error', text: err?.message || 'Periode verwijderen mislukt' })
+    }
+  }
+
+  return (
+    <div className="unavailability">
+      <p className="unavailability__hint">
+        Geef aan wanneer je niet kunt. Je wordt op die datums niet als opkomstmaker of schoonmaker ingeroosterd.
+      </p>
+
+      {isLoading ? (
+        <p className="unavailability__hint">Laden...</p>
+      ) : error ? (
+        <div className="setting-error">{error.message || 'Beschikbaarheid ophalen mislukt'}</div>
+      ) : upcoming.length > 0 && (
+        <ul className="unavailability__list">
+          {upcoming.map((entry) => (
+            <li key={entry.id} className="unavailability__item">
+              <span>
+                {entry.startDate === entry.endDate
+                  ? formatDay(entry.startDate)
+                  : `${formatDay(entry.startDate)} t/m ${formatDay(entry.endDate)}`}
+                {entry.reason && <span className="unavailability__reason">{entry.reason}</span>}
+              </span>
+              <button
+                type="button"
+                className="unavailability__remove"
+                onClick={() => handleDelete(entry.id)}
+                disabled={remove.isPending}
+                aria-label="Periode verwijderen"
+              >
+                Verwijderen
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="unavailability__form" onSubmit={handleSubmit}>
+        <label>
+          Van
+          <input type="date" value={startDate} min={today} onChange={(e) => setStartDate(e.target.value)} required />
+        </label>
+        <label>
+          Tot en met
+          <input type="date" value={endDate} min={startDate || today} onChange={(e) => setEndDate(e.target.value)} />
+        </label>
+        <label className="unavailability__reason-field">
+          Reden (optioneel)
+          <input type="text" value={reason} maxLength={200} onChange={(e) => setReason(e.target.value)} />
+        </label>
+        <button type="submit" className="unavailability__submit" disabled={add.isPending || !startDate}>
+          {add.isPending ? 'Opslaan...' : 'Toevoegen'}
+        </button>
+      </form>
+
+      {feedback && (
+        <div className={feedback.type === 'error' ? 'setting-error' : 'setting-success'}>{feedback.text}</div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,20 @@
+export default function RotationIcon(props) {
+  return (
+    <svg
+      viewBox="0 0 24 24"
+      fill="none"
+      stroke="currentColor"
+      strokeWidth="1.5"
+      strokeLinecap="round"
+      strokeLinejoin="round"
+      aria-hidden="true"
+      {...props}
+    >
+      <path d="M20 11a8 8 0 00-14.3-4.9" />
+      <path d="M5 3v3.5h3.5" />
+      <path d="M4 13a8 8 0 0014.3 4.9" />
+      <path d="M19 21v-3.5h-3.5" />
+      <path d="M12 9v3l2 2" />
+    </svg>
+  )
+}
@@ -9,3 +9,4 @@ export { default as TrophyIcon } from './TrophyIcon.jsx'
 export { default as UserIcon } from './UserIcon.jsx'
 export { default as LoginIcon } from './LoginIcon.jsx'
 export { default as EuroIcon } from './EuroIcon.jsx'
+export { default as RotationIcon } from './RotationIcon.jsx'
@@ -18,6 +18,7 @@
  */
 
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { startRegistration } from '@simplewebauthn/browser'
 import { queryKeys } from '../lib/queryClient'
 
 // Import simplified API functions (we'll create these)
@@ -55,7 +56,13 @@ export function useEvents(options = {}) {
           isSchoonmaak: evt.isSchoonmaak,
           schoonmakers: evt.schoonmakers,
           schoonmaakOptions: evt.schoonmaakOptions,
-          participants: evt.participants || []
+          participants: evt.participants || [],
+          rsvpDeadline: evt.rsvpDeadline || null,
+          rsvpDeadlineHours: evt.rsvpDeadlineHours ?? null,
+          seriesId: evt.seriesId || null,
+          recurrenceId: evt.recurrenceId || null,
+          recurrence: evt.recurrence || null,
+          cancelled: Boolean(evt.cancelled),
         },
       }))
     },
@@ -163,6 +170,76 @@ export function useUserProfile(options = {}) {
   })
 }
 
+/**
+ * Fetch the available roles and permissions (members.manage)
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with { roles, permissions }
+ */
+export function useRoles(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.users.roles(),
+    queryFn: async () => api.getRoles(),
+    staleTime: 30 * 60 * 1000, // Roles are defined in code and rarely change
+    ...options
+  })
+}
+
+/**
+ * Fetch the active sessions (devices) of the logged-in member
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with { sessions }
+ */
+export function useSessions(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.sessions.all,
+    queryFn: async () => api.getSessions(),
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Fetch the passkeys of the logged-in member
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with { passkeys }
+ */
+export function usePasskeys(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.passkeys.all,
+    queryFn: async () => api.getPasskeys(),
+    staleTime: 5 * 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Fetch the personal calendar feed token
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with { token }
+ */
+export function useCalendarFeed(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.calendarFeed.all,
+    queryFn: async () => api.getCalendarFeed(),
+    staleTime: Infinity,
+    ...options
+  })
+}
+
+/**
+ * Fetch the security settings (members.manage)
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with { requireAdminTwoFactor, adminsWithoutTwoFactor }
+ */
+export function useSecuritySettings(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.users.securitySettings(),
+    queryFn: async () => api.getSecuritySettings(),
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
 // ================================================================
 // MUTATION HOOKS FOR EVENTS
 // ================================================================
@@ -176,8 +253,8 @@ export function useCreateEvent(options = {}) {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: async ({ eventData, userId }) =>
-      api.createEvent(eventData, userId),
+    mutationFn: async ({ eventData }) =>
+      api.createEvent(eventData),
 
     // Optimistic update
     onMutate: async ({ eventData }) => {
@@ -248,7 +325,12 @@ export function useCreateEvent(options = {}) {
               isSchoonmaak: newEvent.isSchoonmaak,
               schoonmakers: newEvent.schoonmakers,
               schoonmaakOptions: newEvent.schoonmaakOptions,
-              participants: newEvent.participants || []
+              participants: newEvent.participants || [],
+              rsvpDeadline: newEvent.rsvpDeadline || null,
+              rsvpDeadlineHours: newEvent.rsvpDeadlineHours ?? null,
+              seriesId: newEvent.seriesId || null,
+              recurrenceId: newEvent.recurrenceId || null,
+              recurrence: newEvent.recurrence || null
             }
           } : evt
         )
@@ -287,8 +369,8 @@ export function useUpdateEvent(options = {}) {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: async ({ eventId, eventData, userId }) =>
-      api.updateEvent(eventId, eventData, userId),
+    mutationFn: async ({ eventId, eventData }) =>
+      api.updateEvent(eventId, eventData),
 
     // Optimistic update
     onMutate: async ({ eventId, eventData }) => {
@@ -353,7 +435,13 @@ export function useUpdateEvent(options = {}) {
               isSchoonmaak: updatedEvent.isSchoonmaak,
               schoonmakers: updatedEvent.schoonmakers,
               schoonmaakOptions: updatedEvent.schoonmaakOptions,
-              participants: updatedEvent.participants || []
+              participants: updatedEvent.participants || [],
+              rsvpDeadline: updatedEvent.rsvpDeadline || null,
+              rsvpDeadlineHours: updatedEvent.rsvpDeadlineHours ?? null,
+              seriesId: updatedEvent.seriesId || null,
+              recurrenceId: updatedEvent.recurrenceId || null,
+              recurrence: updatedEvent.recurrence || null,
+              cancelled: Boolean(updatedEvent.cancelled)
             }
           } : evt
         )
@@ -395,18 +483,25 @@ export function useDeleteEvent(options = {}) {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: async ({ eventId, userId }) =>
-      api.deleteEvent(eventId, userId),
+    mutationFn: async ({ eventId, scope = 'this' }) =>
+      api.deleteEvent(eventId, scope),
 
     // Optimistic update
-    onMutate: async ({ eventId }) => {
+    onMutate: async ({ eventId, scope = 'this', seriesId = null, recurrenceId = null }) => {
       await queryClient.cancelQueries({ queryKey: queryKeys.events.lists() })
 
       const previousEvents = queryClient.getQueryData(queryKeys.events.lists()) || []
 
-      // Remove event optimistically
+      // Remove event (or the selected part of its series) optimistically
+      const isRemoved = (evt) => {
+        if (evt.id === eventId) return true
+        if (!seriesId || scope === 'this' || evt.extendedProps?.seriesId !== seriesId) return false
+        if (scope === 'all') return true
+        return String(evt.extendedProps?.recurrenceId) >= String(recurrenceId)
+      }
+
       queryClient.setQueryData(queryKeys.events.lists(), 
-        old => old?.filter(evt => evt.id !== eventId) || []
+        old => old?.filter(evt => !isRemoved(evt)) || []
       )
 
       return { previousEvents, eventId }
@@ -441,6 +536,30 @@ export function useDeleteEvent(options = {}) {
   })
 }
 
+/**
+ * Cancel an event or let it go ahead again
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useCancelEvent(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ eventId, cancelled = true }) => api.cancelEvent(eventId, cancelled),
+
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.opkomsten() })
+    },
+
+    onError: (error) => {
+      console.error('Cancel event error:', error)
+    },
+
+    ...options
+  })
+}
+
 // ================================================================
 // MUTATION HOOKS FOR USERS
 // ================================================================
@@ -474,78 +593,1409 @@ export function useUpdateUserProfile(options = {}) {
 }
 
 /**
- * Update event attendance
+ * Invite a new member (members.manage)
  * @param {Object} options - Mutation options
  * @returns {Object} Mutation object
  */
-export function useUpdateAttendance(options = {}) {
+export function useCreateUser(options = {}) {
   const queryClient = useQueryClient()
 
   return useMutation({
-    mutationFn: async ({ eventId, userId, attending }) =>
-      api.updateAttendance(eventId, userId, attending),
+    mutationFn: async (member) => api.createUser(member),
 
-    // Optimistic update for attendance
-    onMutate: async ({ eventId, userId, attending }) => {
-      await queryClient.cancelQueries({ queryKey: queryKeys.events.lists() })
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
+    },
 
-      const previousEvents = queryClient.getQueryData(queryKeys.events.lists()) || []
+    onError: (error) => {
+      console.error('Invite user error:', error)
+    },
 
-      // Update attendance optimistically
-      queryClient.setQueryData(queryKeys.events.lists(), old => {
-        if (!old) return old
-        
-        return old.map(evt => {
-          if (evt.id !== eventId) return evt
-          
-          const participants = evt.extendedProps?.participants || []
-          const userIdNum = parseInt(userId, 10)
-          const isCurrentlyParticipating = participants.includes(userIdNum)
-          
-          let newParticipants
-          if (attending && !isCurrentlyParticipating) {
-            newParticipants = [...participants, userIdNum]
-          } else if (!attending && isCurrentlyParticipating) {
-            newParticipants = participants.filter(id => id !== userIdNum)
-          } else {
-            newParticipants = participants
-          }
-          
-          return {
-            ...evt,
-            extendedProps: {
-              ...evt.extendedProps,
-              participants: newParticipants
-            }
-          }
-        })
-      })
+    ...options
+  })
+}
 
-      return { previousEvents, eventId, userId }
+/**
+ * Update name and email of a member (members.manage)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useUpdateUser(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ userId, member }) => api.updateUser(userId, member),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
     },
 
-    onSuccess: (data, { eventId }) => {
-      const updatedEvent = data?.event || data
+    onError: (error) => {
+      console.error('Update user error:', error)
+    },
 
-      if (updatedEvent) {
-        queryClient.setQueryData(queryKeys.events.detail(eventId), updatedEvent)
-      }
+    ...options
+  })
+}
+
+/**
+ * Send a new activation link (members.manage)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useResendInvite(options = {}) {
+  return useMutation({
+    mutationFn: async (userId) => api.resendInvite(userId),
+
+    onError: (error) => {
+      console.error('Resend invite error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Compare a member list (CSV) with the current members (members.manage)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function usePreviewMemberImport(options = {}) {
+  return useMutation({
+    mutationFn: async (input) => api.previewMemberImport(input),
+
+    onError: (error) => {
+      console.error('Preview member import error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Apply a member list (CSV) (members.manage)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useImportMembers(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (input) => api.importMembers(input),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.all })
+    },
+
+    onError: (error) => {
+      console.error('Import members error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Replace the roles of a member (members.manage)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useUpdateUserRoles(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ userId, roles }) => api.updateUserRoles(userId, roles),
 
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.lists() })
       queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
     },
 
-    onError: (error, variables, context) => {
-      console.error('Update attendance error:', error)
-      
-      if (context?.previousEvents) {
-        queryClient.setQueryData(queryKeys.events.lists(), context.previousEvents)
-      }
+    onError: (error) => {
+      console.error('Update roles error:', error)
     },
 
-    onSettled: (data, error, variables) => {
-      if (variables?.eventId) {
-        queryClient.invalidateQueries({ queryKey: queryKeys.events.detail(variables.eventId) })
-      }
+    ...options
+  })
+}
+
+/**
+ * Sign out one device
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useRevokeSession(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (sessionId) => api.revokeSession(sessionId),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sessions.all })
+    },
+
+    onError: (error) => {
+      console.error('Revoke session error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Sign out every device except this one
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useRevokeOtherSessions(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async () => api.revokeOtherSessions(),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.sessions.all })
+    },
+
+    onError: (error) => {
+      console.error('Revoke other sessions error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Create a passkey on this device and store it
+ * Runs the browser ceremony between fetching the options and saving the result.
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useRegisterPasskey(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ name }) => {
+      const { challengeId, options: optionsJSON } = await api.getPasskeyRegistrationOptions()
+      const response = await startRegistration({ optionsJSON })
+      return api.registerPasskey({ challengeId, response, name })
+    },
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.passkeys.all })
+    },
+
+    onError: (error) => {
+      console.error('Register passkey error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Remove a passkey
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useDeletePasskey(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (passkeyId) => api.deletePasskey(passkeyId),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.passkeys.all })
+    },
+
+    onError: (error) => {
+      console.error('Delete passkey error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Replace the personal calendar feed token
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useRegenerateCalendarFeed(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async () => api.regenerateCalendarFeed(),
+
+    onSuccess: (data) => {
+      queryClient.setQueryData(queryKeys.calendarFeed.all, data)
+    },
+
+    onError: (error) => {
+      console.error('Regenerate calendar feed error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Update the security settings (members.manage)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useUpdateSecuritySettings(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (settings) => api.updateSecuritySettings(settings),
+
+    onSuccess: (data) => {
+      queryClient.setQueryData(queryKeys.users.securitySettings(), data)
+    },
+
+    onError: (error) => {
+      console.error('Update security settings error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Two-factor enrollment and management of the logged-in member.
+ * `action` is one of 'setup', 'enable', 'disable' or 'recovery-codes'.
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useTwoFactorAction(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ action, code }) => {
+      if (action === 'setup') return api.setupTwoFactor()
+      if (action === 'enable') return api.enableTwoFactor(code)
+      if (action === 'disable') return api.disableTwoFactor(code)
+      return api.regenerateRecoveryCodes(code)
+    },
+
+    onSuccess: (_data, { action }) => {
+      if (action === 'enable' || action === 'disable') {
+        queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
+        queryClient.invalidateQueries({ queryKey: queryKeys.users.securitySettings() })
+      }
+    },
+
+    onError: (error) => {
+      console.error('Two-factor error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Update event attendance
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useUpdateAttendance(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ eventId, userId, attending }) =>
+      api.updateAttendance(eventId, userId, attending),
+
+    // Optimistic update for attendance
+    onMutate: async ({ eventId, userId, attending }) => {
+      await queryClient.cancelQueries({ queryKey: queryKeys.events.lists() })
+
+      const previousEvents = queryClient.getQueryData(queryKeys.events.lists()) || []
+
+      // Update attendance optimistically
+      queryClient.setQueryData(queryKeys.events.lists(), old => {
+        if (!old) return old
+        
+        return old.map(evt => {
+          if (evt.id !== eventId) return evt
+          
+          const participants = evt.extendedProps?.participants || []
+          const userIdNum = parseInt(userId, 10)
+          const isCurrentlyParticipating = participants.includes(userIdNum)
+          
+          let newParticipants
+          if (attending && !isCurrentlyParticipating) {
+            newParticipants = [...participants, userIdNum]
+          } else if (!attending && isCurrentlyParticipating) {
+            newParticipants = participants.filter(id => id !== userIdNum)
+          } else {
+            newParticipants = participants
+          }
+          
+          return {
+            ...evt,
+            extendedProps: {
+              ...evt.extendedProps,
+              participants: newParticipants
+            }
+          }
+        })
+      })
+
+      return { previousEvents, eventId, userId }
+    },
+
+    onSuccess: (data, { eventId }) => {
+      const updatedEvent = data?.event || data
+
+      if (updatedEvent) {
+        queryClient.setQueryData(queryKeys.events.detail(eventId), updatedEvent)
+      }
+
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
+    },
+
+    onError: (error, variables, context) => {
+      console.error('Update attendance error:', error)
+      
+      if (context?.previousEvents) {
+        queryClient.setQueryData(queryKeys.events.lists(), context.previousEvents)
+      }
+    },
+
+    onSettled: (data, error, variables) => {
+      if (variables?.eventId) {
+        queryClient.invalidateQueries({ queryKey: queryKeys.events.detail(variables.eventId) })
+      }
+    },
+
+    ...options
+  })
+}
+
+// ================================================================
+// STREEPJES LEDGER HOOKS
+// ================================================================
+
+/**
+ * Fetch the itemised streepjes of the logged-in user
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with { entries, total }
+ */
+export function useMyStreepjes(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.streepjes.mine(),
+    queryFn: async () => {
+      const data = await api.getMyStreepjes()
+      return {
+        season: data?.season || null,
+        entries: Array.isArray(data?.entries) ? data.entries : [],
+        total: data?.total ?? 0
+      }
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Fetch the itemised streepjes of one member (admin only)
+ * @param {number|null} userId - Member ID
+ * @param {string} seasonId - Season ID, 'all', or empty for the current season
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with { entries, total }
+ */
+export function useStreepjesLedger(userId, seasonId = '', options = {}) {
+  return useQuery({
+    queryKey: queryKeys.streepjes.user(userId, seasonId),
+    queryFn: async () => {
+      const data = await api.getStreepjes(userId, seasonId)
+      return {
+        entries: Array.isArray(data?.entries) ? data.entries : [],
+        total: data?.total ?? 0
+      }
+    },
+    enabled: userId !== null && userId !== undefined && userId !== '',
+    staleTime: 30 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Give a member a manual streepje (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useAddStreepje(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ userId, reason, eventId }) => api.addStreepje({ userId, reason, eventId }),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.streepjes.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
+    },
+
+    onError: (error) => {
+      console.error('Add streepje error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Strike a streepje with a reason (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useStrikeStreepje(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ streepjeId, reason }) => api.strikeStreepje(streepjeId, reason),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.streepjes.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
+    },
+
+    onError: (error) => {
+      console.error('Strike streepje error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Fetch the configured penalty rules (admin only)
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with rules array
+ */
+export function usePenaltyRules(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.streepjes.rules(),
+    queryFn: async () => {
+      const data = await api.getPenaltyRules()
+      return Array.isArray(data?.rules) ? data.rules : []
+    },
+    staleTime: 5 * 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Preview the effect of proposed penalty rules without saving them
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function usePreviewPenaltyRules(options = {}) {
+  return useMutation({
+    mutationFn: async (rules) => api.previewPenaltyRules(rules),
+
+    onError: (error) => {
+      console.error('Preview penalty rules error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Save penalty rules; attendance streepjes are recalculated server-side
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useUpdatePenaltyRules(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (rules) => api.updatePenaltyRules(rules),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.streepjes.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
+    },
+
+    onError: (error) => {
+      console.error('Update penalty rules error:', error)
+    },
+
+    ...options
+  })
+}
+
+// ================================================================
+// ABSENCE EXCUSE HOOKS
+// ================================================================
+
+/**
+ * Fetch the excuses of the logged-in user
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with excuses array
+ */
+export function useMyExcuses(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.excuses.mine(),
+    queryFn: async () => {
+      const data = await api.getMyExcuses()
+      return Array.isArray(data?.excuses) ? data.excuses : []
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Fetch excuses for review (admin only)
+ * @param {string} status - pending, approved, denied or all
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with { excuses, pendingCount }
+ */
+export function useExcuses(status = 'pending', options = {}) {
+  return useQuery({
+    queryKey: queryKeys.excuses.list(status),
+    queryFn: async () => {
+      const data = await api.getExcuses(status)
+      return {
+        excuses: Array.isArray(data?.excuses) ? data.excuses : [],
+        pendingCount: data?.pendingCount ?? 0
+      }
+    },
+    staleTime: 30 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Submit an excuse for an opkomst
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useSubmitExcuse(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ eventId, reason }) => api.submitAbsenceExcuse(eventId, reason),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.excuses.all })
+    },
+
+    onError: (error) => {
+      console.error('Submit excuse error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Approve or deny an excuse (admin only); streepjes are updated server-side
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useReviewExcuse(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ excuseId, status, comment }) => api.reviewAbsenceExcuse(excuseId, status, comment),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.excuses.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.streepjes.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.users.full() })
+    },
+
+    onError: (error) => {
+      console.error('Review excuse error:', error)
+    },
+
+    ...options
+  })
+}
+
+// ================================================================
+// QR CHECK-IN HOOKS
+// ================================================================
+
+/**
+ * Fetch the rotating check-in code of an opkomst (admin only).
+ * Refetches when the code rotates, which also refreshes the check-ins.
+ * @param {string|null} eventId - Opkomst ID; the query is disabled without it
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with { code, url, expiresAt, refreshSeconds, attendance, checkIns }
+ */
+export function useCheckInCode(eventId, options = {}) {
+  return useQuery({
+    queryKey: queryKeys.events.checkInCode(eventId),
+    queryFn: async () => api.getCheckInCode(eventId),
+    enabled: Boolean(eventId),
+    staleTime: 0,
+    retry: false,
+    refetchInterval: (query) => (query.state.data?.refreshSeconds || 30) * 1000,
+    ...options
+  })
+}
+
+/**
+ * Check in for an opkomst with a scanned code
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useCheckIn(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ code }) => api.checkIn(code),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.streepjes.all })
+    },
+
+    onError: (error) => {
+      console.error('Check-in error:', error)
+    },
+
+    ...options
+  })
+}
+
+// ================================================================
+// UNAVAILABILITY & ROTATION HOOKS
+// ================================================================
+
+/**
+ * Fetch the unavailability periods of the logged-in user
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with entries array
+ */
+export function useMyUnavailability(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.unavailability.mine(),
+    queryFn: async () => {
+      const data = await api.getMyUnavailability()
+      return Array.isArray(data?.entries) ? data.entries : []
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Fetch all upcoming unavailability periods (admin only)
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with entries array
+ */
+export function useUnavailability(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.unavailability.list(),
+    queryFn: async () => {
+      const data = await api.getUnavailability()
+      return Array.isArray(data?.entries) ? data.entries : []
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Add an unavailability period
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useAddUnavailability(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (period) => api.addUnavailability(period),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.unavailability.all })
+    },
+
+    onError: (error) => {
+      console.error('Add unavailability error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Remove an unavailability period
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useDeleteUnavailability(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (entryId) => api.deleteUnavailability(entryId),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.unavailability.all })
+    },
+
+    onError: (error) => {
+      console.error('Delete unavailability error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Fetch schoonmaak duties per member (admin only)
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with totals array
+ */
+export function useSchoonmaakTotals(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.rotation.schoonmaakTotals(),
+    queryFn: async () => {
+      const data = await api.getSchoonmaakTotals()
+      return Array.isArray(data?.totals) ? data.totals : []
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Build a schoonmaak rotation proposal; nothing is saved yet
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function usePreviewSchoonmaakRotation(options = {}) {
+  return useMutation({
+    mutationFn: async (params) => api.previewSchoonmaakRotation(params),
+
+    onError: (error) => {
+      console.error('Preview schoonmaak rotation error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Apply a schoonmaak rotation (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useApplySchoonmaakRotation(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (assignments) => api.applySchoonmaakRotation(assignments),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.rotation.all })
+    },
+
+    onError: (error) => {
+      console.error('Apply schoonmaak rotation error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Fetch opkomstmaker duties per member (admin only)
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with totals array
+ */
+export function useOpkomstmakerTotals(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.rotation.opkomstmakerTotals(),
+    queryFn: async () => {
+      const data = await api.getOpkomstmakerTotals()
+      return Array.isArray(data?.totals) ? data.totals : []
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Build an opkomstmaker rotation proposal; nothing is saved yet
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function usePreviewOpkomstmakerRotation(options = {}) {
+  return useMutation({
+    mutationFn: async (params) => api.previewOpkomstmakerRotation(params),
+
+    onError: (error) => {
+      console.error('Preview opkomstmaker rotation error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Apply an opkomstmaker rotation (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useApplyOpkomstmakerRotation(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (assignments) => api.applyOpkomstmakerRotation(assignments),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.rotation.all })
+    },
+
+    onError: (error) => {
+      console.error('Apply opkomstmaker rotation error:', error)
+    },
+
+    ...options
+  })
+}
+
+// ================================================================
+// SLOT SWAP HOOKS
+// ================================================================
+
+/**
+ * Fetch the swap board of the logged-in user
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with { requiresApproval, open, mine, duties, pendingApproval }
+ */
+export function useSwaps(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.swaps.board(),
+    queryFn: async () => {
+      const data = await api.getSwaps()
+      return {
+        requiresApproval: Boolean(data?.requiresApproval),
+        open: Array.isArray(data?.open) ? data.open : [],
+        mine: Array.isArray(data?.mine) ? data.mine : [],
+        duties: Array.isArray(data?.duties) ? data.duties : [],
+        pendingApproval: Array.isArray(data?.pendingApproval) ? data.pendingApproval : []
+      }
+    },
+    staleTime: 30 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Offer an own slot for swap
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useOfferSwap(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ eventId, duty, note }) => api.offerSwap(eventId, { duty, note }),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.swaps.all })
+    },
+
+    onError: (error) => {
+      console.error('Offer swap error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Take over an offered slot; the event changes unless approval is required
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useAcceptSwap(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (swapId) => api.acceptSwap(swapId),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.swaps.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.all })
+    },
+
+    onError: (error) => {
+      console.error('Accept swap error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Withdraw a swap offer
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useCancelSwap(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (swapId) => api.cancelSwap(swapId),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.swaps.all })
+    },
+
+    onError: (error) => {
+      console.error('Cancel swap error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Approve or deny an accepted swap (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useReviewSwap(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ swapId, status, comment }) => api.reviewSwap(swapId, status, comment),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.swaps.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.all })
+    },
+
+    onError: (error) => {
+      console.error('Review swap error:', error)
+    },
+
+    ...options
+  })
+}
+
+// ================================================================
+// SCHOONMAAK CHECKLIST HOOKS
+// ================================================================
+
+/**
+ * Fetch the schoonmaak task templates
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with tasks array
+ */
+export function useSchoonmaakTasks(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.schoonmaak.tasks(),
+    queryFn: async () => {
+      const data = await api.getSchoonmaakTasks()
+      return Array.isArray(data?.tasks) ? data.tasks : []
+    },
+    staleTime: 5 * 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Create, update or delete a task template (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useSaveSchoonmaakTask(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ taskId, task, remove = false }) => {
+      if (remove) return api.deleteSchoonmaakTask(taskId)
+      return taskId ? api.updateSchoonmaakTask(taskId, task) : api.createSchoonmaakTask(task)
+    },
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.schoonmaak.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.events.all })
+    },
+
+    onError: (error) => {
+      console.error('Save schoonmaak task error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Fetch the checklist of a schoonmaak
+ * @param {string|null} eventId - Schoonmaak ID; the query is disabled without it
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with { checklist, canEdit }
+ */
+export function useEventChecklist(eventId, options = {}) {
+  return useQuery({
+    queryKey: queryKeys.schoonmaak.checklist(eventId),
+    queryFn: async () => api.getEventChecklist(eventId),
+    enabled: Boolean(eventId),
+    staleTime: 30 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Tick or untick a checklist task
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useUpdateChecklistItem(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ eventId, itemId, update }) => api.updateChecklistItem(eventId, itemId, update),
+
+    onSuccess: (data, { eventId }) => {
+      queryClient.setQueryData(queryKeys.schoonmaak.checklist(eventId), (prev) => (
+        prev ? { ...prev, checklist: data.checklist } : prev
+      ))
+      queryClient.invalidateQueries({ queryKey: [...queryKeys.schoonmaak.all, 'incomplete'] })
+    },
+
+    onError: (error) => {
+      console.error('Update checklist item error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Fetch a checklist photo
+ * @param {string|null} photoId - Photo ID; the query is disabled without it
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with the photo
+ */
+export function useSchoonmaakPhoto(photoId, options = {}) {
+  return useQuery({
+    queryKey: queryKeys.schoonmaak.photo(photoId),
+    queryFn: async () => {
+      const data = await api.getSchoonmaakPhoto(photoId)
+      return data?.photo || null
+    },
+    enabled: Boolean(photoId),
+    staleTime: Infinity,
+    ...options
+  })
+}
+
+/**
+ * Fetch past schoonmaken with an incomplete checklist (admin only)
+ * @param {string} from - Start date; empty for the start of the season
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with { from, events }
+ */
+export function useIncompleteSchoonmaken(from = '', options = {}) {
+  return useQuery({
+    queryKey: queryKeys.schoonmaak.incomplete(from),
+    queryFn: async () => {
+      const data = await api.getIncompleteSchoonmaken(from)
+      return {
+        from: data?.from || null,
+        events: Array.isArray(data?.events) ? data.events : []
+      }
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+// ================================================================
+// SEASON HOOKS
+// ================================================================
+
+/**
+ * Fetch all seasons (newest first) and the current season ID
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with { seasons, currentSeasonId }
+ */
+export function useSeasons(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.seasons.list(),
+    queryFn: async () => {
+      const data = await api.getSeasons()
+      return {
+        seasons: Array.isArray(data?.seasons) ? data.seasons : [],
+        currentSeasonId: data?.currentSeasonId || null
+      }
+    },
+    staleTime: 5 * 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Fetch the standings of one season
+ * @param {string|null} seasonId - Season ID
+ * @param {Object} options - Additional query options
+ * @returns {Object} Query result with the season including standings
+ */
+export function useSeasonStandings(seasonId, options = {}) {
+  return useQuery({
+    queryKey: queryKeys.seasons.standings(seasonId),
+    queryFn: async () => {
+      const data = await api.getSeasonStandings(seasonId)
+      return data?.season || null
+    },
+    enabled: Boolean(seasonId),
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Create or update a season (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useSaveSeason(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ seasonId, ...seasonData }) =>
+      seasonId ? api.updateSeason(seasonId, seasonData) : api.createSeason(seasonData),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.seasons.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.streepjes.all })
+    },
+
+    onError: (error) => {
+      console.error('Save season error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Delete a season that has not been archived (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useDeleteSeason(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (seasonId) => api.deleteSeason(seasonId),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.seasons.all })
+      queryClient.invalidateQueries({ queryKey: queryKeys.streepjes.all })
+    },
+
+    onError: (error) => {
+      console.error('Delete season error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Record the final standings of an ended season again (admin only)
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useArchiveSeason(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (seasonId) => api.archiveSeason(seasonId),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.seasons.all })
+    },
+
+    onError: (error) => {
+      console.error('Archive season error:', error)
+    },
+
+    ...options
+  })
+}
+
+// ================================================================
+// PAYMENT REQUEST (DECLARATIES) HOOKS
+// ================================================================
+
+/**
+ * Fetch the payment requests of the logged in user
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with own payment requests
+ */
+export function useMyPaymentRequests(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.paymentRequests.mine(),
+    queryFn: async () => {
+      const data = await api.getMyPaymentRequests()
+      return Array.isArray(data?.requests) ? data.requests : []
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Fetch all payment requests for the treasurer overview
+ * @param {Object} filters - Status/user/date filters
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with { requests, totals }
+ */
+export function usePaymentRequests(filters = {}, options = {}) {
+  return useQuery({
+    queryKey: queryKeys.paymentRequests.list(filters),
+    queryFn: async () => {
+      const data = await api.getPaymentRequests(filters)
+      return {
+        requests: Array.isArray(data?.requests) ? data.requests : [],
+        totals: data?.totals || {}
+      }
+    },
+    staleTime: 30 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Change the status of a payment request
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useUpdatePaymentRequestStatus(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ requestId, status, comment }) =>
+      api.updatePaymentRequestStatus(requestId, status, comment),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.paymentRequests.all })
+    },
+
+    onError: (error) => {
+      console.error('Update payment request status error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Fetch previously exported SEPA batches
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with batches
+ */
+export function usePaymentBatches(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.paymentRequests.batches(),
+    queryFn: async () => {
+      const data = await api.getPaymentBatches()
+      return Array.isArray(data?.batches) ? data.batches : []
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Export approved IBAN payment requests as a SEPA batch
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useExportSepaBatch(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (variables) => api.exportSepaBatch(variables),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.paymentRequests.all })
+    },
+
+    onError: (error) => {
+      console.error('SEPA export error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Fetch recently imported bank statements
+ * @param {Object} options - Query options
+ * @returns {Object} Query result with statements
+ */
+export function useBankStatements(options = {}) {
+  return useQuery({
+    queryKey: queryKeys.paymentRequests.statements(),
+    queryFn: async () => {
+      const data = await api.getBankStatements()
+      return Array.isArray(data?.statements) ? data.statements : []
+    },
+    staleTime: 60 * 1000,
+    ...options
+  })
+}
+
+/**
+ * Import a CAMT.053 bank statement
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useImportBankStatement(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (variables) => api.importBankStatement(variables),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.paymentRequests.all })
+    },
+
+    onError: (error) => {
+      console.error('Bank statement import error:', error)
+    },
+
+    ...options
+  })
+}
+
+/**
+ * Match or ignore a bank statement transaction
+ * @param {Object} options - Mutation options
+ * @returns {Object} Mutation object
+ */
+export function useMatchBankTransaction(options = {}) {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async ({ statementId, ...variables }) => api.matchBankTransaction(statementId, variables),
+
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.paymentRequests.all })
+    },
+
+    onError: (error) => {
+      console.error('Bank transaction match error:', error)
     },
 
     ...options
@@ -0,0 +1,58 @@
+/**
+ * Role permission helpers
+ *
+ * The API sends the permissions of the logged-in member along with the
+ * session user. These helpers only decide what the UI shows; every
+ * action is checked again server-side.
+ */
+
+// Mirrors the permission IDs in api/permissions.js
+export const PERMISSIONS = {
+  EVENTS: 'events.manage',
+  SCHOONMAAK: 'schoonmaak.manage',
+  ROOSTER: 'rooster.manage',
+  STREPEN: 'strepen.manage',
+  DECLARATIES: 'declaraties.manage',
+  MEMBERS: 'members.manage',
+  NOTIFICATIONS: 'notifications.manage'
+}
+
+/**
+ * Whether a member has a permission
+ * @param {Object|null} user - Session user with `permissions` and `isAdmin`
+ * @param {string|string[]} permission - Permission, or a list where any one suffices
+ * @returns {boolean} True when allowed
+ */
+export function hasPermission(user, permission) {
+  if (!user) return false
+  if (user.isAdmin) return true
+  const granted = Array.isArray(user.permissions) ? user.permissions : []
+  const required = Array.isArray(permission) ? permission : [permission]
+  return required.some((item) => granted.includes(item))
+}
+
+/**
+ * Whether a member may create, edit or delete an event.
+ * Schoonmaakcoördinatoren may only manage schoonmaken.
+ * @param {Object|null} user - Session user
+ * @param {Object} [event] - Plain or FullCalendar event; omit to ask for any event
+ * @returns {boolean} True when allowed
+ */
+export function canManageEvent(user, event = null) {
+  if (hasPermission(user, PERMISSIONS.EVENTS)) return true
+  if (!hasPermission(user, PERMISSIONS.SCHOONMAAK)) return false
+  if (!event) return true
+  const props = event.extendedProps || event
+  return Boolean(props.isSchoonmaak) && !props.isOpkomst
+}
+
+/**
+ * Role description for display, e.g. in the navigation
+ * @param {Object|null} user - Session user
+ * @returns {string} Role label
+ */
+export function getRoleLabel(user) {
+  if (!user) return ''
+  if (user.isAdmin) return 'Administrator'
+  return Array.isArray(user.roleLabels) && user.roleLabels.length > 0 ? user.roleLabels.join(', ') : 'Lid'
+}
@@ -85,9 +85,25 @@ export const queryKeys = {
       [...queryKeys.events.lists(), { filters }],
     details: () => [...queryKeys.events.all, 'detail'],
     detail: (id) => [...queryKeys.events.details(), id],
-    opkomsten: () => [...queryKeys.events.all, 'opkomsten']
+    opkomsten: () => [...queryKeys.events.all, 'opkomsten'],
+    checkInCode: (id) => [...queryKeys.events.all, 'check-in-code', id]
   },
   
+  // Login sessions per device
+  sessions: {
+    all: ['sessions']
+  },
+
+  // Passkeys of the logged-in member
+  passkeys: {
+    all: ['passkeys']
+  },
+
+  // Personal calendar feed of the logged-in member
+  calendarFeed: {
+    all: ['calendarFeed']
+  },
+
   // Users
   users: {
     all: ['users'],
@@ -95,7 +111,70 @@ export const queryKeys = {
     full: () => [...queryKeys.users.all, 'full'],
     details: () => [...queryKeys.users.all, 'detail'],
     detail: (id) => [...queryKeys.users.details(), id],
-    profile: () => [...queryKeys.users.all, 'profile']
+    profile: () => [...queryKeys.users.all, 'profile'],
+    roles: () => [...queryKeys.users.all, 'roles'],
+    securitySettings: () => [...queryKeys.users.all, 'security-settings']
+  },
+
+  // Streepjes ledger
+  streepjes: {
+    all: ['streepjes'],
+    mine: () => [...queryKeys.streepjes.all, 'mine'],
+    user: (userId, seasonId = '') => [...queryKeys.streepjes.all, 'user', userId, seasonId],
+    rules: () => [...queryKeys.streepjes.all, 'rules']
+  },
+
+  // Absence excuses (afmeldingen)
+  excuses: {
+    all: ['excuses'],
+    mine: () => [...queryKeys.excuses.all, 'mine'],
+    list: (status) => [...queryKeys.excuses.all, 'list', status]
+  },
+
+  // Unavailability for duties
+  unavailability: {
+    all: ['unavailability'],
+    mine: () => [...queryKeys.unavailability.all, 'mine'],
+    list: () => [...queryKeys.unavailability.all, 'list']
+  },
+
+  // Duty rotation (schoonmaak- en opkomstmakerrooster)
+  rotation: {
+    all: ['rotation'],
+    schoonmaakTotals: () => [...queryKeys.rotation.all, 'schoonmaak', 'totals'],
+    opkomstmakerTotals: () => [...queryKeys.rotation.all, 'opkomstmakers', 'totals']
+  },
+
+  // Slot swaps (ruilen)
+  swaps: {
+    all: ['swaps'],
+    board: () => [...queryKeys.swaps.all, 'board']
+  },
+
+  // Schoonmaak task templates and checklists
+  schoonmaak: {
+    all: ['schoonmaak'],
+    tasks: () => [...queryKeys.schoonmaak.all, 'tasks'],
+    checklist: (eventId) => [...queryKeys.schoonmaak.all, 'checklist', eventId],
+    photo: (photoId) => [...queryKeys.schoonmaak.all, 'photo', photoId],
+    incomplete: (from) => [...queryKeys.schoonmaak.all, 'incomplete', from]
+  },
+
+  // Seasons with archived standings
+  seasons: {
+    all: ['seasons'],
+    list: () => [...queryKeys.seasons.all, 'list'],
+    standings: (seasonId) => [...queryKeys.seasons.all, 'standings', seasonId]
+  },
+
+  // Payment requests (declaraties)
+  paymentRequests: {
+    all: ['paymentRequests'],
+    mine: () => [...queryKeys.paymentRequests.all, 'mine'],
+    lists: () => [...queryKeys.paymentRequests.all, 'list'],
+    list: (filters) => [...queryKeys.paymentRequests.lists(), { filters }],
+    batches: () => [...queryKeys.paymentRequests.all, 'batches'],
+    statements: () => [...queryKeys.paymentRequests.all, 'statements']
   }
 }
 
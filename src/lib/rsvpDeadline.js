@@ -0,0 +1,82 @@
+/**
+ * RSVP deadline helpers
+ *
+ * The API stores the aanmelddeadline on every opkomst as naive local
+ * time (YYYY-MM-DDTHH:mm), the same format as the event start, and
+ * rejects attendance changes once it has passed.
+ */
+
+// Mirrors MAX_RSVP_DEADLINE_HOURS in the API
+export const MAX_RSVP_DEADLINE_HOURS = 14 * 24
+
+/**
+ * Read the RSVP deadline of a plain event or a FullCalendar event
+ * @param {Object} event - Event with rsvpDeadline (or extendedProps.rsvpDeadline)
+ * @returns {Date|null} Deadline or null when the event has none
+ */
+export function getRsvpDeadline(event) {
+  const value = event?.rsvpDeadline ?? event?.extendedProps?.rsvpDeadline
+  if (!value) return null
+  const deadline = new Date(value)
+  return Number.isNaN(deadline.getTime()) ? null : deadline
+}
+
+/**
+ * Whether members can still sign up or cancel for an event
+ */
+export function canChangeAttendance(event, now = new Date()) {
+  const deadline = getRsvpDeadline(event)
+  return Boolean(deadline) && now < deadline
+}
+
+/**
+ * Human readable time left until a deadline, e.g. "2 dagen en 3 uur"
+ * @param {Date} deadline - Deadline in the future
+ * @param {Date} [now] - Reference time
+ * @returns {string} Remaining time in Dutch
+ */
+export function formatRsvpCountdown(deadline, now = new Date()) {
+  const minutes = Math.floor((deadline.getTime() - now.getTime()) / 60000)
+  if (minutes < 1) return 'minder dan een minuut'
+
+  const days = Math.floor(minutes / 1440)
+  const hours = Math.floor((minutes % 1440) / 60)
+  const rest = minutes % 60
+
+  if (days > 0) {
+    const dayText = `${days} ${days === 1 ? 'dag' : 'dagen'}`
+    return hours > 0 ? `${dayText} en ${hours} uur` : dayText
+  }
+  if (hours > 0) {
+    return rest > 0 ? `${hours} uur en ${rest} min` : `${hours} uur`
+  }
+  return `${rest} min`
+}
+
+export function formatRsvpDeadline(deadline) {
+  return deadline.toLocaleString('nl-NL', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
+
+/**
+ * Validate the "uren voor aanvang" form field; empty means the default offset
+ * @param {string|number} value - Form value
+ * @returns {string|null} Error message or null when valid
+ */
+export function validateRsvpDeadlineHours(value) {
+  if (value === '' || value === null || value === undefined) return null
+  const hours = Number(value)
+  if (!Number.isInteger(hours) || hours < 0 || hours > MAX_RSVP_DEADLINE_HOURS) {
+    return `Vul een heel aantal uren tussen 0 en ${MAX_RSVP_DEADLINE_HOURS} in`
+  }
+  return null
+}
+
+export function toRsvpDeadlineHours(value) {
+  return value === '' || value === null || value === undefined ? null : Number(value)
+}
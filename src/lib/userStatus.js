@@ -0,0 +1,25 @@
+/**
+ * Member status helpers
+ *
+ * Legacy ("historisch") and archived members are no longer part of the
+ * group; they only show up where they still have history. Archived
+ * members can no longer log in.
+ */
+
+// Mirrors USER_STATUSES in the API
+export const USER_STATUS_LABELS = {
+  active: 'Actief',
+  inactive: 'Inactief',
+  legacy: 'Historisch',
+  archived: 'Gearchiveerd'
+}
+
+/**
+ * Whether a member only belongs in history
+ * @param {Object} user - Member with `status`
+ * @returns {boolean} True for legacy and archived members
+ */
+export function isHistoricalUser(user) {
+  const status = user?.status || 'active'
+  return status === 'legacy' || status === 'archived'
+}
@@ -0,0 +1,147 @@
+/**
+ * ================================================================
+ * ACCOUNT ACTIVATION PAGE
+ * ================================================================
+ *
+ * New members land here from the invite email (/activeren?token=...).
+ * They choose their own password, which activates the account and
+ * logs them in. The link works once and expires after a few days.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useState } from 'react'
+import { Eye, EyeOff } from 'lucide-react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { withSupportContact } from '../config/appInfo'
+import { activateAccount } from '../services/api'
+import './Auth.css'
+
+export default function ActivateAccount({ setUser }) {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [showPassword, setShowPassword] = useState(false)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const navigate = useNavigate()
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (password.length < 6) {
+      setError('Wachtwoord moet minimaal 6 karakters bevatten.')
+      return
+    }
+    if (password !== confirmPassword) {
+      setError('De wachtwoorden komen niet overeen.')
+      return
+    }
+
+    setError(null)
+    setIsLoading(true)
+    try {
+      const data = await activateAccount(token, password)
+      localStorage.setItem('user', JSON.stringify(data.user))
+      setUser(data.user)
+      navigate('/kalender', { replace: true })
+    } catch (err) {
+      console.error('Activate account error:', err)
+      setError(withSupportContact(err.message || 'Account activeren mislukt.'))
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <div className="auth-header">
+          <img
+            src="/stam_H.png"
+            alt="Stamjer Logo"
+            className="auth-logo"
+          />
+          <h1 className="auth-title">Account activeren</h1>
+          <p className="auth-subtitle">Kies een wachtwoord om je Stamjer-account te activeren</p>
+        </div>
+
+        <div className="auth-body">
+          {!token ? (
+            <div className="error-message">
+              Deze link is onvolledig. Open de link uit je uitnodigingsmail opnieuw.
+            </div>
+          ) : (
+            <form onSubmit={handleSubmit} className="auth-form">
+              <div className="form-group">
+                <label className="form-label" htmlFor="activate-password">Wachtwoord</label>
+                <div className="input-wrapper">
+                  <div className="password-field">
+                    <input
+                      id="activate-password"
+                      type={showPassword ? 'text' : 'password'}
+                      value={password}
+                      onChange={e => setPassword(e.target.value)}
+                      className="form-input"
+                      placeholder="••••••••"
+                      required
+                      minLength={6}
+                      disabled={isLoading}
+                      autoComplete="new-password"
+                    />
+                    <button
+                      type="button"
+                      className="password-toggle"
+                      onClick={() => setShowPassword(prev => !prev)}
+                      disabled={isLoading}
+                      aria-label={showPassword ? 'Wachtwoord verbergen' : 'Wachtwoord tonen'}
+                    >
+                      {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                    </button>
+                  </div>
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label className="form-label" htmlFor="activate-password-confirm">Herhaal wachtwoord</label>
+                <input
+                  id="activate-password-confirm"
+                  type={showPassword ? 'text' : 'password'}
+                  value={confirmPassword}
+                  onChange={e => setConfirmPassword(e.target.value)}
+                  className="form-input"
+                  placeholder="••••••••"
+                  required
+                  minLength={6}
+                  disabled={isLoading}
+                  autoComplete="new-password"
+                />
+              </div>
+
+              <button type="submit" className="btn-primary" disabled={isLoading || !password || !confirmPassword}>
+                {isLoading ? 'Activeren…' : 'Account activeren'}
+              </button>
+            </form>
+          )}
+
+          {error && (
+            <div className="error-message">
+              {error}
+            </div>
+          )}
+
+          <div className="auth-footer">
+            <button
+              type="button"
+              className="btn-link"
+              onClick={() => navigate('/login')}
+              disabled={isLoading}
+            >
+              Naar inloggen
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -32,6 +32,10 @@ import { useIsMobile } from '../hooks/useDeviceDetection'
 // Location input with autocomplete
 import LocationInput from '../components/LocationInput'
 import LocationLink from '../components/LocationLink'
+import RsvpCountdown from '../components/RsvpCountdown'
+import { PERMISSIONS, canManageEvent, hasPermission } from '../lib/permissions'
+import SchoonmaakChecklist from '../components/SchoonmaakChecklist'
+import { canChangeAttendance, validateRsvpDeadlineHours, toRsvpDeadlineHours, MAX_RSVP_DEADLINE_HOURS } from '../lib/rsvpDeadline'
 
 // TanStack Query hooks
 import { 
@@ -40,7 +44,9 @@ import {
   useCreateEvent, 
   useUpdateEvent, 
   useDeleteEvent,
+  useCancelEvent,
   useUpdateAttendance,
+  useSchoonmaakTasks,
 } from '../hooks/useQueries'
 
 // Error boundaries
@@ -99,23 +105,58 @@ function formatTime(input) {
 }
 
 /**
- * Whether attendance can be changed for an event based on start date
+ * Scope choices when editing or deleting an occurrence of a recurring series
  */
-function canChangeAttendance(eventStart) {
-  if (!eventStart) return false
-  const now = new Date()
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
-  const start = new Date(eventStart)
-  const eventDay = new Date(start.getFullYear(), start.getMonth(), start.getDate())
-  return eventDay > today
+const RECURRENCE_SCOPE_OPTIONS = [
+  { value: 'this', label: 'Alleen dit evenement' },
+  { value: 'following', label: 'Dit en volgende evenementen' },
+  { value: 'all', label: 'Alle evenementen in de reeks' }
+]
+
+/**
+ * Human readable summary of a stored recurrence rule
+ */
+function describeRecurrence(recurrence) {
+  if (!recurrence) return ''
+  if (recurrence.freq === 'MONTHLY') {
+    return String(recurrence.byDay || '').startsWith('-')
+      ? 'Maandelijks (laatste weekdag van de maand)'
+      : 'Maandelijks (zelfde weekdag)'
+  }
+  return recurrence.interval > 1 ? 'Elke twee weken' : 'Wekelijks'
+}
+
+/**
+ * Select for choosing which occurrences of a series a change applies to
+ */
+function RecurrenceScopeSelect({ id, value, onChange, disabled = false, label }) {
+  return (
+    <div className="form-group form-group-full">
+      <label className="form-label" htmlFor={id}>
+        {label}
+      </label>
+      <select
+        id={id}
+        className="form-select"
+        value={value}
+        onChange={e => onChange(e.target.value)}
+        disabled={disabled}
+      >
+        {RECURRENCE_SCOPE_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
+  )
 }
 
 // ================================================================
 // EVENT MODAL COMPONENT
 // ================================================================
 
-function EventModal({ event, onClose, onDelete, onEdit, isAdmin = false, currentUser = null, onToggleAttendance }) {
+function EventModal({ event, onClose, onDelete, onEdit, onCancel, canManage = false, currentUser = null, onToggleAttendance }) {
   const [isDeleting, setIsDeleting] = useState(false)
+  const [deleteScope, setDeleteScope] = useState('this')
   const dialogRef = useRef(null)
   const focusableElementsRef = useRef([])
   const previouslyFocusedElementRef = useRef(null)
@@ -179,18 +220,34 @@ function EventModal({ event, onClose, onDelete, onEdit, isAdmin = false, current
   const initialAttending = !!(currentUser && participants.includes(Number(currentUser.id)))
   const [attending, setAttending] = useState(initialAttending)
   useEffect(() => { setAttending(initialAttending) }, [initialAttending])
-  const attendanceDisabled = !currentUser || !canChangeAttendance(start)
+  const attendanceDisabled = !currentUser || !canChangeAttendance(event)
 
   if (!event) return null
 
+  const isRecurring = Boolean(extendedProps?.seriesId)
+  const isCancelled = Boolean(extendedProps?.cancelled)
+
+  const handleCancel = () => {
+    const confirmText = isCancelled
+      ? 'Dit evenement toch laten doorgaan?'
+      : 'Weet je zeker dat je dit evenement wilt afgelasten? Het blijft zichtbaar als afgelast.'
+    if (!window.confirm(confirmText)) {
+      return
+    }
+    onCancel(event, !isCancelled)
+  }
+
   const handleDelete = async () => {
-    if (!window.confirm('Weet je zeker dat je dit evenement wilt verwijderen?')) {
+    const confirmText = isRecurring && deleteScope !== 'this'
+      ? 'Weet je zeker dat je deze evenementen uit de reeks wilt verwijderen?'
+      : 'Weet je zeker dat je dit evenement wilt verwijderen?'
+    if (!window.confirm(confirmText)) {
       return
     }
 
     setIsDeleting(true)
     try {
-      await onDelete(event)
+      await onDelete(event, isRecurring ? deleteScope : 'this')
     } catch (error) {
       console.error('Error deleting event:', error)
     } finally {
@@ -254,6 +311,7 @@ function EventModal({ event, onClose, onDelete, onEdit, isAdmin = false, current
 
         <div className="modal-header">
           <h2 id="event-modal-title" className="modal-title">{title}</h2>
+          {isCancelled && <span className="event-cancelled-badge">Afgelast</span>}
         </div>
 
         <div className="modal-body">
@@ -347,9 +405,17 @@ function EventModal({ event, onClose, onDelete, onEdit, isAdmin = false, current
                     <span className="checkbox-custom"></span>
                     {attending ? 'Aangemeld' : 'Afgemeld'}
                   </label>
-                  {attendanceDisabled && (
-                    <div className="muted-text">Je kan je aanwezigheid niet meer aanpassen</div>
-                  )}
+                  <RsvpCountdown event={event} className="muted-text" />
+                </div>
+              </div>
+            )}
+
+            {/* Recurrence */}
+            {isRecurring && (
+              <div className="detail-item">
+                <div className="detail-content">
+                  <strong>Herhaling:</strong>
+                  {describeRecurrence(extendedProps.recurrence) || 'Onderdeel van een reeks'}
                 </div>
               </div>
             )}
@@ -399,12 +465,12 @@ function EventModal({ event, onClose, onDelete, onEdit, isAdmin = false, current
               </div>
             )}
 
-            {/* Schoonmaak options - only show for schoonmaak events */}
+            {/* Schoonmaak checklist - only show for schoonmaak events */}
             {extendedProps?.isSchoonmaak && extendedProps?.schoonmaakOptions && extendedProps.schoonmaakOptions.length > 0 && (
               <div className="detail-item">
                 <div className="detail-content">
-                  <strong>Schoonmaak opties:</strong>
-                  {extendedProps.schoonmaakOptions.join(' en ')}
+                  <strong>Schoonmaaktaken:</strong>
+                  <SchoonmaakChecklist eventId={event.id} />
                 </div>
               </div>
             )}
@@ -421,8 +487,20 @@ function EventModal({ event, onClose, onDelete, onEdit, isAdmin = false, current
           </div>
         </div>
 
+        {canManage && isRecurring && (
+          <div className="modal-body">
+            <RecurrenceScopeSelect
+              id="delete-scope"
+              label="Verwijderen voor"
+              value={deleteScope}
+              onChange={setDeleteScope}
+              disabled={isDeleting}
+            />
+          </div>
+        )}
+
         <div className="modal-footer">
-          {isAdmin && (
+          {canManage && (
             <>
               <button 
                 type="button" 
@@ -432,6 +510,14 @@ function EventModal({ event, onClose, onDelete, onEdit, isAdmin = false, current
               >
                  Aanpassen
               </button>
+              <button
+                type="button"
+                className="modal-btn modal-btn-secondary"
+                onClick={handleCancel}
+                disabled={isDeleting}
+              >
+                {isCancelled ? 'Toch laten doorgaan' : 'Afgelasten'}
+              </button>
               <button 
                 type="button" 
                 className="modal-btn modal-btn-danger"
@@ -459,7 +545,13 @@ function EventModal({ event, onClose, onDelete, onEdit, isAdmin = false, current
 // NEW/EDIT EVENT FORM COMPONENT
 // ================================================================
 
-function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = [] }) {
+// Defaults filled in when an event is marked as schoonmaak
+const SCHOONMAAK_DEFAULTS = {
+  title: 'Schoonmaak Stam',
+  location: 'Veulenkamp 41, 2623 XA Delft'
+}
+
+function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = [], schoonmaakOnly = false }) {
   // Initialize opkomstmakers as an array of selected user IDs
   const initializeOpkomstmakers = () => {
     if (event?.opkomstmakers) {
@@ -492,21 +584,42 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
     return []
   }
 
+  // Active task templates, used to preselect the tasks of a new schoonmaak
+  const { data: schoonmaakTasks = [] } = useSchoonmaakTasks()
+  const activeTaskNames = schoonmaakTasks.filter(task => task.active).map(task => task.name)
+
+  // Schoonmaakcoördinatoren can only create schoonmaken
+  const startsAsSchoonmaak = !event && schoonmaakOnly
+
   const [formData, setFormData] = useState({
-    title: event?.title || '',
+    title: event?.title || (startsAsSchoonmaak ? SCHOONMAAK_DEFAULTS.title : ''),
     startDate: event?.start || new Date().toISOString().slice(0, 10),
     startTime: event?.startTime || '09:00',
     endDate: event?.end || new Date().toISOString().slice(0, 10),
     endTime: event?.endTime || '10:00',
-    isAllDay: event?.allDay || false,
-    location: event?.location || '',
+    isAllDay: event?.allDay || startsAsSchoonmaak,
+    location: event?.location || (startsAsSchoonmaak ? SCHOONMAAK_DEFAULTS.location : ''),
     description: event?.description || '',
     isOpkomst: event?.isOpkomst || false,
     opkomstmakers: initializeOpkomstmakers(),
-    isSchoonmaak: event?.isSchoonmaak || false,
+    isSchoonmaak: event?.isSchoonmaak || startsAsSchoonmaak,
     schoonmakers: initializeSchoonmakers(),
-    schoonmaakOptions: event?.schoonmaakOptions || []
+    schoonmaakOptions: event?.schoonmaakOptions || (startsAsSchoonmaak ? activeTaskNames : []),
+    rsvpDeadlineHours: event?.rsvpDeadlineHours ?? '',
+    repeat: 'none',
+    repeatEnd: 'count',
+    repeatCount: 10,
+    repeatUntil: '',
+    repeatLastWeekday: false,
+    scope: 'this'
   })
+  const isRecurringEdit = isEdit && Boolean(event?.seriesId)
+
+  // Active task templates, plus tasks already on this schoonmaak that are no longer active
+  const schoonmaakTaskNames = [
+    ...activeTaskNames,
+    ...formData.schoonmaakOptions.filter(name => !activeTaskNames.includes(name))
+  ]
 
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
@@ -536,11 +649,14 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
       // If schoonmaak is toggled, update defaults accordingly
       if (field === 'isSchoonmaak') {
         if (value) {
-          newData.title = 'Schoonmaak Stam'
+          newData.title = SCHOONMAAK_DEFAULTS.title
           newData.isAllDay = true
-          newData.location = 'Veulenkamp 41, 2623 XA Delft'
+          newData.location = SCHOONMAAK_DEFAULTS.location
           newData.isOpkomst = false
           newData.opkomstmakers = []
+          if (!prev.isSchoonmaak && newData.schoonmaakOptions.length === 0) {
+            newData.schoonmaakOptions = activeTaskNames
+          }
         } else {
           // Only clear schoonmakers if explicitly toggling off
           if (prev.isSchoonmaak) {
@@ -678,6 +794,21 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
       }
     }
 
+    if (!isEdit && formData.repeat !== 'none') {
+      if (formData.repeatEnd === 'until') {
+        if (!formData.repeatUntil) {
+          newErrors.repeatUntil = 'Kies tot wanneer het evenement herhaalt'
+        } else if (formData.startDate && formData.repeatUntil < formData.startDate) {
+          newErrors.repeatUntil = 'Einddatum van de herhaling moet na de startdatum liggen'
+        }
+      } else {
+        const count = parseInt(formData.repeatCount, 10)
+        if (!Number.isFinite(count) || count < 1 || count > 104) {
+          newErrors.repeatCount = 'Kies tussen 1 en 104 herhalingen'
+        }
+      }
+    }
+
     // For timed events, validate times
     if (!formData.isAllDay) {
       if (!formData.startTime) {
@@ -691,6 +822,13 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
       }
     }
 
+    if (formData.isOpkomst) {
+      const rsvpError = validateRsvpDeadlineHours(formData.rsvpDeadlineHours)
+      if (rsvpError) {
+        newErrors.rsvpDeadlineHours = rsvpError
+      }
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -742,6 +880,7 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
         isSchoonmaak: formData.isSchoonmaak,
         schoonmakers: schoonmakersString,
         schoonmaakOptions: formData.schoonmaakOptions,
+        rsvpDeadlineHours: formData.isOpkomst ? toRsvpDeadlineHours(formData.rsvpDeadlineHours) : null,
       }
 
       if (!isEdit && formData.isOpkomst) {
@@ -752,8 +891,21 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
         eventData.participants = activeParticipantIds
       }
 
+      if (!isEdit && formData.repeat !== 'none') {
+        eventData.recurrence = {
+          frequency: formData.repeat,
+          lastWeekday: formData.repeat === 'monthly' && formData.repeatLastWeekday,
+          ...(formData.repeatEnd === 'until'
+            ? { until: formData.repeatUntil }
+            : { count: parseInt(formData.repeatCount, 10) })
+        }
+      }
+
       if (isEdit) {
         eventData.id = event.id
+        if (isRecurringEdit) {
+          eventData.scope = formData.scope
+        }
       }
 
       // Call the parent handler - this will use TanStack Query mutations
@@ -815,19 +967,21 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
             </div>
 
             {/* Opkomst toggle */}
-            <div className="form-group">
-              <label className="checkbox-label">
-                <input
-                  type="checkbox"
-                  checked={formData.isOpkomst}
-                  onChange={e => handleInputChange('isOpkomst', e.target.checked)}
-                  disabled={isSubmitting}
-                  className="checkbox-input"
-                />
-           <span className="checkbox-custom"></span>
-           Opkomst
-              </label>
-            </div>
+            {!schoonmaakOnly && (
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.isOpkomst}
+                    onChange={e => handleInputChange('isOpkomst', e.target.checked)}
+                    disabled={isSubmitting}
+                    className="checkbox-input"
+                  />
+             <span className="checkbox-custom"></span>
+             Opkomst
+                </label>
+              </div>
+            )}
 
             {/* Opkomstmakers - only show when it's an opkomst */}
             {formData.isOpkomst && (
@@ -853,20 +1007,49 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
               </div>
             )}
 
-            {/* Schoonmaak toggle */}
-            <div className="form-group">
-              <label className="checkbox-label">
+            {/* RSVP deadline - only for opkomsten */}
+            {formData.isOpkomst && (
+              <div className="form-group">
+                <label className="form-label" htmlFor="event-rsvp-deadline">
+                  Aanmelddeadline (uren voor aanvang)
+                </label>
                 <input
-                  type="checkbox"
-                  checked={formData.isSchoonmaak}
-                  onChange={e => handleInputChange('isSchoonmaak', e.target.checked)}
+                  id="event-rsvp-deadline"
+                  type="number"
+                  min="0"
+                  max={MAX_RSVP_DEADLINE_HOURS}
+                  step="1"
+                  className={`form-input ${errors.rsvpDeadlineHours ? 'error' : ''}`}
+                  value={formData.rsvpDeadlineHours}
+                  onChange={e => handleInputChange('rsvpDeadlineHours', e.target.value)}
+                  placeholder="Standaard"
                   disabled={isSubmitting}
-                  className="checkbox-input"
+                  aria-describedby={errors.rsvpDeadlineHours ? 'rsvp-deadline-error' : undefined}
                 />
-           <span className="checkbox-custom"></span>
-           Schoonmaak
-              </label>
-            </div>
+                {errors.rsvpDeadlineHours && (
+                  <div id="rsvp-deadline-error" className="field-error" role="alert">
+                    {errors.rsvpDeadlineHours}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Schoonmaak toggle */}
+            {!schoonmaakOnly && (
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.isSchoonmaak}
+                    onChange={e => handleInputChange('isSchoonmaak', e.target.checked)}
+                    disabled={isSubmitting}
+                    className="checkbox-input"
+                  />
+             <span className="checkbox-custom"></span>
+             Schoonmaak
+                </label>
+              </div>
+            )}
 
             {/* Schoonmakers - only show when it's a schoonmaak */}
             {formData.isSchoonmaak && (
@@ -893,31 +1076,22 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
                 </div>
                 <div className="form-group form-group-full">
                   <label className="form-label">
-                    Schoonmaak opties
+                    Schoonmaaktaken
                   </label>
                   <div className="opkomstmakers-checkboxes">
-                    <label className="checkbox-label opkomstmaker-checkbox">
-                      <input
-                        type="checkbox"
-                        checked={formData.schoonmaakOptions.includes('Container')}
-                        onChange={() => handleSchoonmaakOptionChange('Container')}
-                        disabled={isSubmitting}
-                        className="checkbox-input"
-                      />
-                      <span className="checkbox-custom"></span>
-                      Container
-                    </label>
-                    <label className="checkbox-label opkomstmaker-checkbox">
-                      <input
-                        type="checkbox"
-                        checked={formData.schoonmaakOptions.includes('PMD-bak')}
-                        onChange={() => handleSchoonmaakOptionChange('PMD-bak')}
-                        disabled={isSubmitting}
-                        className="checkbox-input"
-                      />
-                      <span className="checkbox-custom"></span>
-                      PMD-bak
-                    </label>
+                    {schoonmaakTaskNames.map(name => (
+                      <label key={name} className="checkbox-label opkomstmaker-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={formData.schoonmaakOptions.includes(name)}
+                          onChange={() => handleSchoonmaakOptionChange(name)}
+                          disabled={isSubmitting}
+                          className="checkbox-input"
+                        />
+                        <span className="checkbox-custom"></span>
+                        {name}
+                      </label>
+                    ))}
                   </div>
                 </div>
               </>
@@ -1026,6 +1200,117 @@ function NewEventForm({ event = null, isEdit = false, onClose, onAdd, users = []
               </div>
             )}
 
+            {/* Recurrence - only when creating */}
+            {!isEdit && (
+              <div className="form-group form-group-full">
+                <label className="form-label" htmlFor="repeat">
+                  Herhalen
+                </label>
+                <select
+                  id="repeat"
+                  className="form-select"
+                  value={formData.repeat}
+                  onChange={e => handleInputChange('repeat', e.target.value)}
+                  disabled={isSubmitting}
+                >
+                  <option value="none">Niet herhalen</option>
+                  <option value="weekly">Wekelijks</option>
+                  <option value="biweekly">Elke twee weken</option>
+                  <option value="monthly">Maandelijks (zelfde weekdag)</option>
+                </select>
+              </div>
+            )}
+
+            {!isEdit && formData.repeat === 'monthly' && (
+              <div className="form-group form-group-full">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={formData.repeatLastWeekday}
+                    onChange={e => handleInputChange('repeatLastWeekday', e.target.checked)}
+                    disabled={isSubmitting}
+                    className="checkbox-input"
+                  />
+                  <span className="checkbox-custom"></span>
+                  Laatste weekdag van de maand
+                </label>
+              </div>
+            )}
+
+            {!isEdit && formData.repeat !== 'none' && (
+              <>
+                <div className="form-group">
+                  <label className="form-label" htmlFor="repeat-end">
+                    Herhaling eindigt
+                  </label>
+                  <select
+                    id="repeat-end"
+                    className="form-select"
+                    value={formData.repeatEnd}
+                    onChange={e => handleInputChange('repeatEnd', e.target.value)}
+                    disabled={isSubmitting}
+                  >
+                    <option value="count">Na aantal keer</option>
+                    <option value="until">Op datum</option>
+                  </select>
+                </div>
+                {formData.repeatEnd === 'until' ? (
+                  <div className="form-group">
+                    <label className="form-label" htmlFor="repeat-until">
+                      Herhalen tot en met *
+                    </label>
+                    <input
+                      id="repeat-until"
+                      type="date"
+                      className={`form-input ${errors.repeatUntil ? 'error' : ''}`}
+                      value={formData.repeatUntil}
+                      onChange={e => handleInputChange('repeatUntil', e.target.value)}
+                      disabled={isSubmitting}
+                      aria-describedby={errors.repeatUntil ? "repeat-until-error" : undefined}
+                    />
+                    {errors.repeatUntil && (
+                      <div id="repeat-until-error" className="field-error" role="alert">
+                        {errors.repeatUntil}
+                      </div>
+                    )}
+                  </div>
+                ) : (
+                  <div className="form-group">
+                    <label className="form-label" htmlFor="repeat-count">
+                      Aantal keer *
+                    </label>
+                    <input
+                      id="repeat-count"
+                      type="number"
+                      min="1"
+                      max="104"
+                      className={`form-input ${errors.repeatCount ? 'error' : ''}`}
+                      value={formData.repeatCount}
+                      onChange={e => handleInputChange('repeatCount', e.target.value)}
+                      disabled={isSubmitting}
+                      aria-describedby={errors.repeatCount ? "repeat-count-error" : undefined}
+                    />
+                    {errors.repeatCount && (
+                      <div id="repeat-count-error" className="field-error" role="alert">
+                        {errors.repeatCount}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+
+            {/* Scope for editing an occurrence of a series */}
+            {isRecurringEdit && (
+              <RecurrenceScopeSelect
+                id="edit-scope"
+                label="Wijzigingen toepassen op"
+                value={formData.scope}
+                onChange={value => handleInputChange('scope', value)}
+                disabled={isSubmitting}
+              />
+            )}
+
             {/* Location */}
             <div className="form-group form-group-full">
               <label className="form-label" htmlFor="location">
@@ -1245,6 +1530,15 @@ export default function CalendarPage() {
     }
   })
 
+  const cancelEventMutation = useCancelEvent({
+    onSuccess: (_data, { cancelled }) => {
+      showSuccess(cancelled ? 'Evenement afgelast' : 'Evenement gaat weer door')
+    },
+    onError: (error) => {
+      showError(`Kon evenement niet afgelasten: ${error.message}`)
+    }
+  })
+
   const updateAttendanceMutation = useUpdateAttendance({
     onSuccess: () => {
       showSuccess('Aanwezigheid bijgewerkt')
@@ -1277,8 +1571,9 @@ export default function CalendarPage() {
     }
   }, [])
 
-  // Check if current user is admin
-  const isAdmin = currentUser && currentUser.isAdmin === true
+  // Admins manage every event; schoonmaakcoördinatoren only schoonmaken
+  const canCreateEvents = canManageEvent(currentUser)
+  const schoonmaakOnly = canCreateEvents && !hasPermission(currentUser, PERMISSIONS.EVENTS)
 
   // ================================================================
   // EVENT HANDLERS
@@ -1290,20 +1585,33 @@ export default function CalendarPage() {
   }, [])
 
   // Handle event deletion with optimistic updates
-  const handleDelete = useCallback(async (ev) => {
-    if (!currentUser || !currentUser.isAdmin) {
-      showError('Alleen admins kunnen evenementen verwijderen')
+  const handleDelete = useCallback(async (ev, scope = 'this') => {
+    if (!canManageEvent(currentUser, ev)) {
+      showError('Je mag dit evenement niet verwijderen')
       return
     }
 
     deleteEventMutation.mutate({
       eventId: ev.id,
-      userId: currentUser.id
+      scope,
+      seriesId: ev.extendedProps?.seriesId || null,
+      recurrenceId: ev.extendedProps?.recurrenceId || null
     })
     
     setSelectedEvent(null)
   }, [deleteEventMutation, currentUser, showError])
 
+  // Cancel an event or let it go ahead again
+  const handleCancel = useCallback((ev, cancelled) => {
+    if (!canManageEvent(currentUser, ev)) {
+      showError('Je mag dit evenement niet afgelasten')
+      return
+    }
+
+    cancelEventMutation.mutate({ eventId: ev.id, cancelled })
+    setSelectedEvent(null)
+  }, [cancelEventMutation, currentUser, showError])
+
   // Handle event addition/update with optimistic updates
   const handleAdd = useCallback((eventData, isEdit = false) => {
     if (!currentUser) {
@@ -1314,13 +1622,11 @@ export default function CalendarPage() {
     if (isEdit) {
       updateEventMutation.mutate({
         eventId: eventData.id,
-        eventData: eventData,
-        userId: currentUser.id
+        eventData: eventData
       })
     } else {
       createEventMutation.mutate({
-        eventData: eventData,
-        userId: currentUser.id
+        eventData: eventData
       })
     }
   }, [createEventMutation, updateEventMutation, currentUser, showError])
@@ -1336,8 +1642,8 @@ export default function CalendarPage() {
 
   // Handle edit button click
   const handleEdit = useCallback((ev) => {
-    if (!currentUser || !currentUser.isAdmin) {
-      showError('Alleen admins kunnen evenementen bewerken')
+    if (!canManageEvent(currentUser, ev)) {
+      showError('Je mag dit evenement niet bewerken')
       return
     }
 
@@ -1397,6 +1703,8 @@ export default function CalendarPage() {
       isSchoonmaak: ev.extendedProps.isSchoonmaak || false,
       schoonmakers: schoonmakersArray,
       schoonmaakOptions: ev.extendedProps.schoonmaakOptions || [],
+      rsvpDeadlineHours: ev.extendedProps.rsvpDeadlineHours ?? null,
+      seriesId: ev.extendedProps.seriesId || null,
     })
     setSelectedEvent(null)
   }, [users, currentUser, showError])
@@ -1420,7 +1728,7 @@ export default function CalendarPage() {
       left: 'prev today next',
       center: 'title',
   // Show view toggles on the right (month <-> listMonth), and admin action when applicable
-  right: `${'dayGridMonth,listMonth'}${isAdmin ? ' nieuwBtn' : ''}`,
+  right: `${'dayGridMonth,listMonth'}${canCreateEvents ? ' nieuwBtn' : ''}`,
     },
     buttonText: { 
       today: 'Vandaag',
@@ -1436,11 +1744,12 @@ export default function CalendarPage() {
       hour12: false
     },
     eventClassNames: (arg) => {
-      if (arg.event?.extendedProps?.isOpkomst) return ['event-opkomst']
-      if (arg.event?.extendedProps?.isSchoonmaak) return ['event-schoonmaak']
-      return []
+      const classNames = arg.event?.extendedProps?.cancelled ? ['event-cancelled'] : []
+      if (arg.event?.extendedProps?.isOpkomst) return [...classNames, 'event-opkomst']
+      if (arg.event?.extendedProps?.isSchoonmaak) return [...classNames, 'event-schoonmaak']
+      return classNames
     },
-    customButtons: isAdmin ? {
+    customButtons: canCreateEvents ? {
       nieuwBtn: {
         text: 'Nieuw evenement',
         click: () => setShowNewForm(true),
@@ -1454,7 +1763,7 @@ export default function CalendarPage() {
       info.el.setAttribute('role', 'button')
       info.el.setAttribute('aria-label', `Evenement: ${info.event.title}`)
     }
-  }), [isAdmin, isMobile])
+  }), [canCreateEvents, isMobile])
 
   // Dynamic calendar configuration (changes with data)
   const dynamicCalendarConfig = useMemo(() => ({
@@ -1569,7 +1878,7 @@ export default function CalendarPage() {
         </div>
 
         {/* Mobile Create Event Button - Only visible on mobile for admins */}
-        {isMobile && isAdmin && (
+        {isMobile && canCreateEvents && (
           <div className="mobile-create-event-wrapper">
             <button 
               type="button"
@@ -1591,24 +1900,26 @@ export default function CalendarPage() {
               onClose={() => setSelectedEvent(null)}
               onDelete={handleDelete}
               onEdit={handleEdit}
-              isAdmin={isAdmin}
+              onCancel={handleCancel}
+              canManage={canManageEvent(currentUser, selectedEvent)}
               currentUser={currentUser}
               onToggleAttendance={handleToggleAttendance}
             />
           </ComponentErrorBoundary>
         )}
 
-        {showNewForm && isAdmin && (
+        {showNewForm && canCreateEvents && (
           <FormErrorBoundary formName="Nieuw Evenement">
             <NewEventForm
               onClose={() => setShowNewForm(false)}
               onAdd={(eventData) => handleAdd(eventData, false)}
               users={users}
+              schoonmaakOnly={schoonmaakOnly}
             />
           </FormErrorBoundary>
         )}
 
-        {editingEvent && isAdmin && (
+        {editingEvent && canCreateEvents && (
           <FormErrorBoundary formName="Evenement Bewerken">
             <NewEventForm
               event={editingEvent}
@@ -1616,6 +1927,7 @@ export default function CalendarPage() {
               onClose={() => setEditingEvent(null)}
               onAdd={(eventData) => handleAdd(eventData, true)}
               users={users}
+              schoonmaakOnly={schoonmaakOnly}
             />
           </FormErrorBoundary>
         )}
@@ -0,0 +1,188 @@
+/**
+ * ================================================================
+ * CHECK-IN PAGE
+ * ================================================================
+ *
+ * Members land here after scanning the check-in QR of an opkomst with
+ * their phone camera (the QR holds a link to /inchecken?code=...), or
+ * scan the QR in the app itself where the browser supports it. The
+ * code is verified server-side and marks the member present.
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useCallback, useEffect, useRef, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useCheckIn } from '../hooks/useQueries'
+import './CheckInPage.css'
+
+const SCAN_INTERVAL_MS = 400
+
+/**
+ * Accept both the full check-in link and the bare code
+ */
+function extractCheckInCode(value) {
+  const text = String(value || '').trim()
+  try {
+    return new URL(text).searchParams.get('code') || ''
+  } catch {
+    return text
+  }
+}
+
+function canScanInApp() {
+  return typeof window !== 'undefined' &&
+    'BarcodeDetector' in window &&
+    typeof navigator !== 'undefined' &&
+    Boolean(navigator.mediaDevices?.getUserMedia)
+}
+
+/**
+ * Camera preview that reports the first QR value it detects
+ */
+function QrScanner({ onDetect, onError }) {
+  const videoRef = useRef(null)
+
+  useEffect(() => {
+    let stream = null
+    let timer = null
+    let stopped = false
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+        if (stopped) return
+        const video = videoRef.current
+        video.srcObject = stream
+        await video.play()
+
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] })
+        timer = setInterval(async () => {
+          try {
+            const [barcode] = await detector.detect(video)
+            if (barcode?.rawValue) onDetect(barcode.rawValue)
+          } catch {
+            // Frame not ready yet; try again on the next tick
+          }
+        }, SCAN_INTERVAL_MS)
+      } catch (err) {
+        console.error('Camera starten mislukt:', err)
+        onError('Camera starten mislukt. Geef toestemming of scan de QR-code met je camera-app.')
+      }
+    }
+
+    start()
+    return () => {
+      stopped = true
+      if (timer) clearInterval(timer)
+      if (stream) stream.getTracks().forEach(track => track.stop())
+    }
+  }, [onDetect, onError])
+
+  return <video ref={videoRef} className="check-in-page__video" muted playsInline />
+}
+
+export default function CheckInPage() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const initialCode = searchParams.get('code') || ''
+  const { mutateAsync: checkIn, isPending } = useCheckIn()
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState('')
+  const [manualCode, setManualCode] = useState('')
+  const [isScanning, setIsScanning] = useState(false)
+  const submittedRef = useRef('')
+
+  const submitCode = useCallback(async (value) => {
+    const code = extractCheckInCode(value)
+    if (!code || submittedRef.current === code) return
+    submittedRef.current = code
+    setIsScanning(false)
+    setError('')
+    try {
+      setResult(await checkIn({ code }))
+    } catch (err) {
+      submittedRef.current = ''
+      setError(err?.message || 'Inchecken mislukt')
+    }
+  }, [checkIn])
+
+  // Codes expire quickly, so drop them from the URL once used
+  useEffect(() => {
+    if (!initialCode) return
+    submitCode(initialCode)
+    setSearchParams({}, { replace: true })
+  }, [initialCode, submitCode, setSearchParams])
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault()
+    submitCode(manualCode)
+  }
+
+  const handleScanError = useCallback((message) => {
+    setIsScanning(false)
+    setError(message)
+  }, [])
+
+  if (result) {
+    const checkedInAt = new Date(result.checkedInAt).toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' })
+    return (
+      <div className="check-in-page">
+        <div className="check-in-page__card check-in-page__card--success">
+          <h1>Ingecheckt</h1>
+          <p>
+            {result.alreadyCheckedIn
+              ? `Je was al ingecheckt voor ${result.event.title} (om ${checkedInAt}).`
+              : `Je bent aanwezig gemeld voor ${result.event.title}.`}
+          </p>
+          <Link to="/opkomsten" className="check-in-page__link">Naar opkomsten</Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="check-in-page">
+      <div className="check-in-page__card">
+        <h1>Inchecken</h1>
+        <p>Scan de QR-code op het scherm van de opkomst om je aanwezig te melden.</p>
+
+        {isPending && <p className="check-in-page__status">Bezig met inchecken...</p>}
+        {error && <p className="check-in-page__error" role="alert">{error}</p>}
+
+        {canScanInApp() && (
+          isScanning ? (
+            <>
+              <QrScanner onDetect={submitCode} onError={handleScanError} />
+              <button type="button" className="check-in-page__button" onClick={() => setIsScanning(false)}>
+                Stoppen met scannen
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              className="check-in-page__button"
+              onClick={() => setIsScanning(true)}
+              disabled={isPending}
+            >
+              QR-code scannen
+            </button>
+          )
+        )}
+
+        <form className="check-in-page__form" onSubmit={handleManualSubmit}>
+          <label htmlFor="check-in-code">Of plak de code of link</label>
+          <input
+            id="check-in-code"
+            type="text"
+            value={manualCode}
+            onChange={(e) => setManualCode(e.target.value)}
+            autoComplete="off"
+          />
+          <button type="submit" className="check-in-page__button" disabled={isPending || !manualCode.trim()}>
+            Inchecken
+          </button>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -57,8 +57,8 @@ export default function ForgotPassword() {
       const normalizedEmail = email.trim().toLowerCase()
       await forgotPassword(normalizedEmail)
       setSuccess('Verificatiecode opnieuw verzonden.')
-    } catch {
-      setError(withSupportContact('Kon de verificatiecode niet opnieuw verzenden.'))
+    } catch (err) {
+      setError(err?.status === 429 ? err.message : withSupportContact('Kon de verificatiecode niet opnieuw verzenden.'))
     } finally {
       setIsLoading(false)
     }
@@ -87,12 +87,10 @@ export default function ForgotPassword() {
     } catch (err) {
       console.error('Reset password error:', err) // Debug log
       const msg = err.message.toLowerCase()
-      if (msg.includes('geen actieve herstelcode')) {
-        setError('Geen actieve herstelcode gevonden. Vraag eerst een nieuwe code aan.')
-      } else if (msg.includes('ongeldige herstelcode')) {
-        setError('De ingevoerde code is niet correct. Controleer de code en probeer opnieuw.')
-      } else if (msg.includes('verlopen')) {
-        setError('De herstelcode is verlopen. Vraag een nieuwe code aan.')
+      if (msg.includes('herstelcode')) {
+        setError('De code is onjuist of verlopen. Controleer de code of vraag een nieuwe aan.')
+      } else if (err.status === 429) {
+        setError(err.message)
       } else if (msg.includes('404')) {
         setError(withSupportContact('API endpoint niet gevonden. Controleer of de server draait.'))
       } else if (msg.includes('failed to fetch')) {
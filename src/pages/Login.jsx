@@ -9,6 +9,8 @@
  * - Error handling
  * - Accessibility improvements
  * - Password visibility toggle
+ * - Second step for accounts with two-factor authentication
+ * - Passwordless login with a passkey
  * 
  * @author R.S. Kort
  *
@@ -18,7 +20,8 @@ import React, { useState, useEffect, useCallback } from 'react'
 import { Eye, EyeOff } from "lucide-react";
 import { useNavigate } from 'react-router-dom'
 import { withSupportContact } from '../config/appInfo'
-import { login } from '../services/api'
+import { browserSupportsWebAuthn, startAuthentication } from '@simplewebauthn/browser'
+import { getPasskeyLoginOptions, login, loginWithPasskey, verifyLoginTwoFactor } from '../services/api'
 import './Auth.css'
 
 export default function Login({ setUser }) {
@@ -33,6 +36,10 @@ export default function Login({ setUser }) {
   const [isFormValid, setIsFormValid] = useState(false)
   const [fieldErrors, setFieldErrors] = useState({})
   const [rememberMe, setRememberMe] = useState(true)
+  const [challenge, setChallenge] = useState(null)
+  const [code, setCode] = useState('')
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false)
+  const supportsPasskeys = browserSupportsWebAuthn()
   
   const navigate = useNavigate()
 
@@ -66,6 +73,22 @@ export default function Login({ setUser }) {
   // EVENT HANDLERS
   // ================================================================
 
+  /**
+   * Store the logged-in user and go to the calendar
+   */
+  const completeLogin = (user) => {
+    // Store user data locally so login persists
+    localStorage.setItem('user', JSON.stringify(user))
+    localStorage.setItem('rememberMe', 'true')
+
+    setUser(user)
+
+    // Add success animation delay
+    setTimeout(() => {
+      navigate('/kalender')
+    }, 300)
+  }
+
   /**
    * Handle form submission with enhanced error handling
    */
@@ -86,17 +109,14 @@ export default function Login({ setUser }) {
     
     try {
       const data = await login(email, password)
-      
-      // Store user data locally so login persists
-      localStorage.setItem('user', JSON.stringify(data.user))
-      localStorage.setItem('rememberMe', 'true')
-      
-      setUser(data.user)
-      
-      // Add success animation delay
-      setTimeout(() => {
-        navigate('/kalender')
-      }, 300)
+
+      if (data.twoFactorRequired) {
+        setChallenge(data.challenge)
+        setCode('')
+        return
+      }
+
+      completeLogin(data.user)
       
     } catch (err) {
       console.error('Login error:', err)
@@ -114,6 +134,65 @@ export default function Login({ setUser }) {
     }
   }
 
+  /**
+   * Log in with a passkey on this device (no email or password needed)
+   */
+  const handlePasskeyLogin = async () => {
+    setError(null)
+    setFieldErrors({})
+    setIsLoading(true)
+
+    try {
+      const { challengeId, options } = await getPasskeyLoginOptions()
+      const response = await startAuthentication({ optionsJSON: options })
+      const data = await loginWithPasskey(challengeId, response)
+      completeLogin(data.user)
+    } catch (err) {
+      console.error('Passkey login error:', err)
+      if (err?.name === 'NotAllowedError') {
+        setError('Inloggen met passkey geannuleerd.')
+      } else {
+        setError(err?.message || 'Inloggen met passkey mislukt.')
+      }
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  /**
+   * Handle the two-factor code step
+   */
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault()
+    setError(null)
+    setIsLoading(true)
+
+    try {
+      const data = await verifyLoginTwoFactor(challenge, code)
+      completeLogin(data.user)
+    } catch (err) {
+      console.error('Two-factor login error:', err)
+      if (err.message?.includes('verlopen')) {
+        setChallenge(null)
+        setPassword('')
+      }
+      setError(err.message || 'Er is een fout opgetreden. Probeer het opnieuw.')
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  /**
+   * Back from the code step to the password form
+   */
+  const handleCancelTwoFactor = () => {
+    setChallenge(null)
+    setCode('')
+    setPassword('')
+    setUseRecoveryCode(false)
+    setError(null)
+  }
+
   /**
    * Handle keyboard navigation
    */
@@ -166,115 +245,193 @@ export default function Login({ setUser }) {
             className="auth-logo"
           />
           <h1 className="auth-title">Welkom terug</h1>
-          <p className="auth-subtitle">Log in op je Stamjer account</p>
+          <p className="auth-subtitle">
+            {challenge ? 'Bevestig je inlog met tweestapsverificatie' : 'Log in op je Stamjer account'}
+          </p>
         </div>
         
         <div className="auth-body">
-          <form className="auth-form" onSubmit={handleSubmit} noValidate>
-            {/* Email Field */}
-            <div className="form-group">
-              <label className="form-label" htmlFor="email">
-                E-mailadres
-              </label>
-              <div className="input-wrapper">
-                <input 
-                  id="email"
-                  type="email" 
-                  value={email} 
-                  onChange={e => setEmail(e.target.value.trim().toLowerCase())} 
-                  onKeyDown={handleKeyDown}
-                  className={`form-input ${fieldErrors.email ? 'error' : ''}`}
-                  placeholder="je@email.com"
-                  required 
-                  disabled={isLoading}
-                  autoComplete="email"
-                  aria-describedby={fieldErrors.email ? "email-error" : undefined}
-                />
-                {fieldErrors.email && (
-                  <div id="email-error" className="field-error" role="alert">
-                    {fieldErrors.email}
-                  </div>
+          {challenge ? (
+            <form className="auth-form" onSubmit={handleCodeSubmit} noValidate>
+              <div className="form-group">
+                <label className="form-label" htmlFor="two-factor-code">
+                  {useRecoveryCode ? 'Herstelcode' : 'Code uit je authenticator-app'}
+                </label>
+                <div className="input-wrapper">
+                  <input
+                    id="two-factor-code"
+                    type="text"
+                    value={code}
+                    onChange={e => setCode(e.target.value)}
+                    className="form-input"
+                    placeholder={useRecoveryCode ? 'XXXX-XXXX' : '123456'}
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    maxLength={useRecoveryCode ? 9 : 6}
+                    required
+                    disabled={isLoading}
+                    autoFocus
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                className={`btn-primary ${!code.trim() ? 'disabled' : ''}`}
+                disabled={isLoading || !code.trim()}
+                aria-describedby={error ? "login-error" : undefined}
+              >
+                {isLoading ? (
+                  <>
+                    <div className="loading-spinner"></div>
+                    Controleren…
+                  </>
+              ) : (
+                  'Bevestigen'
                 )}
+              </button>
+
+              {error && (
+                <div id="login-error" className="error-message" role="alert">
+                  {error}
+                </div>
+              )}
+
+              <div className="auth-links">
+                <button
+                  type="button"
+                  className="btn-link"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode)
+                    setCode('')
+                  }}
+                  disabled={isLoading}
+                >
+                  {useRecoveryCode ? 'Code uit de app gebruiken' : 'Telefoon kwijt? Gebruik een herstelcode'}
+                </button>
+                <button type="button" className="btn-link" onClick={handleCancelTwoFactor} disabled={isLoading}>
+                  Terug
+                </button>
               </div>
-            </div>
-            
-            {/* Password Field */}
-            <div className="form-group">
-              <label className="form-label" htmlFor="password">
-                Wachtwoord
-              </label>
-              <div className="input-wrapper">
-                <div className="password-field">
+            </form>
+          ) : (
+            <form className="auth-form" onSubmit={handleSubmit} noValidate>
+              {/* Email Field */}
+              <div className="form-group">
+                <label className="form-label" htmlFor="email">
+                  E-mailadres
+                </label>
+                <div className="input-wrapper">
                   <input 
-                    id="password"
-                    type={showPassword ? "text" : "password"}
-                    value={password} 
-                    onChange={e => setPassword(e.target.value)} 
+                    id="email"
+                    type="email" 
+                    value={email} 
+                    onChange={e => setEmail(e.target.value.trim().toLowerCase())} 
                     onKeyDown={handleKeyDown}
-                    className={`form-input ${fieldErrors.password ? 'error' : ''}`}
-                    placeholder="••••••••"
+                    className={`form-input ${fieldErrors.email ? 'error' : ''}`}
+                    placeholder="je@email.com"
                     required 
                     disabled={isLoading}
-                    autoComplete="current-password"
-                    aria-describedby={fieldErrors.password ? "password-error" : undefined}
+                    autoComplete="email"
+                    aria-describedby={fieldErrors.email ? "email-error" : undefined}
                   />
-                  <button
-                    type="button"
-                    onClick={togglePasswordVisibility}
-                    className="password-toggle"
-                    aria-label={showPassword ? "Wachtwoord verbergen" : "Wachtwoord tonen"}
-                    disabled={isLoading}
-                  >
-                    {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
-                  </button>
+                  {fieldErrors.email && (
+                    <div id="email-error" className="field-error" role="alert">
+                      {fieldErrors.email}
+                    </div>
+                  )}
                 </div>
-                {fieldErrors.password && (
-                  <div id="password-error" className="field-error" role="alert">
-                    {fieldErrors.password}
+              </div>
+            
+              {/* Password Field */}
+              <div className="form-group">
+                <label className="form-label" htmlFor="password">
+                  Wachtwoord
+                </label>
+                <div className="input-wrapper">
+                  <div className="password-field">
+                    <input 
+                      id="password"
+                      type={showPassword ? "text" : "password"}
+                      value={password} 
+                      onChange={e => setPassword(e.target.value)} 
+                      onKeyDown={handleKeyDown}
+                      className={`form-input ${fieldErrors.password ? 'error' : ''}`}
+                      placeholder="••••••••"
+                      required 
+                      disabled={isLoading}
+                      autoComplete="current-password"
+                      aria-describedby={fieldErrors.password ? "password-error" : undefined}
+                    />
+                    <button
+                      type="button"
+                      onClick={togglePasswordVisibility}
+                      className="password-toggle"
+                      aria-label={showPassword ? "Wachtwoord verbergen" : "Wachtwoord tonen"}
+                      disabled={isLoading}
+                    >
+                      {showPassword ? <EyeOff size={18} /> : <Eye size={18} />}
+                    </button>
                   </div>
-                )}
+                  {fieldErrors.password && (
+                    <div id="password-error" className="field-error" role="alert">
+                      {fieldErrors.password}
+                    </div>
+                  )}
+                </div>
               </div>
-            </div>
 
-            {/* Remember Me Checkbox */}
-            <div className="form-group">
-              <label className="checkbox-label">
-                <input
-                  type="checkbox"
-                  checked={rememberMe}
-                  onChange={e => setRememberMe(e.target.checked)}
-                  disabled={isLoading}
-                  className="checkbox-input"
-                />
-                <span className="checkbox-custom"></span>
-                Onthoud mij
-              </label>
-            </div>
+              {/* Remember Me Checkbox */}
+              <div className="form-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={rememberMe}
+                    onChange={e => setRememberMe(e.target.checked)}
+                    disabled={isLoading}
+                    className="checkbox-input"
+                  />
+                  <span className="checkbox-custom"></span>
+                  Onthoud mij
+                </label>
+              </div>
             
-            {/* Submit Button */}
-            <button 
-              type="submit" 
-              className={`btn-primary ${!isFormValid ? 'disabled' : ''}`} 
-              disabled={isLoading || !isFormValid}
-              aria-describedby={error ? "login-error" : undefined}
-            >
-              {isLoading ? (
-                <>
-                  <div className="loading-spinner"></div>
-                  Inloggen…
-                </>
+              {/* Submit Button */}
+              <button 
+                type="submit" 
+                className={`btn-primary ${!isFormValid ? 'disabled' : ''}`} 
+                disabled={isLoading || !isFormValid}
+                aria-describedby={error ? "login-error" : undefined}
+              >
+                {isLoading ? (
+                  <>
+                    <div className="loading-spinner"></div>
+                    Inloggen…
+                  </>
               ) : (
-                'Inloggen'
+                  'Inloggen'
+                )}
+              </button>
+
+              {supportsPasskeys && (
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={handlePasskeyLogin}
+                  disabled={isLoading}
+                >
+                  Inloggen met passkey
+                </button>
               )}
-            </button>
             
-            {/* Error Message */}
-            {error && (
-              <div id="login-error" className="error-message" role="alert">
-                {error}
-              </div>
-            )}
-          </form>
+              {/* Error Message */}
+              {error && (
+                <div id="login-error" className="error-message" role="alert">
+                  {error}
+                </div>
+              )}
+            </form>
+          )}
         </div>
         
         <div className="auth-footer">
@@ -13,15 +13,30 @@ import { invalidateEvents, invalidateUsers } from '../lib/queryClient'
 import CalendarSubscription from '../components/CalendarSubscription'
 import LocationLink from '../components/LocationLink'
 import ToggleSwitch from '../components/ToggleSwitch'
+import StreepjesLedger from '../components/StreepjesLedger'
+import UnavailabilityEditor from '../components/UnavailabilityEditor'
+import SwapBoard from '../components/SwapBoard'
+import SchoonmaakChecklist from '../components/SchoonmaakChecklist'
+import MemberForm from '../components/MemberForm'
+import MemberImportExport from '../components/MemberImportExport'
+import TwoFactorSettings from '../components/TwoFactorSettings'
+import TwoFactorPolicy from '../components/TwoFactorPolicy'
+import DeviceSessions from '../components/DeviceSessions'
+import PasskeySettings from '../components/PasskeySettings'
+import {
+  useCreateUser,
+  useMyStreepjes,
+  useResendInvite,
+  useRoles,
+  useSubmitExcuse,
+  useUpdateUser,
+  useUpdateUserRoles
+} from '../hooks/useQueries'
+import { PERMISSIONS, getRoleLabel, hasPermission } from '../lib/permissions'
+import { USER_STATUS_LABELS } from '../lib/userStatus'
 import './MyAccount.css'
 import './Auth.css'
 
-const USER_STATUS_LABELS = {
-  active: 'Actief',
-  inactive: 'Inactief',
-  legacy: 'Historisch'
-}
-
 const DATE_FORMAT_DAY_MONTH = new Intl.DateTimeFormat('nl-NL', {
   weekday: 'long',
   day: 'numeric',
@@ -175,6 +190,35 @@ export default function MyAccount({ user: userProp, onLogout }) {
       return null
     }
   }, [userProp])
+  const {
+    data: myStreepjes,
+    isLoading: isMyStreepjesLoading,
+    error: myStreepjesError
+  } = useMyStreepjes({ enabled: Boolean(user) })
+  const submitExcuse = useSubmitExcuse()
+  const [excuseMessage, setExcuseMessage] = useState(null)
+  const canManageMembers = hasPermission(user, PERMISSIONS.MEMBERS)
+  const { data: roleData } = useRoles({ enabled: canManageMembers })
+  const updateRoles = useUpdateUserRoles()
+  const createMember = useCreateUser()
+  const updateMember = useUpdateUser()
+  const resendMemberInvite = useResendInvite()
+  const [isInviting, setIsInviting] = useState(false)
+  const [editingUserId, setEditingUserId] = useState(null)
+  // Plain "lid" is implied when a member has no other roles
+  const assignableRoles = (roleData?.roles || []).filter(role => role.permissions.length > 0)
+
+  // Een afmelding achteraf: de admin beoordeelt of het streepje vervalt
+  const handleExcuseStreepje = async (entry) => {
+    const reason = window.prompt(`Waarom was je afwezig bij ${entry.eventTitle || 'deze opkomst'}?`)
+    if (reason === null || !reason.trim()) return
+    try {
+      await submitExcuse.mutateAsync({ eventId: entry.eventId, reason: reason.trim() })
+      setExcuseMessage({ type: 'success', text: 'Afmelding verstuurd. Een admin beoordeelt je verzoek.' })
+    } catch (excuseError) {
+      setExcuseMessage({ type: 'error', text: withSupportContact(excuseError?.message || 'Afmelding versturen mislukt') })
+    }
+  }
 
   useEffect(() => {
     const loadUserData = async () => {
@@ -195,7 +239,7 @@ export default function MyAccount({ user: userProp, onLogout }) {
             setUserStatus(currentUser.status)
           }
         }
-        if (user.isAdmin && data.users) {
+        if (hasPermission(user, PERMISSIONS.MEMBERS) && data.users) {
           setAllUsers(data.users)
         }
       } catch (loadError) {
@@ -506,13 +550,22 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
     }
   }
 
+  const reloadAllUsers = useCallback(async () => {
+    const response = await fetch('/api/users/full').catch(() => null)
+    if (response?.ok) {
+      const data = await response.json().catch(() => null)
+      if (data?.users) setAllUsers(data.users)
+    }
+  }, [])
+
   const handleAdminStatusChange = useCallback(async (targetUserId, newStatus) => {
     const targetUser = allUsers.find(u => u.id === targetUserId)
     if (!targetUser) return
 
     const newLabel = USER_STATUS_LABELS[newStatus] || newStatus
     const currentLabel = USER_STATUS_LABELS[targetUser.status || 'active'] || (targetUser.status || 'active')
-    const confirmMsg = `Weet je zeker dat je de status van ${targetUser.firstName} ${targetUser.lastName} wilt wijzigen van "${currentLabel}" naar "${newLabel}"?`
+    const confirmMsg = `Weet je zeker dat je de status van ${targetUser.firstName} ${targetUser.lastName} wilt wijzigen van "${currentLabel}" naar "${newLabel}"?` +
+      (newStatus === 'archived' ? ' Het lid wordt overal uitgelogd en kan niet meer inloggen.' : '')
     if (!window.confirm(confirmMsg)) return
 
     setIsChangingStatus(true)
@@ -520,7 +573,7 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
     setAdminStatusMessage(null)
 
     try {
-      await updateUserStatus(targetUserId, newStatus, id)
+      await updateUserStatus(targetUserId, newStatus)
       setAllUsers(prev => prev.map(u => u.id === targetUserId ? { ...u, status: newStatus } : u))
       setAdminStatusMessage(`Status van ${targetUser.firstName} ${targetUser.lastName} bijgewerkt naar ${newLabel}.`)
       invalidateUsers().catch(() => {
@@ -529,15 +582,70 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
     } catch (err) {
       setAdminStatusError(withSupportContact(err.message || 'Status bijwerken mislukt'))
       // refresh list to revert UI
-      const response = await fetch('/api/users/full').catch(() => null)
-      if (response?.ok) {
-        const data = await response.json().catch(() => null)
-        if (data?.users) setAllUsers(data.users)
-      }
+      await reloadAllUsers()
     } finally {
       setIsChangingStatus(false)
     }
-  }, [allUsers, id])
+  }, [allUsers, reloadAllUsers])
+
+  const handleRoleToggle = async (targetUser, roleId, checked) => {
+    const currentRoles = Array.isArray(targetUser.roles) ? targetUser.roles : []
+    const roles = checked
+      ? [...currentRoles, roleId]
+      : currentRoles.filter(existing => existing !== roleId)
+
+    setAdminStatusError(null)
+    setAdminStatusMessage(null)
+
+    try {
+      const result = await updateRoles.mutateAsync({ userId: targetUser.id, roles })
+      setAllUsers(prev => prev.map(u => u.id === targetUser.id ? { ...u, roles: result.user.roles } : u))
+      setAdminStatusMessage(`Rollen van ${targetUser.firstName} ${targetUser.lastName} bijgewerkt.`)
+    } catch (err) {
+      setAdminStatusError(withSupportContact(err.message || 'Rollen bijwerken mislukt'))
+    }
+  }
+
+  const handleInviteMember = async (member) => {
+    setAdminStatusError(null)
+    setAdminStatusMessage(null)
+    try {
+      const result = await createMember.mutateAsync(member)
+      setAllUsers(prev => [...prev, { ...result.user, streepjes: 0 }])
+      setIsInviting(false)
+      if (result.inviteSent) {
+        setAdminStatusMessage(`Uitnodiging verstuurd naar ${result.user.email}.`)
+      } else {
+        setAdminStatusError(withSupportContact(result.msg))
+      }
+    } catch (err) {
+      setAdminStatusError(withSupportContact(err.message || 'Lid uitnodigen mislukt'))
+    }
+  }
+
+  const handleEditMember = async (targetUserId, member) => {
+    setAdminStatusError(null)
+    setAdminStatusMessage(null)
+    try {
+      const result = await updateMember.mutateAsync({ userId: targetUserId, member })
+      setAllUsers(prev => prev.map(u => u.id === targetUserId ? { ...u, ...result.user } : u))
+      setEditingUserId(null)
+      setAdminStatusMessage(`Gegevens van ${result.user.firstName} ${result.user.lastName} bijgewerkt.`)
+    } catch (err) {
+      setAdminStatusError(withSupportContact(err.message || 'Lid bijwerken mislukt'))
+    }
+  }
+
+  const handleResendInvite = async (targetUser) => {
+    setAdminStatusError(null)
+    setAdminStatusMessage(null)
+    try {
+      await resendMemberInvite.mutateAsync(targetUser.id)
+      setAdminStatusMessage(`Nieuwe uitnodiging verstuurd naar ${targetUser.email}.`)
+    } catch (err) {
+      setAdminStatusError(withSupportContact(err.message || 'Uitnodiging versturen mislukt'))
+    }
+  }
 
   if (!user) return null
 
@@ -573,7 +681,7 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
                         user.isAdmin ? 'account-pill-admin' : 'account-pill-user'
                       }`}
                     >
-                      {user.isAdmin ? 'Administrator' : 'Gebruiker'}
+                      {getRoleLabel(user)}
                     </span>
                   </div>
                   <div className="info-item">
@@ -596,6 +704,26 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
               </div>
             </div>
 
+            <div className="account-card account-card-streepjes">
+              <div className="account-card-header">
+                <h4>Mijn streepjes{myStreepjes?.season ? ` · ${myStreepjes.season.name}` : ''}</h4>
+              </div>
+              <div className="account-card-body">
+                {excuseMessage && (
+                  <div className={excuseMessage.type === 'error' ? 'setting-error' : 'setting-success'}>
+                    {excuseMessage.text}
+                  </div>
+                )}
+                <StreepjesLedger
+                  entries={myStreepjes?.entries}
+                  isLoading={isMyStreepjesLoading}
+                  error={myStreepjesError}
+                  onExcuse={handleExcuseStreepje}
+                  disabled={submitExcuse.isPending}
+                />
+              </div>
+            </div>
+
             <div className="account-card account-card-opkomsten">
               <div className="account-card-header">
                 <h4>Mijn evenementen</h4>
@@ -667,6 +795,33 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
               </div>
             </div>
 
+            <div className="account-card account-card-swaps">
+              <div className="account-card-header">
+                <h4>Taken ruilen</h4>
+              </div>
+              <div className="account-card-body">
+                <SwapBoard />
+              </div>
+            </div>
+
+            <div className="account-card account-card-availability">
+              <div className="account-card-header">
+                <h4>Niet beschikbaar</h4>
+              </div>
+              <div className="account-card-body">
+                <UnavailabilityEditor />
+              </div>
+            </div>
+
+            <div className="account-card account-card-devices">
+              <div className="account-card-header">
+                <h4>Apparaten</h4>
+              </div>
+              <div className="account-card-body">
+                <DeviceSessions onLogout={onLogout} />
+              </div>
+            </div>
+
             <div className="account-card account-card-settings">
               <div className="account-card-header">
                 <h4>Instellingen</h4>
@@ -720,6 +875,14 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
                   <CalendarSubscription user={user} />
                 </div>
 
+                <div className="setting-section">
+                  <PasskeySettings />
+                </div>
+
+                <div className="setting-section">
+                  <TwoFactorSettings user={user} />
+                </div>
+
                 <div className="setting-section">
                   {!showPasswordForm ? (
                     <div className="setting-item-vertical">
@@ -841,19 +1004,49 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
 
           </div>
 
-          {user.isAdmin && (
+          {canManageMembers && (
             <div className="account-card account-card-admin-users">
               <div className="account-card-header">
                 <h4>Gebruikersbeheer</h4>
+                {!isInviting && (
+                  <button type="button" className="admin-user-button" onClick={() => setIsInviting(true)}>
+                    Lid uitnodigen
+                  </button>
+                )}
               </div>
               <div className="account-card-body">
+                <TwoFactorPolicy />
+                <MemberImportExport onImported={reloadAllUsers} />
+                {isInviting && (
+                  <div className="admin-user-invite">
+                    <p className="admin-users-hint">
+                      Het nieuwe lid krijgt een e-mail met een eenmalige link om zelf een wachtwoord te kiezen.
+                    </p>
+                    <MemberForm
+                      submitLabel="Uitnodiging versturen"
+                      isPending={createMember.isPending}
+                      onSubmit={handleInviteMember}
+                      onCancel={() => setIsInviting(false)}
+                    />
+                  </div>
+                )}
                 <div className="admin-users-list">
                   {allUsers.length === 0 ? (
                     <p className="admin-users-loading">Gebruikers laden...</p>
                   ) : (
                     allUsers
                       .sort((a, b) => `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`, 'nl-NL'))
-                      .map(u => (
+                      .map(u => editingUserId === u.id ? (
+                        <div key={u.id} className="admin-user-row">
+                          <MemberForm
+                            initialValues={u}
+                            submitLabel="Opslaan"
+                            isPending={updateMember.isPending}
+                            onSubmit={member => handleEditMember(u.id, member)}
+                            onCancel={() => setEditingUserId(null)}
+                          />
+                        </div>
+                      ) : (
                         <div key={u.id} className="admin-user-row">
                           <div className="admin-user-info">
                             <span className="admin-user-name">{u.firstName} {u.lastName}</span>
@@ -862,19 +1055,53 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
                               <span className={`account-pill account-pill-${u.status || 'active'}`}>
                                 {USER_STATUS_LABELS[u.status || 'active']}
                               </span>
+                              {u.invitePending && <span className="account-pill account-pill-invited">Uitnodiging open</span>}
                             </div>
+                            <span className="admin-user-email">{u.email}</span>
+                            {assignableRoles.length > 0 && (
+                              <div className="admin-user-roles" role="group" aria-label={`Rollen van ${u.firstName} ${u.lastName}`}>
+                                {assignableRoles.map(role => (
+                                  <label key={role.id} className="admin-user-role" title={role.description}>
+                                    <input
+                                      type="checkbox"
+                                      checked={Array.isArray(u.roles) && u.roles.includes(role.id)}
+                                      onChange={e => handleRoleToggle(u, role.id, e.target.checked)}
+                                      disabled={updateRoles.isPending}
+                                    />
+                                    {role.label}
+                                  </label>
+                                ))}
+                              </div>
+                            )}
+                          </div>
+                          <div className="admin-user-actions">
+                            <select
+                              className="admin-status-select"
+                              value={u.status || 'active'}
+                              onChange={e => handleAdminStatusChange(u.id, e.target.value)}
+                              disabled={isChangingStatus}
+                              aria-label={`Status van ${u.firstName} ${u.lastName}`}
+                            >
+                              {Object.entries(USER_STATUS_LABELS).map(([value, label]) => (
+                                <option key={value} value={value} disabled={value === 'archived' && u.id === id}>
+                                  {label}
+                                </option>
+                              ))}
+                            </select>
+                            <button type="button" className="admin-user-button" onClick={() => setEditingUserId(u.id)}>
+                              Bewerken
+                            </button>
+                            {u.invitePending && u.status !== 'archived' && (
+                              <button
+                                type="button"
+                                className="admin-user-button"
+                                onClick={() => handleResendInvite(u)}
+                                disabled={resendMemberInvite.isPending}
+                              >
+                                Opnieuw uitnodigen
+                              </button>
+                            )}
                           </div>
-                          <select
-                            className="admin-status-select"
-                            value={u.status || 'active'}
-                            onChange={e => handleAdminStatusChange(u.id, e.target.value)}
-                            disabled={isChangingStatus}
-                            aria-label={`Status van ${u.firstName} ${u.lastName}`}
-                          >
-                            <option value="active">Actief</option>
-                            <option value="inactive">Inactief</option>
-                            <option value="legacy">Historisch</option>
-                          </select>
                         </div>
                       ))
                   )}
@@ -958,10 +1185,8 @@ Let op: voor de alle toekomstige opkomsten die al zijn gepland, word je ook als
                   selectedOpkomst.schoonmaakOptions.length > 0 && (
                     <div className="detail-item">
                       <div className="detail-content">
-                        <strong>Schoonmaak opties</strong>
-                        <span className="description-text">
-                          {selectedOpkomst.schoonmaakOptions.join(', ')}
-                        </span>
+                        <strong>Schoonmaaktaken</strong>
+                        <SchoonmaakChecklist eventId={selectedOpkomst.id} />
                       </div>
                     </div>
                   )}
@@ -15,16 +15,25 @@
 
 // React core imports
 import React, { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
 import { updateAttendance, updateEvent } from '../services/api'
 import { withSupportContact } from '../config/appInfo'
 import { useToast } from '../hooks/useToast'
+import { useMyExcuses, useSubmitExcuse } from '../hooks/useQueries'
+import { canChangeAttendance, validateRsvpDeadlineHours, toRsvpDeadlineHours, MAX_RSVP_DEADLINE_HOURS } from '../lib/rsvpDeadline'
+import { PERMISSIONS, hasPermission } from '../lib/permissions'
+import { isHistoricalUser } from '../lib/userStatus'
 
 // Location input with autocomplete
 import LocationInput from '../components/LocationInput'
+import RsvpCountdown from '../components/RsvpCountdown'
 
 // Component styling
 import './OpkomstenPage.css'
 
+// Changing someone else's attendance (mirrors PUT /api/events/:id/attendance)
+const ATTENDANCE_PERMISSIONS = [PERMISSIONS.EVENTS, PERMISSIONS.STREPEN]
+
 // ================================================================
 // UTILITY FUNCTIONS
 // ================================================================
@@ -69,19 +78,68 @@ function filterFutureOpkomstEvents(events) {
   })
 }
 
+// ================================================================
+// AFMELDING MET REDEN
+// ================================================================
+
 /**
- * Check if attendance can be changed for an event
+ * Excuse form and status for one opkomst. Available even after the
+ * attendance deadline; an admin approves or denies the excuse.
  */
-function canChangeAttendance(eventStart) {
-  const now = new Date()
-  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate())
-  const eventDate = new Date(eventStart)
-  const eventDay = new Date(eventDate.getFullYear(), eventDate.getMonth(), eventDate.getDate())
-  
-  // Can only change attendance before the event date
-  return eventDay > today
-}
+function ExcuseSection({ event, excuse, onSubmit, isSubmitting }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [reason, setReason] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const submitted = await onSubmit(event.id, reason.trim())
+    if (submitted) {
+      setIsOpen(false)
+      setReason('')
+    }
+  }
 
+  return (
+    <div className="content-section excuse-section">
+      {excuse && (
+        <div className="excuse-status">
+          <span className={`excuse-pill excuse-pill-${excuse.status}`}>Afmelding: {excuse.statusLabel}</span>
+          <p className="excuse-reason">{excuse.reason}</p>
+          {excuse.reviewComment && (
+            <p className="excuse-comment"><strong>Toelichting:</strong> {excuse.reviewComment}</p>
+          )}
+        </div>
+      )}
+      {excuse?.status !== 'approved' && (
+        isOpen ? (
+          <form className="excuse-form" onSubmit={handleSubmit}>
+            <label htmlFor={`excuse-${event.id}`}>Reden van afwezigheid</label>
+            <textarea
+              id={`excuse-${event.id}`}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={500}
+              rows={3}
+              required
+            />
+            <div className="excuse-form-actions">
+              <button type="button" className="excuse-btn secondary" onClick={() => setIsOpen(false)} disabled={isSubmitting}>
+                Annuleren
+              </button>
+              <button type="submit" className="excuse-btn" disabled={isSubmitting || !reason.trim()}>
+                {isSubmitting ? 'Versturen...' : 'Afmelding versturen'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <button type="button" className="excuse-btn secondary" onClick={() => setIsOpen(true)}>
+            {excuse ? 'Afmelding aanpassen' : 'Afmelden met reden'}
+          </button>
+        )
+      )}
+    </div>
+  )
+}
 
 // ================================================================
 // TOAST NOTIFICATION COMPONENT
@@ -175,7 +233,7 @@ function TimeInput24({ value, onChange, disabled, error }) {
 // OPKOMST EDIT FORM COMPONENT
 // ================================================================
 
-function OpkomstEditForm({ event, onClose, onSave, users = [], currentUser = null }) {
+function OpkomstEditForm({ event, onClose, onSave, users = [] }) {
   // Helper function to increment date by one day
   const nextDay = (dateStr) => {
     const [y, m, d] = dateStr.split('-').map(Number)
@@ -211,7 +269,8 @@ function OpkomstEditForm({ event, onClose, onSave, users = [], currentUser = nul
     location: event?.location || 'Clubhuis Scouting MPD',
     description: event?.description || '',
     isOpkomst: true, // Always true for opkomst events
-    opkomstmakers: initializeOpkomstmakers()
+    opkomstmakers: initializeOpkomstmakers(),
+    rsvpDeadlineHours: event?.rsvpDeadlineHours ?? ''
   })
 
   const [errors, setErrors] = useState({})
@@ -320,6 +379,11 @@ function OpkomstEditForm({ event, onClose, onSave, users = [], currentUser = nul
       }
     }
 
+    const rsvpError = validateRsvpDeadlineHours(formData.rsvpDeadlineHours)
+    if (rsvpError) {
+      newErrors.rsvpDeadlineHours = rsvpError
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -359,15 +423,11 @@ function OpkomstEditForm({ event, onClose, onSave, users = [], currentUser = nul
         description: description.trim(),
         isOpkomst: true,
         opkomstmakers: opkomstmakersString,
-        userId: currentUser?.id
-      }
-
-      if (!payload.userId) {
-        throw new Error('Gebruiker ID is verplicht voor het opslaan van evenementen')
+        rsvpDeadlineHours: toRsvpDeadlineHours(formData.rsvpDeadlineHours)
       }
 
       // Use the API helper
-      const saved = await updateEvent(event.id, payload, currentUser.id)
+      const saved = await updateEvent(event.id, payload)
 
       // Convert back to OpkomstenPage format
       const updatedEvent = {
@@ -380,6 +440,8 @@ function OpkomstEditForm({ event, onClose, onSave, users = [], currentUser = nul
         description: saved.description,
         isOpkomst: saved.isOpkomst,
         opkomstmakers: saved.opkomstmakers,
+        rsvpDeadline: saved.rsvpDeadline,
+        rsvpDeadlineHours: saved.rsvpDeadlineHours ?? null,
         participants: saved.participants || []
       }
 
@@ -579,6 +641,30 @@ function OpkomstEditForm({ event, onClose, onSave, users = [], currentUser = nul
               />
             </div>
 
+            {/* RSVP deadline */}
+            <div className="form-group">
+              <label className="form-label" htmlFor="rsvpDeadlineHours">
+                Aanmelddeadline (uren voor aanvang)
+              </label>
+              <input
+                id="rsvpDeadlineHours"
+                type="number"
+                min="0"
+                max={MAX_RSVP_DEADLINE_HOURS}
+                step="1"
+                className={`form-input ${errors.rsvpDeadlineHours ? 'error' : ''}`}
+                value={formData.rsvpDeadlineHours}
+                onChange={e => handleInputChange('rsvpDeadlineHours', e.target.value)}
+                placeholder="Standaard"
+                disabled={isSubmitting}
+              />
+              {errors.rsvpDeadlineHours && (
+                <div className="field-error" role="alert">
+                  {errors.rsvpDeadlineHours}
+                </div>
+              )}
+            </div>
+
             {/* Description */}
             <div className="form-group form-group-full">
               <label className="form-label" htmlFor="description">
@@ -649,6 +735,8 @@ export default function OpkomstenPage() {
   const [error, setError] = useState(null)
   const { addToast } = useToast();
   const [editingEvent, setEditingEvent] = useState(null) // For editing events
+  const { data: myExcuses = [] } = useMyExcuses({ enabled: Boolean(currentUser) })
+  const submitExcuse = useSubmitExcuse()
 
   console.log('OpkomstenPage component initialized')
 
@@ -662,9 +750,20 @@ export default function OpkomstenPage() {
     }, [addToast]);
 
 
+    const handleSubmitExcuse = useCallback(async (eventId, reason) => {
+      try {
+        await submitExcuse.mutateAsync({ eventId, reason })
+        showToast('Je afmelding is verstuurd en wacht op goedkeuring', 'success')
+        return true
+      } catch (excuseError) {
+        showToast(withSupportContact(excuseError?.message || 'Afmelding versturen mislukt'), 'error')
+        return false
+      }
+    }, [submitExcuse, showToast])
+
     // Handle edit event
     const handleEditEvent = useCallback((event) => {
-      if (!currentUser || !currentUser.isAdmin) {
+      if (!hasPermission(currentUser, PERMISSIONS.EVENTS)) {
         showToast('Alleen admins kunnen opkomsten bewerken', 'error')
         return
       }
@@ -707,6 +806,7 @@ export default function OpkomstenPage() {
         description: event.description || '',
         isOpkomst: event.isOpkomst || false,
         opkomstmakers: opkomstmakersArray,
+        rsvpDeadlineHours: event.rsvpDeadlineHours ?? null,
       })
     }, [users, currentUser, showToast])
 
@@ -911,8 +1011,8 @@ export default function OpkomstenPage() {
       return
     }
 
-    if (!canChangeAttendance(event.start)) {
-      showToast('Je kunt alleen aanwezigheid wijzigen voor de datum van de opkomst', 'warning')
+    if (!canChangeAttendance(event)) {
+      showToast('De aanmelddeadline voor deze opkomst is verstreken. Dien een afmelding met reden in als je niet kunt komen.', 'warning')
       return
     }
 
@@ -998,7 +1098,7 @@ export default function OpkomstenPage() {
 
   // Handle admin clicking on a user name to toggle their participation
   const handleAdminToggleParticipation = useCallback(async (eventId, userId) => {
-    if (!currentUser || !currentUser.isAdmin) {
+    if (!hasPermission(currentUser, ATTENDANCE_PERMISSIONS)) {
       showToast('Alleen admins kunnen deelname van anderen wijzigen', 'error')
       return
     }
@@ -1124,6 +1224,7 @@ export default function OpkomstenPage() {
       <div className="opkomsten-container">
         <div className="opkomsten-header">
           <h1 className="opkomsten-title">Opkomsten</h1>
+          <Link to="/inchecken" className="opkomsten-check-in-link">QR-code scannen om in te checken</Link>
         </div>
 
       {opkomstEvents.length === 0 ? (
@@ -1180,6 +1281,8 @@ export default function OpkomstenPage() {
                     </div>
                   </div>
                 )}
+
+                <RsvpCountdown event={event} className="opkomsten-card__rsvp" />
                 
                 <div className="card-actions">
                   <label className="attendance-toggle">
@@ -1191,8 +1294,8 @@ export default function OpkomstenPage() {
                       }
                       onChange={(e) => handleAttendanceChange(event.id, e.target.checked)}
                       className="attendance-checkbox-input"
-                      disabled={!canChangeAttendance(event.start)}
-                      title={!canChangeAttendance(event.start) ? 'Aanwezigheid kan alleen worden gewijzigd voor de datum van de opkomst' : ''}
+                      disabled={!canChangeAttendance(event)}
+                      title={!canChangeAttendance(event) ? 'De aanmelddeadline voor deze opkomst is verstreken' : ''}
                     />
                     <span className="attendance-checkbox-custom"></span>
                     <span className="attendance-label">
@@ -1200,7 +1303,7 @@ export default function OpkomstenPage() {
                     </span>
                   </label>
                   
-                  {currentUser && currentUser.isAdmin && (
+                  {hasPermission(currentUser, PERMISSIONS.EVENTS) && (
                     <button
                       onClick={() => handleEditEvent(event)}
                       className="edit-btn"
@@ -1221,12 +1324,12 @@ export default function OpkomstenPage() {
                     Aanwezigen ({event.participants ? event.participants.length : 0})
                   </div>
                   <div className="participants-content">
-                    {currentUser && currentUser.isAdmin ? (
-                      // Admin view: Show all non-legacy users with toggleable states
+                    {hasPermission(currentUser, ATTENDANCE_PERMISSIONS) ? (
+                      // Admin view: Show all current (non-historical) users with toggleable states
                       <div className="admin-participants-grid">
                         {users.length > 0 ? (
                           users
-                            .filter(u => (u.status || 'active') !== 'legacy')
+                            .filter(u => !isHistoricalUser(u))
                             .sort((a, b) => a.firstName.localeCompare(b.firstName, 'nl-NL'))
                             .map(user => {
                               const isParticipating = event.participants && event.participants.includes(user.id)
@@ -1263,6 +1366,15 @@ export default function OpkomstenPage() {
                     )}
                   </div>
                 </div>
+
+                {currentUser && (
+                  <ExcuseSection
+                    event={event}
+                    excuse={myExcuses.find(item => item.eventId === event.id)}
+                    onSubmit={handleSubmitExcuse}
+                    isSubmitting={submitExcuse.isPending}
+                  />
+                )}
               </div>
             </div>
           ))}
@@ -1276,7 +1388,6 @@ export default function OpkomstenPage() {
           onClose={() => setEditingEvent(null)}
           onSave={handleAdd}
           users={users.filter(u => (u.status || 'active') === 'active')}
-          currentUser={currentUser}
         />
       )}
       </div>
@@ -1,6 +1,19 @@
 import React, { useEffect, useMemo, useState } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
 import { withSupportContact } from '../config/appInfo'
-import { submitPaymentRequest } from '../services/api'
+import { getPaymentBatchSepa, submitPaymentRequest } from '../services/api'
+import { queryKeys } from '../lib/queryClient'
+import { PERMISSIONS, hasPermission } from '../lib/permissions'
+import {
+  useBankStatements,
+  useExportSepaBatch,
+  useImportBankStatement,
+  useMatchBankTransaction,
+  useMyPaymentRequests,
+  usePaymentBatches,
+  usePaymentRequests,
+  useUpdatePaymentRequestStatus
+} from '../hooks/useQueries'
 import './PaymentRequestPage.css'
 
 const MAX_FILES = 3
@@ -33,6 +46,71 @@ const DRAFT_FIELDS = [
 
 const IMAGE_EXTENSIONS = new Set(['jpg', 'jpeg', 'png', 'webp', 'heic', 'heif'])
 
+const STATUS_LABELS = {
+  submitted: 'Ingediend',
+  approved: 'Goedgekeurd',
+  rejected: 'Afgewezen',
+  paid: 'Uitbetaald'
+}
+
+// Acties die de penningmeester per status kan uitvoeren (spiegelt de API)
+const REVIEW_ACTIONS = {
+  submitted: [
+    { status: 'approved', label: 'Goedkeuren' },
+    { status: 'rejected', label: 'Afwijzen' }
+  ],
+  approved: [
+    { status: 'paid', label: 'Markeer als uitbetaald' },
+    { status: 'rejected', label: 'Afwijzen' }
+  ],
+  rejected: [
+    { status: 'submitted', label: 'Heropenen' }
+  ],
+  paid: []
+}
+
+const currencyFormatter = new Intl.NumberFormat('nl-NL', { style: 'currency', currency: 'EUR' })
+
+function formatAmount(amount) {
+  const value = Number(amount)
+  return Number.isFinite(value) ? currencyFormatter.format(value) : '-'
+}
+
+function formatDate(value) {
+  if (!value) return '-'
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return '-'
+  return date.toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric' })
+}
+
+function getDefaultExecutionDate() {
+  const date = new Date()
+  date.setDate(date.getDate() + 1)
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${date.getFullYear()}-${month}-${day}`
+}
+
+function downloadXmlFile(xml, fileName) {
+  const blob = new Blob([xml], { type: 'application/xml' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`payment-status-badge status-${status}`}>
+      {STATUS_LABELS[status] || status}
+    </span>
+  )
+}
+
 function getFileExtension(fileName = '') {
   return String(fileName).toLowerCase().split('.').pop() || ''
 }
@@ -236,12 +314,406 @@ function clearStoredDraft(storageKey) {
   }
 }
 
+function MyPaymentRequests({ enabled }) {
+  const { data: requests = [], isLoading, error } = useMyPaymentRequests({ enabled })
+
+  return (
+    <section className="payment-request-history">
+      <h2>Mijn declaraties</h2>
+      {isLoading && <p className="text-muted">Declaraties laden...</p>}
+      {error && <div className="form-alert error">{error.message || 'Declaraties laden mislukt.'}</div>}
+      {!isLoading && !error && requests.length === 0 && (
+        <p className="text-muted">Je hebt nog geen declaraties ingediend.</p>
+      )}
+      {requests.length > 0 && (
+        <ul className="payment-request-list">
+          {requests.map((item) => (
+            <li key={item.id} className="payment-request-item">
+              <div className="payment-request-item-header">
+                <strong>{item.expenseTitle}</strong>
+                <StatusBadge status={item.status} />
+              </div>
+              <div className="payment-request-item-meta">
+                <span>{formatAmount(item.amount)}</span>
+                <span>Ingediend op {formatDate(item.submittedAt)}</span>
+                {item.paidAt && <span>Uitbetaald op {formatDate(item.paidAt)}</span>}
+              </div>
+              {item.reviewerComment && (
+                <p className="payment-request-comment">
+                  <strong>Toelichting:</strong> {item.reviewerComment}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+function PaymentRequestReview() {
+  const [statusFilter, setStatusFilter] = useState('submitted')
+  const [comments, setComments] = useState({})
+  const [actionError, setActionError] = useState(null)
+  const filters = useMemo(() => (statusFilter ? { status: statusFilter } : {}), [statusFilter])
+  const { data, isLoading, error } = usePaymentRequests(filters)
+  const updateStatus = useUpdatePaymentRequestStatus()
+  const requests = data?.requests || []
+
+  const handleAction = (item, status) => {
+    const comment = (comments[item.id] || '').trim()
+    if (status === 'rejected' && !comment) {
+      setActionError('Geef een toelichting bij het afwijzen van een declaratie.')
+      return
+    }
+
+    setActionError(null)
+    updateStatus.mutate(
+      { requestId: item.id, status, comment },
+      {
+        onSuccess: () => setComments((prev) => ({ ...prev, [item.id]: '' })),
+        onError: (mutationError) => setActionError(mutationError.message || 'Status bijwerken mislukt.')
+      }
+    )
+  }
+
+  return (
+    <section className="payment-request-history">
+      <div className="payment-request-history-header">
+        <h2>Declaraties beoordelen</h2>
+        <select
+          className="form-select"
+          value={statusFilter}
+          onChange={(event) => setStatusFilter(event.target.value)}
+          aria-label="Filter op status"
+        >
+          <option value="">Alle statussen</option>
+          {Object.entries(STATUS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {statusFilter && data?.totals?.[statusFilter] && (
+        <p className="text-muted">
+          {data.totals[statusFilter].count} declaratie(s), totaal {formatAmount(data.totals[statusFilter].amount)}
+        </p>
+      )}
+      {actionError && <div className="form-alert error">{actionError}</div>}
+      {isLoading && <p className="text-muted">Declaraties laden...</p>}
+      {error && <div className="form-alert error">{error.message || 'Declaraties laden mislukt.'}</div>}
+      {!isLoading && !error && requests.length === 0 && (
+        <p className="text-muted">Geen declaraties gevonden.</p>
+      )}
+      {requests.length > 0 && (
+        <ul className="payment-request-list">
+          {requests.map((item) => {
+            const actions = (REVIEW_ACTIONS[item.status] || [])
+              .filter((action) => !(item.batchId && action.status === 'rejected'))
+            const isUpdating = updateStatus.isPending && updateStatus.variables?.requestId === item.id
+            return (
+              <li key={item.id} className="payment-request-item">
+                <div className="payment-request-item-header">
+                  <strong>{item.requesterName} - {item.expenseTitle}</strong>
+                  <span>
+                    {item.batchId && <span className="payment-status-badge status-batch">In batch</span>}
+                    <StatusBadge status={item.status} />
+                  </span>
+                </div>
+                <div className="payment-request-item-meta">
+                  <span>{formatAmount(item.amount)}</span>
+                  <span>Betaald aan {item.paidTo} op {formatDate(item.expenseDate)}</span>
+                  <span>Ingediend op {formatDate(item.submittedAt)}</span>
+                  <span>
+                    {item.paymentMethod === 'paymentLink'
+                      ? <a href={item.paymentLink} target="_blank" rel="noopener noreferrer">Betaallink</a>
+                      : `IBAN ${item.iban || item.ibanMasked || '-'}`}
+                  </span>
+                </div>
+                {item.description && <p className="payment-request-comment">{item.description}</p>}
+                {item.notes && (
+                  <p className="payment-request-comment">
+                    <strong>Opmerking:</strong> {item.notes}
+                  </p>
+                )}
+                {item.reviewerComment && (
+                  <p className="payment-request-comment">
+                    <strong>Toelichting:</strong> {item.reviewerComment}
+                  </p>
+                )}
+                {actions.length > 0 && (
+                  <div className="payment-request-review">
+                    <textarea
+                      rows={2}
+                      placeholder="Toelichting voor de indiener (verplicht bij afwijzen)"
+                      value={comments[item.id] || ''}
+                      onChange={(event) => setComments((prev) => ({ ...prev, [item.id]: event.target.value }))}
+                      disabled={isUpdating}
+                    />
+                    <div className="payment-request-review-actions">
+                      {actions.map((action) => (
+                        <button
+                          key={action.status}
+                          type="button"
+                          className={action.status === 'rejected' ? 'secondary-btn' : 'primary-btn'}
+                          onClick={() => handleAction(item, action.status)}
+                          disabled={isUpdating}
+                        >
+                          {action.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+function SepaExportPanel() {
+  const [executionDate, setExecutionDate] = useState(getDefaultExecutionDate)
+  const [message, setMessage] = useState(null)
+  const [exportError, setExportError] = useState(null)
+  const { data: approved } = usePaymentRequests({ status: 'approved' })
+  const { data: batches = [] } = usePaymentBatches()
+  const exportSepa = useExportSepaBatch()
+
+  const exportable = (approved?.requests || []).filter((item) => item.paymentMethod === 'iban' && !item.batchId)
+  const exportableTotal = exportable.reduce((sum, item) => sum + (Number(item.amount) || 0), 0)
+
+  const handleExport = () => {
+    setMessage(null)
+    setExportError(null)
+    exportSepa.mutate(
+      { executionDate },
+      {
+        onSuccess: (data) => {
+          downloadXmlFile(data.xml, data.fileName)
+          const skippedText = data.skipped?.length
+            ? ` ${data.skipped.length} declaratie(s) met een ongeldig IBAN zijn overgeslagen.`
+            : ''
+          setMessage(`SEPA-bestand met ${data.batch.count} betaling(en) (${formatAmount(data.batch.totalAmount)}) gemaakt.${skippedText}`)
+        },
+        onError: (mutationError) => setExportError(mutationError.message || 'SEPA-bestand maken mislukt.')
+      }
+    )
+  }
+
+  const handleDownload = async (batch) => {
+    setExportError(null)
+    try {
+      const data = await getPaymentBatchSepa(batch.id)
+      downloadXmlFile(data.xml, data.fileName)
+    } catch (error) {
+      setExportError(error.message || 'SEPA-bestand ophalen mislukt.')
+    }
+  }
+
+  return (
+    <section className="payment-request-history">
+      <h2>SEPA-export</h2>
+      <p className="text-muted">
+        {exportable.length} goedgekeurde IBAN-declaratie(s) klaar voor uitbetaling, totaal {formatAmount(exportableTotal)}.
+        Geëxporteerde declaraties worden als &quot;in batch&quot; gemarkeerd en komen niet nog een keer in een bestand.
+      </p>
+      <div className="payment-request-history-header">
+        <label className="payment-request-inline-field">
+          Uitvoerdatum
+          <input
+            type="date"
+            value={executionDate}
+            min={getDefaultExecutionDate()}
+            onChange={(event) => setExecutionDate(event.target.value)}
+            disabled={exportSepa.isPending}
+          />
+        </label>
+        <div className="payment-request-review-actions">
+          <button
+            type="button"
+            className="primary-btn"
+            onClick={handleExport}
+            disabled={exportSepa.isPending || exportable.length === 0 || !executionDate}
+          >
+            {exportSepa.isPending ? 'Bezig...' : 'SEPA-bestand maken'}
+          </button>
+        </div>
+      </div>
+      {exportError && <div className="form-alert error">{exportError}</div>}
+      {message && <div className="form-alert success">{message}</div>}
+      {batches.length > 0 && (
+        <ul className="payment-request-list">
+          {batches.map((batch) => (
+            <li key={batch.id} className="payment-request-item">
+              <div className="payment-request-item-header">
+                <strong>{batch.messageId}</strong>
+                <div className="payment-request-review-actions">
+                  <button type="button" className="primary-btn" onClick={() => handleDownload(batch)}>
+                    Download
+                  </button>
+                </div>
+              </div>
+              <div className="payment-request-item-meta">
+                <span>{batch.count} betaling(en)</span>
+                <span>{formatAmount(batch.totalAmount)}</span>
+                <span>Uitvoerdatum {formatDate(batch.executionDate)}</span>
+                <span>Gemaakt op {formatDate(batch.createdAt)}</span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+function BankStatementPanel() {
+  const [message, setMessage] = useState(null)
+  const [panelError, setPanelError] = useState(null)
+  const [selection, setSelection] = useState({})
+  const { data: statements = [] } = useBankStatements()
+  const { data: approved } = usePaymentRequests({ status: 'approved' })
+  const importStatement = useImportBankStatement()
+  const matchTransaction = useMatchBankTransaction()
+  const approvedRequests = approved?.requests || []
+
+  const openTransactions = statements.flatMap((statement) =>
+    (statement.transactions || [])
+      .filter((transaction) => transaction.state === 'unmatched')
+      .map((transaction) => ({ ...transaction, statementId: statement.id }))
+  )
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setMessage(null)
+    setPanelError(null)
+    try {
+      const xml = await file.text()
+      importStatement.mutate(
+        { xml, fileName: file.name },
+        {
+          onSuccess: (data) => setMessage(data.msg || 'Bankafschrift geïmporteerd.'),
+          onError: (mutationError) => setPanelError(mutationError.message || 'Bankafschrift importeren mislukt.')
+        }
+      )
+    } catch {
+      setPanelError('Bestand kon niet worden gelezen.')
+    }
+  }
+
+  const handleResolve = (transaction, ignore = false) => {
+    const key = `${transaction.statementId}:${transaction.reference}`
+    const requestId = selection[key]
+    if (!ignore && !requestId) {
+      setPanelError('Kies eerst een declaratie om te koppelen.')
+      return
+    }
+
+    setPanelError(null)
+    matchTransaction.mutate(
+      { statementId: transaction.statementId, reference: transaction.reference, requestId, ignore },
+      { onError: (mutationError) => setPanelError(mutationError.message || 'Transactie koppelen mislukt.') }
+    )
+  }
+
+  return (
+    <section className="payment-request-history">
+      <h2>Bankafschrift afletteren</h2>
+      <p className="text-muted">
+        Upload het CAMT.053-afschrift van de bank. Betalingen worden op kenmerk, bedrag en IBAN gekoppeld aan
+        goedgekeurde declaraties en als uitbetaald gemarkeerd.
+      </p>
+      <label className="payment-request-inline-field">
+        CAMT.053-bestand
+        <input
+          type="file"
+          accept=".xml,application/xml,text/xml"
+          onChange={handleFileChange}
+          disabled={importStatement.isPending}
+        />
+      </label>
+      {importStatement.isPending && <p className="text-muted">Afschrift verwerken...</p>}
+      {panelError && <div className="form-alert error">{panelError}</div>}
+      {message && <div className="form-alert success">{message}</div>}
+
+      {openTransactions.length > 0 && (
+        <>
+          <h3>Handmatig koppelen</h3>
+          <ul className="payment-request-list">
+            {openTransactions.map((transaction) => {
+              const key = `${transaction.statementId}:${transaction.reference}`
+              const candidates = transaction.candidateIds?.length
+                ? approvedRequests.filter((item) => transaction.candidateIds.includes(item.id))
+                : []
+              const options = candidates.length > 0 ? candidates : approvedRequests
+              return (
+                <li key={key} className="payment-request-item">
+                  <div className="payment-request-item-header">
+                    <strong>{transaction.name || 'Onbekende ontvanger'} - {formatAmount(transaction.amount)}</strong>
+                    <span className="text-muted">{formatDate(transaction.bookingDate)}</span>
+                  </div>
+                  <div className="payment-request-item-meta">
+                    {transaction.iban && <span>IBAN {transaction.iban}</span>}
+                    {transaction.endToEndId && <span>Kenmerk {transaction.endToEndId}</span>}
+                    {transaction.remittance && <span>{transaction.remittance}</span>}
+                  </div>
+                  {transaction.reason && <p className="payment-request-comment">{transaction.reason}</p>}
+                  <div className="payment-request-history-header">
+                    <select
+                      className="form-select"
+                      value={selection[key] || ''}
+                      onChange={(event) => setSelection((prev) => ({ ...prev, [key]: event.target.value }))}
+                      aria-label="Declaratie kiezen"
+                    >
+                      <option value="">Kies een declaratie</option>
+                      {options.map((item) => (
+                        <option key={item.id} value={item.id}>
+                          {item.requesterName} - {item.expenseTitle} ({formatAmount(item.amount)})
+                        </option>
+                      ))}
+                    </select>
+                    <div className="payment-request-review-actions">
+                      <button
+                        type="button"
+                        className="primary-btn"
+                        onClick={() => handleResolve(transaction)}
+                        disabled={matchTransaction.isPending}
+                      >
+                        Koppelen
+                      </button>
+                      <button
+                        type="button"
+                        className="secondary-btn"
+                        onClick={() => handleResolve(transaction, true)}
+                        disabled={matchTransaction.isPending}
+                      >
+                        Negeren
+                      </button>
+                    </div>
+                  </div>
+                </li>
+              )
+            })}
+          </ul>
+        </>
+      )}
+    </section>
+  )
+}
+
 export default function PaymentRequestPage({ user: userProp }) {
   const resolvedUser = useMemo(
     () => resolveStoredUser(userProp),
     [userProp]
   )
+  const canManageDeclaraties = hasPermission(resolvedUser, PERMISSIONS.DECLARATIES)
   const draftStorageKey = getDraftStorageKey(resolvedUser)
+  const queryClient = useQueryClient()
   const [formData, setFormData] = useState(() => {
     const initialData = getInitialFormData(resolvedUser)
     return readStoredDraft(getDraftStorageKey(resolvedUser), initialData)
@@ -463,8 +935,9 @@ export default function PaymentRequestPage({ user: userProp }) {
         attachments: preparedAttachments
       })
 
-      setStatusMessage('Je declaratie is verzonden! De penningmeester stuurt een bevestiging zodra de declaratie is goedgekeurd.')
+      setStatusMessage('Je declaratie is verzonden! Je krijgt een e-mail zodra de penningmeester de status wijzigt. Onder "Mijn declaraties" zie je de actuele status.')
       resetForm()
+      queryClient.invalidateQueries({ queryKey: queryKeys.paymentRequests.all })
     } catch (error) {
       console.error('Payment request failed', error)
       setErrorMessage(withSupportContact(error.message || 'Versturen mislukt. Probeer het later opnieuw.'))
@@ -725,6 +1198,14 @@ export default function PaymentRequestPage({ user: userProp }) {
           </div>
         </form>
       </div>
+
+      <MyPaymentRequests enabled={Boolean(resolvedUser?.id)} />
+
+      {canManageDeclaraties && <PaymentRequestReview />}
+
+      {canManageDeclaraties && <SepaExportPanel />}
+
+      {canManageDeclaraties && <BankStatementPanel />}
     </section>
   )
 }
@@ -0,0 +1,648 @@
+/**
+ * ================================================================
+ * ROOSTER PAGE
+ * ================================================================
+ *
+ * Admin tool for spreading duties fairly over the members. A proposal
+ * is built server-side from everyone's history and stated
+ * unavailability; the admin reviews it and applies it in one go.
+ *
+ * Sections:
+ * - Opkomstmakerrooster: propose and apply opkomstmakers, by default
+ *   until the end of the season, without repeating a pair back to back
+ * - Schoonmaakrooster: propose and apply schoonmakers for a date range
+ * - Totals per duty: past, planned and proposed duties per member
+ * - Ruilverzoeken: accepted swaps waiting for approval (when required)
+ * - Schoonmaaktaken: task templates that make up a schoonmaak checklist
+ * - Onvolledige schoonmaken: past schoonmaken with open tasks
+ *
+ * Opkomstmaker sections need the rooster permission, schoonmaak sections
+ * the schoonmaak permission (schoonmaakcoördinator).
+ * - Niet beschikbaar: upcoming unavailability of all members
+ *
+ * @author R.S. Kort
+ */
+
+import React, { useMemo, useState } from 'react'
+import {
+  useApplyOpkomstmakerRotation,
+  useApplySchoonmaakRotation,
+  useDeleteUnavailability,
+  useIncompleteSchoonmaken,
+  useOpkomstmakerTotals,
+  usePreviewOpkomstmakerRotation,
+  usePreviewSchoonmaakRotation,
+  useReviewSwap,
+  useSaveSchoonmaakTask,
+  useSchoonmaakTasks,
+  useSchoonmaakTotals,
+  useSwaps,
+  useUnavailability
+} from '../hooks/useQueries'
+import { PERMISSIONS, hasPermission } from '../lib/permissions'
+import './RoosterPage.css'
+
+const MAX_PER_EVENT = 6
+
+const DUTY_PANELS = {
+  opkomst: {
+    title: 'Opkomstmakerrooster',
+    totalsTitle: 'Opkomstmakertotalen',
+    hint: 'Leden die het minst vaak opkomstmaker waren worden eerst ingedeeld. Wie voor een datum heeft aangegeven niet te kunnen, wordt die dag overgeslagen.',
+    sizeLabel: 'Opkomstmakers per opkomst',
+    eventLabel: 'Opkomst',
+    eventsLabel: 'opkomsten',
+    idsField: 'opkomstmakerIds',
+    showPairOption: true,
+    useTotals: useOpkomstmakerTotals,
+    usePreview: usePreviewOpkomstmakerRotation,
+    useApply: useApplyOpkomstmakerRotation
+  },
+  schoonmaak: {
+    title: 'Schoonmaakrooster',
+    totalsTitle: 'Schoonmaaktotalen',
+    hint: 'Leden met de minste schoonmaakbeurten worden eerst ingedeeld. Wie voor een datum heeft aangegeven niet beschikbaar te zijn, wordt die dag overgeslagen.',
+    sizeLabel: 'Schoonmakers per keer',
+    eventLabel: 'Schoonmaak',
+    eventsLabel: 'schoonmaken',
+    idsField: 'schoonmakerIds',
+    showPairOption: false,
+    useTotals: useSchoonmaakTotals,
+    usePreview: usePreviewSchoonmaakRotation,
+    useApply: useApplySchoonmaakRotation
+  }
+}
+
+const DATE_FORMAT = new Intl.DateTimeFormat('nl-NL', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+})
+
+function toDateKey(date) {
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+function formatDay(value) {
+  const date = new Date(String(value).slice(0, 10) + 'T00:00:00')
+  return Number.isNaN(date.getTime()) ? value : DATE_FORMAT.format(date)
+}
+
+function formatRange(entry) {
+  return entry.startDate === entry.endDate
+    ? formatDay(entry.startDate)
+    : `${formatDay(entry.startDate)} t/m ${formatDay(entry.endDate)}`
+}
+
+/**
+ * Duties per member; the proposed column only shows while a proposal is open
+ */
+function DutyTotalsTable({ totals, showProposed }) {
+  if (totals.length === 0) {
+    return <p className="rooster__hint">Nog geen actieve leden gevonden.</p>
+  }
+
+  return (
+    <div className="rooster__table-wrapper">
+      <table className="rooster__table">
+        <thead>
+          <tr>
+            <th>Lid</th>
+            <th>Geweest</th>
+            <th>Gepland</th>
+            {showProposed && <th>Voorstel</th>}
+            <th>Totaal</th>
+          </tr>
+        </thead>
+        <tbody>
+          {totals.map((row) => (
+            <tr key={row.userId} className={row.active ? '' : 'rooster__row--inactive'}>
+              <td>{row.name}{!row.active && ' (inactief)'}</td>
+              <td>{row.past}</td>
+              <td>{row.upcoming}</td>
+              {showProposed && <td>{row.proposed ? `+${row.proposed}` : '-'}</td>}
+              <td>{row.past + row.upcoming + (showProposed ? row.proposed : 0)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+/**
+ * Propose, review and apply one duty rotation
+ * @param {Object} props
+ * @param {Object} props.config - Entry of DUTY_PANELS
+ */
+function DutyRotationPanel({ config }) {
+  const [from, setFrom] = useState(() => toDateKey(new Date()))
+  const [to, setTo] = useState('')
+  const [perEvent, setPerEvent] = useState(2)
+  const [onlyUnassigned, setOnlyUnassigned] = useState(false)
+  const [avoidRepeatPairs, setAvoidRepeatPairs] = useState(config.showPairOption)
+  const [proposal, setProposal] = useState(null)
+  const [excluded, setExcluded] = useState(() => new Set())
+  const [message, setMessage] = useState(null)
+  const [error, setError] = useState('')
+
+  const { data: totals = [], isLoading: isTotalsLoading } = config.useTotals()
+  const preview = config.usePreview()
+  const apply = config.useApply()
+
+  const selected = useMemo(
+    () => (proposal?.proposal || []).filter((row) => !excluded.has(row.eventId)),
+    [proposal, excluded]
+  )
+
+  const handlePreview = async (e) => {
+    e.preventDefault()
+    setError('')
+    setMessage(null)
+    try {
+      const params = { from, perEvent: Number(perEvent), onlyUnassigned }
+      if (to) params.to = to
+      if (config.showPairOption) params.avoidRepeatPairs = avoidRepeatPairs
+      const result = await preview.mutateAsync(params)
+      setProposal(result)
+      setExcluded(new Set())
+    } catch (err) {
+      setError(err?.message || 'Voorstel maken mislukt')
+    }
+  }
+
+  const toggleRow = (eventId) => {
+    setExcluded((prev) => {
+      const next = new Set(prev)
+      if (next.has(eventId)) next.delete(eventId)
+      else next.add(eventId)
+      return next
+    })
+  }
+
+  const handleApply = async () => {
+    if (selected.length === 0) return
+    if (!window.confirm(`Indeling voor ${selected.length} ${config.eventsLabel} overschrijven?`)) return
+    setError('')
+    try {
+      const result = await apply.mutateAsync(
+        selected.map((row) => ({ eventId: row.eventId, [config.idsField]: row.proposedIds }))
+      )
+      setMessage(result?.msg || 'Rooster toegepast')
+      setProposal(null)
+    } catch (err) {
+      setError(err?.message || 'Rooster toepassen mislukt')
+    }
+  }
+
+  const shortfalls = selected.filter((row) => row.shortfall > 0).length
+
+  return (
+    <>
+      <section className="rooster__panel">
+        <h2>{config.title}</h2>
+        <p className="rooster__hint">{config.hint}</p>
+
+        <form className="rooster__form" onSubmit={handlePreview}>
+          <label>
+            Van
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} required />
+          </label>
+          <label>
+            Tot en met
+            <input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} />
+          </label>
+          <label>
+            {config.sizeLabel}
+            <input
+              type="number"
+              min="1"
+              max={MAX_PER_EVENT}
+              value={perEvent}
+              onChange={(e) => setPerEvent(e.target.value)}
+              required
+            />
+          </label>
+          <label className="rooster__checkbox">
+            <input
+              type="checkbox"
+              checked={onlyUnassigned}
+              onChange={(e) => setOnlyUnassigned(e.target.checked)}
+            />
+            Alleen {config.eventsLabel} zonder indeling
+          </label>
+          {config.showPairOption && (
+            <label className="rooster__checkbox">
+              <input
+                type="checkbox"
+                checked={avoidRepeatPairs}
+                onChange={(e) => setAvoidRepeatPairs(e.target.checked)}
+              />
+              Niet twee keer achter elkaar met dezelfde persoon
+            </label>
+          )}
+          <button type="submit" className="rooster__btn" disabled={preview.isPending}>
+            {preview.isPending ? 'Bezig...' : 'Voorstel maken'}
+          </button>
+        </form>
+        <p className="rooster__hint">Zonder einddatum loopt het voorstel tot het einde van het huidige seizoen.</p>
+
+        {error && <div className="rooster__error" role="alert">{error}</div>}
+        {message && <div className="rooster__success">{message}</div>}
+
+        {proposal && (
+          proposal.proposal.length === 0 ? (
+            <p className="rooster__hint">Geen {config.eventsLabel} gevonden in deze periode.</p>
+          ) : (
+            <>
+              <div className="rooster__table-wrapper">
+                <table className="rooster__table">
+                  <thead>
+                    <tr>
+                      <th aria-label="Meenemen" />
+                      <th>Datum</th>
+                      <th>{config.eventLabel}</th>
+                      <th>Huidig</th>
+                      <th>Voorstel</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {proposal.proposal.map((row) => (
+                      <tr key={row.eventId} className={excluded.has(row.eventId) ? 'rooster__row--skipped' : ''}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={!excluded.has(row.eventId)}
+                            onChange={() => toggleRow(row.eventId)}
+                            aria-label={`${row.title} meenemen`}
+                          />
+                        </td>
+                        <td>{formatDay(row.start)}</td>
+                        <td>{row.title}</td>
+                        <td>{row.currentNames || '-'}</td>
+                        <td>
+                          {row.proposedNames || '-'}
+                          {row.shortfall > 0 && (
+                            <span className="rooster__shortfall"> ({row.shortfall} tekort)</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {shortfalls > 0 && (
+                <p className="rooster__hint">
+                  Bij {shortfalls} {config.eventsLabel} zijn te weinig leden beschikbaar.
+                </p>
+              )}
+              <div className="rooster__actions">
+                <button
+                  type="button"
+                  className="rooster__btn"
+                  onClick={handleApply}
+                  disabled={apply.isPending || selected.length === 0}
+                >
+                  {apply.isPending ? 'Toepassen...' : `Voorstel toepassen (${selected.length})`}
+                </button>
+                <button
+                  type="button"
+                  className="rooster__btn rooster__btn--secondary"
+                  onClick={() => setProposal(null)}
+                  disabled={apply.isPending}
+                >
+                  Annuleren
+                </button>
+              </div>
+            </>
+          )
+        )}
+      </section>
+
+      <section className="rooster__panel">
+        <h2>{config.totalsTitle}</h2>
+        {isTotalsLoading ? (
+          <p className="rooster__hint">Laden...</p>
+        ) : (
+          <DutyTotalsTable totals={proposal?.totals || totals} showProposed={Boolean(proposal)} />
+        )}
+      </section>
+    </>
+  )
+}
+
+function SwapApprovalPanel() {
+  const { data } = useSwaps()
+  const review = useReviewSwap()
+  const [error, setError] = useState('')
+
+  const pending = data?.pendingApproval || []
+  if (!data?.requiresApproval && pending.length === 0) return null
+
+  const handleReview = async (swap, status) => {
+    let comment = ''
+    if (status === 'denied') {
+      const input = window.prompt('Toelichting voor beide leden (optioneel)')
+      if (input === null) return
+      comment = input
+    }
+    setError('')
+    try {
+      await review.mutateAsync({ swapId: swap.id, status, comment })
+    } catch (err) {
+      setError(err?.message || 'Ruil beoordelen mislukt')
+    }
+  }
+
+  return (
+    <section className="rooster__panel">
+      <h2>Ruilverzoeken</h2>
+      {error && <div className="rooster__error" role="alert">{error}</div>}
+      {pending.length === 0 ? (
+        <p className="rooster__hint">Er wachten geen ruilen op goedkeuring.</p>
+      ) : (
+        <ul className="rooster__list">
+          {pending.map((swap) => (
+            <li key={swap.id} className="rooster__list-item">
+              <div>
+                <strong>{swap.event?.title || 'Evenement'}</strong>
+                <span className="rooster__list-meta">
+                  {swap.event?.start ? formatDay(swap.event.start) : ''} · {swap.duty === 'opkomst' ? 'opkomstmaker' : 'schoonmaker'}
+                </span>
+                <span className="rooster__list-meta">{swap.fromName} → {swap.toName}</span>
+              </div>
+              <div className="rooster__actions">
+                <button
+                  type="button"
+                  className="rooster__btn"
+                  onClick={() => handleReview(swap, 'approved')}
+                  disabled={review.isPending}
+                >
+                  Goedkeuren
+                </button>
+                <button
+                  type="button"
+                  className="rooster__btn rooster__btn--secondary"
+                  onClick={() => handleReview(swap, 'denied')}
+                  disabled={review.isPending}
+                >
+                  Afwijzen
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+const EMPTY_TASK = { name: '', description: '', active: true }
+
+function SchoonmaakTasksPanel() {
+  const { data: tasks = [], isLoading, error: loadError } = useSchoonmaakTasks()
+  const save = useSaveSchoonmaakTask()
+  const [editingId, setEditingId] = useState(null)
+  const [form, setForm] = useState(EMPTY_TASK)
+  const [error, setError] = useState('')
+
+  const startEdit = (task) => {
+    setError('')
+    setEditingId(task.id)
+    setForm({ name: task.name, description: task.description || '', active: task.active })
+  }
+
+  const resetForm = () => {
+    setEditingId(null)
+    setForm(EMPTY_TASK)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    try {
+      await save.mutateAsync({ taskId: editingId, task: form })
+      resetForm()
+    } catch (err) {
+      setError(err?.message || 'Taak opslaan mislukt')
+    }
+  }
+
+  const handleDelete = async (task) => {
+    if (!window.confirm(`Taak "${task.name}" verwijderen? Bestaande checklists blijven bewaard.`)) return
+    setError('')
+    try {
+      await save.mutateAsync({ taskId: task.id, remove: true })
+      if (editingId === task.id) resetForm()
+    } catch (err) {
+      setError(err?.message || 'Taak verwijderen mislukt')
+    }
+  }
+
+  return (
+    <section className="rooster__panel">
+      <h2>Schoonmaaktaken</h2>
+      <p className="rooster__hint">
+        Actieve taken staan standaard aangevinkt bij een nieuwe schoonmaak en vormen de checklist voor de schoonmakers.
+      </p>
+      {error && <div className="rooster__error" role="alert">{error}</div>}
+
+      {isLoading ? (
+        <p className="rooster__hint">Laden...</p>
+      ) : loadError ? (
+        <div className="rooster__error" role="alert">{loadError.message || 'Schoonmaaktaken ophalen mislukt'}</div>
+      ) : tasks.length === 0 ? (
+        <p className="rooster__hint">Nog geen taken aangemaakt.</p>
+      ) : (
+        <ul className="rooster__list">
+          {tasks.map((task) => (
+            <li key={task.id} className="rooster__list-item">
+              <div>
+                <strong>{task.name}</strong>
+                {!task.active && <span className="rooster__list-meta">Niet actief</span>}
+                {task.description && <span className="rooster__list-meta">{task.description}</span>}
+              </div>
+              <div className="rooster__actions">
+                <button
+                  type="button"
+                  className="rooster__btn rooster__btn--secondary"
+                  onClick={() => startEdit(task)}
+                  disabled={save.isPending}
+                >
+                  Bewerken
+                </button>
+                <button
+                  type="button"
+                  className="rooster__btn rooster__btn--secondary"
+                  onClick={() => handleDelete(task)}
+                  disabled={save.isPending}
+                >
+                  Verwijderen
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="rooster__form" onSubmit={handleSubmit}>
+        <label>
+          Naam
+          <input
+            type="text"
+            value={form.name}
+            maxLength={60}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            required
+          />
+        </label>
+        <label>
+          Omschrijving
+          <input
+            type="text"
+            value={form.description}
+            maxLength={500}
+            onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+          />
+        </label>
+        <label className="rooster__checkbox">
+          <input
+            type="checkbox"
+            checked={form.active}
+            onChange={(e) => setForm((prev) => ({ ...prev, active: e.target.checked }))}
+          />
+          Actief
+        </label>
+        <button type="submit" className="rooster__btn" disabled={save.isPending || !form.name.trim()}>
+          {editingId ? 'Opslaan' : 'Toevoegen'}
+        </button>
+        {editingId && (
+          <button type="button" className="rooster__btn rooster__btn--secondary" onClick={resetForm}>
+            Annuleren
+          </button>
+        )}
+      </form>
+    </section>
+  )
+}
+
+function IncompleteSchoonmakenPanel() {
+  const [from, setFrom] = useState('')
+  const { data, isLoading, error } = useIncompleteSchoonmaken(from)
+  const rows = data?.events || []
+
+  return (
+    <section className="rooster__panel">
+      <h2>Onvolledige schoonmaken</h2>
+      <form className="rooster__form" onSubmit={(e) => e.preventDefault()}>
+        <label>
+          Vanaf
+          <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+        </label>
+      </form>
+      {!from && <p className="rooster__hint">Zonder datum worden de schoonmaken van het huidige seizoen getoond.</p>}
+
+      {isLoading ? (
+        <p className="rooster__hint">Laden...</p>
+      ) : error ? (
+        <div className="rooster__error" role="alert">{error.message || 'Onvolledige schoonmaken ophalen mislukt'}</div>
+      ) : rows.length === 0 ? (
+        <p className="rooster__hint">Alle schoonmaken in deze periode zijn volledig afgevinkt.</p>
+      ) : (
+        <div className="rooster__table-wrapper">
+          <table className="rooster__table">
+            <thead>
+              <tr>
+                <th>Datum</th>
+                <th>Schoonmakers</th>
+                <th>Gedaan</th>
+                <th>Open taken</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.eventId}>
+                  <td>{formatDay(row.start)}</td>
+                  <td>{row.schoonmakers || '-'}</td>
+                  <td>{row.done} / {row.total}</td>
+                  <td>{row.missing.join(', ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+function UnavailabilityPanel() {
+  const { data: entries = [], isLoading, error } = useUnavailability()
+  const remove = useDeleteUnavailability()
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(`Periode van ${entry.userName || 'dit lid'} verwijderen?`)) return
+    try {
+      await remove.mutateAsync(entry.id)
+    } catch (err) {
+      window.alert(err?.message || 'Periode verwijderen mislukt')
+    }
+  }
+
+  return (
+    <section className="rooster__panel">
+      <h2>Niet beschikbaar</h2>
+      {isLoading ? (
+        <p className="rooster__hint">Laden...</p>
+      ) : error ? (
+        <div className="rooster__error" role="alert">{error.message || 'Beschikbaarheid ophalen mislukt'}</div>
+      ) : entries.length === 0 ? (
+        <p className="rooster__hint">Niemand heeft een komende periode opgegeven.</p>
+      ) : (
+        <ul className="rooster__list">
+          {entries.map((entry) => (
+            <li key={entry.id} className="rooster__list-item">
+              <div>
+                <strong>{entry.userName || `Lid ${entry.userId}`}</strong>
+                <span className="rooster__list-meta">{formatRange(entry)}</span>
+                {entry.reason && <span className="rooster__list-meta">{entry.reason}</span>}
+              </div>
+              <button
+                type="button"
+                className="rooster__btn rooster__btn--secondary"
+                onClick={() => handleDelete(entry)}
+                disabled={remove.isPending}
+              >
+                Verwijderen
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default function RoosterPage({ user }) {
+  const canPlanOpkomsten = hasPermission(user, PERMISSIONS.ROOSTER)
+  const canPlanSchoonmaak = hasPermission(user, PERMISSIONS.SCHOONMAAK)
+
+  return (
+    <div className="rooster">
+      <header className="rooster__header">
+        <h1>Rooster</h1>
+        <p className="rooster__hint">Verdeel taken eerlijk over alle actieve leden.</p>
+      </header>
+      {canPlanOpkomsten && <DutyRotationPanel config={DUTY_PANELS.opkomst} />}
+      {canPlanSchoonmaak && <DutyRotationPanel config={DUTY_PANELS.schoonmaak} />}
+      <SwapApprovalPanel />
+      {canPlanSchoonmaak && <SchoonmaakTasksPanel />}
+      {canPlanSchoonmaak && <IncompleteSchoonmakenPanel />}
+      <UnavailabilityPanel />
+    </div>
+  )
+}
@@ -1,8 +1,29 @@
-import React, { useState, useEffect, useCallback } from 'react'
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
+import QRCode from 'qrcode'
 import { withSupportContact } from '../config/appInfo'
 import { useIsMobile } from '../hooks/useDeviceDetection'
 import LocationLink from '../components/LocationLink'
+import StreepjesLedger from '../components/StreepjesLedger'
+import { getEvents, getUsersFull, updateEvent } from '../services/api'
+import { PERMISSIONS, hasPermission } from '../lib/permissions'
+import { isHistoricalUser } from '../lib/userStatus'
+import {
+  useAddStreepje,
+  useArchiveSeason,
+  useCheckInCode,
+  useDeleteSeason,
+  useExcuses,
+  usePenaltyRules,
+  usePreviewPenaltyRules,
+  useReviewExcuse,
+  useSaveSeason,
+  useSeasonStandings,
+  useSeasons,
+  useStreepjesLedger,
+  useStrikeStreepje,
+  useUpdatePenaltyRules
+} from '../hooks/useQueries'
 import './StrepenPage.css'
 
 function capitalizeWeekday(dateStr) {
@@ -16,6 +37,49 @@ function capitalizeWeekday(dateStr) {
   return formatted.charAt(0).toUpperCase() + formatted.slice(1)
 }
 
+// Schoonmakers are expected at a schoonmaak, participants at an opkomst
+function getExpectedIds(ev) {
+  return (ev?.isSchoonmaak ? ev.schoonmakerIds : ev?.participants) || []
+}
+
+// Today's event, otherwise the next upcoming one, otherwise the last one
+function pickDefaultEvent(list) {
+  if (list.length === 0) return null
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+
+  return list.find(ev => {
+    const d = new Date(ev.start)
+    d.setHours(0, 0, 0, 0)
+    return d.getTime() === today.getTime()
+  }) || list.find(ev => new Date(ev.start) >= today) || list[list.length - 1]
+}
+
+function formatSeasonRange(season) {
+  const format = (value) => new Date(value).toLocaleDateString('nl-NL', { day: 'numeric', month: 'short', year: 'numeric' })
+  return `${format(season.startDate)} t/m ${format(season.endDate)}`
+}
+
+function SeasonSelect({ seasons, value, onChange, className }) {
+  return (
+    <select
+      id="season-select"
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      className={className}
+      aria-label="Selecteer seizoen"
+    >
+      <option value="">Huidig seizoen</option>
+      {seasons.map(season => (
+        <option key={season.id} value={season.id}>
+          {season.name}{season.isArchived ? ' (gearchiveerd)' : ''}
+        </option>
+      ))}
+      <option value="all">Alle seizoenen</option>
+    </select>
+  )
+}
+
 // ================================================================
 // TOAST NOTIFICATION COMPONENT
 // ================================================================
@@ -48,6 +112,613 @@ function Toast({ message, type = 'info', onClose }) {
   )
 }
 
+// ================================================================
+// STREEPJES LEDGER BEHEER (ADMIN)
+// ================================================================
+
+function StreepjesBeheer({ users, selectedEvent, seasonId, onChanged, showToast }) {
+  const [memberId, setMemberId] = useState('')
+  const [reason, setReason] = useState('')
+  const [linkToEvent, setLinkToEvent] = useState(false)
+  const selectedUserId = memberId === '' ? null : Number(memberId)
+  const { data, isLoading, error } = useStreepjesLedger(selectedUserId, seasonId)
+  const addStreepje = useAddStreepje()
+  const strikeStreepje = useStrikeStreepje()
+  const isBusy = addStreepje.isPending || strikeStreepje.isPending
+
+  const handleAdd = async (e) => {
+    e.preventDefault()
+    if (selectedUserId === null) return
+    if (!reason.trim()) {
+      showToast('Geef een reden voor het streepje', 'warning')
+      return
+    }
+    try {
+      await addStreepje.mutateAsync({
+        userId: selectedUserId,
+        reason: reason.trim(),
+        eventId: linkToEvent ? selectedEvent?.id : null
+      })
+      setReason('')
+      showToast('Streepje toegevoegd', 'success')
+      onChanged()
+    } catch (err) {
+      showToast(err?.message || 'Streepje toevoegen mislukt', 'error')
+    }
+  }
+
+  const handleStrike = async (entry) => {
+    const strikeReason = window.prompt(`Waarom wordt "${entry.reason}" doorgehaald?`)
+    if (strikeReason === null) return
+    if (!strikeReason.trim()) {
+      showToast('Geef een reden voor het doorhalen', 'warning')
+      return
+    }
+    try {
+      await strikeStreepje.mutateAsync({ streepjeId: entry.id, reason: strikeReason.trim() })
+      showToast('Streepje doorgehaald', 'success')
+      onChanged()
+    } catch (err) {
+      showToast(err?.message || 'Streepje doorhalen mislukt', 'error')
+    }
+  }
+
+  const members = users
+    .filter(u => !isHistoricalUser(u))
+    .sort((a, b) => `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`))
+
+  return (
+    <section className="streepjes-beheer">
+      <h2>Streepjes beheren</h2>
+      <form className="streepjes-beheer__form" onSubmit={handleAdd}>
+        <label htmlFor="streepjes-member">Lid</label>
+        <select
+          id="streepjes-member"
+          value={memberId}
+          onChange={(e) => setMemberId(e.target.value)}
+        >
+          <option value="">Kies een lid...</option>
+          {members.map(u => (
+            <option key={u.id} value={u.id}>
+              {u.firstName} {u.lastName} ({u.streepjes || 0})
+            </option>
+          ))}
+        </select>
+        {selectedUserId !== null && (
+          <>
+            <label htmlFor="streepjes-reason">Reden</label>
+            <input
+              id="streepjes-reason"
+              type="text"
+              value={reason}
+              maxLength={300}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Bijvoorbeeld: te laat zonder afmelding"
+            />
+            {selectedEvent && (
+              <label className="streepjes-beheer__checkbox">
+                <input
+                  type="checkbox"
+                  checked={linkToEvent}
+                  onChange={(e) => setLinkToEvent(e.target.checked)}
+                />
+                Koppelen aan {capitalizeWeekday(selectedEvent.start)}
+              </label>
+            )}
+            <button type="submit" className="save-button" disabled={isBusy}>
+              {addStreepje.isPending ? 'Toevoegen...' : 'Streepje geven'}
+            </button>
+          </>
+        )}
+      </form>
+      {selectedUserId !== null && (
+        <StreepjesLedger
+          entries={data?.entries}
+          isLoading={isLoading}
+          error={error}
+          onStrike={handleStrike}
+          disabled={isBusy}
+        />
+      )}
+    </section>
+  )
+}
+
+// ================================================================
+// QR CHECK-IN (ADMIN)
+// ================================================================
+
+/**
+ * Shows the rotating check-in QR of the selected opkomst. Members scan
+ * it from the app; their check-ins land in the same attendance map as
+ * the toggles above, so onCheckIns passes the fresh map to the page.
+ */
+function CheckInPanel({ selectedEvent, users, onCheckIns }) {
+  const [isOpen, setIsOpen] = useState(false)
+  const [qrDataUrl, setQrDataUrl] = useState('')
+  const [now, setNow] = useState(() => Date.now())
+  const panelRef = useRef(null)
+  const lastCheckInsRef = useRef('')
+  const { data, error } = useCheckInCode(isOpen ? selectedEvent.id : null)
+
+  useEffect(() => {
+    setIsOpen(false)
+    lastCheckInsRef.current = ''
+  }, [selectedEvent.id])
+
+  useEffect(() => {
+    if (!data?.url) return
+    let cancelled = false
+    QRCode.toDataURL(data.url, { margin: 1, width: 320 })
+      .then(url => { if (!cancelled) setQrDataUrl(url) })
+      .catch(err => console.error('QR-code maken mislukt:', err))
+    return () => { cancelled = true }
+  }, [data?.url])
+
+  useEffect(() => {
+    if (!data?.checkIns) return
+    const key = JSON.stringify(data.checkIns)
+    if (lastCheckInsRef.current && key !== lastCheckInsRef.current) {
+      onCheckIns(data.attendance || {})
+    }
+    lastCheckInsRef.current = key
+  }, [data, onCheckIns])
+
+  useEffect(() => {
+    if (!isOpen) return undefined
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [isOpen])
+
+  const checkedIn = useMemo(() => {
+    const entries = Object.entries(data?.checkIns || {})
+    return entries
+      .map(([uid, at]) => ({ user: users.find(u => u.id === Number(uid)), at }))
+      .filter(item => item.user)
+      .sort((a, b) => String(b.at).localeCompare(String(a.at)))
+  }, [data?.checkIns, users])
+
+  if (!selectedEvent.isOpkomst) return null
+
+  const secondsLeft = data?.expiresAt
+    ? Math.max(Math.ceil((new Date(data.expiresAt).getTime() - now) / 1000), 0)
+    : null
+
+  const handleFullscreen = () => {
+    const node = panelRef.current
+    if (node && typeof node.requestFullscreen === 'function') {
+      node.requestFullscreen().catch(() => {})
+    }
+  }
+
+  return (
+    <section className="streepjes-beheer check-in-panel" ref={panelRef}>
+      <h2>QR check-in</h2>
+      <p className="penalty-rules__hint">
+        Leden scannen de code met hun telefoon om zich aanwezig te melden. De code vernieuwt zich automatisch.
+      </p>
+      <div className="penalty-rules__actions">
+        <button type="button" className="penalty-rules__btn" onClick={() => setIsOpen(open => !open)}>
+          {isOpen ? 'QR-code verbergen' : 'QR-code tonen'}
+        </button>
+        {isOpen && data && (
+          <button type="button" className="penalty-rules__btn" onClick={handleFullscreen}>
+            Volledig scherm
+          </button>
+        )}
+      </div>
+
+      {isOpen && error && <div className="error">{error.message || 'Check-in code laden mislukt'}</div>}
+
+      {isOpen && data && (
+        <div className="check-in-panel__body">
+          {qrDataUrl && (
+            <img className="check-in-panel__qr" src={qrDataUrl} alt={`QR-code om in te checken voor ${selectedEvent.title}`} />
+          )}
+          <p className="check-in-panel__meta">
+            {secondsLeft !== null && `Nieuwe code over ${secondsLeft} s · `}
+            {checkedIn.length} {checkedIn.length === 1 ? 'lid' : 'leden'} ingecheckt
+          </p>
+          {checkedIn.length > 0 && (
+            <ul className="check-in-panel__list">
+              {checkedIn.map(({ user, at }) => (
+                <li key={user.id}>
+                  {user.firstName} {user.lastName}
+                  <span>{new Date(at).toLocaleTimeString('nl-NL', { hour: '2-digit', minute: '2-digit' })}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </section>
+  )
+}
+
+// ================================================================
+// AFMELDINGEN BEOORDELEN (ADMIN)
+// ================================================================
+
+const EXCUSE_FILTERS = [
+  { value: 'pending', label: 'Openstaand' },
+  { value: 'approved', label: 'Goedgekeurd' },
+  { value: 'denied', label: 'Afgewezen' }
+]
+
+function ExcusesPanel({ onChanged, showToast }) {
+  const [status, setStatus] = useState('pending')
+  const { data, isLoading, error } = useExcuses(status)
+  const reviewExcuse = useReviewExcuse()
+  const excuses = data?.excuses ?? []
+
+  const handleReview = async (excuse, nextStatus) => {
+    let comment = ''
+    if (nextStatus === 'denied') {
+      comment = window.prompt(`Waarom wordt de afmelding van ${excuse.userName || 'dit lid'} afgewezen?`)
+      if (comment === null) return
+      if (!comment.trim()) {
+        showToast('Geef een toelichting bij het afwijzen', 'warning')
+        return
+      }
+    }
+    try {
+      const result = await reviewExcuse.mutateAsync({ excuseId: excuse.id, status: nextStatus, comment: comment.trim() })
+      showToast(result?.msg || 'Afmelding bijgewerkt', 'success')
+      onChanged()
+    } catch (err) {
+      showToast(err?.message || 'Afmelding beoordelen mislukt', 'error')
+    }
+  }
+
+  return (
+    <section className="streepjes-beheer excuses-panel">
+      <h2>Afmeldingen{data?.pendingCount ? ` (${data.pendingCount} open)` : ''}</h2>
+      <div className="penalty-rules__actions" role="group" aria-label="Filter afmeldingen">
+        {EXCUSE_FILTERS.map(filter => (
+          <button
+            key={filter.value}
+            type="button"
+            className={`penalty-rules__btn ${status === filter.value ? 'is-active' : ''}`}
+            onClick={() => setStatus(filter.value)}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+      {isLoading && <p className="seasons-panel__empty">Afmeldingen laden...</p>}
+      {error && <div className="error">{error.message || 'Afmeldingen laden mislukt'}</div>}
+      {!isLoading && !error && excuses.length === 0 && (
+        <p className="seasons-panel__empty">Geen afmeldingen in deze lijst.</p>
+      )}
+      {excuses.length > 0 && (
+        <ul className="seasons-panel__list">
+          {excuses.map(excuse => (
+            <li key={excuse.id} className="seasons-panel__item">
+              <div>
+                <strong>{excuse.userName || 'Onbekend lid'}</strong>
+                <div className="seasons-panel__range">
+                  {excuse.eventTitle || 'Opkomst'}{excuse.eventStart ? ` · ${capitalizeWeekday(excuse.eventStart)}` : ''}
+                </div>
+                <p className="excuses-panel__reason">{excuse.reason}</p>
+                {excuse.reviewComment && (
+                  <p className="excuses-panel__comment">
+                    {excuse.reviewedByName ? `${excuse.reviewedByName}: ` : ''}{excuse.reviewComment}
+                  </p>
+                )}
+              </div>
+              <div className="seasons-panel__actions">
+                {excuse.status !== 'approved' && (
+                  <button type="button" className="penalty-rules__btn" onClick={() => handleReview(excuse, 'approved')} disabled={reviewExcuse.isPending}>
+                    Goedkeuren
+                  </button>
+                )}
+                {excuse.status !== 'denied' && (
+                  <button type="button" className="penalty-rules__btn" onClick={() => handleReview(excuse, 'denied')} disabled={reviewExcuse.isPending}>
+                    Afwijzen
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+// ================================================================
+// STRAFREGELS (ADMIN)
+// ================================================================
+
+function PenaltyRulesPanel({ onChanged, showToast }) {
+  const { data: rules = [], isLoading, error } = usePenaltyRules()
+  const [draft, setDraft] = useState(null)
+  const previewRules = usePreviewPenaltyRules()
+  const updateRules = useUpdatePenaltyRules()
+  const current = draft || rules
+
+  const changeRule = (trigger, field, value) => {
+    setDraft(current.map(rule => (rule.trigger === trigger ? { ...rule, [field]: value } : rule)))
+    previewRules.reset()
+  }
+
+  const handlePreview = async () => {
+    try {
+      await previewRules.mutateAsync(current)
+    } catch (err) {
+      showToast(err?.message || 'Voorbeeld berekenen mislukt', 'error')
+    }
+  }
+
+  const handleApply = async () => {
+    try {
+      const result = await updateRules.mutateAsync(current)
+      setDraft(null)
+      previewRules.reset()
+      showToast(`${result?.msg || 'Strafregels opgeslagen'} (${result?.summary?.added ?? 0} toegevoegd, ${result?.summary?.struck ?? 0} doorgehaald)`, 'success')
+      onChanged()
+    } catch (err) {
+      showToast(err?.message || 'Strafregels opslaan mislukt', 'error')
+    }
+  }
+
+  if (isLoading) return null
+  if (error) {
+    return <section className="penalty-rules"><div className="error">{error.message || 'Strafregels laden mislukt'}</div></section>
+  }
+
+  const preview = previewRules.data
+  const changedRows = preview?.changes?.filter(row => row.diff !== 0) || []
+
+  return (
+    <section className="penalty-rules">
+      <h2>Strafregels</h2>
+      <p className="penalty-rules__hint">
+        Per situatie telt de meest specifieke ingeschakelde regel. Bekijk eerst het effect voordat je wijzigingen toepast.
+      </p>
+      <div className="penalty-rules__list">
+        {current.map(rule => (
+          <div key={rule.trigger} className="penalty-rules__row">
+            <label className="penalty-rules__toggle">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(e) => changeRule(rule.trigger, 'enabled', e.target.checked)}
+              />
+              {rule.label}
+            </label>
+            <label className="penalty-rules__field">
+              Streepjes
+              <input
+                type="number"
+                min="0"
+                max="10"
+                value={rule.weight}
+                onChange={(e) => changeRule(rule.trigger, 'weight', Number(e.target.value))}
+                disabled={!rule.enabled}
+              />
+            </label>
+            {rule.trigger === 'late_cancellation' && (
+              <label className="penalty-rules__field">
+                Binnen (uur)
+                <input
+                  type="number"
+                  min="1"
+                  max="168"
+                  value={rule.hoursBefore}
+                  onChange={(e) => changeRule(rule.trigger, 'hoursBefore', Number(e.target.value))}
+                  disabled={!rule.enabled}
+                />
+              </label>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="penalty-rules__actions">
+        <button type="button" className="penalty-rules__btn" onClick={handlePreview} disabled={previewRules.isPending || updateRules.isPending}>
+          {previewRules.isPending ? 'Berekenen...' : 'Voorbeeld bekijken'}
+        </button>
+        {draft && (
+          <button type="button" className="penalty-rules__btn" onClick={() => { setDraft(null); previewRules.reset() }}>
+            Wijzigingen annuleren
+          </button>
+        )}
+      </div>
+
+      {preview && (
+        <div className="penalty-rules__preview">
+          <p>
+            Totaal {preview.totals.current} → {preview.totals.proposed} streepjes,{' '}
+            {preview.totals.affectedUsers} {preview.totals.affectedUsers === 1 ? 'lid' : 'leden'} geraakt.
+          </p>
+          {changedRows.length > 0 && (
+            <table className="penalty-rules__table">
+              <thead>
+                <tr><th>Lid</th><th>Nu</th><th>Nieuw</th><th>Verschil</th></tr>
+              </thead>
+              <tbody>
+                {changedRows.map(row => (
+                  <tr key={row.userId}>
+                    <td>{row.name}</td>
+                    <td>{row.current}</td>
+                    <td>{row.proposed}</td>
+                    <td className={row.diff > 0 ? 'diff-up' : 'diff-down'}>{row.diff > 0 ? `+${row.diff}` : row.diff}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <button type="button" className="save-button" onClick={handleApply} disabled={updateRules.isPending}>
+            {updateRules.isPending ? 'Toepassen...' : 'Strafregels toepassen'}
+          </button>
+        </div>
+      )}
+    </section>
+  )
+}
+
+// ================================================================
+// SEIZOENEN (ADMIN)
+// ================================================================
+
+const EMPTY_SEASON_FORM = { seasonId: null, name: '', startDate: '', endDate: '' }
+
+function SeasonsPanel({ seasons, onChanged, showToast }) {
+  const [form, setForm] = useState(EMPTY_SEASON_FORM)
+  const [standingsId, setStandingsId] = useState(null)
+  const saveSeason = useSaveSeason()
+  const deleteSeason = useDeleteSeason()
+  const archiveSeason = useArchiveSeason()
+  const { data: standingsSeason, isLoading: isStandingsLoading } = useSeasonStandings(standingsId)
+  const isBusy = saveSeason.isPending || deleteSeason.isPending || archiveSeason.isPending
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const result = await saveSeason.mutateAsync(form)
+      setForm(EMPTY_SEASON_FORM)
+      showToast(result?.msg || 'Seizoen opgeslagen', 'success')
+      onChanged()
+    } catch (err) {
+      showToast(err?.message || 'Seizoen opslaan mislukt', 'error')
+    }
+  }
+
+  const handleDelete = async (season) => {
+    if (!window.confirm(`Seizoen "${season.name}" verwijderen? Er worden geen streepjes verwijderd.`)) return
+    try {
+      await deleteSeason.mutateAsync(season.id)
+      if (standingsId === season.id) setStandingsId(null)
+      showToast('Seizoen verwijderd', 'success')
+      onChanged()
+    } catch (err) {
+      showToast(err?.message || 'Seizoen verwijderen mislukt', 'error')
+    }
+  }
+
+  const handleArchive = async (season) => {
+    try {
+      await archiveSeason.mutateAsync(season.id)
+      setStandingsId(season.id)
+      showToast('Eindstand vastgelegd', 'success')
+    } catch (err) {
+      showToast(err?.message || 'Seizoen archiveren mislukt', 'error')
+    }
+  }
+
+  return (
+    <section className="seasons-panel">
+      <h2>Seizoenen</h2>
+      {seasons.length === 0 ? (
+        <p className="seasons-panel__empty">
+          Nog geen seizoenen. Zonder seizoen tellen alle streepjes mee.
+        </p>
+      ) : (
+        <ul className="seasons-panel__list">
+          {seasons.map(season => (
+            <li key={season.id} className={`seasons-panel__item ${season.isCurrent ? 'is-current' : ''}`}>
+              <div>
+                <strong>{season.name}</strong>
+                {season.isCurrent && <span className="pill pill-yes">Huidig</span>}
+                {season.isArchived && <span className="pill pill-streepjes">Gearchiveerd</span>}
+                <div className="seasons-panel__range">{formatSeasonRange(season)}</div>
+              </div>
+              <div className="seasons-panel__actions">
+                <button type="button" className="penalty-rules__btn" onClick={() => setStandingsId(standingsId === season.id ? null : season.id)}>
+                  {standingsId === season.id ? 'Stand verbergen' : 'Stand'}
+                </button>
+                {!season.isArchived && (
+                  <>
+                    <button
+                      type="button"
+                      className="penalty-rules__btn"
+                      onClick={() => setForm({ seasonId: season.id, name: season.name, startDate: season.startDate, endDate: season.endDate })}
+                      disabled={isBusy}
+                    >
+                      Bewerken
+                    </button>
+                    <button type="button" className="penalty-rules__btn" onClick={() => handleDelete(season)} disabled={isBusy}>
+                      Verwijderen
+                    </button>
+                  </>
+                )}
+                {season.isArchived && (
+                  <button type="button" className="penalty-rules__btn" onClick={() => handleArchive(season)} disabled={isBusy}>
+                    Eindstand opnieuw vastleggen
+                  </button>
+                )}
+              </div>
+              {standingsId === season.id && (
+                <div className="seasons-panel__standings">
+                  {isStandingsLoading || !standingsSeason ? (
+                    <p>Stand laden...</p>
+                  ) : (
+                    <table className="penalty-rules__table">
+                      <thead>
+                        <tr><th>#</th><th>Lid</th><th>Streepjes</th></tr>
+                      </thead>
+                      <tbody>
+                        {standingsSeason.standings.map((row, index) => (
+                          <tr key={row.userId}>
+                            <td>{index + 1}</td>
+                            <td>{row.name}</td>
+                            <td>{row.streepjes}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form className="streepjes-beheer__form" onSubmit={handleSubmit}>
+        <h3>{form.seasonId ? 'Seizoen bewerken' : 'Nieuw seizoen'}</h3>
+        <label htmlFor="season-name">Naam</label>
+        <input
+          id="season-name"
+          type="text"
+          value={form.name}
+          maxLength={80}
+          onChange={e => setForm(f => ({ ...f, name: e.target.value }))}
+          placeholder="Bijvoorbeeld: Seizoen 2026-2027"
+          required
+        />
+        <label htmlFor="season-start">Startdatum</label>
+        <input
+          id="season-start"
+          type="date"
+          value={form.startDate}
+          onChange={e => setForm(f => ({ ...f, startDate: e.target.value }))}
+          required
+        />
+        <label htmlFor="season-end">Einddatum</label>
+        <input
+          id="season-end"
+          type="date"
+          value={form.endDate}
+          onChange={e => setForm(f => ({ ...f, endDate: e.target.value }))}
+          required
+        />
+        <div className="seasons-panel__actions">
+          <button type="submit" className="save-button" disabled={isBusy}>
+            {saveSeason.isPending ? 'Opslaan...' : 'Seizoen opslaan'}
+          </button>
+          {form.seasonId && (
+            <button type="button" className="penalty-rules__btn" onClick={() => setForm(EMPTY_SEASON_FORM)}>
+              Annuleren
+            </button>
+          )}
+        </div>
+      </form>
+    </section>
+  )
+}
+
 export default function StrepenPage() {
   const navigate = useNavigate()
   const [user, setUser] = useState(null)
@@ -64,6 +735,13 @@ export default function StrepenPage() {
   const [showOnlyParticipants, setShowOnlyParticipants] = useState(false)
   const [showOnlyChanged, setShowOnlyChanged] = useState(false)
   const [liveMsg, setLiveMsg] = useState('')
+  // '' = huidig seizoen, 'all' = alle seizoenen, anders een seizoen-ID
+  const [seasonId, setSeasonId] = useState('')
+  const { data: seasonsData } = useSeasons({ enabled: Boolean(user) })
+  const seasons = useMemo(() => seasonsData?.seasons ?? [], [seasonsData])
+  const activeSeason = seasonId === 'all'
+    ? null
+    : seasons.find(season => (seasonId ? season.id === seasonId : season.isCurrent)) || null
 
   // Toast functions
   const showToast = useCallback((message, type = 'info') => {
@@ -82,7 +760,7 @@ export default function StrepenPage() {
   useEffect(() => {
     try {
       const userData = JSON.parse(localStorage.getItem('user'))
-      if (!userData || !userData.isAdmin) {
+      if (!hasPermission(userData, PERMISSIONS.STREPEN)) {
         navigate('/login')
         return
       }
@@ -97,33 +775,15 @@ export default function StrepenPage() {
   useEffect(() => {
     const loadData = async () => {
       try {
-        const eventsRes = await fetch('/api/events')
-        if (!eventsRes.ok) throw new Error('Kon opkomsten niet laden')
-        const { events: all } = await eventsRes.json()
+        const { events: all } = await getEvents()
 
         const opkomsten = all
-          .filter(ev => ev.isOpkomst)
+          .filter(ev => ev.isOpkomst || ev.isSchoonmaak)
           .sort((a, b) => new Date(a.start) - new Date(b.start))
         setEvents(opkomsten)
 
-        const usersRes = await fetch('/api/users/full')
-        if (!usersRes.ok) throw new Error('Kon gebruikers niet laden')
-        const { users: fullUsers } = await usersRes.json()
+        const { users: fullUsers } = await getUsersFull()
         setUsers(fullUsers)
-
-        if (opkomsten.length > 0) {
-          const today = new Date()
-          today.setHours(0, 0, 0, 0)
-
-          let def = opkomsten.find(ev => {
-            const d = new Date(ev.start)
-            d.setHours(0, 0, 0, 0)
-            return d.getTime() === today.getTime()
-          })
-          if (!def) def = opkomsten.find(ev => new Date(ev.start) >= today)
-          if (!def) def = opkomsten[opkomsten.length - 1]
-          setSelectedEvent(def)
-        }
       } catch (err) {
         console.error(err)
         setError(withSupportContact('Kon gegevens niet laden'))
@@ -144,7 +804,7 @@ export default function StrepenPage() {
 
     users.forEach(u => {
       const uid = u.id.toString()
-      const isPart = selectedEvent.participants.includes(u.id)
+      const isPart = getExpectedIds(selectedEvent).includes(u.id)
 
       if (Object.prototype.hasOwnProperty.call(existing, uid)) {
         const val = existing[uid]
@@ -161,6 +821,41 @@ export default function StrepenPage() {
     setAttendance(next)
   }, [selectedEvent, users])
 
+  // Reload users so the streepjes counts reflect the ledger and selected season
+  const reloadUsers = useCallback(async () => {
+    try {
+      const { users: fresh } = await getUsersFull(seasonId)
+      setUsers(fresh)
+    } catch (err) {
+      console.error(err)
+    }
+  }, [seasonId])
+
+  useEffect(() => {
+    if (user) reloadUsers()
+  }, [user, seasonId, reloadUsers])
+
+  // Only show events of the selected season
+  const seasonEvents = useMemo(() => {
+    if (!activeSeason) return events
+    return events.filter(ev => {
+      const day = String(ev.start || '').slice(0, 10)
+      return day >= activeSeason.startDate && day <= activeSeason.endDate
+    })
+  }, [events, activeSeason])
+
+  useEffect(() => {
+    if (selectedEvent && seasonEvents.some(ev => ev.id === selectedEvent.id)) return
+    setSelectedEvent(pickDefaultEvent(seasonEvents))
+  }, [seasonEvents, selectedEvent])
+
+  // Members checked in via QR: take over the server attendance map
+  const handleCheckIns = useCallback((serverAttendance) => {
+    setSelectedEvent(ev => ({ ...ev, attendance: serverAttendance }))
+    setEvents(prev => prev.map(ev => (ev.id === selectedEvent?.id ? { ...ev, attendance: serverAttendance } : ev)))
+    reloadUsers()
+  }, [selectedEvent?.id, reloadUsers])
+
   // Toggle updates local state and saves automatically
   const handleAttendanceToggle = async (u) => {
     if (isSaving) return // Prevent multiple simultaneous saves
@@ -176,24 +871,10 @@ export default function StrepenPage() {
     setLiveMsg(`${u.firstName} gemarkeerd als ${status}`)
     
     try {
-      const res = await fetch(`/api/events/${selectedEvent.id}`, {
-        method:  'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body:    JSON.stringify({ attendance: newAttendance })
-      })
-      if (!res.ok) {
-        const errText = await res.text()
-        throw new Error(errText || 'Save failed')
-      }
-      await res.json()
+      await updateEvent(selectedEvent.id, { attendance: newAttendance })
       setSelectedEvent(ev => ({ ...ev, attendance: newAttendance }))
       
-      // reload streepjes
-      const usersRes = await fetch('/api/users/full')
-      if (usersRes.ok) {
-        const { users: fresh } = await usersRes.json()
-        setUsers(fresh)
-      }
+      await reloadUsers()
       showToast(`${u.firstName} ${status} - opgeslagen!`, 'success')
     } catch (err) {
       console.error(err)
@@ -224,14 +905,28 @@ export default function StrepenPage() {
     return <div className="strepen-page-wrapper"><div className="strepen-page"><div className="error">Fout: {error}</div></div></div>
   }
   if (!selectedEvent) {
-    return <div className="strepen-page-wrapper"><div className="strepen-page"><div className="no-events">Geen opkomsten gevonden</div></div></div>
+    return (
+      <div className="strepen-page-wrapper">
+        <div className="strepen-page">
+          {seasons.length > 0 && (
+            <section className="event-selector">
+              <label htmlFor="season-select">Seizoen:</label>
+              <SeasonSelect seasons={seasons} value={seasonId} onChange={setSeasonId} />
+            </section>
+          )}
+          <div className="no-events">Geen opkomsten gevonden{activeSeason ? ` in ${activeSeason.name}` : ''}</div>
+          <SeasonsPanel seasons={seasons} onChanged={reloadUsers} showToast={showToast} />
+          {toast && <Toast message={toast.message} type={toast.type} onClose={hideToast} />}
+        </div>
+      </div>
+    )
   }
 
   const sortedUsers = [...users]
-    .filter(u => (u.status || 'active') !== 'legacy')
+    .filter(u => !isHistoricalUser(u))
     .sort((a, b) => {
-    const aP = selectedEvent.participants.includes(a.id)
-    const bP = selectedEvent.participants.includes(b.id)
+    const aP = getExpectedIds(selectedEvent).includes(a.id)
+    const bP = getExpectedIds(selectedEvent).includes(b.id)
     if (aP && !bP) return -1
     if (!aP && bP) return 1
     return `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`)
@@ -240,7 +935,7 @@ export default function StrepenPage() {
   const filteredUsers = sortedUsers.filter(u => {
     const name = `${u.firstName} ${u.lastName || ''}`.toLowerCase()
     const matchesQuery = !query.trim() || name.includes(query.trim().toLowerCase())
-    const isPart = selectedEvent.participants.includes(u.id)
+    const isPart = getExpectedIds(selectedEvent).includes(u.id)
     const satisfiesPart = showOnlyParticipants ? isPart : true
     const isChanged = attendance[u.id] !== isPart
     const satisfiesChanged = showOnlyChanged ? isChanged : true
@@ -257,6 +952,9 @@ export default function StrepenPage() {
         {isMobile ? (
           <div className="strepen-mobile-header">
             <div className="mobile-controls">
+              {seasons.length > 0 && (
+                <SeasonSelect seasons={seasons} value={seasonId} onChange={setSeasonId} className="mobile-select" />
+              )}
               <label htmlFor="event-select" className="sr-only">Selecteer opkomst</label>
               <select
                 id="event-select"
@@ -268,9 +966,9 @@ export default function StrepenPage() {
                 className="mobile-select"
                 aria-label="Selecteer opkomst"
               >
-                {events.map(ev => (
+                {seasonEvents.map(ev => (
                   <option key={ev.id} value={ev.id}>
-                    {capitalizeWeekday(ev.start)}
+                    {ev.isSchoonmaak ? `Schoonmaak: ${capitalizeWeekday(ev.start)}` : capitalizeWeekday(ev.start)}
                   </option>
                 ))}
               </select>
@@ -306,6 +1004,12 @@ export default function StrepenPage() {
         ) : (
           <>
             <section className="event-selector">
+              {seasons.length > 0 && (
+                <>
+                  <label htmlFor="season-select">Seizoen:</label>
+                  <SeasonSelect seasons={seasons} value={seasonId} onChange={setSeasonId} />
+                </>
+              )}
               <label htmlFor="event-select">Selecteer opkomst:</label>
               <select
                 id="event-select"
@@ -315,9 +1019,9 @@ export default function StrepenPage() {
                   setSelectedEvent(ev)
                 }}
               >
-                {events.map(ev => (
+                {seasonEvents.map(ev => (
                   <option key={ev.id} value={ev.id}>
-                    {capitalizeWeekday(ev.start)}
+                    {ev.isSchoonmaak ? `Schoonmaak: ${capitalizeWeekday(ev.start)}` : capitalizeWeekday(ev.start)}
                   </option>
                 ))}
               </select>
@@ -338,7 +1042,7 @@ export default function StrepenPage() {
         {isMobile ? (
           <div className="mobile-user-list">
             {filteredUsers.map(u => {
-              const isPart = selectedEvent.participants.includes(u.id)
+              const isPart = getExpectedIds(selectedEvent).includes(u.id)
               const present = Boolean(attendance[u.id])
               const isChanged = present !== isPart
               return (
@@ -352,7 +1056,7 @@ export default function StrepenPage() {
                       {isChanged && <span className="changed-dot" aria-hidden="true"></span>}
                     </div>
                     <div className="user-meta">
-                      <span className={`pill ${isPart ? 'pill-yes' : 'pill-no'}`}>{isPart ? 'Aangemeld' : 'Afgemeld'}</span>
+                      <span className={`pill ${isPart ? 'pill-yes' : 'pill-no'}`}>{isPart ? (selectedEvent.isSchoonmaak ? 'Ingedeeld' : 'Aangemeld') : 'Afgemeld'}</span>
                       <span className="pill pill-streepjes">{u.streepjes || 0} streepjes</span>
                     </div>
                   </div>
@@ -384,12 +1088,12 @@ export default function StrepenPage() {
           <div className="attendance-table">
             <div className="table-header">
               <div className="header-cell name">Naam</div>
-              <div className="header-cell status">Aangemeld</div>
+              <div className="header-cell status">{selectedEvent.isSchoonmaak ? 'Ingedeeld' : 'Aangemeld'}</div>
               <div className="header-cell toggle">Aanwezigheid</div>
               <div className="header-cell streepjes">Streepjes</div>
             </div>
             {sortedUsers.map(u => {
-              const isPart = selectedEvent.participants.includes(u.id)
+              const isPart = getExpectedIds(selectedEvent).includes(u.id)
               const present = Boolean(attendance[u.id])
               const defaultState = present === isPart
 
@@ -425,6 +1129,26 @@ export default function StrepenPage() {
           </div>
         )}
 
+        <CheckInPanel
+          selectedEvent={selectedEvent}
+          users={users}
+          onCheckIns={handleCheckIns}
+        />
+
+        <StreepjesBeheer
+          users={users}
+          selectedEvent={selectedEvent}
+          seasonId={seasonId}
+          onChanged={reloadUsers}
+          showToast={showToast}
+        />
+
+        <ExcusesPanel onChanged={reloadUsers} showToast={showToast} />
+
+        <SeasonsPanel seasons={seasons} onChanged={reloadUsers} showToast={showToast} />
+
+        <PenaltyRulesPanel onChanged={reloadUsers} showToast={showToast} />
+
         {toast && <Toast message={toast.message} type={toast.type} onClose={hideToast} />}
       </div>
     </div>
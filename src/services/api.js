@@ -85,13 +85,15 @@ async function handleResponse(response, url) {
     // Provide user-friendly error messages based on status code
     switch (response.status) {
       case 400:
-        errorMessage = errorData?.msg || errorData?.message || 'Ongeldige aanvraag. Controleer je invoer.'
+        errorMessage = errorData?.msg || errorData?.message || errorData?.error || 'Ongeldige aanvraag. Controleer je invoer.'
         break
       case 401:
         errorMessage = 'Je bent niet ingelogd. Log opnieuw in.'
         break
       case 403:
-        errorMessage = 'Je hebt geen toegang tot deze actie.'
+        errorMessage = errorData?.code === 'TWO_FACTOR_REQUIRED'
+          ? errorData.error
+          : 'Je hebt geen toegang tot deze actie.'
         break
       case 404:
         errorMessage = 'De gevraagde informatie werd niet gevonden.'
@@ -106,7 +108,7 @@ async function handleResponse(response, url) {
         errorMessage = errorData?.message || 'De invoer is ongeldig.'
         break
       case 429:
-        errorMessage = 'Te veel aanvragen. Wacht even en probeer opnieuw.'
+        errorMessage = errorData?.msg || errorData?.error || 'Te veel aanvragen. Wacht even en probeer opnieuw.'
         break
       case 500:
         errorMessage = 'Er is een serverfout opgetreden. Probeer het later opnieuw.'
@@ -251,6 +253,142 @@ export async function login(email, password) {
   })
 }
 
+/**
+ * Second login step for members with two-factor authentication
+ * @param {string} challenge - Challenge returned by login()
+ * @param {string} code - Authenticator code or recovery code
+ * @returns {Promise<Object>} { user, recoveryCodeUsed }
+ */
+export async function verifyLoginTwoFactor(challenge, code) {
+  if (!challenge || !code) {
+    throw new Error('Code is verplicht')
+  }
+  return request('/login/2fa', {
+    method: 'POST',
+    body: { challenge, code: code.trim() }
+  })
+}
+
+/**
+ * Challenge for a passkey login
+ * @returns {Promise<Object>} { challengeId, options }
+ */
+export async function getPasskeyLoginOptions() {
+  return request('/login/passkey/options', { method: 'POST' })
+}
+
+/**
+ * Log in with the answer of the device to a passkey challenge
+ * @param {string} challengeId - ID from getPasskeyLoginOptions()
+ * @param {Object} response - Result of startAuthentication()
+ * @returns {Promise<Object>} { user }
+ */
+export async function loginWithPasskey(challengeId, response) {
+  return request('/login/passkey', {
+    method: 'POST',
+    body: { challengeId, response }
+  })
+}
+
+/**
+ * Passkeys of the logged-in member
+ * @returns {Promise<Object>} { passkeys }
+ */
+export async function getPasskeys() {
+  return request('/passkeys')
+}
+
+/**
+ * Options to create a new passkey on this device
+ * @returns {Promise<Object>} { challengeId, options }
+ */
+export async function getPasskeyRegistrationOptions() {
+  return request('/passkeys/options', { method: 'POST' })
+}
+
+/**
+ * Store a new passkey
+ * @param {Object} data - { challengeId, response, name } where response is the result of startRegistration()
+ * @returns {Promise<Object>} { passkey, msg }
+ */
+export async function registerPasskey(data) {
+  return request('/passkeys', {
+    method: 'POST',
+    body: data
+  })
+}
+
+/**
+ * Remove a passkey
+ * @param {string} passkeyId - Credential ID
+ * @returns {Promise<Object>} { msg }
+ */
+export async function deletePasskey(passkeyId) {
+  return request(`/passkeys/${encodeURIComponent(passkeyId)}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Secret token of the personal calendar feed
+ * @returns {Promise<Object>} { token }
+ */
+export async function getCalendarFeed() {
+  return request('/calendar-feed')
+}
+
+/**
+ * Replace the personal calendar feed token; the old link stops working
+ * @returns {Promise<Object>} { token }
+ */
+export async function regenerateCalendarFeed() {
+  return request('/calendar-feed/regenerate', { method: 'POST' })
+}
+
+/**
+ * Start two-factor enrollment with a new secret
+ * @returns {Promise<Object>} { secret, otpauthUrl }
+ */
+export async function setupTwoFactor() {
+  return request('/2fa/setup', { method: 'POST' })
+}
+
+/**
+ * Turn two-factor authentication on with the first code from the app
+ * @param {string} code - Authenticator code
+ * @returns {Promise<Object>} { recoveryCodes, user, msg }
+ */
+export async function enableTwoFactor(code) {
+  return request('/2fa/enable', {
+    method: 'POST',
+    body: { code: String(code || '').trim() }
+  })
+}
+
+/**
+ * Turn two-factor authentication off
+ * @param {string} code - Authenticator code or recovery code
+ * @returns {Promise<Object>} { user, msg }
+ */
+export async function disableTwoFactor(code) {
+  return request('/2fa/disable', {
+    method: 'POST',
+    body: { code: String(code || '').trim() }
+  })
+}
+
+/**
+ * Replace the recovery codes
+ * @param {string} code - Authenticator code or recovery code
+ * @returns {Promise<Object>} { recoveryCodes, user }
+ */
+export async function regenerateRecoveryCodes(code) {
+  return request('/2fa/recovery-codes', {
+    method: 'POST',
+    body: { code: String(code || '').trim() }
+  })
+}
+
 /**
  * Get the currently authenticated user from the secure session cookie.
  * @returns {Promise<Object>} Current session data
@@ -271,6 +409,35 @@ export async function logout() {
   })
 }
 
+/**
+ * Active sessions (devices) of the logged-in member
+ * @returns {Promise<Object>} { sessions }
+ */
+export async function getSessions() {
+  return request('/sessions')
+}
+
+/**
+ * Sign out one device
+ * @param {string} sessionId - Session ID from getSessions()
+ * @returns {Promise<Object>} { ok, current }
+ */
+export async function revokeSession(sessionId) {
+  return request(`/sessions/${encodeURIComponent(sessionId)}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Sign out every device except this one
+ * @returns {Promise<Object>} { ok }
+ */
+export async function revokeOtherSessions() {
+  return request('/sessions/revoke-others', {
+    method: 'POST'
+  })
+}
+
 /**
  * Password reset request
  * @param {string} email - User email
@@ -346,71 +513,76 @@ export async function getEvents() {
 }
 
 /**
- * Create new event
+ * Create new event (admin only, checked against the session)
+ * Pass `eventData.recurrence` ({ frequency, until | count }) to create a series
  * @param {Object} eventData - Event data
- * @param {number} userId - User ID for admin validation
  * @returns {Promise<Object>} Created event
  */
-export async function createEvent(eventData, userId) {
+export async function createEvent(eventData) {
   if (!eventData.title || !eventData.start) {
     throw new Error('Titel en startdatum zijn verplicht')
   }
   
-  if (!userId) {
-    throw new Error('Gebruiker ID is verplicht voor het aanmaken van evenementen')
-  }
-  
   return request('/events', {
     method: 'POST',
-    body: { ...eventData, userId }
+    body: eventData
   })
 }
 
 /**
- * Update existing event
+ * Update existing event (admin only, checked against the session)
+ * For recurring events, `eventData.scope` selects 'this', 'following' or 'all'
  * @param {string} eventId - Event ID
  * @param {Object} eventData - Updated event data
- * @param {number} userId - User ID for admin validation
  * @returns {Promise<Object>} Updated event
  */
-export async function updateEvent(eventId, eventData, userId) {
+export async function updateEvent(eventId, eventData) {
   if (!eventId) {
     throw new Error('Event ID is verplicht')
   }
   
-  if (!userId) {
-    throw new Error('Gebruiker ID is verplicht voor het bewerken van evenementen')
-  }
-  
   return request(`/events/${eventId}`, {
     method: 'PUT',
-    body: { ...eventData, userId }
+    body: eventData
   })
 }
 
 /**
- * Delete event
+ * Delete event (admin only, checked against the session)
  * @param {string} eventId - Event ID
- * @param {number} userId - User ID for admin validation
+ * @param {string} scope - For recurring events: 'this', 'following' or 'all'
  * @returns {Promise<Object>} Deletion result
  */
-export async function deleteEvent(eventId, userId) {
+export async function deleteEvent(eventId, scope = 'this') {
   if (!eventId) {
     throw new Error('Event ID is verplicht')
   }
   
-  if (!userId) {
-    throw new Error('Gebruiker ID is verplicht voor het verwijderen van evenementen')
+  return request(`/events/${eventId}?scope=${encodeURIComponent(scope)}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Cancel an event, or let a cancelled event go ahead again
+ * @param {string} eventId - Event ID
+ * @param {boolean} cancelled - Whether the event is cancelled
+ * @returns {Promise<Object>} Updated event
+ */
+export async function cancelEvent(eventId, cancelled = true) {
+  if (!eventId) {
+    throw new Error('Event ID is verplicht')
   }
-  
-  return request(`/events/${eventId}`, {
-    method: 'DELETE',
-    body: { userId }
+
+  return request(`/events/${eventId}/cancel`, {
+    method: 'POST',
+    body: { cancelled }
   })
 }
 
 /**
  * Update event attendance
+ * Members can only change their own attendance; admins can change anyone's
  * @param {string} eventId - Event ID
  * @param {number} userId - User ID
  * @param {boolean} attending - Whether user is attending
@@ -437,10 +609,12 @@ export async function getUsers() {
 
 /**
  * Get all users with full information including streepjes
+ * @param {string} [seasonId] - Season to count streepjes for ('all' for every season, default current)
  * @returns {Promise<Array>} Users array with full info
  */
-export async function getUsersFull() {
-  return request('/users/full')
+export async function getUsersFull(seasonId = '') {
+  const query = seasonId ? `?seasonId=${encodeURIComponent(seasonId)}` : ''
+  return request(`/users/full${query}`)
 }
 
 /**
@@ -466,10 +640,624 @@ export async function updateUserProfile(profileData) {
   })
 }
 
-export async function updateUserStatus(targetUserId, status, adminUserId) {
+/**
+ * Change the status of a member (members.manage)
+ * @param {number} targetUserId - Member to update
+ * @param {string} status - active, inactive, legacy or archived
+ * @returns {Promise<Object>} { user, msg }
+ */
+export async function updateUserStatus(targetUserId, status) {
   return request(`/users/${encodeURIComponent(targetUserId)}/status`, {
     method: 'PATCH',
-    body: { userId: adminUserId, status }
+    body: { status }
+  })
+}
+
+/**
+ * Invite a new member; they get an email with an activation link (members.manage)
+ * @param {Object} member - { firstName, lastName, email, roles? }
+ * @returns {Promise<Object>} { user, inviteSent, msg }
+ */
+export async function createUser(member) {
+  return request('/users', {
+    method: 'POST',
+    body: member
+  })
+}
+
+/**
+ * Update name and email of a member (members.manage)
+ * @param {number} targetUserId - Member ID
+ * @param {Object} member - { firstName, lastName, email }
+ * @returns {Promise<Object>} { user, msg }
+ */
+export async function updateUser(targetUserId, member) {
+  return request(`/users/${encodeURIComponent(targetUserId)}`, {
+    method: 'PUT',
+    body: member
+  })
+}
+
+/**
+ * Send a new activation link to a member who has not activated yet (members.manage)
+ * @param {number} targetUserId - Member ID
+ * @returns {Promise<Object>} { inviteSent, msg }
+ */
+export async function resendInvite(targetUserId) {
+  return request(`/users/${encodeURIComponent(targetUserId)}/invite`, {
+    method: 'POST'
+  })
+}
+
+/**
+ * Compare a member list (CSV) with the current members without saving (members.manage)
+ * @param {Object} options - { csv, deactivateMissing }
+ * @returns {Promise<Object>} { creates, updates, deactivations, unchanged, errors }
+ */
+export async function previewMemberImport({ csv, deactivateMissing = false }) {
+  return request('/users/import/preview', {
+    method: 'POST',
+    body: { csv, deactivateMissing }
+  }, 60000)
+}
+
+/**
+ * Apply a member list (CSV) in one go (members.manage)
+ * @param {Object} options - { csv, deactivateMissing, sendInvites }
+ * @returns {Promise<Object>} { created, updated, deactivated, unchanged, invitesSent, msg }
+ */
+export async function importMembers({ csv, deactivateMissing = false, sendInvites = true }) {
+  return request('/users/import', {
+    method: 'POST',
+    body: { csv, deactivateMissing, sendInvites }
+  }, 120000)
+}
+
+/**
+ * Export all members with status and streepjes as CSV (members.manage)
+ * @returns {Promise<Object>} { fileName, csv }
+ */
+export async function exportMembers() {
+  return request('/users/export')
+}
+
+/**
+ * Activate an invited account by choosing a password; logs the member in
+ * @param {string} token - Token from the activation link
+ * @param {string} password - New password
+ * @returns {Promise<Object>} { user, msg }
+ */
+export async function activateAccount(token, password) {
+  if (!token || !password) {
+    throw new Error('Activatielink en wachtwoord zijn verplicht')
+  }
+  return request('/activate', {
+    method: 'POST',
+    body: { token, password }
+  })
+}
+
+/**
+ * Get the available roles and permissions (members.manage)
+ * @returns {Promise<Object>} { roles, permissions }
+ */
+export async function getRoles() {
+  return request('/roles')
+}
+
+/**
+ * Replace the roles of a member (members.manage)
+ * @param {number} targetUserId - Member ID
+ * @param {string[]} roles - Role IDs
+ * @returns {Promise<Object>} { user: { id, roles, roleLabels, permissions }, msg }
+ */
+export async function updateUserRoles(targetUserId, roles) {
+  return request(`/users/${encodeURIComponent(targetUserId)}/roles`, {
+    method: 'PUT',
+    body: { roles }
+  })
+}
+
+/**
+ * Get the security settings (members.manage)
+ * @returns {Promise<Object>} { requireAdminTwoFactor, adminsWithoutTwoFactor }
+ */
+export async function getSecuritySettings() {
+  return request('/security-settings')
+}
+
+/**
+ * Update the security settings (members.manage)
+ * @param {Object} settings - { requireAdminTwoFactor }
+ * @returns {Promise<Object>} Updated settings
+ */
+export async function updateSecuritySettings(settings) {
+  return request('/security-settings', {
+    method: 'PUT',
+    body: settings
+  })
+}
+
+// ================================================================
+// STREEPJES API
+// ================================================================
+
+/**
+ * Get the itemised streepjes ledger of the logged-in user
+ * @param {string} [seasonId] - Season ID, 'all', or empty for the current season
+ * @returns {Promise<Object>} { season, entries, total }
+ */
+export async function getMyStreepjes(seasonId = '') {
+  const query = seasonId ? `?seasonId=${encodeURIComponent(seasonId)}` : ''
+  return request(`/streepjes/mine${query}`)
+}
+
+/**
+ * Get the itemised streepjes ledger of a member (admin only)
+ * @param {number} userId - Member ID
+ * @param {string} [seasonId] - Season ID, 'all', or empty for the current season
+ * @returns {Promise<Object>} { season, entries, total }
+ */
+export async function getStreepjes(userId, seasonId = '') {
+  const params = new URLSearchParams({ userId: String(userId) })
+  if (seasonId) params.set('seasonId', seasonId)
+  return request(`/streepjes?${params.toString()}`)
+}
+
+/**
+ * Give a member a manual streepje (admin only)
+ * @param {Object} options - { userId, reason, eventId }
+ * @returns {Promise<Object>} { entry, msg }
+ */
+export async function addStreepje({ userId, reason, eventId = null } = {}) {
+  return request('/streepjes', {
+    method: 'POST',
+    body: { userId, reason, eventId }
+  })
+}
+
+/**
+ * Strike a streepje from the ledger with a reason (admin only)
+ * @param {string} streepjeId - Ledger entry ID
+ * @param {string} reason - Why the streepje is struck
+ * @returns {Promise<Object>} { entry, msg }
+ */
+export async function strikeStreepje(streepjeId, reason) {
+  return request(`/streepjes/${encodeURIComponent(streepjeId)}/strike`, {
+    method: 'POST',
+    body: { reason }
+  })
+}
+
+/**
+ * Get the configured penalty rules for streepjes (admin only)
+ * @returns {Promise<Object>} { rules }
+ */
+export async function getPenaltyRules() {
+  return request('/penalty-rules')
+}
+
+/**
+ * Preview how a rule change would affect the current streepjes (admin only)
+ * @param {Array} rules - Proposed rules
+ * @returns {Promise<Object>} { rules, changes, totals }
+ */
+export async function previewPenaltyRules(rules) {
+  return request('/penalty-rules/preview', {
+    method: 'POST',
+    body: { rules }
+  })
+}
+
+/**
+ * Save penalty rules and recalculate attendance streepjes (admin only)
+ * @param {Array} rules - New rules
+ * @returns {Promise<Object>} { rules, summary, msg }
+ */
+export async function updatePenaltyRules(rules) {
+  return request('/penalty-rules', {
+    method: 'PUT',
+    body: { rules }
+  }, 60000)
+}
+
+// ================================================================
+// ABSENCE EXCUSES API
+// ================================================================
+
+/**
+ * Submit an excuse with a reason for an opkomst (also after the deadline)
+ * @param {string} eventId - Opkomst ID
+ * @param {string} reason - Why the member is absent
+ * @returns {Promise<Object>} { excuse, msg }
+ */
+export async function submitAbsenceExcuse(eventId, reason) {
+  return request(`/events/${encodeURIComponent(eventId)}/excuses`, {
+    method: 'POST',
+    body: { reason }
+  })
+}
+
+/**
+ * Get the excuses of the logged-in user
+ * @returns {Promise<Object>} { excuses }
+ */
+export async function getMyExcuses() {
+  return request('/excuses/mine')
+}
+
+/**
+ * Get excuses for review (admin only)
+ * @param {string} [status] - pending (default), approved, denied or all
+ * @returns {Promise<Object>} { excuses, pendingCount }
+ */
+export async function getExcuses(status = 'pending') {
+  return request(`/excuses?status=${encodeURIComponent(status)}`)
+}
+
+/**
+ * Approve or deny an excuse (admin only)
+ * @param {string} excuseId - Excuse ID
+ * @param {string} status - approved or denied
+ * @param {string} [comment] - Required when denying
+ * @returns {Promise<Object>} { excuse, msg }
+ */
+export async function reviewAbsenceExcuse(excuseId, status, comment = '') {
+  return request(`/excuses/${encodeURIComponent(excuseId)}`, {
+    method: 'PATCH',
+    body: { status, comment }
+  })
+}
+
+// ================================================================
+// QR CHECK-IN API
+// ================================================================
+
+/**
+ * Get the current rotating check-in code for an opkomst (admin only)
+ * @param {string} eventId - Opkomst ID
+ * @returns {Promise<Object>} { code, url, expiresAt, refreshSeconds, attendance, checkIns }
+ */
+export async function getCheckInCode(eventId) {
+  return request(`/events/${encodeURIComponent(eventId)}/check-in-code`)
+}
+
+/**
+ * Mark the logged-in user present with a scanned check-in code
+ * @param {string} code - Code from the QR
+ * @returns {Promise<Object>} { event, checkedInAt, alreadyCheckedIn }
+ */
+export async function checkIn(code) {
+  return request('/check-in', {
+    method: 'POST',
+    body: { code }
+  })
+}
+
+// ================================================================
+// UNAVAILABILITY & ROTATION API
+// ================================================================
+
+/**
+ * Get the unavailability periods of the logged-in user
+ * @returns {Promise<Object>} { entries }
+ */
+export async function getMyUnavailability() {
+  return request('/unavailability/mine')
+}
+
+/**
+ * Get all upcoming unavailability periods (admin only)
+ * @returns {Promise<Object>} { entries }
+ */
+export async function getUnavailability() {
+  return request('/unavailability')
+}
+
+/**
+ * Mark a period as unavailable for duties
+ * @param {Object} period - { startDate, endDate, reason, userId? } (userId admin only)
+ * @returns {Promise<Object>} { entry, msg }
+ */
+export async function addUnavailability(period) {
+  return request('/unavailability', {
+    method: 'POST',
+    body: period
+  })
+}
+
+/**
+ * Remove an unavailability period
+ * @param {string} entryId - Period ID
+ * @returns {Promise<Object>} { msg }
+ */
+export async function deleteUnavailability(entryId) {
+  return request(`/unavailability/${encodeURIComponent(entryId)}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Get past and upcoming schoonmaak duties per member (admin only)
+ * @returns {Promise<Object>} { totals }
+ */
+export async function getSchoonmaakTotals() {
+  return request('/schoonmaak/totals')
+}
+
+/**
+ * Propose schoonmakers for the schoonmaken in a date range (admin only)
+ * @param {Object} options - { from, to, perEvent, onlyUnassigned }
+ * @returns {Promise<Object>} { from, to, perEvent, proposal, totals }
+ */
+export async function previewSchoonmaakRotation(options) {
+  return request('/schoonmaak/rotation/preview', {
+    method: 'POST',
+    body: options
+  })
+}
+
+/**
+ * Apply a schoonmaak rotation in one go (admin only)
+ * @param {Array<Object>} assignments - { eventId, schoonmakerIds }
+ * @returns {Promise<Object>} { events, msg }
+ */
+export async function applySchoonmaakRotation(assignments) {
+  return request('/schoonmaak/rotation/apply', {
+    method: 'POST',
+    body: { assignments }
+  })
+}
+
+/**
+ * Get past and upcoming opkomstmaker duties per member (admin only)
+ * @returns {Promise<Object>} { totals }
+ */
+export async function getOpkomstmakerTotals() {
+  return request('/opkomstmakers/totals')
+}
+
+/**
+ * Propose opkomstmakers for the opkomsten in a date range (admin only).
+ * Without `to` the proposal runs until the end of the current season.
+ * @param {Object} options - { from, to, perEvent, onlyUnassigned, avoidRepeatPairs }
+ * @returns {Promise<Object>} { from, to, perEvent, avoidRepeatPairs, proposal, totals }
+ */
+export async function previewOpkomstmakerRotation(options) {
+  return request('/opkomstmakers/rotation/preview', {
+    method: 'POST',
+    body: options
+  })
+}
+
+/**
+ * Apply an opkomstmaker rotation in one go (admin only)
+ * @param {Array<Object>} assignments - { eventId, opkomstmakerIds }
+ * @returns {Promise<Object>} { events, msg }
+ */
+export async function applyOpkomstmakerRotation(assignments) {
+  return request('/opkomstmakers/rotation/apply', {
+    method: 'POST',
+    body: { assignments }
+  })
+}
+
+// ================================================================
+// SLOT SWAPS API
+// ================================================================
+
+/**
+ * Get the swap board: open offers, own swaps and own upcoming duties
+ * @returns {Promise<Object>} { requiresApproval, open, mine, duties, pendingApproval }
+ */
+export async function getSwaps() {
+  return request('/swaps')
+}
+
+/**
+ * Offer an own opkomstmaker or schoonmaker slot for swap
+ * @param {string} eventId - Event ID
+ * @param {Object} offer - { duty: 'opkomst' | 'schoonmaak', note }
+ * @returns {Promise<Object>} { swap, msg }
+ */
+export async function offerSwap(eventId, offer) {
+  return request(`/events/${encodeURIComponent(eventId)}/swaps`, {
+    method: 'POST',
+    body: offer
+  })
+}
+
+/**
+ * Take over an offered slot
+ * @param {string} swapId - Swap ID
+ * @returns {Promise<Object>} { swap, msg }
+ */
+export async function acceptSwap(swapId) {
+  return request(`/swaps/${encodeURIComponent(swapId)}/accept`, {
+    method: 'POST'
+  })
+}
+
+/**
+ * Withdraw an offer (offering member or admin)
+ * @param {string} swapId - Swap ID
+ * @returns {Promise<Object>} { swap, msg }
+ */
+export async function cancelSwap(swapId) {
+  return request(`/swaps/${encodeURIComponent(swapId)}/cancel`, {
+    method: 'POST'
+  })
+}
+
+/**
+ * Approve or deny an accepted swap (admin only)
+ * @param {string} swapId - Swap ID
+ * @param {string} status - approved or denied
+ * @param {string} [comment] - Optional explanation for both members
+ * @returns {Promise<Object>} { swap, msg }
+ */
+export async function reviewSwap(swapId, status, comment = '') {
+  return request(`/swaps/${encodeURIComponent(swapId)}`, {
+    method: 'PATCH',
+    body: { status, comment }
+  })
+}
+
+// ================================================================
+// SCHOONMAAK CHECKLIST API
+// ================================================================
+
+/**
+ * Get the schoonmaak task templates (admins also get inactive ones)
+ * @returns {Promise<Object>} { tasks }
+ */
+export async function getSchoonmaakTasks() {
+  return request('/schoonmaak/tasks')
+}
+
+/**
+ * Create a schoonmaak task template (admin only)
+ * @param {Object} task - { name, description, active }
+ * @returns {Promise<Object>} { task, msg }
+ */
+export async function createSchoonmaakTask(task) {
+  return request('/schoonmaak/tasks', {
+    method: 'POST',
+    body: task
+  })
+}
+
+/**
+ * Update a schoonmaak task template (admin only)
+ * @param {string} taskId - Task ID
+ * @param {Object} task - { name, description, active }
+ * @returns {Promise<Object>} { task, msg }
+ */
+export async function updateSchoonmaakTask(taskId, task) {
+  return request(`/schoonmaak/tasks/${encodeURIComponent(taskId)}`, {
+    method: 'PUT',
+    body: task
+  })
+}
+
+/**
+ * Delete a schoonmaak task template (admin only)
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} { msg }
+ */
+export async function deleteSchoonmaakTask(taskId) {
+  return request(`/schoonmaak/tasks/${encodeURIComponent(taskId)}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Get the checklist of a schoonmaak
+ * @param {string} eventId - Schoonmaak ID
+ * @returns {Promise<Object>} { checklist, canEdit }
+ */
+export async function getEventChecklist(eventId) {
+  return request(`/events/${encodeURIComponent(eventId)}/checklist`)
+}
+
+/**
+ * Tick or untick a checklist task, optionally with a photo
+ * @param {string} eventId - Schoonmaak ID
+ * @param {string} itemId - Checklist item ID
+ * @param {Object} update - { done, photo: { content, type, name }, removePhoto }
+ * @returns {Promise<Object>} { checklist, msg }
+ */
+export async function updateChecklistItem(eventId, itemId, update) {
+  return request(`/events/${encodeURIComponent(eventId)}/checklist/${encodeURIComponent(itemId)}`, {
+    method: 'PATCH',
+    body: update
+  }, 60000)
+}
+
+/**
+ * Get a checklist photo as data URL
+ * @param {string} photoId - Photo ID
+ * @returns {Promise<Object>} { photo }
+ */
+export async function getSchoonmaakPhoto(photoId) {
+  return request(`/schoonmaak/photos/${encodeURIComponent(photoId)}`)
+}
+
+/**
+ * Get past schoonmaken with an incomplete checklist (admin only)
+ * @param {string} [from] - Start date (YYYY-MM-DD); defaults to the start of the season
+ * @returns {Promise<Object>} { from, events }
+ */
+export async function getIncompleteSchoonmaken(from = '') {
+  const query = from ? `?from=${encodeURIComponent(from)}` : ''
+  return request(`/schoonmaak/incomplete${query}`)
+}
+
+// ================================================================
+// SEASONS API
+// ================================================================
+
+/**
+ * Get all seasons, newest first
+ * @returns {Promise<Object>} { seasons, currentSeasonId }
+ */
+export async function getSeasons() {
+  return request('/seasons')
+}
+
+/**
+ * Get the standings of a season (frozen final standings once archived)
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<Object>} { season } including standings
+ */
+export async function getSeasonStandings(seasonId) {
+  return request(`/seasons/${encodeURIComponent(seasonId)}/standings`)
+}
+
+/**
+ * Create a season (admin only)
+ * @param {Object} seasonData - { name, startDate, endDate }
+ * @returns {Promise<Object>} { season, msg }
+ */
+export async function createSeason(seasonData) {
+  return request('/seasons', {
+    method: 'POST',
+    body: seasonData
+  })
+}
+
+/**
+ * Update a season that has not been archived yet (admin only)
+ * @param {string} seasonId - Season ID
+ * @param {Object} seasonData - { name, startDate, endDate }
+ * @returns {Promise<Object>} { season, msg }
+ */
+export async function updateSeason(seasonId, seasonData) {
+  return request(`/seasons/${encodeURIComponent(seasonId)}`, {
+    method: 'PUT',
+    body: seasonData
+  })
+}
+
+/**
+ * Delete a season that has not been archived yet (admin only)
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<Object>} Confirmation message
+ */
+export async function deleteSeason(seasonId) {
+  return request(`/seasons/${encodeURIComponent(seasonId)}`, {
+    method: 'DELETE'
+  })
+}
+
+/**
+ * Record the final standings of an ended season again (admin only)
+ * @param {string} seasonId - Season ID
+ * @returns {Promise<Object>} { season, msg }
+ */
+export async function archiveSeason(seasonId) {
+  return request(`/seasons/${encodeURIComponent(seasonId)}/archive`, {
+    method: 'POST'
   })
 }
 
@@ -494,6 +1282,106 @@ export async function submitPaymentRequest(requestData) {
   }, 60000)
 }
 
+/**
+ * Get the payment requests submitted by the logged in user
+ * @returns {Promise<Object>} Object with requests array
+ */
+export async function getMyPaymentRequests() {
+  return request('/payment-requests/mine')
+}
+
+/**
+ * Get all payment requests (treasurer/admin only)
+ * @param {Object} filters - Optional filters (status, userId, from, to, q)
+ * @returns {Promise<Object>} Object with requests array and totals per status
+ */
+export async function getPaymentRequests(filters = {}) {
+  const params = new URLSearchParams()
+  Object.entries(filters || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      params.set(key, Array.isArray(value) ? value.join(',') : String(value))
+    }
+  })
+  const query = params.toString()
+  return request(`/payment-requests${query ? `?${query}` : ''}`)
+}
+
+/**
+ * Move a payment request to a new status (treasurer/admin only)
+ * @param {string} requestId - Payment request ID
+ * @param {string} status - submitted | approved | rejected | paid
+ * @param {string} comment - Reviewer comment, required when rejecting
+ * @returns {Promise<Object>} Updated payment request
+ */
+export async function updatePaymentRequestStatus(requestId, status, comment = '') {
+  return request(`/payment-requests/${encodeURIComponent(requestId)}/status`, {
+    method: 'PATCH',
+    body: { status, comment }
+  })
+}
+
+/**
+ * Create a SEPA pain.001 batch from approved IBAN payment requests (treasurer/admin only)
+ * @param {Object} options - { executionDate, ids } where ids is optional
+ * @returns {Promise<Object>} { batch, fileName, xml, skipped }
+ */
+export async function exportSepaBatch({ executionDate, ids } = {}) {
+  return request('/payment-requests/sepa-export', {
+    method: 'POST',
+    body: { executionDate, ids }
+  }, 60000)
+}
+
+/**
+ * Get previously exported SEPA batches (treasurer/admin only)
+ * @returns {Promise<Object>} Object with batches array
+ */
+export async function getPaymentBatches() {
+  return request('/payment-batches')
+}
+
+/**
+ * Download the SEPA file of an earlier batch again (treasurer/admin only)
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object>} { batch, fileName, xml }
+ */
+export async function getPaymentBatchSepa(batchId) {
+  return request(`/payment-batches/${encodeURIComponent(batchId)}/sepa`)
+}
+
+/**
+ * Import a CAMT.053 bank statement and reconcile paid declaraties (treasurer/admin only)
+ * @param {Object} options - { xml, fileName }
+ * @returns {Promise<Object>} { statement, msg }
+ */
+export async function importBankStatement({ xml, fileName } = {}) {
+  return request('/bank-statements/import', {
+    method: 'POST',
+    body: { xml, fileName }
+  }, 60000)
+}
+
+/**
+ * Get recently imported bank statements (treasurer/admin only)
+ * @returns {Promise<Object>} Object with statements array
+ */
+export async function getBankStatements() {
+  return request('/bank-statements')
+}
+
+/**
+ * Manually match a statement transaction to a declaratie, or ignore it
+ * @param {string} statementId - Bank statement import ID
+ * @param {Object} options - { reference, requestId, ignore }
+ * @returns {Promise<Object>} Updated statement
+ */
+export async function matchBankTransaction(statementId, { reference, requestId = null, ignore = false } = {}) {
+  return request(`/bank-statements/${encodeURIComponent(statementId)}/match`, {
+    method: 'POST',
+    body: { reference, requestId, ignore }
+  })
+}
+
 // ================================================================
 // UTILITY EXPORTS
 // ================================================================
@@ -529,17 +1417,34 @@ export function addNetworkListeners(onOnline, onOffline) {
 export default {
   // Authentication
   login,
+  verifyLoginTwoFactor,
+  getPasskeyLoginOptions,
+  loginWithPasskey,
   getCurrentSession,
   logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   forgotPassword,
   resetPassword,
   changePassword,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getPasskeys,
+  getPasskeyRegistrationOptions,
+  registerPasskey,
+  deletePasskey,
+  getCalendarFeed,
+  regenerateCalendarFeed,
   
   // Events
   getEvents,
   createEvent,
   updateEvent,
   deleteEvent,
+  cancelEvent,
   updateAttendance,
   
   // Users
@@ -548,9 +1453,85 @@ export default {
   getUserProfile,
   updateUserProfile,
   updateUserStatus,
+  createUser,
+  updateUser,
+  resendInvite,
+  activateAccount,
+  previewMemberImport,
+  importMembers,
+  exportMembers,
+  getRoles,
+  updateUserRoles,
+  getSecuritySettings,
+  updateSecuritySettings,
+
+  // Streepjes
+  getMyStreepjes,
+  getStreepjes,
+  addStreepje,
+  strikeStreepje,
+  getPenaltyRules,
+  previewPenaltyRules,
+  updatePenaltyRules,
+
+  // Absence excuses
+  submitAbsenceExcuse,
+  getMyExcuses,
+  getExcuses,
+  reviewAbsenceExcuse,
+
+  // QR check-in
+  getCheckInCode,
+  checkIn,
+
+  // Unavailability & rotation
+  getMyUnavailability,
+  getUnavailability,
+  addUnavailability,
+  deleteUnavailability,
+  getSchoonmaakTotals,
+  previewSchoonmaakRotation,
+  applySchoonmaakRotation,
+  getOpkomstmakerTotals,
+  previewOpkomstmakerRotation,
+  applyOpkomstmakerRotation,
+
+  // Slot swaps
+  getSwaps,
+  offerSwap,
+  acceptSwap,
+  cancelSwap,
+  reviewSwap,
+
+  // Schoonmaak checklists
+  getSchoonmaakTasks,
+  createSchoonmaakTask,
+  updateSchoonmaakTask,
+  deleteSchoonmaakTask,
+  getEventChecklist,
+  updateChecklistItem,
+  getSchoonmaakPhoto,
+  getIncompleteSchoonmaken,
+
+  // Seasons
+  getSeasons,
+  getSeasonStandings,
+  createSeason,
+  updateSeason,
+  deleteSeason,
+  archiveSeason,
 
   // Payment requests
   submitPaymentRequest,
+  getMyPaymentRequests,
+  getPaymentRequests,
+  updatePaymentRequestStatus,
+  exportSepaBatch,
+  getPaymentBatches,
+  getPaymentBatchSepa,
+  importBankStatement,
+  getBankStatements,
+  matchBankTransaction,
   
   // Utilities
   isOnline,
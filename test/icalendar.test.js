@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { generateICalendar } from '../api/icalendar.js'
+import { expandRecurrence, normalizeRecurrenceInput } from '../api/recurrence.js'
+
+function createSeries(count, changes = {}) {
+  const start = '2026-11-02T20:00'
+  const end = '2026-11-02T22:00'
+  const { rule } = normalizeRecurrenceInput({ frequency: 'weekly', count }, start)
+  const recurrence = { ...rule, start, end }
+
+  return expandRecurrence(recurrence, start, end).map((slot, index) => ({
+    id: `event-${index}`,
+    title: 'Opkomst',
+    isOpkomst: true,
+    seriesId: 'series-1',
+    recurrence,
+    recurrenceId: slot.start,
+    start: slot.start,
+    end: slot.end,
+    isRecurrenceException: false,
+    ...changes[index]
+  }))
+}
+
+function getVEvents(ics) {
+  return ics.split('BEGIN:VEVENT').slice(1)
+}
+
+test('a cancelled occurrence gets its own CANCELLED override', () => {
+  const vevents = getVEvents(generateICalendar(createSeries(3, { 1: { cancelled: true } })))
+
+  assert.equal(vevents.length, 2)
+  assert.match(vevents[0], /RRULE:/)
+  assert.match(vevents[0], /STATUS:CONFIRMED/)
+  assert.match(vevents[1], /RECURRENCE-ID;TZID=Europe\/Amsterdam:20261109T200000/)
+  assert.match(vevents[1], /STATUS:CANCELLED/)
+})
+
+test('cancelling the first occurrence does not cancel the series', () => {
+  const vevents = getVEvents(generateICalendar(createSeries(3, { 0: { cancelled: true } })))
+
+  assert.equal(vevents.length, 2)
+  assert.match(vevents[0], /STATUS:CONFIRMED/)
+  assert.match(vevents[1], /RECURRENCE-ID;TZID=Europe\/Amsterdam:20261102T200000/)
+  assert.match(vevents[1], /STATUS:CANCELLED/)
+})
+
+test('a series cancelled as a whole needs no overrides', () => {
+  const series = createSeries(3).map((occurrence) => ({ ...occurrence, cancelled: true }))
+  const vevents = getVEvents(generateICalendar(series))
+
+  assert.equal(vevents.length, 1)
+  assert.match(vevents[0], /STATUS:CANCELLED/)
+})
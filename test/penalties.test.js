@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_PENALTY_RULES, evaluateEventPenalties } from '../api/penalties.js'
+
+const rules = DEFAULT_PENALTY_RULES.map((rule) => (
+  rule.trigger === 'late_cancellation' ? { ...rule, enabled: true } : rule
+))
+
+const opkomst = {
+  id: 'opkomst-1',
+  isOpkomst: true,
+  start: '2026-11-02T20:00:00.000Z',
+  end: '2026-11-02T22:00:00.000Z',
+  participants: [1],
+  attendance: { 1: true },
+  cancellations: { 2: '2026-11-02T12:00:00.000Z' }
+}
+
+test('a late cancellation does not count before the opkomst is over', () => {
+  const now = new Date('2026-11-02T21:00:00.000Z').getTime()
+
+  assert.deepEqual(evaluateEventPenalties(opkomst, rules, { now }), [])
+})
+
+test('a late cancellation counts once the opkomst is over', () => {
+  const now = new Date('2026-11-03T05:00:00.000Z').getTime()
+
+  assert.deepEqual(evaluateEventPenalties(opkomst, rules, { now }), [
+    { userId: 2, trigger: 'late_cancellation', reason: 'Te laat afgemeld', count: 2 }
+  ])
+})
+
+test('a late cancellation with an approved excuse does not count', () => {
+  const now = new Date('2026-11-03T05:00:00.000Z').getTime()
+  const isExcused = (ev, userId) => userId === 2
+
+  assert.deepEqual(evaluateEventPenalties(opkomst, rules, { now, isExcused }), [])
+})
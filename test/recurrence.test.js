@@ -0,0 +1,16 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeRecurrenceInput } from '../api/recurrence.js'
+
+test('an end date that does not exist is rejected', () => {
+  const result = normalizeRecurrenceInput({ frequency: 'weekly', until: '2026-02-31' }, '2026-02-02T20:00')
+
+  assert.equal(result.error, 'Ongeldige einddatum voor herhaling')
+})
+
+test('an existing end date is accepted as given', () => {
+  const result = normalizeRecurrenceInput({ frequency: 'weekly', until: '2026-02-28' }, '2026-02-02T20:00')
+
+  assert.equal(result.error, undefined)
+  assert.equal(result.rule.until, '2026-02-28')
+})